@@ -10,6 +10,8 @@ import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import RepoSelector from './pages/RepoSelector';
 import Settings from './pages/Settings';
+import Portfolio from './pages/Portfolio';
+import ReleaseDetail from './pages/ReleaseDetail';
 
 // Create a theme instance
 const theme = createTheme({
@@ -86,6 +88,14 @@ function App() {
                       </ProtectedRoute>
                     } 
                   />
+                  <Route 
+                    path="/dashboard/releases/:id" 
+                    element={
+                      <ProtectedRoute>
+                        <ReleaseDetail />
+                      </ProtectedRoute>
+                    } 
+                  />
                   <Route 
                     path="/select-repo" 
                     element={
@@ -102,6 +112,22 @@ function App() {
                       </ProtectedRoute>
                     } 
                   />
+                  <Route 
+                    path="/portfolio" 
+                    element={
+                      <ProtectedRoute>
+                        <Portfolio />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/:owner/:repo/:tab?" 
+                    element={
+                      <ProtectedRoute>
+                        <Dashboard />
+                      </ProtectedRoute>
+                    } 
+                  />
                   <Route path="/" element={<Navigate to="/login" replace />} />
                   <Route path="*" element={<Navigate to="/login" replace />} />
                 </Routes>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import {
   Box,
   Button,
@@ -18,9 +18,23 @@ import {
   CircularProgress,
   Alert,
   Tooltip as MuiTooltip,
-  IconButton
+  IconButton,
+  Autocomplete,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Menu,
+  Snackbar
 } from '@mui/material';
 import RefreshIcon from '@mui/icons-material/Refresh';
+import {
+  PlayArrow as PlayArrowIcon,
+  Replay as ReplayIcon,
+  StopCircle as StopCircleIcon
+} from '@mui/icons-material';
 import { Line } from 'react-chartjs-2';
 import { 
   Chart as ChartJS, 
@@ -35,6 +49,13 @@ import {
 import { useRepo } from '../contexts/RepoContext';
 import { useSettings } from '../contexts/SettingsContext';
 import githubService from '../services/githubService';
+import { useUrlState } from '../utils/urlState';
+import WorkflowHealthGrid from './WorkflowHealthGrid';
+import WorkflowRunDetailsDialog from './WorkflowRunDetailsDialog';
+import FlakinessReport from './FlakinessReport';
+import WorkflowDispatchDialog from './WorkflowDispatchDialog';
+import ArtifactsPanel from './ArtifactsPanel';
+import { getRunTimings, formatDuration } from '../utils/workflowRuns';
 
 // Register ChartJS components
 ChartJS.register(
@@ -47,16 +68,100 @@ ChartJS.register(
   Legend
 );
 
+// Events that commonly trigger workflows, for the event filter
+const WORKFLOW_EVENTS = [
+  'push',
+  'pull_request',
+  'pull_request_target',
+  'merge_group',
+  'schedule',
+  'workflow_dispatch',
+  'workflow_run',
+  'release',
+  'repository_dispatch'
+];
+
+// Run filters applied by the API, as named in the URL
+const RUN_FILTERS = ['branch', 'event', 'actor', 'from', 'to'];
+
+// Cache key for a set of runs; without filters it matches the key older versions used
+const getRunsKey = (runQuery) => [
+  `workflow-runs:${runQuery.workflow}`,
+  ...RUN_FILTERS.filter(name => runQuery[name]).map(name => `${name}=${runQuery[name]}`)
+].join(':');
+
+// How often runs that haven't completed are checked
+const RUN_POLL_INTERVAL = 10000;
+
+// A dispatched run takes a moment to show up in the runs list
+const DISPATCH_REFRESH_DELAY = 3000;
+const DISPATCH_REFRESH_ATTEMPTS = 5;
+
+// Runs shown in the recent runs table, which are the ones followed live
+const RECENT_RUNS_LIMIT = 10;
+
+// Confirmation text for each run action
+const RUN_ACTIONS = {
+  rerun: {
+    title: 'Rerun all jobs?',
+    text: 'Every job in this run will run again as a new attempt.',
+    confirm: 'Rerun All Jobs',
+    done: 'Rerun requested'
+  },
+  'rerun-failed': {
+    title: 'Rerun failed jobs?',
+    text: 'The failed jobs, and any jobs that depend on them, will run again as a new attempt.',
+    confirm: 'Rerun Failed Jobs',
+    done: 'Rerun of failed jobs requested'
+  },
+  cancel: {
+    title: 'Cancel this run?',
+    text: 'Jobs that are still queued or running will be stopped.',
+    confirm: 'Cancel Run',
+    done: 'Cancellation requested'
+  }
+};
+
+// Turn the date range into the API's `created` search syntax
+const getCreatedFilter = (from, to) => {
+  if (from && to) return `${from}..${to}`;
+  if (from) return `>=${from}`;
+  if (to) return `<=${to}`;
+  return null;
+};
+
 const ActionsWorkflowDashboard = () => {
   const { currentRepo } = useRepo();
   const { cacheExpiryTime } = useSettings();
+  const [searchParams, updateParams] = useUrlState();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [workflows, setWorkflows] = useState([]);
   const [workflowRuns, setWorkflowRuns] = useState([]);
-  const [selectedWorkflow, setSelectedWorkflow] = useState('all');
+  const [branches, setBranches] = useState([]);
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [dispatchOpen, setDispatchOpen] = useState(false);
+  // Run action waiting for confirmation: { type, run }
+  const [pendingAction, setPendingAction] = useState(null);
+  const [actionInProgress, setActionInProgress] = useState(false);
+  const [rerunMenu, setRerunMenu] = useState(null);
+  const [actionMessage, setActionMessage] = useState(null);
+  const [pollCount, setPollCount] = useState(0);
   const [lastUpdated, setLastUpdated] = useState(null);
   const [forceRefresh, setForceRefresh] = useState(false);
+  const runsRequestRef = useRef(0);
+
+  // The selected workflow and run filters live in the URL
+  const runQuery = useMemo(() => ({
+    workflow: searchParams.get('workflow') || 'all',
+    branch: searchParams.get('branch') || '',
+    event: searchParams.get('event') || '',
+    actor: searchParams.get('actor') || '',
+    from: searchParams.get('from') || '',
+    to: searchParams.get('to') || ''
+  }), [searchParams]);
+  const selectedWorkflow = runQuery.workflow;
+  const hasRunFilters = RUN_FILTERS.some(name => runQuery[name]);
 
   // Load cached data on component mount
   useEffect(() => {
@@ -65,72 +170,53 @@ const ActionsWorkflowDashboard = () => {
     }
   }, [currentRepo]);
 
-  // Save data to local storage
-  const saveToLocalStorage = (key, data) => {
-    const storageKey = `${currentRepo.owner.login}/${currentRepo.name}:${key}`;
-    const storageData = {
-      data,
-      timestamp: Date.now(),
-      expiryTime: cacheExpiryTime * 60 * 1000 // Convert minutes to milliseconds
-    };
-    localStorage.setItem(storageKey, JSON.stringify(storageData));
-  };
+  // Branches for the branch filter
+  useEffect(() => {
+    if (!currentRepo) return;
+    
+    githubService.getBranches(currentRepo.owner.login, currentRepo.name).then(result => {
+      setBranches(result.success ? result.branches.map(branch => branch.name) : []);
+    });
+  }, [currentRepo]);
+
+  // Save data to the persistent service cache. The key shares the repo prefix,
+  // so clearing the repo cache clears it too.
+  const saveToCache = useCallback((key, data) => {
+    githubService.setCacheItem(
+      `${currentRepo.owner.login}/${currentRepo.name}:actions:${key}`,
+      { data, timestamp: Date.now() },
+      cacheExpiryTime * 60 * 1000 // Convert minutes to milliseconds
+    );
+  }, [currentRepo, cacheExpiryTime]);
 
-  // Load data from local storage
-  const loadFromLocalStorage = (key) => {
+  // Load data from the persistent service cache
+  const loadFromCache = useCallback((key) => {
     if (!currentRepo) return null;
     
-    const storageKey = `${currentRepo.owner.login}/${currentRepo.name}:${key}`;
-    const storageData = localStorage.getItem(storageKey);
-    
-    if (!storageData) return null;
-    
-    try {
-      const parsedData = JSON.parse(storageData);
-      const now = Date.now();
-      
-      // Check if the data is expired
-      if (parsedData.timestamp + parsedData.expiryTime < now) {
-        localStorage.removeItem(storageKey);
-        return null;
-      }
-      
-      return parsedData.data;
-    } catch (err) {
-      console.error('Error parsing stored data:', err);
-      localStorage.removeItem(storageKey);
-      return null;
-    }
-  };
+    const storageData = githubService.getCachedItem(`${currentRepo.owner.login}/${currentRepo.name}:actions:${key}`);
+    return storageData ? storageData.data : null;
+  }, [currentRepo]);
 
-  // Load both cached workflows and runs
+  // Load cached workflows; the runs for the current selection are loaded once workflows are there
   const loadCachedData = () => {
     if (!currentRepo) return;
     
+    // Earlier versions cached this tab in localStorage, which could run out of quota
+    const legacyPrefix = `${currentRepo.owner.login}/${currentRepo.name}:`;
+    Object.keys(localStorage)
+      .filter(key => key === `${legacyPrefix}workflows` || key.startsWith(`${legacyPrefix}workflow-runs:`))
+      .forEach(key => localStorage.removeItem(key));
+    
     // Load cached workflows
-    const cachedWorkflows = loadFromLocalStorage('workflows');
+    const cachedWorkflows = loadFromCache('workflows');
     if (cachedWorkflows && cachedWorkflows.length > 0) {
       console.log('Using cached workflows data');
       setWorkflows(cachedWorkflows);
       
-      // Also check if we have cached runs for the current selection
-      const runsKey = `workflow-runs:${selectedWorkflow}`;
-      const cachedRuns = loadFromLocalStorage(runsKey);
-      
-      if (cachedRuns && cachedRuns.length > 0) {
-        console.log('Using cached workflow runs data');
-        setWorkflowRuns(cachedRuns);
-        
-        // Set last updated timestamp from storage
-        const storageKey = `${currentRepo.owner.login}/${currentRepo.name}:workflows`;
-        try {
-          const storageData = JSON.parse(localStorage.getItem(storageKey));
-          if (storageData && storageData.timestamp) {
-            setLastUpdated(new Date(storageData.timestamp));
-          }
-        } catch (err) {
-          console.error('Error parsing timestamp:', err);
-        }
+      // Set last updated timestamp from storage
+      const storageData = githubService.getCachedItem(`${currentRepo.owner.login}/${currentRepo.name}:actions:workflows`);
+      if (storageData && storageData.timestamp) {
+        setLastUpdated(new Date(storageData.timestamp));
       }
     } else {
       // No cached data, fetch fresh data
@@ -153,12 +239,12 @@ const ActionsWorkflowDashboard = () => {
       
       if (result.success) {
         setWorkflows(result.workflows);
-        saveToLocalStorage('workflows', result.workflows);
+        saveToCache('workflows', result.workflows);
         setLastUpdated(new Date());
         
-        // If we have a workflow selected, also update its runs
-        if (selectedWorkflow !== 'all' && result.workflows.some(w => w.id.toString() === selectedWorkflow)) {
-          fetchWorkflowRuns(skipCache);
+        // A forced refresh also reloads the runs being shown
+        if (skipCache) {
+          fetchWorkflowRuns(true);
         }
       } else {
         setError(result.error);
@@ -178,19 +264,24 @@ const ActionsWorkflowDashboard = () => {
     fetchWorkflows(true);
   };
 
-  // Fetch workflow runs when a workflow is selected
-  const fetchWorkflowRuns = async (skipCache = false) => {
-    if (!currentRepo) return;
+  // Fetch the runs for a workflow selection and set of filters.
+  // Background refreshes (e.g. while following live runs) don't show the spinner.
+  const fetchWorkflowRuns = useCallback(async (skipCache = false, query = runQuery, background = false) => {
+    if (!currentRepo) return null;
     
-    setLoading(true);
-    setError(null);
+    // Only the latest request may update the runs when filters change quickly
+    const requestId = ++runsRequestRef.current;
+    if (!background) {
+      setLoading(true);
+      setError(null);
+    }
     
     try {
       const owner = currentRepo.owner.login;
       const repo = currentRepo.name;
       
       // Handle the workflow ID parameter carefully
-      const workflowId = selectedWorkflow === 'all' ? null : selectedWorkflow;
+      const workflowId = query.workflow === 'all' ? null : query.workflow;
       
       console.log(`Fetching workflow runs with workflowId: ${workflowId || 'all'}`);
       
@@ -198,18 +289,25 @@ const ActionsWorkflowDashboard = () => {
         owner, 
         repo, 
         workflowId,
-        !skipCache
+        !skipCache,
+        {
+          branch: query.branch,
+          event: query.event,
+          actor: query.actor,
+          created: getCreatedFilter(query.from, query.to)
+        }
       );
+      if (requestId !== runsRequestRef.current) return null;
       
       if (result.success) {
         console.log(`Successfully fetched ${result.workflowRuns.length} workflow runs`);
         setWorkflowRuns(result.workflowRuns);
         
-        // Save to local storage with the correct key
-        const storageKey = `workflow-runs:${selectedWorkflow}`;
-        saveToLocalStorage(storageKey, result.workflowRuns);
+        // Save to the cache with the correct key
+        saveToCache(getRunsKey(query), result.workflowRuns);
         
         setLastUpdated(new Date());
+        return result.workflowRuns;
       } else {
         console.error(`Error from API: ${result.error}`);
         setError(result.error);
@@ -218,37 +316,130 @@ const ActionsWorkflowDashboard = () => {
       console.error('Exception fetching workflow runs:', err);
       setError(`Failed to fetch workflow runs: ${err.message}`);
     } finally {
-      setLoading(false);
-      setForceRefresh(false);
+      if (requestId === runsRequestRef.current && !background) {
+        setLoading(false);
+        setForceRefresh(false);
+      }
     }
-  };
+    return null;
+  }, [currentRepo, runQuery, saveToCache]);
 
-  // Handle workflow selection change
-  const handleWorkflowChange = (event) => {
-    const newWorkflowId = event.target.value;
-    setSelectedWorkflow(newWorkflowId);
-    
-    // Check if we have cached data for this workflow
-    const runsKey = `workflow-runs:${newWorkflowId}`;
-    const cachedRuns = loadFromLocalStorage(runsKey);
+  // Show the runs for the current selection and filters, including after back/forward
+  useEffect(() => {
+    if (!currentRepo || workflows.length === 0) return;
     
+    const cachedRuns = loadFromCache(getRunsKey(runQuery));
     if (cachedRuns && cachedRuns.length > 0) {
-      console.log('Using cached workflow runs for selected workflow');
+      console.log('Using cached workflow runs for the current selection');
+      runsRequestRef.current++;
       setWorkflowRuns(cachedRuns);
     } else {
       // No cached data, fetch fresh data
-      fetchWorkflowRuns(false);
+      fetchWorkflowRuns(false, runQuery);
+    }
+  }, [currentRepo, workflows.length, runQuery, loadFromCache, fetchWorkflowRuns]);
+
+  // Follow the recent runs that haven't completed. Rows update in place; once one
+  // completes the list is reloaded, which also refreshes the cache.
+  const activeRunIds = useMemo(() => (
+    workflowRuns
+      .slice(0, RECENT_RUNS_LIMIT)
+      .filter(run => run.status !== 'completed')
+      .map(run => run.id)
+      .join(',')
+  ), [workflowRuns]);
+  
+  useEffect(() => {
+    if (!currentRepo || !activeRunIds) return;
+    
+    const owner = currentRepo.owner.login;
+    const repo = currentRepo.name;
+    const timer = setTimeout(async () => {
+      const results = await Promise.all(
+        activeRunIds.split(',').map(runId => githubService.getWorkflowRun(owner, repo, Number(runId)))
+      );
+      const updatedRuns = new Map(results.filter(result => result.success).map(result => [result.run.id, result.run]));
+      
+      if (Array.from(updatedRuns.values()).some(run => run.status === 'completed')) {
+        fetchWorkflowRuns(true, runQuery, true);
+      } else {
+        setWorkflowRuns(prev => prev.map(run => updatedRuns.get(run.id) || run));
+      }
+      // Schedules the next check while runs are still active
+      setPollCount(count => count + 1);
+    }, RUN_POLL_INTERVAL);
+    
+    return () => clearTimeout(timer);
+  }, [currentRepo, activeRunIds, pollCount, runQuery, fetchWorkflowRuns]);
+  
+  // The dispatch API doesn't return the new run, so reload until it shows up
+  const handleDispatched = async (workflow, ref) => {
+    const dispatchedAt = Date.now();
+    setActionMessage({ severity: 'success', text: `${workflow.name} started on ${ref}` });
+    
+    for (let attempt = 0; attempt < DISPATCH_REFRESH_ATTEMPTS; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, DISPATCH_REFRESH_DELAY));
+      const runs = await fetchWorkflowRuns(true, runQuery, true);
+      if (runs && runs.some(run => run.workflow_id === workflow.id && new Date(run.created_at).getTime() >= dispatchedAt - 60000)) {
+        return;
+      }
+    }
+  };
+  
+  const handleConfirmAction = async () => {
+    const { type, run } = pendingAction;
+    const owner = currentRepo.owner.login;
+    const repo = currentRepo.name;
+    setActionInProgress(true);
+    
+    const result = type === 'cancel'
+      ? await githubService.cancelWorkflowRun(owner, repo, run.id)
+      : await githubService.rerunWorkflowRun(owner, repo, run.id, type === 'rerun-failed');
+    
+    setActionInProgress(false);
+    setPendingAction(null);
+    
+    if (result.success) {
+      setActionMessage({ severity: 'success', text: `${RUN_ACTIONS[type].done} for ${run.name} #${run.run_number}` });
+      fetchWorkflowRuns(true, runQuery, true);
+    } else {
+      setActionMessage({ severity: 'error', text: result.error });
     }
   };
   
+  // Handle workflow selection change
+  const handleWorkflowChange = (event) => {
+    const newWorkflowId = event.target.value;
+    updateParams({ workflow: newWorkflowId === 'all' ? null : newWorkflowId });
+  };
+
+  // Drill into a branch and workflow from the health grid
+  const handleHealthCellSelect = (branch, workflowId) => {
+    updateParams({ branch, workflow: String(workflowId) });
+  };
+  
+  // Narrow the runs to a workflow picked in the flakiness report
+  const handleFlakyWorkflowSelect = (workflowId) => {
+    updateParams({ workflow: String(workflowId) });
+  };
+  
+  const handleClearFilters = () => {
+    updateParams(RUN_FILTERS.reduce((changes, name) => ({ ...changes, [name]: null }), {}));
+  };
+
+  // Actors seen in the loaded runs, as suggestions for the actor filter
+  const actors = useMemo(() => {
+    const logins = new Set(workflowRuns.map(run => (run.actor ? run.actor.login : null)).filter(Boolean));
+    return Array.from(logins).sort();
+  }, [workflowRuns]);
+  
   // Listen for settings changes to clear outdated caches
   useEffect(() => {
     const handleSettingsChange = () => {
       if (currentRepo) {
         // Check if our cached data has expired based on new settings
-        const cachedWorkflows = loadFromLocalStorage('workflows');
-        const runsKey = `workflow-runs:${selectedWorkflow}`;
-        const cachedRuns = loadFromLocalStorage(runsKey);
+        const cachedWorkflows = loadFromCache('workflows');
+        const cachedRuns = loadFromCache(getRunsKey(runQuery));
         
         // If we don't have valid cached data anymore, fetch fresh data
         if (!cachedWorkflows || cachedWorkflows.length === 0) {
@@ -267,7 +458,7 @@ const ActionsWorkflowDashboard = () => {
     return () => {
       window.removeEventListener('cacheExpiryTimeChanged', handleSettingsChange);
     };
-  }, [currentRepo, selectedWorkflow, cacheExpiryTime]);
+  }, [currentRepo, runQuery, cacheExpiryTime]);
 
   // Processed workflow stats for the table
   const workflowStats = useMemo(() => {
@@ -380,6 +571,15 @@ const ActionsWorkflowDashboard = () => {
                   <RefreshIcon />
                 </IconButton>
               </MuiTooltip>
+              {workflows.length > 0 && (
+                <Button
+                  variant="outlined"
+                  startIcon={<PlayArrowIcon />}
+                  onClick={() => setDispatchOpen(true)}
+                >
+                  Run Workflow
+                </Button>
+              )}
               <Button 
                 variant="contained" 
                 color="primary" 
@@ -417,7 +617,7 @@ const ActionsWorkflowDashboard = () => {
                   >
                     <MenuItem value="all">All Workflows</MenuItem>
                     {workflows.map((workflow) => (
-                      <MenuItem key={workflow.id} value={workflow.id}>
+                      <MenuItem key={workflow.id} value={String(workflow.id)}>
                         {workflow.name}
                       </MenuItem>
                     ))}
@@ -425,6 +625,66 @@ const ActionsWorkflowDashboard = () => {
                 </FormControl>
               </Box>
               
+              {/* Run filters, applied by the GitHub API */}
+              <Box sx={{ mb: 3, display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+                <Autocomplete
+                  size="small"
+                  sx={{ width: 220 }}
+                  options={branches}
+                  value={runQuery.branch || null}
+                  onChange={(event, value) => updateParams({ branch: value })}
+                  renderInput={(params) => <TextField {...params} label="Branch" />}
+                />
+                <FormControl size="small" sx={{ width: 200 }}>
+                  <InputLabel id="event-select-label" shrink>Event</InputLabel>
+                  <Select
+                    labelId="event-select-label"
+                    value={runQuery.event}
+                    label="Event"
+                    displayEmpty
+                    notched
+                    onChange={(e) => updateParams({ event: e.target.value })}
+                  >
+                    <MenuItem value="">All Events</MenuItem>
+                    {WORKFLOW_EVENTS.map(event => (
+                      <MenuItem key={event} value={event}>{event}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <Autocomplete
+                  freeSolo
+                  size="small"
+                  sx={{ width: 200 }}
+                  options={actors}
+                  value={runQuery.actor || null}
+                  onChange={(event, value) => updateParams({ actor: value })}
+                  renderInput={(params) => <TextField {...params} label="Actor" />}
+                />
+                <TextField
+                  label="From Date"
+                  type="date"
+                  size="small"
+                  sx={{ width: 170 }}
+                  InputLabelProps={{ shrink: true }}
+                  value={runQuery.from}
+                  onChange={(e) => updateParams({ from: e.target.value })}
+                />
+                <TextField
+                  label="To Date"
+                  type="date"
+                  size="small"
+                  sx={{ width: 170 }}
+                  InputLabelProps={{ shrink: true }}
+                  value={runQuery.to}
+                  onChange={(e) => updateParams({ to: e.target.value })}
+                />
+                {hasRunFilters && (
+                  <Button size="small" onClick={handleClearFilters}>
+                    Clear Filters
+                  </Button>
+                )}
+              </Box>
+              
               <Box sx={{ mb: 3 }}>
                 <Button 
                   variant="outlined" 
@@ -437,8 +697,40 @@ const ActionsWorkflowDashboard = () => {
                 </Button>
               </Box>
               
+              {workflowRuns.length === 0 && hasRunFilters && !loading && (
+                <Alert severity="info" sx={{ mb: 3 }}>
+                  No workflow runs match these filters
+                </Alert>
+              )}
+              
               {workflowRuns.length > 0 && (
                 <>
+                  <Paper sx={{ p: 2, mb: 3 }} elevation={2}>
+                    <Typography variant="h6" gutterBottom>
+                      Branch Health
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                      Latest conclusion and success rate of the loaded runs for each branch and workflow. Click a cell to filter by it.
+                    </Typography>
+                    <WorkflowHealthGrid
+                      runs={workflowRuns}
+                      defaultBranch={currentRepo.default_branch}
+                      onSelect={handleHealthCellSelect}
+                    />
+                  </Paper>
+                  
+                  <Paper sx={{ p: 2, mb: 3 }} elevation={2}>
+                    <Typography variant="h6" gutterBottom>
+                      Flakiness
+                    </Typography>
+                    <FlakinessReport
+                      runs={workflowRuns}
+                      owner={currentRepo.owner.login}
+                      repo={currentRepo.name}
+                      onSelectWorkflow={handleFlakyWorkflowSelect}
+                    />
+                  </Paper>
+                  
                   <Grid container spacing={3}>
                     <Grid item xs={12} md={4}>
                       <Paper sx={{ p: 2 }} elevation={2}>
@@ -513,6 +805,9 @@ const ActionsWorkflowDashboard = () => {
                       <Typography variant="h6" gutterBottom>
                         Recent Workflow Runs
                       </Typography>
+                      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                        Click a run to see its jobs, steps and logs
+                      </Typography>
                       <TableContainer>
                         <Table size="small">
                           <TableHead>
@@ -523,25 +818,49 @@ const ActionsWorkflowDashboard = () => {
                               <TableCell>Conclusion</TableCell>
                               <TableCell>Started</TableCell>
                               <TableCell>Duration</TableCell>
+                              <TableCell align="right">Actions</TableCell>
                             </TableRow>
                           </TableHead>
                           <TableBody>
-                            {workflowRuns.slice(0, 10).map((run) => {
-                              const startTime = new Date(run.created_at);
-                              const endTime = run.updated_at ? new Date(run.updated_at) : null;
-                              const durationMs = endTime ? (endTime - startTime) : null;
-                              const durationText = durationMs 
-                                ? `${Math.floor(durationMs / (1000 * 60))}m ${Math.floor((durationMs / 1000) % 60)}s` 
-                                : 'In progress';
+                            {workflowRuns.slice(0, RECENT_RUNS_LIMIT).map((run) => {
+                              const { executionMs } = getRunTimings(run);
+                              const durationText = executionMs !== null ? formatDuration(executionMs) : 'In progress';
                               
                               return (
-                                <TableRow key={run.id}>
+                                <TableRow
+                                  key={run.id}
+                                  hover
+                                  onClick={() => setSelectedRun(run)}
+                                  sx={{ cursor: 'pointer' }}
+                                >
                                   <TableCell>{run.name || run.workflow_id}</TableCell>
                                   <TableCell>{run.head_branch}</TableCell>
                                   <TableCell>{run.status}</TableCell>
                                   <TableCell>{run.conclusion || '-'}</TableCell>
                                   <TableCell>{new Date(run.created_at).toLocaleString()}</TableCell>
                                   <TableCell>{durationText}</TableCell>
+                                  <TableCell align="right" onClick={(e) => e.stopPropagation()} sx={{ whiteSpace: 'nowrap' }}>
+                                    {run.status === 'completed' ? (
+                                      <MuiTooltip title="Rerun">
+                                        <IconButton
+                                          size="small"
+                                          onClick={(e) => setRerunMenu({ anchorEl: e.currentTarget, run })}
+                                        >
+                                          <ReplayIcon fontSize="small" />
+                                        </IconButton>
+                                      </MuiTooltip>
+                                    ) : (
+                                      <MuiTooltip title="Cancel run">
+                                        <IconButton
+                                          size="small"
+                                          color="error"
+                                          onClick={() => setPendingAction({ type: 'cancel', run })}
+                                        >
+                                          <StopCircleIcon fontSize="small" />
+                                        </IconButton>
+                                      </MuiTooltip>
+                                    )}
+                                  </TableCell>
                                 </TableRow>
                               );
                             })}
@@ -552,10 +871,106 @@ const ActionsWorkflowDashboard = () => {
                   </Box>
                 </>
               )}
+              
+              <Paper sx={{ p: 2, mt: 3 }} elevation={2}>
+                <Typography variant="h6" gutterBottom>
+                  Artifacts
+                </Typography>
+                <ArtifactsPanel
+                  owner={currentRepo.owner.login}
+                  repo={currentRepo.name}
+                  runs={workflowRuns}
+                  onSelectRun={setSelectedRun}
+                />
+              </Paper>
             </>
           )}
         </Paper>
       </Grid>
+      
+      <Menu
+        anchorEl={rerunMenu ? rerunMenu.anchorEl : null}
+        open={Boolean(rerunMenu)}
+        onClose={() => setRerunMenu(null)}
+      >
+        <MenuItem
+          onClick={() => {
+            setPendingAction({ type: 'rerun', run: rerunMenu.run });
+            setRerunMenu(null);
+          }}
+        >
+          Rerun all jobs
+        </MenuItem>
+        <MenuItem
+          disabled={!rerunMenu || !['failure', 'timed_out', 'cancelled'].includes(rerunMenu.run.conclusion)}
+          onClick={() => {
+            setPendingAction({ type: 'rerun-failed', run: rerunMenu.run });
+            setRerunMenu(null);
+          }}
+        >
+          Rerun failed jobs
+        </MenuItem>
+      </Menu>
+      
+      <Dialog open={Boolean(pendingAction)} onClose={() => !actionInProgress && setPendingAction(null)}>
+        {pendingAction && (
+          <>
+            <DialogTitle>{RUN_ACTIONS[pendingAction.type].title}</DialogTitle>
+            <DialogContent>
+              <DialogContentText>
+                {pendingAction.run.name} #{pendingAction.run.run_number} on {pendingAction.run.head_branch}.{' '}
+                {RUN_ACTIONS[pendingAction.type].text}
+              </DialogContentText>
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setPendingAction(null)} disabled={actionInProgress}>
+                Back
+              </Button>
+              <Button
+                variant="contained"
+                color={pendingAction.type === 'cancel' ? 'error' : 'primary'}
+                onClick={handleConfirmAction}
+                disabled={actionInProgress}
+              >
+                {RUN_ACTIONS[pendingAction.type].confirm}
+              </Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+      
+      <WorkflowDispatchDialog
+        open={dispatchOpen}
+        onClose={() => setDispatchOpen(false)}
+        owner={currentRepo ? currentRepo.owner.login : ''}
+        repo={currentRepo ? currentRepo.name : ''}
+        workflows={workflows}
+        initialWorkflowId={selectedWorkflow}
+        defaultBranch={currentRepo ? currentRepo.default_branch : ''}
+        branches={branches}
+        onDispatched={handleDispatched}
+      />
+      
+      <Snackbar
+        open={Boolean(actionMessage)}
+        autoHideDuration={6000}
+        onClose={() => setActionMessage(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        {actionMessage ? (
+          <Alert onClose={() => setActionMessage(null)} severity={actionMessage.severity} sx={{ width: '100%' }}>
+            {actionMessage.text}
+          </Alert>
+        ) : null}
+      </Snackbar>
+      
+      <WorkflowRunDetailsDialog
+        run={selectedRun}
+        owner={currentRepo ? currentRepo.owner.login : ''}
+        repo={currentRepo ? currentRepo.name : ''}
+        open={Boolean(selectedRun)}
+        onClose={() => setSelectedRun(null)}
+      />
     </Grid>
   );
 };
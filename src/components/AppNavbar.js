@@ -9,7 +9,7 @@ import {
   Avatar,
   IconButton
 } from '@mui/material';
-import { Assessment, Logout, Settings as SettingsIcon, ArrowBack } from '@mui/icons-material';
+import { Assessment, Logout, Settings as SettingsIcon, ArrowBack, ViewModule } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import { useRepo } from '../contexts/RepoContext';
 import { useNavigate, useLocation } from 'react-router-dom';
@@ -38,6 +38,10 @@ const AppNavbar = () => {
     navigate('/settings');
   };
 
+  const handlePortfolioClick = () => {
+    navigate('/portfolio');
+  };
+
   // Check if we're on the settings page
   const isSettingsPage = location.pathname === '/settings';
 
@@ -77,6 +81,16 @@ const AppNavbar = () => {
         
         {currentUser && (
           <Box sx={{ display: 'flex', alignItems: 'center' }}>
+            <Tooltip title="Portfolio">
+              <IconButton 
+                color="inherit" 
+                onClick={handlePortfolioClick}
+                sx={{ mr: 1 }}
+              >
+                <ViewModule />
+              </IconButton>
+            </Tooltip>
+            
             <Tooltip title="Settings">
               <IconButton 
                 color="inherit" 
@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  IconButton,
+  Tooltip,
+  Chip,
+  Alert,
+  CircularProgress,
+  FormControlLabel,
+  Switch,
+  InputAdornment
+} from '@mui/material';
+import {
+  Download as DownloadIcon,
+  Refresh as RefreshIcon,
+  Search as SearchIcon
+} from '@mui/icons-material';
+import githubService from '../services/githubService';
+import { formatBytes, getArtifactStorage, saveFile } from '../utils/artifacts';
+
+// Long artifact lists are cut off; the search narrows them down
+const MAX_VISIBLE_ARTIFACTS = 50;
+
+const ArtifactsPanel = ({ owner, repo, runs, onSelectRun }) => {
+  const [artifacts, setArtifacts] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [showExpired, setShowExpired] = useState(false);
+  // Artifact IDs being downloaded
+  const [downloading, setDownloading] = useState({});
+  const [downloadError, setDownloadError] = useState(null);
+
+  const loadArtifacts = useCallback(async (useCache = true) => {
+    setLoading(true);
+    setError(null);
+
+    const result = await githubService.getArtifacts(owner, repo, null, useCache);
+    if (result.success) {
+      setArtifacts(result.artifacts);
+      setTotalCount(result.totalCount);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  }, [owner, repo]);
+
+  useEffect(() => {
+    if (owner && repo) loadArtifacts();
+  }, [owner, repo, loadArtifacts]);
+
+  const storage = useMemo(() => getArtifactStorage(artifacts), [artifacts]);
+  const runsById = useMemo(() => new Map(runs.map(run => [run.id, run])), [runs]);
+
+  const visibleArtifacts = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return artifacts.filter(artifact => (
+      (showExpired || !artifact.expired) && (!term || artifact.name.toLowerCase().includes(term))
+    ));
+  }, [artifacts, search, showExpired]);
+
+  const handleDownload = async (artifact) => {
+    setDownloading(prev => ({ ...prev, [artifact.id]: true }));
+    setDownloadError(null);
+
+    const result = await githubService.downloadArtifact(owner, repo, artifact.id);
+    if (result.success) {
+      saveFile(result.data, `${artifact.name}.zip`, 'application/zip');
+    } else {
+      setDownloadError(`Couldn't download ${artifact.name}: ${result.error}`);
+    }
+    setDownloading(prev => ({ ...prev, [artifact.id]: false }));
+  };
+
+  const renderRun = (artifact) => {
+    const workflowRun = artifact.workflow_run;
+    if (!workflowRun) return '-';
+
+    const run = runsById.get(workflowRun.id);
+    // Runs that aren't loaded can't be opened, so show what the artifact knows
+    if (!run) return `Run ${workflowRun.id}${workflowRun.head_branch ? ` · ${workflowRun.head_branch}` : ''}`;
+
+    return (
+      <Typography
+        variant="body2"
+        component="span"
+        onClick={() => onSelectRun(run)}
+        sx={{ cursor: 'pointer', color: 'primary.main', '&:hover': { textDecoration: 'underline' } }}
+      >
+        {run.name} #{run.run_number} · {run.head_branch}
+      </Typography>
+    );
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <Box sx={{ flexGrow: 1 }}>
+          <Typography variant="body1">
+            {formatBytes(storage.bytes)} used by {storage.active} artifact{storage.active === 1 ? '' : 's'}
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            {storage.expired} expired
+            {totalCount > artifacts.length ? ` · totals cover the ${artifacts.length} newest of ${totalCount} artifacts` : ''}
+          </Typography>
+        </Box>
+        <TextField
+          size="small"
+          placeholder="Search artifacts..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" />
+              </InputAdornment>
+            )
+          }}
+        />
+        <FormControlLabel
+          control={<Switch checked={showExpired} onChange={(e) => setShowExpired(e.target.checked)} />}
+          label="Show expired"
+        />
+        <Tooltip title="Reload artifacts">
+          <span>
+            <IconButton size="small" onClick={() => loadArtifacts(false)} disabled={loading}>
+              <RefreshIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {downloadError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setDownloadError(null)}>
+          {downloadError}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : visibleArtifacts.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          {artifacts.length === 0 ? 'No artifacts in this repository' : 'No artifacts match'}
+        </Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Run</TableCell>
+                <TableCell align="right">Size</TableCell>
+                <TableCell>Created</TableCell>
+                <TableCell>Expires</TableCell>
+                <TableCell align="right">Download</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {visibleArtifacts.slice(0, MAX_VISIBLE_ARTIFACTS).map(artifact => (
+                <TableRow key={artifact.id}>
+                  <TableCell>{artifact.name}</TableCell>
+                  <TableCell>{renderRun(artifact)}</TableCell>
+                  <TableCell align="right">{formatBytes(artifact.size_in_bytes)}</TableCell>
+                  <TableCell>{new Date(artifact.created_at).toLocaleDateString()}</TableCell>
+                  <TableCell>
+                    {artifact.expired ? (
+                      <Chip label="Expired" size="small" />
+                    ) : artifact.expires_at ? (
+                      new Date(artifact.expires_at).toLocaleDateString()
+                    ) : '-'}
+                  </TableCell>
+                  <TableCell align="right">
+                    {downloading[artifact.id] ? (
+                      <CircularProgress size={20} />
+                    ) : (
+                      <IconButton
+                        size="small"
+                        onClick={() => handleDownload(artifact)}
+                        disabled={artifact.expired}
+                      >
+                        <DownloadIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          {visibleArtifacts.length > MAX_VISIBLE_ARTIFACTS && (
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+              Showing {MAX_VISIBLE_ARTIFACTS} of {visibleArtifacts.length} artifacts
+            </Typography>
+          )}
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default ArtifactsPanel;
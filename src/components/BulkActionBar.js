@@ -0,0 +1,143 @@
+import React, { useState, useMemo } from 'react';
+import {
+  Paper,
+  Typography,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Autocomplete,
+  TextField,
+  Chip
+} from '@mui/material';
+import { useRepo } from '../contexts/RepoContext';
+import { BULK_ACTIONS, planBulkAction } from '../utils/bulkActions';
+import BulkActionDialog from './BulkActionDialog';
+
+// Toolbar shown above a list while rows are selected
+const BulkActionBar = ({ selectedItems, onClearSelection }) => {
+  const { owner, repo, labels, milestones, issues, pullRequests, applyItemChanges } = useRepo();
+  const [action, setAction] = useState('addLabels');
+  const [labelNames, setLabelNames] = useState([]);
+  const [milestoneNumber, setMilestoneNumber] = useState('');
+  const [logins, setLogins] = useState([]);
+  const [plan, setPlan] = useState(null);
+
+  // Anyone who has been assigned or opened something is a reasonable assignee
+  const knownUsers = useMemo(() => {
+    const users = new Set();
+    [...issues, ...pullRequests].forEach(item => {
+      (item.assignees || []).forEach(assignee => users.add(assignee.login));
+      if (item.user) users.add(item.user.login);
+    });
+    return [...users].sort((a, b) => a.localeCompare(b));
+  }, [issues, pullRequests]);
+
+  const needs = BULK_ACTIONS[action].needs;
+  const milestone = milestones.find(m => m.number === milestoneNumber) || null;
+  const value = needs === 'labels' ? labelNames : needs === 'milestone' ? milestone : needs === 'users' ? logins : null;
+  const ready = needs === null || (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+  const handlePreview = () => {
+    setPlan(planBulkAction(selectedItems, action, value));
+  };
+
+  const handleItemDone = (item, result) => {
+    if (result.success) applyItemChanges(item.number, result.changes, result.createdLabels);
+  };
+
+  const handleClose = () => {
+    setPlan(null);
+  };
+
+  return (
+    <Paper
+      variant="outlined"
+      sx={{ p: 1.5, mb: 2, display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}
+    >
+      <Typography variant="subtitle2">{selectedItems.length} selected</Typography>
+
+      <FormControl size="small" sx={{ minWidth: 180 }}>
+        <InputLabel id="bulk-action-label">Action</InputLabel>
+        <Select
+          labelId="bulk-action-label"
+          value={action}
+          label="Action"
+          onChange={(e) => setAction(e.target.value)}
+        >
+          {Object.entries(BULK_ACTIONS).map(([key, { label }]) => (
+            <MenuItem key={key} value={key}>{label}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      {needs === 'labels' && (
+        <Autocomplete
+          multiple
+          freeSolo={action === 'addLabels'}
+          size="small"
+          options={labels.map(label => label.name)}
+          value={labelNames}
+          onChange={(e, newValue) => setLabelNames(newValue)}
+          renderTags={(tags, getTagProps) => tags.map((tag, index) => (
+            <Chip size="small" label={tag} {...getTagProps({ index })} />
+          ))}
+          renderInput={(params) => <TextField {...params} label="Labels" />}
+          sx={{ minWidth: 260 }}
+        />
+      )}
+
+      {needs === 'milestone' && (
+        <FormControl size="small" sx={{ minWidth: 200 }}>
+          <InputLabel id="bulk-milestone-label">Milestone</InputLabel>
+          <Select
+            labelId="bulk-milestone-label"
+            value={milestoneNumber}
+            label="Milestone"
+            onChange={(e) => setMilestoneNumber(e.target.value)}
+          >
+            {milestones.filter(m => m.state === 'open').map(m => (
+              <MenuItem key={m.number} value={m.number}>{m.title}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+
+      {needs === 'users' && (
+        <Autocomplete
+          multiple
+          freeSolo
+          size="small"
+          options={knownUsers}
+          value={logins}
+          onChange={(e, newValue) => setLogins(newValue)}
+          renderTags={(tags, getTagProps) => tags.map((tag, index) => (
+            <Chip size="small" label={tag} {...getTagProps({ index })} />
+          ))}
+          renderInput={(params) => <TextField {...params} label="Users" />}
+          sx={{ minWidth: 260 }}
+        />
+      )}
+
+      <Button variant="contained" onClick={handlePreview} disabled={!ready}>
+        Preview
+      </Button>
+      <Button onClick={onClearSelection} sx={{ ml: 'auto' }}>
+        Clear Selection
+      </Button>
+
+      <BulkActionDialog
+        open={Boolean(plan)}
+        onClose={handleClose}
+        actionLabel={BULK_ACTIONS[action].label}
+        plan={plan || []}
+        owner={owner}
+        repo={repo}
+        onItemDone={handleItemDone}
+      />
+    </Paper>
+  );
+};
+
+export default BulkActionBar;
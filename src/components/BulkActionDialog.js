@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  LinearProgress,
+  Alert,
+  Chip
+} from '@mui/material';
+import { runBulkAction } from '../utils/bulkActions';
+
+// Dialog for a planned bulk action: previews the changes (the dry run), applies
+// them with progress, then reports the outcome for every item. onFinished, if given,
+// gets the results once the run ends.
+const BulkActionDialog = ({ open, onClose, actionLabel, plan, owner, repo, onItemDone, onFinished }) => {
+  // preview, running or done
+  const [phase, setPhase] = useState('preview');
+  const [progress, setProgress] = useState({ done: 0, total: 0, waitingUntil: null });
+  const [results, setResults] = useState([]);
+  const cancelledRef = useRef(false);
+
+  useEffect(() => {
+    if (open) {
+      setPhase('preview');
+      setResults([]);
+      setProgress({ done: 0, total: 0, waitingUntil: null });
+    }
+  }, [open]);
+
+  const changeCount = plan.filter(step => step.request).length;
+
+  const handleApply = async () => {
+    cancelledRef.current = false;
+    setPhase('running');
+
+    const bulkResults = await runBulkAction({
+      owner,
+      repo,
+      plan,
+      onProgress: setProgress,
+      onItemDone,
+      isCancelled: () => cancelledRef.current
+    });
+
+    setResults(bulkResults);
+    setPhase('done');
+    if (onFinished) onFinished(bulkResults);
+  };
+
+  const failed = results.filter(result => !result.success && !result.skipped);
+  const applied = results.filter(result => result.success && !result.skipped);
+
+  const renderRows = () => {
+    if (phase === 'done') {
+      return results.map(({ item, success, skipped, message }) => (
+        <TableRow key={item.number}>
+          <TableCell>#{item.number} {item.title}</TableCell>
+          <TableCell>
+            {skipped ? (
+              <Chip label={success ? 'Skipped' : 'Not sent'} size="small" />
+            ) : success ? (
+              <Chip label="Done" size="small" color="success" />
+            ) : (
+              <Chip label="Failed" size="small" color="error" />
+            )}
+          </TableCell>
+          <TableCell>{message || '-'}</TableCell>
+        </TableRow>
+      ));
+    }
+
+    return plan.map(({ item, description, skipReason }) => (
+      <TableRow key={item.number}>
+        <TableCell>#{item.number} {item.title}</TableCell>
+        <TableCell>
+          {description || <Typography variant="body2" color="text.secondary">No change</Typography>}
+        </TableCell>
+        <TableCell>{skipReason || '-'}</TableCell>
+      </TableRow>
+    ));
+  };
+
+  return (
+    <Dialog open={open} onClose={() => phase !== 'running' && onClose()} maxWidth="md" fullWidth>
+      <DialogTitle>
+        {actionLabel}
+        <Typography variant="body2" color="text.secondary">
+          {phase === 'preview'
+            ? `Dry run: ${changeCount} of ${plan.length} selected items would change. Nothing has been sent yet.`
+            : phase === 'running'
+              ? `Applying to ${progress.total} items`
+              : `${applied.length} updated, ${failed.length} failed, ${results.length - applied.length - failed.length} skipped`}
+        </Typography>
+      </DialogTitle>
+      <DialogContent dividers>
+        {phase === 'running' && (
+          <Box sx={{ mb: 2 }}>
+            <LinearProgress
+              variant="determinate"
+              value={progress.total > 0 ? (progress.done / progress.total) * 100 : 0}
+            />
+            <Typography variant="caption" color="text.secondary">
+              {progress.waitingUntil
+                ? `Rate limit reached, continuing at ${progress.waitingUntil.toLocaleTimeString()}`
+                : `${progress.done} of ${progress.total} done`}
+            </Typography>
+          </Box>
+        )}
+
+        {phase === 'done' && failed.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Some items weren't updated. The others keep their changes.
+          </Alert>
+        )}
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Item</TableCell>
+                <TableCell>{phase === 'done' ? 'Result' : 'Change'}</TableCell>
+                <TableCell>{phase === 'done' ? 'Details' : 'Skipped because'}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>{renderRows()}</TableBody>
+          </Table>
+        </TableContainer>
+      </DialogContent>
+      <DialogActions>
+        {phase === 'preview' && (
+          <>
+            <Button onClick={onClose}>Cancel</Button>
+            <Button variant="contained" onClick={handleApply} disabled={changeCount === 0}>
+              Apply to {changeCount} item{changeCount === 1 ? '' : 's'}
+            </Button>
+          </>
+        )}
+        {phase === 'running' && (
+          <Button onClick={() => { cancelledRef.current = true; }}>Stop</Button>
+        )}
+        {phase === 'done' && <Button onClick={onClose}>Close</Button>}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BulkActionDialog;
@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useCallback } from 'react';
+import React, { useState, useMemo, useCallback, useEffect, useRef } from 'react';
 import { 
   Box, 
   Typography, 
@@ -33,7 +33,9 @@ import {
   Stack,
   FormGroup,
   FormControlLabel,
-  Checkbox
+  Checkbox,
+  Alert,
+  Snackbar
 } from '@mui/material';
 import { 
   Launch as LaunchIcon,
@@ -43,17 +45,26 @@ import {
   HourglassEmpty as HourglassEmptyIcon,
   RadioButtonUnchecked as RadioButtonUncheckedIcon,
   CheckCircle as CheckCircleIcon,
-  BugReport as BugReportIcon,
-  Build as BuildIcon,
-  Help as HelpIcon,
-  Description as DescriptionIcon,
-  QuestionAnswer as QuestionAnswerIcon,
   Add as AddIcon,
   Delete as DeleteIcon,
   Edit as EditIcon,
-  Save as SaveIcon
+  Save as SaveIcon,
+  Share as ShareIcon,
+  FileDownload as FileDownloadIcon,
+  FileUpload as FileUploadIcon
 } from '@mui/icons-material';
+import { useSearchParams } from 'react-router-dom';
 import { useRepo } from '../contexts/RepoContext';
+import IssueTypeIcon from './IssueTypeIcon';
+import { getIssueTypeById } from '../utils/issueTypes';
+import {
+  loadCustomViews,
+  saveCustomViews,
+  exportCustomViews,
+  importCustomViews,
+  encodeSharedView,
+  decodeSharedView
+} from '../utils/customViewStorage';
 
 const ItemType = {
   ISSUE: 'issue',
@@ -62,7 +73,17 @@ const ItemType = {
 
 // Custom table view component that shows both PRs and issues
 const CustomView = () => {
-  const { issues, pullRequests, labels } = useRepo();
+  const {
+    owner,
+    repo,
+    issues,
+    pullRequests,
+    labels,
+    fetchRepoData,
+    issueTypeConfig,
+    getIssueType
+  } = useRepo();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [selectedLabels, setSelectedLabels] = useState([]);
   const [page, setPage] = useState(1);
   const [rowsPerPage, setRowsPerPage] = useState(10);
@@ -77,11 +98,37 @@ const CustomView = () => {
   const [showBothTypes, setShowBothTypes] = useState(true); 
   const [showIssues, setShowIssues] = useState(true);
   const [showPRs, setShowPRs] = useState(true);
+  const [notification, setNotification] = useState(null);
+  const importInputRef = useRef(null);
+
+  // View shared through the URL, if any
+  const sharedView = useMemo(() => {
+    const encodedView = searchParams.get('view');
+    return encodedView ? decodeSharedView(encodedView) : null;
+  }, [searchParams]);
+  
+  const sharedViewIsForThisRepo = sharedView && sharedView.owner === owner && sharedView.repo === repo;
+
+  // Load saved views whenever the repository changes
+  useEffect(() => {
+    if (owner && repo) {
+      setCustomViews(loadCustomViews(owner, repo));
+      setActiveCustomView(null);
+    }
+  }, [owner, repo]);
+
+  // Update views in state and persist them for this repository
+  const updateCustomViews = (views) => {
+    setCustomViews(views);
+    saveCustomViews(owner, repo, views);
+  };
 
   // Combine issues and PRs into a single dataset
   const combinedItems = useMemo(() => {
+    // Classify issues first, since `type` is replaced by the item type below
     const issuesWithType = issues.map(issue => ({
       ...issue,
+      issueType: getIssueType(issue),
       type: ItemType.ISSUE
     }));
     
@@ -91,7 +138,7 @@ const CustomView = () => {
     }));
     
     return [...issuesWithType, ...prsWithType];
-  }, [issues, pullRequests]);
+  }, [issues, pullRequests, getIssueType]);
 
   // Filter combined items based on selected labels and type filters
   const filteredItems = useMemo(() => {
@@ -181,34 +228,12 @@ const CustomView = () => {
   const getIssueTypeIcon = (issue) => {
     if (issue.type !== ItemType.ISSUE) return null;
     
-    const issueType = getIssueType(issue);
-    
-    switch (issueType) {
-      case 'bug':
-        return <BugReportIcon fontSize="small" color="error" />;
-      case 'enhancement':
-        return <BuildIcon fontSize="small" color="primary" />;
-      case 'documentation':
-        return <DescriptionIcon fontSize="small" color="info" />;
-      case 'question':
-        return <QuestionAnswerIcon fontSize="small" color="warning" />;
-      default:
-        return <HelpIcon fontSize="small" color="disabled" />;
-    }
-  };
-
-  // Get issue type text
-  const getIssueType = (issue) => {
-    if (!issue.labels) return 'other';
-    
-    const typeLabels = issue.labels.map(label => label.name.toLowerCase());
-    
-    if (typeLabels.includes('bug')) return 'bug';
-    if (typeLabels.includes('enhancement') || typeLabels.includes('feature')) return 'enhancement';
-    if (typeLabels.includes('documentation')) return 'documentation';
-    if (typeLabels.includes('question')) return 'question';
-    
-    return 'other';
+    const issueType = getIssueTypeById(issueTypeConfig, issue.issueType);
+    return (
+      <Tooltip title={issueType.name}>
+        <span><IssueTypeIcon type={issueType} /></span>
+      </Tooltip>
+    );
   };
 
   // Handle custom view dialog
@@ -248,14 +273,14 @@ const CustomView = () => {
       // Update existing view
       const updatedViews = [...customViews];
       updatedViews[editViewIndex] = newView;
-      setCustomViews(updatedViews);
+      updateCustomViews(updatedViews);
       
       if (activeCustomView === editViewIndex) {
         setActiveCustomView(editViewIndex);
       }
     } else {
       // Add new view
-      setCustomViews([...customViews, newView]);
+      updateCustomViews([...customViews, newView]);
       setActiveCustomView(customViews.length);
     }
     
@@ -265,7 +290,7 @@ const CustomView = () => {
   // Delete custom view
   const handleDeleteCustomView = (index) => {
     const updatedViews = customViews.filter((_, i) => i !== index);
-    setCustomViews(updatedViews);
+    updateCustomViews(updatedViews);
     
     if (activeCustomView === index) {
       setActiveCustomView(null);
@@ -274,13 +299,81 @@ const CustomView = () => {
     }
   };
 
+  // Copy a link that opens this view to the clipboard
+  const handleShareCustomView = async (index) => {
+    const encodedView = encodeSharedView(owner, repo, customViews[index]);
+    const shareUrl = `${window.location.origin}${window.location.pathname}?view=${encodedView}`;
+    
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setNotification({ text: 'Share link copied to clipboard', severity: 'success' });
+    } catch (err) {
+      console.error('Error copying share link:', err);
+      setNotification({ text: 'Could not copy the share link', severity: 'error' });
+    }
+  };
+
+  // Save the view from the share link alongside our own views
+  const handleSaveSharedView = () => {
+    const existingIndex = customViews.findIndex(view => view.name === sharedView.view.name);
+    const updatedViews = existingIndex >= 0
+      ? customViews.map((view, i) => (i === existingIndex ? sharedView.view : view))
+      : [...customViews, sharedView.view];
+    
+    updateCustomViews(updatedViews);
+    setActiveCustomView(existingIndex >= 0 ? existingIndex : customViews.length);
+    handleDismissSharedView();
+  };
+
+  const handleDismissSharedView = () => {
+    searchParams.delete('view');
+    setSearchParams(searchParams, { replace: true });
+  };
+
+  // Download all views for this repository as JSON
+  const handleExportCustomViews = () => {
+    const blob = new Blob([exportCustomViews(customViews)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${owner}-${repo}-custom-views.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Import views from a JSON file, replacing views with the same name
+  const handleImportCustomViews = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+      const importedViews = importCustomViews(await file.text());
+      const importedNames = importedViews.map(view => view.name);
+      updateCustomViews([
+        ...customViews.filter(view => !importedNames.includes(view.name)),
+        ...importedViews
+      ]);
+      setActiveCustomView(null);
+      setNotification({ text: `Imported ${importedViews.length} custom views`, severity: 'success' });
+    } catch (err) {
+      console.error('Error importing custom views:', err);
+      setNotification({ text: `Import failed: ${err.message}`, severity: 'error' });
+    }
+  };
+
+  // The shared view takes precedence over the selected saved view
+  const displayedView = sharedViewIsForThisRepo
+    ? sharedView.view
+    : (activeCustomView !== null ? customViews[activeCustomView] : null);
+
   // Generate matrix view for custom view
   const generateMatrixView = useCallback(() => {
-    if (activeCustomView === null || !customViews[activeCustomView]) {
+    if (!displayedView) {
       return null;
     }
     
-    const { rowLabels, columnLabels } = customViews[activeCustomView];
+    const { rowLabels, columnLabels } = displayedView;
     
     return (
       <TableContainer component={Paper}>
@@ -355,7 +448,7 @@ const CustomView = () => {
         </Table>
       </TableContainer>
     );
-  }, [activeCustomView, customViews, filteredItems]);
+  }, [displayedView, filteredItems]);
 
   return (
     <Box>
@@ -434,7 +527,30 @@ const CustomView = () => {
               <CardContent>
                 <Typography variant="h6" gutterBottom>Custom Views</Typography>
                 <Typography variant="h3">{customViews.length}</Typography>
-                <Box sx={{ mt: 2, display: 'flex', justifyContent: 'flex-end' }}>
+                <Box sx={{ mt: 2, display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+                  <Tooltip title="Import views from JSON">
+                    <IconButton size="small" onClick={() => importInputRef.current.click()}>
+                      <FileUploadIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Export views as JSON">
+                    <span>
+                      <IconButton 
+                        size="small" 
+                        onClick={handleExportCustomViews}
+                        disabled={customViews.length === 0}
+                      >
+                        <FileDownloadIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <input
+                    ref={importInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    hidden
+                    onChange={handleImportCustomViews}
+                  />
                   <Button 
                     variant="contained" 
                     startIcon={<AddIcon />}
@@ -529,12 +645,40 @@ const CustomView = () => {
         </Grid>
       </Paper>
       
+      {/* Shared View Banner */}
+      {sharedView && (
+        <Alert 
+          severity="info" 
+          sx={{ mb: 3 }}
+          action={
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              {sharedViewIsForThisRepo ? (
+                <Button color="inherit" size="small" startIcon={<SaveIcon />} onClick={handleSaveSharedView}>
+                  Save to My Views
+                </Button>
+              ) : (
+                <Button color="inherit" size="small" onClick={() => fetchRepoData(sharedView.owner, sharedView.repo)}>
+                  Open {sharedView.owner}/{sharedView.repo}
+                </Button>
+              )}
+              <Button color="inherit" size="small" onClick={handleDismissSharedView}>
+                Dismiss
+              </Button>
+            </Box>
+          }
+        >
+          {sharedViewIsForThisRepo
+            ? `Viewing shared view "${sharedView.view.name}"`
+            : `The shared view "${sharedView.view.name}" belongs to ${sharedView.owner}/${sharedView.repo}`}
+        </Alert>
+      )}
+      
       {/* Custom Views Tab Bar */}
       {customViews.length > 0 && (
         <Box sx={{ mb: 3 }}>
           <Paper>
             <Tabs
-              value={activeCustomView !== null ? activeCustomView : false}
+              value={activeCustomView !== null && !sharedViewIsForThisRepo ? activeCustomView : false}
               onChange={(e, newValue) => setActiveCustomView(newValue)}
               variant="scrollable"
               scrollButtons="auto"
@@ -546,6 +690,15 @@ const CustomView = () => {
                   value={index}
                   icon={
                     <Box sx={{ display: 'flex' }}>
+                      <IconButton 
+                        size="small" 
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleShareCustomView(index);
+                        }}
+                      >
+                        <ShareIcon fontSize="small" />
+                      </IconButton>
                       <IconButton 
                         size="small" 
                         onClick={(e) => {
@@ -575,14 +728,14 @@ const CustomView = () => {
       )}
       
       {/* Matrix View */}
-      {activeCustomView !== null && (
+      {displayedView && (
         <Box sx={{ mb: 3 }}>
           {generateMatrixView()}
         </Box>
       )}
       
       {/* Standard Combined Table */}
-      {(activeCustomView === null || customViews.length === 0) && (
+      {!displayedView && (
         <TableContainer component={Paper}>
           <Table sx={{ minWidth: 650 }} aria-label="combined items table">
             <TableHead>
@@ -840,6 +993,18 @@ const CustomView = () => {
           </Button>
         </DialogActions>
       </Dialog>
+      
+      <Snackbar
+        open={Boolean(notification)}
+        autoHideDuration={3000}
+        onClose={() => setNotification(null)}
+      >
+        {notification ? (
+          <Alert severity={notification.severity} onClose={() => setNotification(null)}>
+            {notification.text}
+          </Alert>
+        ) : <span />}
+      </Snackbar>
     </Box>
   );
 };
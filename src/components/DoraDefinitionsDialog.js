@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Typography
+} from '@mui/material';
+import githubService from '../services/githubService';
+import {
+  DEPLOYMENT_SOURCES,
+  LEAD_TIME_STARTS,
+  RESTORE_ENDS,
+  getDefaultDoraConfig
+} from '../utils/doraMetrics';
+
+const DoraDefinitionsDialog = ({ open, config, owner, repo, onClose, onSave }) => {
+  const [draft, setDraft] = useState(config);
+  const [patternsText, setPatternsText] = useState('');
+  const [workflows, setWorkflows] = useState([]);
+
+  // Start from the saved definitions every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setDraft(config);
+      setPatternsText(config.failurePatterns.join(', '));
+    }
+  }, [open, config]);
+
+  // Workflows are only needed when runs of one of them count as deployments
+  useEffect(() => {
+    if (!open || draft.deploymentSource !== 'workflow') return;
+
+    githubService.getWorkflows(owner, repo).then(result => {
+      setWorkflows(result.success ? result.workflows : []);
+    });
+  }, [open, draft.deploymentSource, owner, repo]);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const handleReset = () => {
+    const defaults = getDefaultDoraConfig();
+    setDraft(defaults);
+    setPatternsText(defaults.failurePatterns.join(', '));
+  };
+
+  const handleSave = () => {
+    onSave({
+      ...draft,
+      failurePatterns: patternsText.split(',').map(pattern => pattern.trim()).filter(Boolean)
+    });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Metric Definitions</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <FormControl fullWidth size="small">
+            <InputLabel id="dora-source-label">A deployment is</InputLabel>
+            <Select
+              labelId="dora-source-label"
+              value={draft.deploymentSource}
+              label="A deployment is"
+              onChange={(e) => update({ deploymentSource: e.target.value })}
+            >
+              {Object.entries(DEPLOYMENT_SOURCES).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          {draft.deploymentSource === 'deployments' && (
+            <TextField
+              size="small"
+              label="Environment"
+              value={draft.environment}
+              onChange={(e) => update({ environment: e.target.value })}
+              helperText="Deployments to this environment that reported success"
+            />
+          )}
+
+          {draft.deploymentSource === 'workflow' && (
+            <FormControl fullWidth size="small">
+              <InputLabel id="dora-workflow-label">Deploy workflow</InputLabel>
+              <Select
+                labelId="dora-workflow-label"
+                value={draft.workflowId}
+                label="Deploy workflow"
+                onChange={(e) => update({ workflowId: e.target.value })}
+              >
+                {workflows.map(workflow => (
+                  <MenuItem key={workflow.id} value={String(workflow.id)}>{workflow.name}</MenuItem>
+                ))}
+              </Select>
+              <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5, ml: 1.5 }}>
+                Successful runs on the default branch
+              </Typography>
+            </FormControl>
+          )}
+
+          <FormControl fullWidth size="small">
+            <InputLabel id="dora-lead-time-label">Lead time starts at</InputLabel>
+            <Select
+              labelId="dora-lead-time-label"
+              value={draft.leadTimeStart}
+              label="Lead time starts at"
+              onChange={(e) => update({ leadTimeStart: e.target.value })}
+            >
+              {Object.entries(LEAD_TIME_STARTS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <TextField
+            size="small"
+            label="Failure patterns"
+            value={patternsText}
+            onChange={(e) => setPatternsText(e.target.value)}
+            helperText="Comma separated. A merged PR whose title, branch or labels contain one of these fixes the deployment before it."
+          />
+
+          <FormControl fullWidth size="small">
+            <InputLabel id="dora-restore-label">Restored when</InputLabel>
+            <Select
+              labelId="dora-restore-label"
+              value={draft.restoreEnd}
+              label="Restored when"
+              onChange={(e) => update({ restoreEnd: e.target.value })}
+            >
+              {Object.entries(RESTORE_ENDS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleReset} sx={{ mr: 'auto' }}>Reset to Defaults</Button>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={draft.deploymentSource === 'workflow' && !draft.workflowId}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DoraDefinitionsDialog;
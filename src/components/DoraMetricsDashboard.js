@@ -0,0 +1,393 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  Box,
+  Paper,
+  Grid,
+  Typography,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  Chip,
+  Alert,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Link
+} from '@mui/material';
+import { Tune as TuneIcon, Refresh as RefreshIcon } from '@mui/icons-material';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { useRepo } from '../contexts/RepoContext';
+import githubService from '../services/githubService';
+import { useUrlState, getNumberParam } from '../utils/urlState';
+import {
+  METRICS_PERIODS,
+  DEPLOYMENT_SOURCES,
+  loadDoraConfig,
+  saveDoraConfig,
+  collectDeployments,
+  addLeadTimes,
+  computeDoraMetrics,
+  formatMetricDuration
+} from '../utils/doraMetrics';
+import DoraDefinitionsDialog from './DoraDefinitionsDialog';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const BAND_COLORS = {
+  elite: 'success',
+  high: 'info',
+  medium: 'warning',
+  low: 'error'
+};
+
+// Series the trend chart can show
+const TREND_SERIES = {
+  deployments: { label: 'Deployments', color: '53, 162, 235' },
+  leadTimeHours: { label: 'Median lead time (hours)', color: '75, 192, 192' },
+  changeFailureRate: { label: 'Change failure rate (%)', color: '255, 99, 132' },
+  restoreHours: { label: 'Median time to restore (hours)', color: '237, 108, 2' }
+};
+
+const MetricCard = ({ title, value, detail, band }) => (
+  <Paper sx={{ p: 2, height: '100%' }} elevation={2}>
+    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+      <Typography variant="subtitle2" color="text.secondary">{title}</Typography>
+      {band && <Chip size="small" label={band} color={BAND_COLORS[band]} sx={{ textTransform: 'capitalize' }} />}
+    </Box>
+    <Typography variant="h4" sx={{ my: 1 }}>{value}</Typography>
+    <Typography variant="body2" color="text.secondary">{detail}</Typography>
+  </Paper>
+);
+
+const DoraMetricsDashboard = () => {
+  const { currentRepo, owner, repo, releases } = useRepo();
+  const [searchParams, updateParams] = useUrlState();
+  const period = getNumberParam(searchParams, 'period', 90);
+  const granularity = searchParams.get('interval') === 'month' ? 'month' : 'week';
+  const [series, setSeries] = useState('deployments');
+  const [config, setConfig] = useState(null);
+  const [definitionsOpen, setDefinitionsOpen] = useState(false);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+  const requestRef = useRef(0);
+  // Set by Refresh so only the load it triggers skips the cache
+  const forceRefreshRef = useRef(false);
+
+  // Definitions are saved per repository
+  useEffect(() => {
+    setConfig(loadDoraConfig(owner, repo));
+  }, [owner, repo]);
+
+  const since = useMemo(() => new Date(Date.now() - period * 24 * 60 * 60 * 1000), [period]);
+
+  // Deployments, merged PRs and lead times only change with the period and definitions
+  useEffect(() => {
+    if (!currentRepo || !owner || !repo || !config) return;
+
+    const requestId = ++requestRef.current;
+    const isCurrent = () => requestId === requestRef.current;
+    const useCache = !forceRefreshRef.current;
+    forceRefreshRef.current = false;
+    setLoading(true);
+    setError(null);
+    setProgress(null);
+
+    (async () => {
+      try {
+        const allDeployments = await collectDeployments({
+          owner,
+          repo,
+          releases,
+          config,
+          since,
+          defaultBranch: currentRepo.default_branch,
+          useCache
+        });
+        if (!isCurrent()) return;
+
+        // Changes in the first deployment of the period go back to the deployment before it
+        const prsSince = allDeployments.length > 0 && allDeployments[0].deployedAt < since
+          ? allDeployments[0].deployedAt
+          : since;
+        const prResult = await githubService.getMergedPullRequests(owner, repo, prsSince, useCache);
+        if (!isCurrent()) return;
+        if (!prResult.success) throw new Error(prResult.error);
+
+        const deployments = await addLeadTimes({
+          owner,
+          repo,
+          deployments: allDeployments,
+          mergedPRs: prResult.pullRequests,
+          config,
+          since,
+          onProgress: (done, total) => {
+            if (isCurrent()) setProgress({ done, total });
+          }
+        });
+        if (!isCurrent()) return;
+
+        setData({ deployments, allDeployments, mergedPRs: prResult.pullRequests });
+      } catch (err) {
+        if (!isCurrent()) return;
+        console.error('Error calculating DORA metrics:', err);
+        setError(err.message);
+        setData(null);
+      } finally {
+        if (isCurrent()) setLoading(false);
+      }
+    })();
+  }, [currentRepo, owner, repo, releases, config, since, refreshCount]);
+
+  const metrics = useMemo(() => (
+    data ? computeDoraMetrics({ ...data, config, since, granularity }) : null
+  ), [data, config, since, granularity]);
+
+  const handleSaveDefinitions = (newConfig) => {
+    saveDoraConfig(owner, repo, newConfig);
+    setConfig(newConfig);
+    setDefinitionsOpen(false);
+  };
+
+  const chartData = metrics ? {
+    labels: metrics.trend.labels,
+    datasets: [
+      {
+        label: TREND_SERIES[series].label,
+        data: metrics.trend[series],
+        borderColor: `rgb(${TREND_SERIES[series].color})`,
+        backgroundColor: `rgba(${TREND_SERIES[series].color}, 0.5)`,
+        spanGaps: true,
+        tension: 0.1
+      }
+    ]
+  } : null;
+
+  const summary = metrics ? metrics.summary : null;
+
+  if (!config) return null;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 2 }}>
+        <Box>
+          <Typography variant="h6">DORA Metrics</Typography>
+          <Typography variant="caption" color="text.secondary">
+            Deployments are {DEPLOYMENT_SOURCES[config.deploymentSource].toLowerCase()}
+            {config.deploymentSource === 'deployments' ? ` (${config.environment})` : ''}
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel id="dora-period-label">Period</InputLabel>
+            <Select
+              labelId="dora-period-label"
+              value={period}
+              label="Period"
+              onChange={(e) => updateParams({ period: e.target.value === 90 ? null : e.target.value })}
+            >
+              {METRICS_PERIODS.map(days => (
+                <MenuItem key={days} value={days}>Last {days} days</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={granularity}
+            onChange={(e, value) => value && updateParams({ interval: value === 'week' ? null : value })}
+          >
+            <ToggleButton value="week">Weekly</ToggleButton>
+            <ToggleButton value="month">Monthly</ToggleButton>
+          </ToggleButtonGroup>
+          <Button variant="outlined" startIcon={<TuneIcon />} onClick={() => setDefinitionsOpen(true)}>
+            Definitions
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<RefreshIcon />}
+            onClick={() => {
+              forceRefreshRef.current = true;
+              setRefreshCount(count => count + 1);
+            }}
+            disabled={loading}
+          >
+            Refresh
+          </Button>
+        </Box>
+      </Box>
+
+      {loading && (
+        <Box sx={{ mb: 2 }}>
+          <LinearProgress
+            variant={progress && progress.total > 0 ? 'determinate' : 'indeterminate'}
+            value={progress && progress.total > 0 ? (progress.done / progress.total) * 100 : 0}
+          />
+          <Typography variant="caption" color="text.secondary">
+            {progress ? `Measuring lead times: ${progress.done} of ${progress.total} deployments` : 'Collecting deployments...'}
+          </Typography>
+        </Box>
+      )}
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {summary && summary.deployments === 0 && !loading && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          No deployments in the last {period} days. Check the metric definitions.
+        </Alert>
+      )}
+
+      {summary && (
+        <>
+          <Grid container spacing={2} sx={{ mb: 3 }}>
+            <Grid item xs={12} sm={6} md={3}>
+              <MetricCard
+                title="Deployment Frequency"
+                value={`${summary.deploymentsPerWeek.toFixed(1)} / week`}
+                detail={`${summary.deployments} deployments in ${period} days`}
+                band={summary.deployments > 0 ? summary.bands.deploymentFrequency : null}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <MetricCard
+                title="Lead Time for Changes"
+                value={formatMetricDuration(summary.leadTimeMs)}
+                detail={summary.leadTimeDeployments < summary.deployments
+                  ? `Median of ${summary.changes} changes in the latest ${summary.leadTimeDeployments} deployments`
+                  : `Median of ${summary.changes} changes`}
+                band={summary.bands.leadTime}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <MetricCard
+                title="Change Failure Rate"
+                value={summary.changeFailureRate !== null ? `${Math.round(summary.changeFailureRate * 100)}%` : '-'}
+                detail={`${summary.failedDeployments} deployments needed a fix`}
+                band={summary.bands.changeFailureRate}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <MetricCard
+                title="Time to Restore"
+                value={formatMetricDuration(summary.restoreMs)}
+                detail={summary.unrestored > 0 ? `Median; ${summary.unrestored} not restored yet` : 'Median'}
+                band={summary.bands.restore}
+              />
+            </Grid>
+          </Grid>
+
+          <Paper sx={{ p: 2, mb: 3 }} elevation={2}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1, flexWrap: 'wrap', gap: 1 }}>
+              <Typography variant="h6">{granularity === 'month' ? 'Monthly' : 'Weekly'} Trend</Typography>
+              <ToggleButtonGroup size="small" exclusive value={series} onChange={(e, value) => value && setSeries(value)}>
+                {Object.entries(TREND_SERIES).map(([key, { label }]) => (
+                  <ToggleButton key={key} value={key}>{label.replace(/ \(.*\)$/, '')}</ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+            </Box>
+            <Box sx={{ height: 300 }}>
+              <Line
+                data={chartData}
+                options={{
+                  maintainAspectRatio: false,
+                  scales: { y: { beginAtZero: true } },
+                  plugins: { legend: { display: false } }
+                }}
+              />
+            </Box>
+          </Paper>
+
+          <Paper sx={{ p: 2 }} elevation={2}>
+            <Typography variant="h6" gutterBottom>
+              Failed Deployments
+            </Typography>
+            {metrics.failures.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No merged pull request matched the failure patterns ({config.failurePatterns.join(', ')}) in this period
+              </Typography>
+            ) : (
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Deployment</TableCell>
+                      <TableCell>Deployed</TableCell>
+                      <TableCell>Fixed By</TableCell>
+                      <TableCell>Restored In</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {metrics.failures.map(failure => (
+                      <TableRow key={failure.deployment.id}>
+                        <TableCell>
+                          {failure.deployment.url ? (
+                            <Link href={failure.deployment.url} target="_blank" rel="noopener noreferrer">
+                              {failure.deployment.name}
+                            </Link>
+                          ) : failure.deployment.name}
+                        </TableCell>
+                        <TableCell>{failure.deployment.deployedAt.toLocaleString()}</TableCell>
+                        <TableCell>
+                          {failure.fixes.map(pr => (
+                            <Box key={pr.number}>
+                              <Link href={pr.html_url} target="_blank" rel="noopener noreferrer">
+                                #{pr.number}
+                              </Link>{' '}
+                              {pr.title}
+                            </Box>
+                          ))}
+                        </TableCell>
+                        <TableCell>
+                          {failure.restoreMs !== null ? formatMetricDuration(failure.restoreMs) : 'Not restored yet'}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </Paper>
+        </>
+      )}
+
+      <DoraDefinitionsDialog
+        open={definitionsOpen}
+        config={config}
+        owner={owner}
+        repo={repo}
+        onClose={() => setDefinitionsOpen(false)}
+        onSave={handleSaveDefinitions}
+      />
+    </Box>
+  );
+};
+
+export default DoraMetricsDashboard;
@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Button,
+  Alert,
+  CircularProgress,
+  LinearProgress,
+  Grid
+} from '@mui/material';
+import { Line } from 'react-chartjs-2';
+import githubService from '../services/githubService';
+import {
+  FLAKE_WINDOWS,
+  MAX_RERUN_CHECKS,
+  findPassedReruns,
+  findFlakyRunGroups,
+  selectGroupsToCompare,
+  buildWorkflowFlakeReport,
+  buildFlakeTrend,
+  findFlakyJobs
+} from '../utils/flakyDetection';
+
+const formatRate = (rate) => `${Math.round(rate * 100)}%`;
+
+/**
+ * Jobs of the failing and the passing run of a flaky commit
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {object} group - Flaky group from findFlakyRunGroups
+ * @returns {Promise<{group, failedJobs: Array, passedJobs: Array}>}
+ */
+const loadJobComparison = async (owner, repo, group) => {
+  const [failed, passed] = group.reason === 'rerun'
+    ? await Promise.all([
+      githubService.getWorkflowRunJobs(owner, repo, group.passedRun.id, group.passedRun.run_attempt - 1),
+      githubService.getWorkflowRunJobs(owner, repo, group.passedRun.id)
+    ])
+    : await Promise.all([
+      githubService.getWorkflowRunJobs(owner, repo, group.failedRun.id),
+      githubService.getWorkflowRunJobs(owner, repo, group.passedRun.id)
+    ]);
+
+  if (!failed.success || !passed.success) {
+    throw new Error(failed.error || passed.error);
+  }
+  return { group, failedJobs: failed.jobs, passedJobs: passed.jobs };
+};
+
+const FlakinessReport = ({ runs, owner, repo, onSelectWorkflow }) => {
+  const [windowDays, setWindowDays] = useState(30);
+  const [jobAnalysis, setJobAnalysis] = useState({ loading: false, jobs: null, compared: 0, error: null });
+  const analysisRef = useRef(0);
+
+  const [previousAttempts, setPreviousAttempts] = useState(() => new Map());
+  const [rerunCheck, setRerunCheck] = useState({ loading: false, checked: 0 });
+
+  const passedReruns = useMemo(() => findPassedReruns(runs, windowDays), [runs, windowDays]);
+
+  // A rerun only counts as a flake when the attempt before it failed
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadPreviousAttempts = async () => {
+      setRerunCheck({ loading: true, checked: 0 });
+      const attempts = new Map();
+      for (const run of passedReruns) {
+        const result = await githubService.getWorkflowRunAttempt(owner, repo, run.id, run.run_attempt - 1);
+        if (cancelled) return;
+        if (result.success) attempts.set(run.id, result.run);
+        setRerunCheck(prev => ({ ...prev, checked: prev.checked + 1 }));
+      }
+      setPreviousAttempts(attempts);
+      setRerunCheck({ loading: false, checked: attempts.size });
+    };
+
+    loadPreviousAttempts();
+    return () => { cancelled = true; };
+  }, [owner, repo, passedReruns]);
+
+  const groups = useMemo(
+    () => findFlakyRunGroups(runs, windowDays, previousAttempts),
+    [runs, windowDays, previousAttempts]
+  );
+  const workflowReport = useMemo(() => buildWorkflowFlakeReport(groups), [groups]);
+  const trend = useMemo(() => buildFlakeTrend(groups, windowDays), [groups, windowDays]);
+  const groupsToCompare = useMemo(() => selectGroupsToCompare(groups), [groups]);
+
+  // Job results belong to the runs and window they were worked out for
+  useEffect(() => {
+    analysisRef.current++;
+    setJobAnalysis({ loading: false, jobs: null, compared: 0, error: null });
+  }, [groups]);
+
+  const analyzeJobs = async () => {
+    const analysisId = ++analysisRef.current;
+    setJobAnalysis({ loading: true, jobs: null, compared: 0, error: null });
+
+    try {
+      // One commit at a time to stay gentle on the rate limit
+      const comparisons = [];
+      for (const group of groupsToCompare) {
+        comparisons.push(await loadJobComparison(owner, repo, group));
+        if (analysisRef.current !== analysisId) return;
+        setJobAnalysis(prev => ({ ...prev, compared: comparisons.length }));
+      }
+
+      setJobAnalysis({
+        loading: false,
+        jobs: findFlakyJobs(comparisons, workflowReport),
+        compared: comparisons.length,
+        error: null
+      });
+    } catch (err) {
+      if (analysisRef.current !== analysisId) return;
+      setJobAnalysis({ loading: false, jobs: null, compared: 0, error: err.message });
+    }
+  };
+
+  const chartData = {
+    labels: trend.labels,
+    datasets: [
+      {
+        label: 'Flake rate (%)',
+        data: trend.rates,
+        borderColor: 'rgb(237, 108, 2)',
+        backgroundColor: 'rgba(237, 108, 2, 0.5)',
+        yAxisID: 'y'
+      },
+      {
+        label: 'Flaky commits',
+        data: trend.counts,
+        borderColor: 'rgb(53, 162, 235)',
+        backgroundColor: 'rgba(53, 162, 235, 0.5)',
+        yAxisID: 'y1'
+      }
+    ]
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <Typography variant="body2" color="text.secondary" sx={{ flexGrow: 1 }}>
+          Commits whose runs failed and then passed without a code change, either on a rerun or on a later run of the same commit.
+          Reruns after a cancelled or passing attempt don't count. Based on the loaded runs
+          and the {MAX_RERUN_CHECKS} most recent reruns.
+        </Typography>
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel id="flake-window-label">Window</InputLabel>
+          <Select
+            labelId="flake-window-label"
+            value={windowDays}
+            label="Window"
+            onChange={(e) => setWindowDays(e.target.value)}
+          >
+            {FLAKE_WINDOWS.map(days => (
+              <MenuItem key={days} value={days}>Last {days} days</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {rerunCheck.loading && (
+        <Box sx={{ mb: 2 }}>
+          <LinearProgress
+            variant="determinate"
+            value={(rerunCheck.checked / Math.max(passedReruns.length, 1)) * 100}
+            sx={{ mb: 1 }}
+          />
+          <Typography variant="body2" color="text.secondary">
+            Checking how the attempt before each rerun ended ({rerunCheck.checked} of {passedReruns.length})
+          </Typography>
+        </Box>
+      )}
+
+      {groups.length === 0 ? (
+        <Alert severity="info">No completed runs in the last {windowDays} days</Alert>
+      ) : (
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={6}>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Workflow</TableCell>
+                    <TableCell align="right">Commits</TableCell>
+                    <TableCell align="right">Flaky</TableCell>
+                    <TableCell align="right">Flake Rate</TableCell>
+                    <TableCell>Last Flake</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {workflowReport.map(entry => (
+                    <TableRow
+                      key={entry.workflowId}
+                      hover
+                      onClick={() => onSelectWorkflow(entry.workflowId)}
+                      sx={{ cursor: 'pointer' }}
+                    >
+                      <TableCell>{entry.workflowName}</TableCell>
+                      <TableCell align="right">{entry.commits}</TableCell>
+                      <TableCell align="right">{entry.flaky}</TableCell>
+                      <TableCell
+                        align="right"
+                        sx={{ color: entry.flaky > 0 ? 'warning.main' : 'text.primary', fontWeight: entry.flaky > 0 ? 'bold' : 'normal' }}
+                      >
+                        {formatRate(entry.rate)}
+                      </TableCell>
+                      <TableCell>{entry.lastFlakeAt ? entry.lastFlakeAt.toLocaleDateString() : '-'}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <Box sx={{ height: 260 }}>
+              <Line
+                data={chartData}
+                options={{
+                  maintainAspectRatio: false,
+                  plugins: {
+                    title: {
+                      display: true,
+                      text: `Flakiness per ${windowDays > 14 ? 'week' : 'day'}`
+                    }
+                  },
+                  scales: {
+                    y: { beginAtZero: true, max: 100, position: 'left' },
+                    y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, ticks: { precision: 0 } }
+                  }
+                }}
+              />
+            </Box>
+          </Grid>
+
+          <Grid item xs={12}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+              <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+                Flaky Jobs
+              </Typography>
+              <Button
+                variant="outlined"
+                size="small"
+                onClick={analyzeJobs}
+                disabled={jobAnalysis.loading || groupsToCompare.length === 0}
+                startIcon={jobAnalysis.loading ? <CircularProgress size={16} /> : null}
+              >
+                {jobAnalysis.jobs ? 'Analyze Again' : 'Analyze Jobs'}
+              </Button>
+            </Box>
+
+            {groupsToCompare.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No flaky commits in this window
+              </Typography>
+            ) : jobAnalysis.loading ? (
+              <Box>
+                <LinearProgress
+                  variant="determinate"
+                  value={(jobAnalysis.compared / groupsToCompare.length) * 100}
+                  sx={{ mb: 1 }}
+                />
+                <Typography variant="body2" color="text.secondary">
+                  Comparing jobs of flaky commit {jobAnalysis.compared + 1} of {groupsToCompare.length}
+                </Typography>
+              </Box>
+            ) : jobAnalysis.error ? (
+              <Alert severity="error">{jobAnalysis.error}</Alert>
+            ) : jobAnalysis.jobs ? (
+              jobAnalysis.jobs.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No job failed and then passed in the {jobAnalysis.compared} most recent flaky commits
+                </Typography>
+              ) : (
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Job</TableCell>
+                        <TableCell>Workflow</TableCell>
+                        <TableCell align="right">Flakes</TableCell>
+                        <TableCell align="right">Flake Rate</TableCell>
+                        <TableCell>Last Seen</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {jobAnalysis.jobs.map(job => (
+                        <TableRow key={job.key}>
+                          <TableCell>{job.jobName}</TableCell>
+                          <TableCell>{job.workflowName}</TableCell>
+                          <TableCell align="right">{job.flakes}</TableCell>
+                          <TableCell align="right">{formatRate(job.rate)}</TableCell>
+                          <TableCell>{job.lastSeen.toLocaleDateString()}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )
+            ) : (
+              <Typography variant="body2" color="text.secondary">
+                Compare the failed and passing attempts of the {groupsToCompare.length} most recent flaky commits to find the jobs that flake
+              </Typography>
+            )}
+          </Grid>
+        </Grid>
+      )}
+    </Box>
+  );
+};
+
+export default FlakinessReport;
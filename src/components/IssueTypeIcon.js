@@ -0,0 +1,35 @@
+import React from 'react';
+import {
+  BugReport as BugReportIcon,
+  Build as BuildIcon,
+  Description as DescriptionIcon,
+  QuestionAnswer as QuestionAnswerIcon,
+  Security as SecurityIcon,
+  Construction as ConstructionIcon,
+  Science as ScienceIcon,
+  TaskAlt as TaskAltIcon,
+  Speed as SpeedIcon,
+  Help as HelpIcon
+} from '@mui/icons-material';
+
+// Icon for each of ISSUE_TYPE_ICON_NAMES
+export const ISSUE_TYPE_ICONS = {
+  bug: BugReportIcon,
+  feature: BuildIcon,
+  documentation: DescriptionIcon,
+  question: QuestionAnswerIcon,
+  security: SecurityIcon,
+  refactor: ConstructionIcon,
+  test: ScienceIcon,
+  task: TaskAltIcon,
+  performance: SpeedIcon,
+  other: HelpIcon
+};
+
+// An issue type's icon in the type's colour
+const IssueTypeIcon = ({ type, fontSize = 'small', sx }) => {
+  const Icon = ISSUE_TYPE_ICONS[type.icon] || HelpIcon;
+  return <Icon fontSize={fontSize} sx={{ color: type.color, ...sx }} />;
+};
+
+export default IssueTypeIcon;
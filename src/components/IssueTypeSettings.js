@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Divider,
+  Button,
+  IconButton,
+  Tooltip,
+  TextField,
+  Select,
+  MenuItem,
+  Autocomplete,
+  Chip,
+  FormControlLabel,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Alert
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  ArrowUpward as ArrowUpwardIcon,
+  ArrowDownward as ArrowDownwardIcon,
+  RestartAlt as RestartAltIcon
+} from '@mui/icons-material';
+import { useRepo } from '../contexts/RepoContext';
+import {
+  DEFAULT_ISSUE_TYPE_CONFIG,
+  ISSUE_TYPE_ICON_NAMES,
+  OTHER_ISSUE_TYPE,
+  createIssueTypeId,
+  getIssueTypeLabels,
+  isValidTypePattern,
+  validateIssueTypeConfig
+} from '../utils/issueTypes';
+import IssueTypeIcon from './IssueTypeIcon';
+
+// Settings section for the current repository's issue types: names, icons, colours,
+// the label patterns that pick each type, their priority and GitHub issue type mapping
+const IssueTypeSettings = ({ onMessage }) => {
+  const { owner, repo, labels, issueTypeConfig, updateIssueTypeConfig } = useRepo();
+  const [draft, setDraft] = useState(issueTypeConfig);
+
+  useEffect(() => {
+    setDraft(issueTypeConfig);
+  }, [issueTypeConfig]);
+
+  const problems = useMemo(() => validateIssueTypeConfig(draft), [draft]);
+  const changed = JSON.stringify(draft) !== JSON.stringify(issueTypeConfig);
+
+  const updateType = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      types: prev.types.map((type, i) => (i === index ? { ...type, ...changes } : type))
+    }));
+  };
+
+  const moveType = (index, offset) => {
+    setDraft(prev => {
+      const types = [...prev.types];
+      const [type] = types.splice(index, 1);
+      types.splice(index + offset, 0, type);
+      return { ...prev, types };
+    });
+  };
+
+  const removeType = (index) => {
+    setDraft(prev => ({ ...prev, types: prev.types.filter((type, i) => i !== index) }));
+  };
+
+  const addType = () => {
+    setDraft(prev => ({
+      ...prev,
+      types: [...prev.types, {
+        id: createIssueTypeId('New type', prev.types.map(type => type.id)),
+        name: 'New type',
+        icon: 'task',
+        color: '#607d8b',
+        patterns: [],
+        nativeType: ''
+      }]
+    }));
+  };
+
+  const handleSave = () => {
+    // Trim names before saving; ids stay as they are so filter links keep working
+    const config = {
+      ...draft,
+      types: draft.types.map(type => ({ ...type, name: type.name.trim(), nativeType: type.nativeType.trim() }))
+    };
+    updateIssueTypeConfig(config);
+    onMessage(`Issue types for ${owner}/${repo} saved.`, 'success');
+  };
+
+  // Labels each type's patterns pick up, to check the patterns against the repository
+  const matchedLabels = (type) => getIssueTypeLabels(labels, { types: [type] });
+
+  return (
+    <Paper sx={{ p: 3, mt: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Issue Types
+      </Typography>
+      <Divider sx={{ mb: 2 }} />
+
+      {!owner || !repo ? (
+        <Typography variant="body2" color="text.secondary">
+          Open a repository to configure how its issues are classified.
+        </Typography>
+      ) : (
+        <>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            How issues in {owner}/{repo} are classified on every tab. An issue gets the first type,
+            from the top, that one of its labels matches. Patterns are case-insensitive regular
+            expressions, so a plain word matches any label containing it.
+          </Typography>
+
+          <FormControlLabel
+            control={
+              <Switch
+                checked={draft.useNativeTypes}
+                onChange={(e) => setDraft(prev => ({ ...prev, useNativeTypes: e.target.checked }))}
+              />
+            }
+            label="Use an issue's GitHub issue type, when it maps to one of these types, before its labels"
+            sx={{ mb: 2 }}
+          />
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Priority</TableCell>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Icon</TableCell>
+                  <TableCell>Color</TableCell>
+                  <TableCell sx={{ minWidth: 220 }}>Label patterns</TableCell>
+                  {draft.useNativeTypes && <TableCell>GitHub issue type</TableCell>}
+                  <TableCell align="right">Labels matched</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {draft.types.map((type, index) => {
+                  const matched = matchedLabels(type);
+                  return (
+                    <TableRow key={type.id}>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                        <IconButton size="small" onClick={() => moveType(index, -1)} disabled={index === 0}>
+                          <ArrowUpwardIcon fontSize="small" />
+                        </IconButton>
+                        <IconButton
+                          size="small"
+                          onClick={() => moveType(index, 1)}
+                          disabled={index === draft.types.length - 1}
+                        >
+                          <ArrowDownwardIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                      <TableCell>
+                        <TextField
+                          size="small"
+                          value={type.name}
+                          onChange={(e) => updateType(index, { name: e.target.value })}
+                          error={!type.name.trim()}
+                          sx={{ width: 140 }}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <Select
+                          size="small"
+                          value={type.icon}
+                          onChange={(e) => updateType(index, { icon: e.target.value })}
+                          renderValue={(icon) => <IssueTypeIcon type={{ ...type, icon }} />}
+                        >
+                          {ISSUE_TYPE_ICON_NAMES.map(icon => (
+                            <MenuItem key={icon} value={icon}>
+                              <IssueTypeIcon type={{ ...type, icon }} sx={{ mr: 1 }} />
+                              {icon}
+                            </MenuItem>
+                          ))}
+                        </Select>
+                      </TableCell>
+                      <TableCell>
+                        <input
+                          type="color"
+                          aria-label={`${type.name} color`}
+                          value={type.color}
+                          onChange={(e) => updateType(index, { color: e.target.value })}
+                          style={{ width: 36, height: 36, padding: 0, border: 'none' }}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <Autocomplete
+                          multiple
+                          freeSolo
+                          size="small"
+                          options={[]}
+                          value={type.patterns}
+                          onChange={(e, patterns) => updateType(index, { patterns })}
+                          renderTags={(tags, getTagProps) => tags.map((tag, tagIndex) => (
+                            <Chip
+                              size="small"
+                              label={tag}
+                              color={isValidTypePattern(tag) ? 'default' : 'error'}
+                              {...getTagProps({ index: tagIndex })}
+                            />
+                          ))}
+                          renderInput={(params) => <TextField {...params} placeholder="Add pattern" />}
+                        />
+                      </TableCell>
+                      {draft.useNativeTypes && (
+                        <TableCell>
+                          <TextField
+                            size="small"
+                            value={type.nativeType}
+                            onChange={(e) => updateType(index, { nativeType: e.target.value })}
+                            placeholder="e.g. Bug"
+                            sx={{ width: 120 }}
+                          />
+                        </TableCell>
+                      )}
+                      <TableCell align="right">
+                        <Tooltip title={matched.map(label => label.name).join(', ') || 'No labels match'}>
+                          <span>{matched.length}</span>
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell>
+                        <Tooltip title="Remove type">
+                          <IconButton size="small" onClick={() => removeType(index)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+                <TableRow>
+                  <TableCell />
+                  <TableCell colSpan={draft.useNativeTypes ? 7 : 6}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <IssueTypeIcon type={OTHER_ISSUE_TYPE} />
+                      <Typography variant="body2" color="text.secondary">
+                        {OTHER_ISSUE_TYPE.name}: issues no type matches
+                      </Typography>
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          {problems.length > 0 && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {problems.map(problem => <div key={problem}>{problem}</div>)}
+            </Alert>
+          )}
+
+          <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+            <Button startIcon={<AddIcon />} onClick={addType}>
+              Add Type
+            </Button>
+            <Button startIcon={<RestartAltIcon />} onClick={() => setDraft(DEFAULT_ISSUE_TYPE_CONFIG)}>
+              Reset to Defaults
+            </Button>
+            <Box sx={{ flexGrow: 1 }} />
+            <Button onClick={() => setDraft(issueTypeConfig)} disabled={!changed}>
+              Discard Changes
+            </Button>
+            <Button variant="contained" onClick={handleSave} disabled={!changed || problems.length > 0}>
+              Save Issue Types
+            </Button>
+          </Box>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default IssueTypeSettings;
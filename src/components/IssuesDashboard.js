@@ -27,13 +27,15 @@ import {
   DateRange as DateRangeIcon
 } from '@mui/icons-material';
 import { 
-  BugReport as BugReportIcon,
   NewReleases as NewReleasesIcon,
   AssignmentTurnedIn as AssignmentTurnedInIcon
 } from '@mui/icons-material';
-import { SvgIcon } from '@mui/material';
 import { useRepo } from '../contexts/RepoContext';
 import IssuesList from './IssuesList';
+import IssueTypeIcon from './IssueTypeIcon';
+import { OTHER_ISSUE_TYPE } from '../utils/issueTypes';
+import { useUrlState, getListParam, getDateParam } from '../utils/urlState';
+import { format, parseISO } from 'date-fns';
 import { 
   Chart as ChartJS,
   ArcElement,
@@ -57,21 +59,40 @@ ChartJS.register(
   Title
 );
 
-// Enhancement icon for feature requests
-const EnhancementIcon = (props) => (
-  <SvgIcon {...props}>
-    <path d="M19 8l-4 4h3c0 3.31-2.69 6-6 6-1.01 0-1.97-.25-2.8-.7l-1.46 1.46C8.97 19.54 10.43 20 12 20c4.42 0 8-3.58 8-8h3l-4-4zM6 12c0-3.31 2.69-6 6-6 1.01 0 1.97.25 2.8.7l1.46-1.46C15.03 4.46 13.57 4 12 4c-4.42 0-8 3.58-8 8H1l4 4 4-4H6z" />
-  </SvgIcon>
-);
-
 const IssuesDashboard = () => {
-  const { issues, labels, milestones: repoMilestones } = useRepo();
-  const [selectedMilestones, setSelectedMilestones] = useState(['all']);
-  const [selectedAssignees, setSelectedAssignees] = useState(['all']);
-  const [selectedTypes, setSelectedTypes] = useState(['all']);
-  const [selectedLabels, setSelectedLabels] = useState([]);
-  const [startDate, setStartDate] = useState(null);
-  const [endDate, setEndDate] = useState(null);
+  const { issues, labels, milestones: repoMilestones, issueTypeConfig, getIssueType } = useRepo();
+  const [searchParams, updateParams] = useUrlState();
+
+  // Filters live in the URL (?milestone=v2&label=bug&from=2026-01-01) so links restore them
+  const filters = useMemo(() => {
+    const withAll = (values) => (values.length > 0 ? values : ['all']);
+    return {
+      milestones: withAll(getListParam(searchParams, 'milestone')),
+      assignees: withAll(getListParam(searchParams, 'assignee')),
+      types: withAll(getListParam(searchParams, 'type')),
+      labels: getListParam(searchParams, 'label'),
+      startDate: getDateParam(searchParams, 'from'),
+      endDate: getDateParam(searchParams, 'to')
+    };
+  }, [searchParams]);
+  const {
+    milestones: selectedMilestones,
+    assignees: selectedAssignees,
+    types: selectedTypes,
+    labels: selectedLabels,
+    startDate,
+    endDate
+  } = filters;
+
+  // Changing a filter goes back to the first page of results
+  const updateFilter = (key, value) => updateParams({ [key]: value, page: null });
+  const withoutAll = (values) => (values.includes('all') ? [] : values);
+  const setSelectedMilestones = (values) => updateFilter('milestone', withoutAll(values));
+  const setSelectedAssignees = (values) => updateFilter('assignee', withoutAll(values));
+  const setSelectedTypes = (values) => updateFilter('type', withoutAll(values));
+  const setSelectedLabels = (values) => updateFilter('label', values);
+  const setStartDate = (date) => updateFilter('from', date);
+  const setEndDate = (date) => updateFilter('to', date);
   
   // Search terms for filters
   const [milestoneSearch, setMilestoneSearch] = useState('');
@@ -134,11 +155,8 @@ const IssuesDashboard = () => {
     );
   }, [labels, labelSearch]);
 
-  // Get issue type (now comes directly from the API)
-  const getIssueType = (issue) => {
-    // We now use the issueType property that was added in the GitHub service
-    return issue.issueType || 'other';
-  };
+  // The configured types, in priority order, then Other
+  const issueTypeList = useMemo(() => [...issueTypeConfig.types, OTHER_ISSUE_TYPE], [issueTypeConfig]);
 
   // Filter issues based on selected filters
   const filteredIssues = useMemo(() => {
@@ -207,10 +225,11 @@ const IssuesDashboard = () => {
     const total = filteredIssues.length;
     const open = filteredIssues.filter(issue => issue.state === 'open').length;
     const closed = filteredIssues.filter(issue => issue.state === 'closed').length;
-    const bugs = filteredIssues.filter(issue => getIssueType(issue) === 'bug').length;
-    const enhancements = filteredIssues.filter(issue => getIssueType(issue) === 'enhancement').length;
-    const documentation = filteredIssues.filter(issue => getIssueType(issue) === 'documentation').length;
-    const questions = filteredIssues.filter(issue => getIssueType(issue) === 'question').length;
+    const typeCounts = {};
+    filteredIssues.forEach(issue => {
+      const type = getIssueType(issue);
+      typeCounts[type] = (typeCounts[type] || 0) + 1;
+    });
     const withMilestone = filteredIssues.filter(issue => issue.milestone).length;
     const withAssignee = filteredIssues.filter(issue => issue.assignees && issue.assignees.length > 0).length;
 
@@ -218,14 +237,11 @@ const IssuesDashboard = () => {
       total, 
       open, 
       closed, 
-      bugs, 
-      enhancements, 
-      documentation, 
-      questions, 
+      typeCounts,
       withMilestone, 
       withAssignee 
     };
-  }, [filteredIssues]);
+  }, [filteredIssues, getIssueType]);
 
   // Issue status chart data - dynamically updates based on filtered data
   const statusChartData = useMemo(() => {
@@ -263,36 +279,14 @@ const IssuesDashboard = () => {
     const data = [];
     const colors = [];
     
-    if (stats.bugs > 0) {
-      labels.push('Bugs');
-      data.push(stats.bugs);
-      colors.push('#f44336'); // Red for bugs
-    }
-    
-    if (stats.enhancements > 0) {
-      labels.push('Enhancements');
-      data.push(stats.enhancements);
-      colors.push('#2196f3'); // Blue for enhancements
-    }
-    
-    if (stats.documentation > 0) {
-      labels.push('Documentation');
-      data.push(stats.documentation);
-      colors.push('#9c27b0'); // Purple for documentation
-    }
-    
-    if (stats.questions > 0) {
-      labels.push('Questions');
-      data.push(stats.questions);
-      colors.push('#ff9800'); // Orange for questions
-    }
-    
-    const otherCount = stats.total - stats.bugs - stats.enhancements - stats.documentation - stats.questions;
-    if (otherCount > 0) {
-      labels.push('Other');
-      data.push(otherCount);
-      colors.push('#9e9e9e'); // Grey for other
-    }
+    issueTypeList.forEach(type => {
+      const count = stats.typeCounts[type.id] || 0;
+      if (count > 0) {
+        labels.push(type.name);
+        data.push(count);
+        colors.push(type.color);
+      }
+    });
     
     return {
       labels,
@@ -304,7 +298,7 @@ const IssuesDashboard = () => {
         },
       ],
     };
-  }, [stats]);
+  }, [stats, issueTypeList]);
 
   // Not using this chart data anymore since we're showing a table instead
   // But keeping it for filteredIssues dependency tracking
@@ -390,77 +384,22 @@ const IssuesDashboard = () => {
           </Card>
         </Grid>
         
-        {/* Bugs card - if bugs are present */}
-        {stats.bugs > 0 && (
-          <Grid item xs={12} md={3}>
-            <Card>
-              <CardContent>
-                <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                  <BugReportIcon fontSize="large" sx={{ mr: 2, color: '#f44336' }} />
-                  <Box>
-                    <Typography variant="h4">{stats.bugs}</Typography>
-                    <Typography variant="body2" color="text.secondary">Bugs</Typography>
-                  </Box>
-                </Box>
-              </CardContent>
-            </Card>
-          </Grid>
-        )}
-        
-        {/* Enhancements card - if enhancements are present */}
-        {stats.enhancements > 0 && (
-          <Grid item xs={12} md={3}>
-            <Card>
-              <CardContent>
-                <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                  <EnhancementIcon fontSize="large" sx={{ mr: 2, color: '#2196f3' }} />
-                  <Box>
-                    <Typography variant="h4">{stats.enhancements}</Typography>
-                    <Typography variant="body2" color="text.secondary">Enhancements</Typography>
-                  </Box>
-                </Box>
-              </CardContent>
-            </Card>
-          </Grid>
-        )}
-        
-        {/* Documentation card - if docs issues are present */}
-        {stats.documentation > 0 && (
-          <Grid item xs={12} md={3}>
+        {/* A card for each issue type present */}
+        {issueTypeList.filter(type => stats.typeCounts[type.id] > 0).map(type => (
+          <Grid item xs={12} md={3} key={type.id}>
             <Card>
               <CardContent>
                 <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                  <SvgIcon fontSize="large" sx={{ mr: 2, color: '#9c27b0' }}>
-                    <path d="M14 2H6c-1.1 0-1.99.9-1.99 2L4 20c0 1.1.89 2 1.99 2H18c1.1 0 2-.9 2-2V8l-6-6zm2 16H8v-2h8v2zm0-4H8v-2h8v2zm-3-5V3.5L18.5 9H13z" />
-                  </SvgIcon>
+                  <IssueTypeIcon type={type} fontSize="large" sx={{ mr: 2 }} />
                   <Box>
-                    <Typography variant="h4">{stats.documentation}</Typography>
-                    <Typography variant="body2" color="text.secondary">Documentation</Typography>
+                    <Typography variant="h4">{stats.typeCounts[type.id]}</Typography>
+                    <Typography variant="body2" color="text.secondary">{type.name}</Typography>
                   </Box>
                 </Box>
               </CardContent>
             </Card>
           </Grid>
-        )}
-        
-        {/* Questions card - if question issues are present */}
-        {stats.questions > 0 && (
-          <Grid item xs={12} md={3}>
-            <Card>
-              <CardContent>
-                <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                  <SvgIcon fontSize="large" sx={{ mr: 2, color: '#ff9800' }}>
-                    <path d="M21 6h-2v9H6v2c0 .55.45 1 1 1h11l4 4V7c0-.55-.45-1-1-1zm-4 6V3c0-.55-.45-1-1-1H3c-.55 0-1 .45-1 1v14l4-4h10c.55 0 1-.45 1-1z" />
-                  </SvgIcon>
-                  <Box>
-                    <Typography variant="h4">{stats.questions}</Typography>
-                    <Typography variant="body2" color="text.secondary">Questions</Typography>
-                  </Box>
-                </Box>
-              </CardContent>
-            </Card>
-          </Grid>
-        )}
+        ))}
         
         {/* With Milestone card - always show */}
         <Grid item xs={12} md={3}>
@@ -620,10 +559,10 @@ const IssuesDashboard = () => {
             size="small"
             sx={{ width: 170 }}
             InputLabelProps={{ shrink: true }}
-            value={startDate ? new Date(startDate).toISOString().split('T')[0] : ''}
+            value={startDate ? format(startDate, 'yyyy-MM-dd') : ''}
             onChange={(e) => {
               if (e.target.value) {
-                setStartDate(new Date(e.target.value));
+                setStartDate(parseISO(e.target.value));
               } else {
                 setStartDate(null);
               }
@@ -642,10 +581,10 @@ const IssuesDashboard = () => {
             size="small"
             sx={{ width: 170 }}
             InputLabelProps={{ shrink: true }}
-            value={endDate ? new Date(endDate).toISOString().split('T')[0] : ''}
+            value={endDate ? format(endDate, 'yyyy-MM-dd') : ''}
             onChange={(e) => {
               if (e.target.value) {
-                setEndDate(new Date(e.target.value));
+                setEndDate(parseISO(e.target.value));
               } else {
                 setEndDate(null);
               }
@@ -863,7 +802,7 @@ const IssuesDashboard = () => {
             }}
             renderValue={(selected) => {
               if (selected.includes('all')) return 'All Types';
-              return selected.join(', ');
+              return selected.map(id => (issueTypeList.find(type => type.id === id) || { name: id }).name).join(', ');
             }}
             MenuProps={{
               PaperProps: {
@@ -874,11 +813,9 @@ const IssuesDashboard = () => {
             }}
           >
             <MenuItem value="all">All Types</MenuItem>
-            <MenuItem value="bug">Bugs</MenuItem>
-            <MenuItem value="enhancement">Enhancements</MenuItem>
-            <MenuItem value="documentation">Documentation</MenuItem>
-            <MenuItem value="question">Questions</MenuItem>
-            <MenuItem value="other">Other</MenuItem>
+            {issueTypeList.map(type => (
+              <MenuItem key={type.id} value={type.id}>{type.name}</MenuItem>
+            ))}
           </Select>
         </FormControl>
         
@@ -977,7 +914,7 @@ const IssuesDashboard = () => {
       
       {/* Issues Table */}
       <Paper sx={{ p: 2 }}>
-        <IssuesList issues={filteredIssues} getIssueType={getIssueType} />
+        <IssuesList issues={filteredIssues} />
       </Paper>
     </Box>
   );
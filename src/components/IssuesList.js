@@ -18,30 +18,36 @@ import {
   Popper,
   ClickAwayListener,
   Paper,
-  Button
+  Button,
+  Alert,
+  Snackbar,
+  Checkbox
 } from '@mui/material';
 import { 
   Launch as LaunchIcon,
   CheckCircle as CheckCircleIcon,
   RadioButtonUnchecked as RadioButtonUncheckedIcon,
-  BugReport as BugReportIcon,
-  Build as BuildIcon,
-  Help as HelpIcon,
-  Description as DescriptionIcon,
-  QuestionAnswer as QuestionAnswerIcon,
   Add as AddIcon
 } from '@mui/icons-material';
 import Pagination from './common/Pagination';
+import BulkActionBar from './BulkActionBar';
+import IssueTypeIcon from './IssueTypeIcon';
+import { useUrlState, getNumberParam } from '../utils/urlState';
 import { useRepo } from '../contexts/RepoContext';
+import { getIssueTypeById } from '../utils/issueTypes';
 
-const IssuesList = ({ issues, getIssueType }) => {
-  const { labels, addLabelToItem, removeLabelFromItem } = useRepo();
-  const [page, setPage] = useState(1);
-  const [rowsPerPage, setRowsPerPage] = useState(50);
+const IssuesList = ({ issues }) => {
+  const { labels, setItemLabels, flushLabelEdits, issueTypeConfig, getIssueType } = useRepo();
+  const [searchParams, updateParams] = useUrlState();
+  const page = getNumberParam(searchParams, 'page', 1);
+  const rowsPerPage = getNumberParam(searchParams, 'perPage', 50);
   const [editingLabels, setEditingLabels] = useState(null);
   const [inputValue, setInputValue] = useState('');
   const [selectedLabels, setSelectedLabels] = useState([]);
+  const [labelError, setLabelError] = useState('');
   const labelCellRef = useRef(null);
+  // Numbers of the issues picked for a bulk action
+  const [selectedNumbers, setSelectedNumbers] = useState(() => new Set());
 
   // Apply pagination to issues
   const paginatedIssues = useMemo(() => {
@@ -50,12 +56,38 @@ const IssuesList = ({ issues, getIssueType }) => {
     return issues.slice(startIndex, endIndex);
   }, [issues, page, rowsPerPage]);
 
+  // Selected issues as they are now, so bulk actions plan against the latest state
+  const selectedIssues = useMemo(
+    () => issues.filter(issue => selectedNumbers.has(issue.number)),
+    [issues, selectedNumbers]
+  );
+  const pageSelectedCount = paginatedIssues.filter(issue => selectedNumbers.has(issue.number)).length;
+
+  const toggleSelected = (number) => {
+    setSelectedNumbers(prev => {
+      const next = new Set(prev);
+      if (next.has(number)) next.delete(number); else next.add(number);
+      return next;
+    });
+  };
+
+  // The header checkbox selects or clears the current page
+  const togglePageSelected = () => {
+    setSelectedNumbers(prev => {
+      const next = new Set(prev);
+      const selectAll = pageSelectedCount < paginatedIssues.length;
+      paginatedIssues.forEach(issue => (selectAll ? next.add(issue.number) : next.delete(issue.number)));
+      return next;
+    });
+  };
+
+  // Page 1 and 50 rows are the defaults, so they are left out of the URL
   const handlePageChange = (newPage) => {
-    setPage(newPage);
+    updateParams({ page: newPage === 1 ? null : newPage });
   };
 
   const handleRowsPerPageChange = (newRowsPerPage) => {
-    setRowsPerPage(newRowsPerPage);
+    updateParams({ perPage: newRowsPerPage === 50 ? null : newRowsPerPage, page: null });
   };
   
   const handleLabelClick = (issue) => {
@@ -65,97 +97,54 @@ const IssuesList = ({ issues, getIssueType }) => {
   };
   
   const handleLabelEditClose = () => {
+    // Send any edits still waiting to be batched
+    if (editingLabels) flushLabelEdits(editingLabels);
     setEditingLabels(null);
     setInputValue('');
     setSelectedLabels([]);
   };
   
+  // The change shows straight away; edits made in quick succession are sent together
   const handleLabelChange = async (event, newValue) => {
     if (!editingLabels) return;
     
-    const currentIssue = issues.find(issue => issue.number === editingLabels);
-    if (!currentIssue) return;
-    
-    const currentLabels = currentIssue.labels.map(label => label.name);
-    
-    // Find labels to add (in newValue but not in currentLabels)
-    const labelsToAdd = newValue.filter(label => !currentLabels.includes(label));
-    
-    // Find labels to remove (in currentLabels but not in newValue)
-    const labelsToRemove = currentLabels.filter(label => !newValue.includes(label));
-    
-    // Add new labels
-    for (const label of labelsToAdd) {
-      await addLabelToItem(editingLabels, label);
-    }
-    
-    // Remove labels
-    for (const label of labelsToRemove) {
-      await removeLabelFromItem(editingLabels, label);
-    }
-    
+    const itemNumber = editingLabels;
     setSelectedLabels(newValue);
-  };
-
-  const getTypeIcon = (issue) => {
-    const type = getIssueType(issue);
     
-    switch (type) {
-      case 'bug':
-        return <BugReportIcon fontSize="small" color="error" />;
-      case 'enhancement':
-        return <BuildIcon fontSize="small" color="primary" />;
-      case 'documentation':
-        return <DescriptionIcon fontSize="small" color="info" />;
-      case 'question':
-        return <QuestionAnswerIcon fontSize="small" color="warning" />;
-      default:
-        return <HelpIcon fontSize="small" color="disabled" />;
+    const result = await setItemLabels(itemNumber, newValue);
+    if (!result.success) {
+      setLabelError(`Couldn't update labels on #${itemNumber}: ${result.error}`);
+      // The labels were rolled back, so close the editor rather than show the failed edit
+      setEditingLabels(current => (current === itemNumber ? null : current));
     }
   };
 
-  const getTypeText = (issue) => {
-    const type = getIssueType(issue);
-    
-    switch (type) {
-      case 'bug':
-        return 'Bug';
-      case 'enhancement':
-        return 'Enhancement';
-      case 'documentation':
-        return 'Documentation';
-      case 'question':
-        return 'Question';
-      default:
-        return 'Other';
-    }
-  };
-
-  const getTypeColor = (issue) => {
-    const type = getIssueType(issue);
-    
-    switch (type) {
-      case 'bug':
-        return 'error';
-      case 'enhancement':
-        return 'primary';
-      case 'documentation':
-        return 'info';
-      case 'question':
-        return 'warning';
-      default:
-        return 'default';
-    }
-  };
+  const getTypeInfo = (issue) => getIssueTypeById(issueTypeConfig, getIssueType(issue));
 
   return (
     <Box>
       <Typography variant="h6" sx={{ mb: 2 }}>Issues List</Typography>
       
+      {selectedIssues.length > 0 && (
+        <BulkActionBar
+          selectedItems={selectedIssues}
+          onClearSelection={() => setSelectedNumbers(new Set())}
+        />
+      )}
+      
       <TableContainer>
         <Table sx={{ minWidth: 650 }} aria-label="issues table">
           <TableHead>
             <TableRow>
+              <TableCell padding="checkbox">
+                <Checkbox
+                  size="small"
+                  indeterminate={pageSelectedCount > 0 && pageSelectedCount < paginatedIssues.length}
+                  checked={paginatedIssues.length > 0 && pageSelectedCount === paginatedIssues.length}
+                  onChange={togglePageSelected}
+                  inputProps={{ 'aria-label': 'select all issues on this page' }}
+                />
+              </TableCell>
               <TableCell>Title</TableCell>
               <TableCell>Type</TableCell>
               <TableCell>Status</TableCell>
@@ -169,15 +158,22 @@ const IssuesList = ({ issues, getIssueType }) => {
           <TableBody>
             {paginatedIssues.length > 0 ? (
               paginatedIssues.map((issue) => (
-                <TableRow key={issue.id}>
+                <TableRow key={issue.id} selected={selectedNumbers.has(issue.number)}>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      size="small"
+                      checked={selectedNumbers.has(issue.number)}
+                      onChange={() => toggleSelected(issue.number)}
+                    />
+                  </TableCell>
                   <TableCell component="th" scope="row">
                     #{issue.number} {issue.title}
                   </TableCell>
                   <TableCell>
                     <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                      {getTypeIcon(issue)}
+                      <IssueTypeIcon type={getTypeInfo(issue)} />
                       <Typography variant="body2" sx={{ ml: 1 }}>
-                        {getTypeText(issue)}
+                        {getTypeInfo(issue).name}
                       </Typography>
                     </Box>
                   </TableCell>
@@ -323,7 +319,7 @@ const IssuesList = ({ issues, getIssueType }) => {
               ))
             ) : (
               <TableRow>
-                <TableCell colSpan={8} align="center">
+                <TableCell colSpan={9} align="center">
                   No issues found
                 </TableCell>
               </TableRow>
@@ -341,6 +337,16 @@ const IssuesList = ({ issues, getIssueType }) => {
           onRowsPerPageChange={handleRowsPerPageChange}
         />
       )}
+      
+      <Snackbar
+        open={Boolean(labelError)}
+        autoHideDuration={6000}
+        onClose={() => setLabelError('')}
+      >
+        <Alert severity="error" onClose={() => setLabelError('')}>
+          {labelError}
+        </Alert>
+      </Snackbar>
     </Box>
   );
 };
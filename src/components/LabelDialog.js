@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  TextField,
+  InputAdornment,
+  Chip,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { normalizeLabelName, normalizeLabelColor, DEFAULT_LABEL_COLOR } from '../utils/labelNames';
+
+// Create a label, or edit one when `label` is set. `labels` are the repository's
+// labels, to warn before adding a near-duplicate.
+const LabelDialog = ({ open, label, labels, onClose, onSave }) => {
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(DEFAULT_LABEL_COLOR);
+  const [description, setDescription] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setName(label ? label.name : '');
+      setColor(label ? label.color : DEFAULT_LABEL_COLOR);
+      setDescription(label && label.description ? label.description : '');
+      setError(null);
+    }
+  }, [open, label]);
+
+  const validColor = normalizeLabelColor(color);
+  const similarLabels = name.trim()
+    ? labels.filter(l => l !== label && normalizeLabelName(l.name) === normalizeLabelName(name))
+    : [];
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    const result = await onSave({ name: name.trim(), color: validColor, description });
+    setSaving(false);
+
+    if (result.success) {
+      onClose();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={() => !saving && onClose()} maxWidth="sm" fullWidth>
+      <DialogTitle>{label ? `Edit ${label.name}` : 'New Label'}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <TextField
+            label="Name"
+            size="small"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            required
+            autoFocus
+          />
+          {similarLabels.length > 0 && (
+            <Alert severity="warning">
+              Looks like {similarLabels.map(l => l.name).join(', ')}, which already exists
+            </Alert>
+          )}
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+            <TextField
+              label="Color"
+              size="small"
+              value={color}
+              onChange={(e) => setColor(e.target.value)}
+              error={!validColor}
+              helperText={validColor ? ' ' : 'Use a hex color like d73a4a'}
+              InputProps={{ startAdornment: <InputAdornment position="start">#</InputAdornment> }}
+              sx={{ width: 180 }}
+            />
+            <input
+              type="color"
+              aria-label="Pick a color"
+              value={`#${validColor || DEFAULT_LABEL_COLOR}`}
+              onChange={(e) => setColor(e.target.value.substring(1))}
+              style={{ width: 40, height: 40, padding: 0, border: 'none', marginBottom: 20 }}
+            />
+            {validColor && name.trim() && (
+              <Chip
+                label={name.trim()}
+                size="small"
+                sx={{
+                  mb: 2.5,
+                  backgroundColor: `#${validColor}`,
+                  color: parseInt(validColor, 16) > 0x7FFFFF ? '#000' : '#fff'
+                }}
+              />
+            )}
+          </Box>
+          <TextField
+            label="Description"
+            size="small"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            inputProps={{ maxLength: 100 }}
+          />
+          {error && <Alert severity="error">{error}</Alert>}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={!name.trim() || !validColor || saving}
+          startIcon={saving ? <CircularProgress size={16} /> : null}
+        >
+          {label ? 'Save' : 'Create'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default LabelDialog;
@@ -0,0 +1,417 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  IconButton,
+  Tooltip,
+  TextField,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TableSortLabel,
+  Chip,
+  Alert,
+  CircularProgress,
+  Snackbar,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  MergeType as MergeTypeIcon,
+  FileDownload as FileDownloadIcon,
+  FileUpload as FileUploadIcon
+} from '@mui/icons-material';
+import { useRepo } from '../contexts/RepoContext';
+import githubService from '../services/githubService';
+import { useUrlState } from '../utils/urlState';
+import { saveFile } from '../utils/artifacts';
+import { findNearDuplicates, planLabelMerge, buildLabelTemplate } from '../utils/labelTaxonomy';
+import LabelDialog from './LabelDialog';
+import LabelMergeDialog from './LabelMergeDialog';
+import LabelTemplateDialog from './LabelTemplateDialog';
+import BulkActionDialog from './BulkActionDialog';
+
+const LabelChip = ({ label }) => (
+  <Chip
+    label={label.name}
+    size="small"
+    sx={{
+      backgroundColor: `#${label.color}`,
+      color: parseInt(label.color, 16) > 0x7FFFFF ? '#000' : '#fff'
+    }}
+  />
+);
+
+// Issues and PRs carrying a label, from getLabelUsage counts
+const totalUsage = (usage, label) => {
+  const counts = usage && usage[label.name];
+  return counts ? counts.issues + counts.pullRequests : 0;
+};
+
+const LabelManager = () => {
+  const {
+    owner,
+    repo,
+    labels,
+    createLabel,
+    updateLabel,
+    deleteLabel,
+    reloadLabels,
+    applyItemChanges
+  } = useRepo();
+  const [searchParams, updateParams] = useUrlState();
+  // ?sort=usage lists the most used labels first
+  const sortBy = searchParams.get('sort') === 'usage' ? 'usage' : 'name';
+
+  const [search, setSearch] = useState('');
+  const [usage, setUsage] = useState(null);
+  const [usageError, setUsageError] = useState(null);
+  const [dialogLabel, setDialogLabel] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [mergeSource, setMergeSource] = useState(null);
+  const [merge, setMerge] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [templateOpen, setTemplateOpen] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadUsage = async (useCache = true) => {
+    const result = await githubService.getLabelUsage(owner, repo, useCache);
+    if (result.success) {
+      setUsage(result.usage);
+      setUsageError(null);
+    } else {
+      setUsageError(result.error);
+    }
+  };
+
+  useEffect(() => {
+    if (!owner || !repo) return;
+
+    let cancelled = false;
+    setUsage(null);
+    githubService.getLabelUsage(owner, repo).then(result => {
+      if (cancelled) return;
+      if (result.success) {
+        setUsage(result.usage);
+        setUsageError(null);
+      } else {
+        setUsageError(result.error);
+      }
+    });
+
+    return () => { cancelled = true; };
+  }, [owner, repo]);
+
+  const usageOf = (label) => totalUsage(usage, label);
+
+  const duplicateGroups = useMemo(() => findNearDuplicates(labels), [labels]);
+
+  const visibleLabels = useMemo(() => {
+    const term = search.toLowerCase().trim();
+    return labels
+      .filter(label => !term ||
+        label.name.toLowerCase().includes(term) ||
+        (label.description || '').toLowerCase().includes(term))
+      .sort((a, b) => (sortBy === 'usage' ? totalUsage(usage, b) - totalUsage(usage, a) : 0) || a.name.localeCompare(b.name));
+  }, [labels, usage, search, sortBy]);
+
+  const openDialog = (label) => {
+    setDialogLabel(label);
+    setDialogOpen(true);
+  };
+
+  const handleSave = async ({ name, color, description }) => {
+    const result = dialogLabel
+      ? await updateLabel(dialogLabel.name, { new_name: name, color, description })
+      : await createLabel({ name, color, description });
+    if (result.success && dialogLabel && name !== dialogLabel.name) {
+      loadUsage(false);
+    }
+    return result;
+  };
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    const result = await deleteLabel(pendingDelete.name);
+    setDeleting(false);
+    setPendingDelete(null);
+    if (!result.success) {
+      setMessage({ text: `Couldn't delete ${pendingDelete.name}: ${result.error}`, severity: 'error' });
+    }
+  };
+
+  // Load everything carrying the source label and plan relabelling it; the dialog previews and applies it
+  const startMerge = async (source, target) => {
+    const result = await githubService.getLabelItems(owner, repo, source.name);
+    if (!result.success) {
+      return { success: false, error: `Couldn't load the items labelled ${source.name}: ${result.error}` };
+    }
+
+    setMergeSource(null);
+    setMerge({ source, target, plan: planLabelMerge(result.items, source.name, target.name) });
+    return { success: true };
+  };
+
+  const handleQuickMerge = async (source, target) => {
+    const result = await startMerge(source, target);
+    if (!result.success) {
+      setMessage({ text: result.error, severity: 'error' });
+    }
+  };
+
+  // The source label only goes once every item carrying it has the target instead
+  const handleMergeFinished = async (results) => {
+    const { source, target } = merge;
+    if (results.some(result => !result.success)) {
+      setMessage({ text: `Kept ${source.name} because some items still have it`, severity: 'warning' });
+      return;
+    }
+
+    const result = await deleteLabel(source.name);
+    setMessage(result.success
+      ? { text: `Merged ${source.name} into ${target.name}`, severity: 'success' }
+      : { text: `Relabelled everything, but couldn't delete ${source.name}: ${result.error}`, severity: 'error' });
+  };
+
+  const handleMergeClose = () => {
+    setMerge(null);
+    loadUsage(false);
+  };
+
+  const handleExportTemplate = () => {
+    saveFile(
+      JSON.stringify(buildLabelTemplate(labels), null, 2),
+      `${owner}-${repo}-labels.json`,
+      'application/json'
+    );
+  };
+
+  const handleTemplateApplied = (fullNames) => {
+    if (fullNames.includes(`${owner}/${repo}`)) {
+      reloadLabels();
+      loadUsage(false);
+    }
+  };
+
+  // The most used label of a group is the one to keep
+  const renderDuplicateGroup = (group) => {
+    const [keep, ...others] = [...group].sort((a, b) => usageOf(b) - usageOf(a));
+    return (
+      <Box
+        key={keep.name}
+        sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', py: 1, borderTop: 1, borderColor: 'divider' }}
+      >
+        {group.map(label => (
+          <Tooltip key={label.name} title={usage ? `Used ${usageOf(label)} times` : ''}>
+            <span><LabelChip label={label} /></span>
+          </Tooltip>
+        ))}
+        <Box sx={{ ml: 'auto', display: 'flex', gap: 1 }}>
+          {others.map(label => (
+            <Button key={label.name} size="small" onClick={() => handleQuickMerge(label, keep)}>
+              Merge {label.name} into {keep.name}
+            </Button>
+          ))}
+        </Box>
+      </Box>
+    );
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+        <Typography variant="h5" sx={{ flexGrow: 1 }}>Labels</Typography>
+        <TextField
+          size="small"
+          placeholder="Search labels"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <Tooltip title="Save these labels as a template">
+          <span>
+            <IconButton onClick={handleExportTemplate} disabled={labels.length === 0}>
+              <FileDownloadIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Button variant="outlined" startIcon={<FileUploadIcon />} onClick={() => setTemplateOpen(true)}>
+          Apply Template
+        </Button>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => openDialog(null)}>
+          New Label
+        </Button>
+      </Box>
+
+      {duplicateGroups.length > 0 && (
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Typography variant="h6">Possible duplicates</Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            These labels only differ in case, plurals or separators
+          </Typography>
+          {duplicateGroups.map(renderDuplicateGroup)}
+        </Paper>
+      )}
+
+      {usageError && (
+        <Alert severity="warning" sx={{ mb: 2 }}>Couldn't count label usage: {usageError}</Alert>
+      )}
+
+      <Paper sx={{ p: 2 }}>
+        {visibleLabels.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            {labels.length === 0 ? 'This repository has no labels' : 'No labels match your search'}
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>
+                    <TableSortLabel active={sortBy === 'name'} onClick={() => updateParams({ sort: null })}>
+                      Label
+                    </TableSortLabel>
+                  </TableCell>
+                  <TableCell>Description</TableCell>
+                  <TableCell align="right">Issues</TableCell>
+                  <TableCell align="right">Pull Requests</TableCell>
+                  <TableCell align="right">
+                    <TableSortLabel
+                      active={sortBy === 'usage'}
+                      direction="desc"
+                      onClick={() => updateParams({ sort: 'usage' })}
+                    >
+                      Total
+                    </TableSortLabel>
+                  </TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {visibleLabels.map(label => {
+                  const counts = usage && usage[label.name];
+                  return (
+                    <TableRow key={label.id} hover>
+                      <TableCell><LabelChip label={label} /></TableCell>
+                      <TableCell>{label.description || '-'}</TableCell>
+                      <TableCell align="right">
+                        {usage ? (counts ? counts.issues : 0) : <CircularProgress size={14} />}
+                      </TableCell>
+                      <TableCell align="right">
+                        {usage ? (counts ? counts.pullRequests : 0) : <CircularProgress size={14} />}
+                      </TableCell>
+                      <TableCell align="right">
+                        {usage ? usageOf(label) : <CircularProgress size={14} />}
+                      </TableCell>
+                      <TableCell align="right">
+                        <Tooltip title="Edit">
+                          <IconButton size="small" onClick={() => openDialog(label)}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Merge into another label">
+                          <span>
+                            <IconButton
+                              size="small"
+                              onClick={() => setMergeSource(label)}
+                              disabled={labels.length < 2}
+                            >
+                              <MergeTypeIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                        <Tooltip title="Delete">
+                          <IconButton size="small" onClick={() => setPendingDelete(label)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      <LabelDialog
+        open={dialogOpen}
+        label={dialogLabel}
+        labels={labels}
+        onClose={() => setDialogOpen(false)}
+        onSave={handleSave}
+      />
+
+      <LabelMergeDialog
+        open={Boolean(mergeSource)}
+        source={mergeSource}
+        labels={labels}
+        onClose={() => setMergeSource(null)}
+        onContinue={(target) => startMerge(mergeSource, target)}
+      />
+
+      {merge && (
+        <BulkActionDialog
+          open
+          onClose={handleMergeClose}
+          actionLabel={`Merge ${merge.source.name} into ${merge.target.name}`}
+          plan={merge.plan}
+          owner={owner}
+          repo={repo}
+          onItemDone={(item, result) => result.success && applyItemChanges(item.number, result.changes)}
+          onFinished={handleMergeFinished}
+        />
+      )}
+
+      <LabelTemplateDialog
+        open={templateOpen}
+        owner={owner}
+        repo={repo}
+        onClose={() => setTemplateOpen(false)}
+        onApplied={handleTemplateApplied}
+      />
+
+      <Dialog open={Boolean(pendingDelete)} onClose={() => !deleting && setPendingDelete(null)}>
+        {pendingDelete && (
+          <>
+            <DialogTitle>Delete {pendingDelete.name}</DialogTitle>
+            <DialogContent>
+              <DialogContentText>
+                {usage && usageOf(pendingDelete) > 0
+                  ? `It comes off the ${usageOf(pendingDelete)} issues and pull requests that have it. `
+                  : ''}
+                To keep those items labelled, merge it into another label instead.
+              </DialogContentText>
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setPendingDelete(null)} disabled={deleting}>Back</Button>
+              <Button variant="contained" color="error" onClick={handleDelete} disabled={deleting}>
+                Delete Label
+              </Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+
+      <Snackbar open={Boolean(message)} autoHideDuration={6000} onClose={() => setMessage(null)}>
+        {message ? (
+          <Alert severity={message.severity} onClose={() => setMessage(null)}>{message.text}</Alert>
+        ) : <span />}
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default LabelManager;
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Autocomplete,
+  TextField,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { normalizeLabelName } from '../utils/labelNames';
+
+// Pick the label to merge `source` into. Near-duplicates of the source are offered first.
+// onContinue(target) loads the affected items and resolves to { success, error }.
+const LabelMergeDialog = ({ open, source, labels, onClose, onContinue }) => {
+  const [target, setTarget] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setTarget(null);
+      setError(null);
+    }
+  }, [open, source]);
+
+  if (!source) return null;
+
+  const sourceKey = normalizeLabelName(source.name);
+  const isSimilar = (label) => normalizeLabelName(label.name) === sourceKey;
+  const options = labels
+    .filter(label => label.name !== source.name)
+    .sort((a, b) => Number(isSimilar(b)) - Number(isSimilar(a)) || a.name.localeCompare(b.name));
+
+  const handleContinue = async () => {
+    setLoading(true);
+    setError(null);
+    const result = await onContinue(target);
+    setLoading(false);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={() => !loading && onClose()} maxWidth="sm" fullWidth>
+      <DialogTitle>Merge {source.name}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Every issue and pull request labelled {source.name} gets the label you pick instead.
+          Once they have all been relabelled, {source.name} is deleted.
+        </Typography>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <Autocomplete
+            size="small"
+            options={options}
+            value={target}
+            onChange={(e, newValue) => setTarget(newValue)}
+            getOptionLabel={(label) => label.name}
+            groupBy={(label) => (isSimilar(label) ? 'Similar labels' : 'All labels')}
+            renderInput={(params) => <TextField {...params} label="Merge into" autoFocus />}
+          />
+          {error && <Alert severity="error">{error}</Alert>}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={loading}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleContinue}
+          disabled={!target || loading}
+          startIcon={loading ? <CircularProgress size={16} /> : null}
+        >
+          Preview
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default LabelMergeDialog;
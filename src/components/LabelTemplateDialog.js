@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Autocomplete,
+  TextField,
+  Chip,
+  FormControlLabel,
+  Checkbox,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { FileUpload as FileUploadIcon } from '@mui/icons-material';
+import { parseLabelTemplate, applyLabelTemplate } from '../utils/labelTaxonomy';
+import { loadPortfolioRepos } from '../utils/portfolioStorage';
+
+// Apply a label template from a JSON file to one or more repositories. Labels are
+// created when missing and, if asked, updated to match; nothing is deleted.
+// onApplied(fullNames) is called with the repositories that were changed.
+const LabelTemplateDialog = ({ open, owner, repo, onClose, onApplied }) => {
+  const currentRepo = `${owner}/${repo}`;
+  const [template, setTemplate] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [parseError, setParseError] = useState(null);
+  const [targets, setTargets] = useState([]);
+  const [updateExisting, setUpdateExisting] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState({});
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      setTemplate(null);
+      setFileName('');
+      setParseError(null);
+      setTargets([currentRepo]);
+      setUpdateExisting(false);
+      setResults({});
+    }
+  }, [open, currentRepo]);
+
+  // Repositories saved on the Portfolio page are offered as targets
+  const repoOptions = [currentRepo, ...loadPortfolioRepos().filter(fullName => fullName !== currentRepo)];
+  const validTargets = targets.filter(fullName => /^[^/\s]+\/[^/\s]+$/.test(fullName));
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setFileName(file.name);
+    setResults({});
+    try {
+      setTemplate(parseLabelTemplate(await file.text()));
+      setParseError(null);
+    } catch (err) {
+      setTemplate(null);
+      setParseError(err.message);
+    }
+  };
+
+  // One repository at a time, so the writes stay paced across all of them
+  const handleApply = async () => {
+    setRunning(true);
+    setResults(Object.fromEntries(validTargets.map(fullName => [fullName, { status: 'pending' }])));
+
+    const changed = [];
+    for (const fullName of validTargets) {
+      setResults(prev => ({ ...prev, [fullName]: { status: 'running' } }));
+      const [targetOwner, targetRepo] = fullName.split('/');
+      const outcome = await applyLabelTemplate({ owner: targetOwner, repo: targetRepo, template, updateExisting });
+      setResults(prev => ({ ...prev, [fullName]: { status: 'done', ...outcome } }));
+      if (outcome.created + outcome.updated > 0) changed.push(fullName);
+    }
+
+    setRunning(false);
+    if (changed.length > 0) onApplied(changed);
+  };
+
+  const finished = !running && Object.keys(results).length > 0;
+
+  const renderResult = (result) => {
+    if (!result || result.status === 'pending') return <Typography variant="body2" color="text.secondary">Waiting</Typography>;
+    if (result.status === 'running') return <CircularProgress size={16} />;
+    return (
+      <>
+        <Chip
+          label={result.success ? 'Done' : 'Failed'}
+          size="small"
+          color={result.success ? 'success' : 'error'}
+          sx={{ mr: 1 }}
+        />
+        {result.created} created, {result.updated} updated, {result.unchanged} unchanged
+        {result.errors.map(message => (
+          <Typography key={message} variant="caption" color="error" display="block">{message}</Typography>
+        ))}
+      </>
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={() => !running && onClose()} maxWidth="md" fullWidth>
+      <DialogTitle>
+        Apply Label Template
+        <Typography variant="body2" color="text.secondary">
+          A JSON list of labels with name, color and description. Missing labels are created;
+          labels that aren't in the template are left alone.
+        </Typography>
+      </DialogTitle>
+      <DialogContent dividers>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              hidden
+              onChange={handleFile}
+            />
+            <Button
+              variant="outlined"
+              startIcon={<FileUploadIcon />}
+              onClick={() => fileInputRef.current.click()}
+              disabled={running}
+            >
+              Choose File
+            </Button>
+            <Typography variant="body2" color="text.secondary">
+              {template ? `${fileName}: ${template.length} labels` : fileName || 'No file chosen'}
+            </Typography>
+          </Box>
+          {parseError && <Alert severity="error">{fileName}: {parseError}</Alert>}
+
+          {template && (
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+              {template.map(label => (
+                <Chip
+                  key={label.name}
+                  label={label.name}
+                  size="small"
+                  title={label.description}
+                  sx={{
+                    backgroundColor: `#${label.color}`,
+                    color: parseInt(label.color, 16) > 0x7FFFFF ? '#000' : '#fff'
+                  }}
+                />
+              ))}
+            </Box>
+          )}
+
+          <Autocomplete
+            multiple
+            freeSolo
+            size="small"
+            options={repoOptions}
+            value={targets}
+            onChange={(e, newValue) => setTargets(newValue)}
+            disabled={running}
+            renderTags={(tags, getTagProps) => tags.map((tag, index) => (
+              <Chip size="small" label={tag} {...getTagProps({ index })} />
+            ))}
+            renderInput={(params) => (
+              <TextField {...params} label="Repositories" helperText="owner/repo; your Portfolio repositories are listed" />
+            )}
+          />
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={updateExisting}
+                onChange={(e) => setUpdateExisting(e.target.checked)}
+                disabled={running}
+              />
+            }
+            label="Update the color, description and case of existing labels to match"
+          />
+
+          {Object.keys(results).length > 0 && (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Repository</TableCell>
+                    <TableCell>Result</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {Object.entries(results).map(([fullName, result]) => (
+                    <TableRow key={fullName}>
+                      <TableCell>{fullName}</TableCell>
+                      <TableCell>{renderResult(result)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={running}>{finished ? 'Close' : 'Cancel'}</Button>
+        {!finished && (
+          <Button
+            variant="contained"
+            onClick={handleApply}
+            disabled={!template || validTargets.length === 0 || running}
+            startIcon={running ? <CircularProgress size={16} /> : null}
+          >
+            Apply to {validTargets.length} repositor{validTargets.length === 1 ? 'y' : 'ies'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default LabelTemplateDialog;
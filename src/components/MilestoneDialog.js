@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  TextField,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+
+// Create a milestone, or edit one when `milestone` is set
+const MilestoneDialog = ({ open, milestone, onClose, onSave }) => {
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [dueDate, setDueDate] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setTitle(milestone ? milestone.title : '');
+      setDescription(milestone && milestone.description ? milestone.description : '');
+      setDueDate(milestone && milestone.due_on ? milestone.due_on.substring(0, 10) : '');
+      setError(null);
+    }
+  }, [open, milestone]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    const result = await onSave({
+      title: title.trim(),
+      description,
+      // GitHub only keeps the date part
+      due_on: dueDate ? `${dueDate}T00:00:00Z` : null
+    });
+    setSaving(false);
+
+    if (result.success) {
+      onClose();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={() => !saving && onClose()} maxWidth="sm" fullWidth>
+      <DialogTitle>{milestone ? `Edit ${milestone.title}` : 'New Milestone'}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <TextField
+            label="Title"
+            size="small"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            required
+            autoFocus
+          />
+          <TextField
+            label="Due date"
+            type="date"
+            size="small"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="Description"
+            size="small"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            multiline
+            minRows={3}
+          />
+          {error && <Alert severity="error">{error}</Alert>}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={!title.trim() || saving}
+          startIcon={saving ? <CircularProgress size={16} /> : null}
+        >
+          {milestone ? 'Save' : 'Create'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MilestoneDialog;
@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  IconButton,
+  Tooltip,
+  ToggleButton,
+  ToggleButtonGroup,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  LinearProgress,
+  Chip,
+  Alert,
+  CircularProgress,
+  Snackbar
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  CheckCircleOutline as CheckCircleOutlineIcon,
+  Replay as ReplayIcon,
+  Forward as ForwardIcon
+} from '@mui/icons-material';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip as ChartTooltip,
+  Legend
+} from 'chart.js';
+import { useRepo } from '../contexts/RepoContext';
+import githubService from '../services/githubService';
+import { useUrlState, getNumberParam } from '../utils/urlState';
+import {
+  getMilestoneProgress,
+  isMilestoneOverdue,
+  getNextMilestone,
+  getMilestoneDueDate,
+  buildBurnSeries
+} from '../utils/milestoneProgress';
+import { planBulkAction } from '../utils/bulkActions';
+import MilestoneDialog from './MilestoneDialog';
+import BulkActionDialog from './BulkActionDialog';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  ChartTooltip,
+  Legend
+);
+
+const MilestonesDashboard = () => {
+  const {
+    owner,
+    repo,
+    milestones,
+    createMilestone,
+    updateMilestone,
+    reloadMilestones,
+    applyItemChanges
+  } = useRepo();
+  const [searchParams, updateParams] = useUrlState();
+  // ?state=closed|all and ?milestone=3 restore the list and the selected milestone
+  const stateFilter = searchParams.get('state') || 'open';
+  const selectedNumber = getNumberParam(searchParams, 'milestone', null);
+
+  const [chartType, setChartType] = useState('burndown');
+  const [items, setItems] = useState([]);
+  const [itemsLoading, setItemsLoading] = useState(false);
+  const [itemsError, setItemsError] = useState(null);
+  const [dialogMilestone, setDialogMilestone] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [rollover, setRollover] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const visibleMilestones = useMemo(() => {
+    const dueTime = (m) => (m.due_on ? getMilestoneDueDate(m).getTime() : Infinity);
+    return milestones
+      .filter(m => stateFilter === 'all' || m.state === stateFilter)
+      .sort((a, b) => dueTime(a) - dueTime(b) || a.title.localeCompare(b.title));
+  }, [milestones, stateFilter]);
+
+  const selectedMilestone = milestones.find(m => m.number === selectedNumber) || null;
+
+  useEffect(() => {
+    if (!selectedNumber) return;
+
+    let cancelled = false;
+    setItemsLoading(true);
+    setItemsError(null);
+
+    githubService.getMilestoneItems(owner, repo, selectedNumber).then(result => {
+      if (cancelled) return;
+      if (result.success) {
+        setItems(result.items);
+      } else {
+        setItemsError(result.error);
+      }
+      setItemsLoading(false);
+    });
+
+    return () => { cancelled = true; };
+  }, [owner, repo, selectedNumber]);
+
+  const chartData = useMemo(() => {
+    if (!selectedMilestone || itemsLoading) return null;
+    const series = buildBurnSeries(items, selectedMilestone);
+    const labels = series.dates.map(date => date.toLocaleDateString());
+
+    const datasets = chartType === 'burndown'
+      ? [
+        { label: 'Open items', data: series.open, borderColor: '#ff9800', backgroundColor: '#ff9800', tension: 0.1 },
+        { label: 'Ideal', data: series.ideal, borderColor: '#9e9e9e', borderDash: [6, 4], pointRadius: 0 }
+      ]
+      : [
+        { label: 'Scope', data: series.scope, borderColor: '#2f81f7', backgroundColor: '#2f81f7', tension: 0.1 },
+        { label: 'Closed', data: series.closed, borderColor: '#4caf50', backgroundColor: '#4caf50', tension: 0.1 }
+      ];
+
+    return { labels, datasets };
+  }, [items, itemsLoading, selectedMilestone, chartType]);
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: { legend: { position: 'top' } },
+    scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+  };
+
+  const handleSelect = (milestone) => {
+    updateParams({ milestone: milestone.number === selectedNumber ? null : milestone.number });
+  };
+
+  const openDialog = (milestone) => {
+    setDialogMilestone(milestone);
+    setDialogOpen(true);
+  };
+
+  const handleSave = (fields) => (
+    dialogMilestone ? updateMilestone(dialogMilestone.number, fields) : createMilestone(fields)
+  );
+
+  const handleToggleState = async (milestone) => {
+    const result = await updateMilestone(milestone.number, { state: milestone.state === 'open' ? 'closed' : 'open' });
+    if (!result.success) {
+      setMessage(`Couldn't update ${milestone.title}: ${result.error}`);
+    }
+  };
+
+  // Plan moving the open items to the next milestone; the dialog previews and applies it
+  const handleRollover = async (milestone) => {
+    const next = getNextMilestone(milestones, milestone);
+    if (!next) {
+      setMessage(`There's no open milestone after ${milestone.title} to roll over to`);
+      return;
+    }
+
+    const result = await githubService.getMilestoneItems(owner, repo, milestone.number, false);
+    if (!result.success) {
+      setMessage(`Couldn't load the items in ${milestone.title}: ${result.error}`);
+      return;
+    }
+
+    const openItems = result.items.filter(item => item.state === 'open');
+    setRollover({ milestone, next, plan: planBulkAction(openItems, 'setMilestone', next) });
+  };
+
+  const handleRolloverClose = async () => {
+    const { milestone, next } = rollover;
+    setRollover(null);
+    await reloadMilestones();
+
+    // The counts and items of both milestones changed
+    if (selectedNumber === milestone.number || selectedNumber === next.number) {
+      const result = await githubService.getMilestoneItems(owner, repo, selectedNumber, false);
+      if (result.success) setItems(result.items);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
+        <Typography variant="h5" sx={{ flexGrow: 1 }}>Milestones</Typography>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={stateFilter}
+          onChange={(e, value) => value && updateParams({ state: value === 'open' ? null : value })}
+        >
+          <ToggleButton value="open">Open</ToggleButton>
+          <ToggleButton value="closed">Closed</ToggleButton>
+          <ToggleButton value="all">All</ToggleButton>
+        </ToggleButtonGroup>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => openDialog(null)}>
+          New Milestone
+        </Button>
+      </Box>
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        {visibleMilestones.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No {stateFilter === 'all' ? '' : `${stateFilter} `}milestones
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Milestone</TableCell>
+                  <TableCell>Due</TableCell>
+                  <TableCell sx={{ width: '30%' }}>Progress</TableCell>
+                  <TableCell align="right">Open</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {visibleMilestones.map(milestone => (
+                  <TableRow
+                    key={milestone.number}
+                    hover
+                    selected={milestone.number === selectedNumber}
+                    onClick={() => handleSelect(milestone)}
+                    sx={{ cursor: 'pointer' }}
+                  >
+                    <TableCell>
+                      {milestone.title}
+                      {milestone.state === 'closed' && <Chip label="Closed" size="small" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>
+                      {milestone.due_on ? getMilestoneDueDate(milestone).toLocaleDateString() : '-'}
+                      {isMilestoneOverdue(milestone) && (
+                        <Chip label="Overdue" size="small" color="error" sx={{ ml: 1 }} />
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <LinearProgress
+                          variant="determinate"
+                          value={getMilestoneProgress(milestone)}
+                          sx={{ flexGrow: 1, height: 8, borderRadius: 4 }}
+                        />
+                        <Typography variant="caption" sx={{ minWidth: 36 }}>
+                          {getMilestoneProgress(milestone)}%
+                        </Typography>
+                      </Box>
+                    </TableCell>
+                    <TableCell align="right">{milestone.open_issues}</TableCell>
+                    <TableCell align="right" onClick={(e) => e.stopPropagation()}>
+                      <Tooltip title="Edit">
+                        <IconButton size="small" onClick={() => openDialog(milestone)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title={milestone.state === 'open' ? 'Close' : 'Reopen'}>
+                        <IconButton size="small" onClick={() => handleToggleState(milestone)}>
+                          {milestone.state === 'open'
+                            ? <CheckCircleOutlineIcon fontSize="small" />
+                            : <ReplayIcon fontSize="small" />}
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Roll over open items to the next milestone">
+                        <span>
+                          <IconButton
+                            size="small"
+                            onClick={() => handleRollover(milestone)}
+                            disabled={milestone.open_issues === 0}
+                          >
+                            <ForwardIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {selectedMilestone && (
+        <Paper sx={{ p: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+            <Box sx={{ flexGrow: 1 }}>
+              <Typography variant="h6">{selectedMilestone.title}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                {selectedMilestone.closed_issues} of {selectedMilestone.open_issues + selectedMilestone.closed_issues} items closed
+                {selectedMilestone.description ? ` · ${selectedMilestone.description}` : ''}
+              </Typography>
+            </Box>
+            <ToggleButtonGroup size="small" exclusive value={chartType} onChange={(e, value) => value && setChartType(value)}>
+              <ToggleButton value="burndown">Burndown</ToggleButton>
+              <ToggleButton value="burnup">Burnup</ToggleButton>
+            </ToggleButtonGroup>
+          </Box>
+
+          {itemsError && <Alert severity="error">{itemsError}</Alert>}
+          {itemsLoading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+              <CircularProgress size={24} />
+            </Box>
+          ) : chartData && (
+            <>
+              <Box sx={{ height: 300 }}>
+                <Line data={chartData} options={chartOptions} />
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                Rebuilt from when each item was created and closed, so items count from their creation
+                rather than from when they were added to the milestone
+              </Typography>
+            </>
+          )}
+        </Paper>
+      )}
+
+      <MilestoneDialog
+        open={dialogOpen}
+        milestone={dialogMilestone}
+        onClose={() => setDialogOpen(false)}
+        onSave={handleSave}
+      />
+
+      {rollover && (
+        <BulkActionDialog
+          open
+          onClose={handleRolloverClose}
+          actionLabel={`Roll over ${rollover.milestone.title} to ${rollover.next.title}`}
+          plan={rollover.plan}
+          owner={owner}
+          repo={repo}
+          onItemDone={(item, result) => result.success && applyItemChanges(item.number, result.changes)}
+        />
+      )}
+
+      <Snackbar open={Boolean(message)} autoHideDuration={6000} onClose={() => setMessage(null)}>
+        <Alert severity="error" onClose={() => setMessage(null)}>{message}</Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default MilestonesDashboard;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Chip,
+  Popover,
+  Typography,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Link,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import {
+  CheckCircle as CheckCircleIcon,
+  Cancel as CancelIcon,
+  Schedule as ScheduleIcon,
+  RemoveCircleOutline as RemoveCircleOutlineIcon
+} from '@mui/icons-material';
+import githubService from '../services/githubService';
+import { CHECK_STATES, getCheckState } from '../utils/prChecks';
+
+const BADGE_COLORS = {
+  passing: 'success',
+  failing: 'error',
+  pending: 'warning',
+  none: 'default'
+};
+
+const getCheckIcon = (state) => {
+  switch (state) {
+    case 'success':
+      return <CheckCircleIcon fontSize="small" color="success" />;
+    case 'failure':
+      return <CancelIcon fontSize="small" color="error" />;
+    case 'pending':
+      return <ScheduleIcon fontSize="small" color="warning" />;
+    default:
+      return <RemoveCircleOutlineIcon fontSize="small" color="disabled" />;
+  }
+};
+
+// Failing checks first, since those are what people open the list for
+const CHECK_ORDER = ['failure', 'pending', 'success', 'neutral', 'skipped'];
+
+const PRChecksBadge = ({ pr, owner, repo }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [checks, setChecks] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const state = getCheckState(pr);
+
+  const handleOpen = async (event) => {
+    setAnchorEl(event.currentTarget);
+    setLoading(true);
+    setError(null);
+
+    const result = await githubService.getCommitChecks(owner, repo, pr.head.sha);
+    if (result.success) {
+      setChecks([...result.checks].sort((a, b) => CHECK_ORDER.indexOf(a.state) - CHECK_ORDER.indexOf(b.state)));
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  if (state === 'none') {
+    return <Typography variant="body2" color="text.secondary">-</Typography>;
+  }
+
+  return (
+    <>
+      <Chip
+        label={CHECK_STATES[state]}
+        size="small"
+        color={BADGE_COLORS[state]}
+        variant="outlined"
+        onClick={handleOpen}
+      />
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      >
+        <Box sx={{ p: 2, width: 360, maxHeight: 400, overflow: 'auto' }}>
+          <Typography variant="subtitle2" gutterBottom>
+            Checks on {pr.head.sha.substring(0, 7)}
+          </Typography>
+          {loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+              <CircularProgress size={20} />
+            </Box>
+          ) : error ? (
+            <Alert severity="error">{error}</Alert>
+          ) : checks && checks.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">No checks reported for this commit</Typography>
+          ) : checks && (
+            <List dense disablePadding>
+              {checks.map((check, index) => (
+                <ListItem key={`${check.name}:${index}`} disableGutters>
+                  <ListItemIcon sx={{ minWidth: 32 }}>{getCheckIcon(check.state)}</ListItemIcon>
+                  <ListItemText
+                    primary={check.url ? (
+                      <Link href={check.url} target="_blank" rel="noopener noreferrer">{check.name}</Link>
+                    ) : check.name}
+                    secondary={check.description}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+export default PRChecksBadge;
@@ -0,0 +1,161 @@
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Grid,
+  Typography,
+  ToggleButton,
+  ToggleButtonGroup,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip
+} from 'chart.js';
+import {
+  CYCLE_STAGES,
+  HISTOGRAM_BINS,
+  PERCENTILES,
+  getCycleTimes,
+  summarizeCycleTimes,
+  buildHistogram,
+  buildBreakdown
+} from '../utils/prCycleTime';
+import { formatMetricDuration } from '../utils/doraMetrics';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip);
+
+// Authors and labels beyond this are left out of the breakdown
+const MAX_BREAKDOWN_ROWS = 15;
+
+const PRCycleTimeAnalytics = ({ pullRequests }) => {
+  const [stage, setStage] = useState('openToMerge');
+  const [groupBy, setGroupBy] = useState('author');
+
+  // Drafts haven't been put up for review yet
+  const prs = useMemo(() => pullRequests.filter(pr => !pr.draft), [pullRequests]);
+  const cycleTimes = useMemo(() => prs.map(getCycleTimes), [prs]);
+  const summary = useMemo(() => summarizeCycleTimes(cycleTimes), [cycleTimes]);
+  const breakdown = useMemo(() => buildBreakdown(prs, groupBy), [prs, groupBy]);
+
+  const histogramData = useMemo(() => ({
+    labels: HISTOGRAM_BINS.map(bin => bin.label),
+    datasets: [
+      {
+        label: 'Pull Requests',
+        data: buildHistogram(cycleTimes, stage),
+        backgroundColor: '#2f81f7'
+      }
+    ]
+  }), [cycleTimes, stage]);
+
+  const histogramOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: { legend: { display: false } },
+    scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+  };
+
+  if (summary.firstReview.count === 0 && summary.openToMerge.count === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        None of these pull requests has been reviewed or merged yet
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={6}>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Stage</TableCell>
+                  {PERCENTILES.map(p => <TableCell key={p} align="right">p{p}</TableCell>)}
+                  <TableCell align="right">PRs</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {Object.entries(CYCLE_STAGES).map(([key, label]) => (
+                  <TableRow
+                    key={key}
+                    hover
+                    selected={key === stage}
+                    onClick={() => setStage(key)}
+                    sx={{ cursor: 'pointer' }}
+                  >
+                    <TableCell>{label}</TableCell>
+                    {PERCENTILES.map(p => (
+                      <TableCell key={p} align="right">{formatMetricDuration(summary[key][`p${p}`])}</TableCell>
+                    ))}
+                    <TableCell align="right">{summary[key].count}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+            Reviews by the author don't count. Select a stage to see its distribution.
+          </Typography>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <Typography variant="subtitle2" align="center">
+            {CYCLE_STAGES[stage]}
+          </Typography>
+          <Box sx={{ height: 220 }}>
+            <Bar data={histogramData} options={histogramOptions} />
+          </Box>
+        </Grid>
+      </Grid>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 3, mb: 1 }}>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>Median by</Typography>
+        <ToggleButtonGroup size="small" exclusive value={groupBy} onChange={(e, value) => value && setGroupBy(value)}>
+          <ToggleButton value="author">Author</ToggleButton>
+          <ToggleButton value="label">Label</ToggleButton>
+          <ToggleButton value="size">Size</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>{groupBy === 'author' ? 'Author' : groupBy === 'label' ? 'Label' : 'Size'}</TableCell>
+              <TableCell align="right">PRs</TableCell>
+              {Object.values(CYCLE_STAGES).map(label => <TableCell key={label} align="right">{label}</TableCell>)}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {breakdown.slice(0, MAX_BREAKDOWN_ROWS).map(row => (
+              <TableRow key={row.key}>
+                <TableCell>{row.key}</TableCell>
+                <TableCell align="right">{row.count}</TableCell>
+                {Object.keys(CYCLE_STAGES).map(key => (
+                  <TableCell key={key} align="right">{formatMetricDuration(row.medians[key])}</TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      {groupBy === 'size' && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+          XS up to 10 changed lines, S up to 100, M up to 500, L up to 1000
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default PRCycleTimeAnalytics;
@@ -29,6 +29,12 @@ import {
 } from '@mui/icons-material';
 import { useRepo } from '../contexts/RepoContext';
 import PullRequestList from './PullRequestList';
+import PRCycleTimeAnalytics from './PRCycleTimeAnalytics';
+import ReviewerWorkload from './ReviewerWorkload';
+import PRSizeInsights from './PRSizeInsights';
+import { useUrlState, getListParam, getDateParam } from '../utils/urlState';
+import { format, parseISO } from 'date-fns';
+import { CHECK_STATES, getCheckState } from '../utils/prChecks';
 import { 
   Chart as ChartJS,
   ArcElement,
@@ -54,11 +60,38 @@ ChartJS.register(
 
 const PRDashboard = () => {
   const { pullRequests, labels, milestones: repoMilestones, reviewStatuses: apiReviewStatuses } = useRepo();
-  const [selectedMilestones, setSelectedMilestones] = useState(['all']);
-  const [selectedReviewStatuses, setSelectedReviewStatuses] = useState(['all']);
-  const [selectedLabels, setSelectedLabels] = useState([]);
-  const [startDate, setStartDate] = useState(null);
-  const [endDate, setEndDate] = useState(null);
+  const [searchParams, updateParams] = useUrlState();
+
+  // Filters live in the URL (?milestone=v2&review=approved&from=2026-01-01) so links restore them
+  const filters = useMemo(() => {
+    const withAll = (values) => (values.length > 0 ? values : ['all']);
+    return {
+      milestones: withAll(getListParam(searchParams, 'milestone')),
+      reviewStatuses: withAll(getListParam(searchParams, 'review')),
+      checkStates: withAll(getListParam(searchParams, 'checks')),
+      labels: getListParam(searchParams, 'label'),
+      startDate: getDateParam(searchParams, 'from'),
+      endDate: getDateParam(searchParams, 'to')
+    };
+  }, [searchParams]);
+  const {
+    milestones: selectedMilestones,
+    reviewStatuses: selectedReviewStatuses,
+    checkStates: selectedCheckStates,
+    labels: selectedLabels,
+    startDate,
+    endDate
+  } = filters;
+
+  // Changing a filter goes back to the first page of results
+  const updateFilter = (key, value) => updateParams({ [key]: value, page: null });
+  const withoutAll = (values) => (values.includes('all') ? [] : values);
+  const setSelectedMilestones = (values) => updateFilter('milestone', withoutAll(values));
+  const setSelectedReviewStatuses = (values) => updateFilter('review', withoutAll(values));
+  const setSelectedCheckStates = (values) => updateFilter('checks', withoutAll(values));
+  const setSelectedLabels = (values) => updateFilter('label', values);
+  const setStartDate = (date) => updateFilter('from', date);
+  const setEndDate = (date) => updateFilter('to', date);
   
   // Search states for filters
   const [milestoneSearch, setMilestoneSearch] = useState('');
@@ -115,6 +148,13 @@ const PRDashboard = () => {
         }
       }
       
+      // If 'all' is not selected, filter by CI check state
+      if (!selectedCheckStates.includes('all')) {
+        if (!selectedCheckStates.includes(getCheckState(pr))) {
+          return false;
+        }
+      }
+      
       // Filter by labels if any are selected
       if (selectedLabels.length > 0) {
         // Get array of label names from the PR
@@ -145,7 +185,7 @@ const PRDashboard = () => {
 
       return true;
     });
-  }, [pullRequests, selectedMilestones, selectedReviewStatuses, selectedLabels, startDate, endDate]);
+  }, [pullRequests, selectedMilestones, selectedReviewStatuses, selectedCheckStates, selectedLabels, startDate, endDate]);
 
   // Calculate PR statistics - based on filtered data
   const stats = useMemo(() => {
@@ -330,6 +370,27 @@ const PRDashboard = () => {
         </Grid>
       </Grid>
 
+      {/* Cycle Time */}
+      <Paper sx={{ p: 2, mb: 4 }}>
+        <Typography variant="h6" gutterBottom>
+          Cycle Time
+        </Typography>
+        <PRCycleTimeAnalytics pullRequests={filteredPRs} />
+      </Paper>
+
+      {/* Size */}
+      <Paper sx={{ p: 2, mb: 4 }}>
+        <Typography variant="h6" gutterBottom>
+          Review Time and Merge Rate by Size
+        </Typography>
+        <PRSizeInsights pullRequests={filteredPRs} />
+      </Paper>
+
+      {/* Reviewers */}
+      <Paper sx={{ p: 2, mb: 4 }}>
+        <ReviewerWorkload pullRequests={filteredPRs} />
+      </Paper>
+
       {/* Filters */}
       <Box sx={{ mb: 3, display: 'flex', gap: 2, flexWrap: 'wrap' }}>
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
@@ -339,10 +400,10 @@ const PRDashboard = () => {
             size="small"
             sx={{ width: 170 }}
             InputLabelProps={{ shrink: true }}
-            value={startDate ? new Date(startDate).toISOString().split('T')[0] : ''}
+            value={startDate ? format(startDate, 'yyyy-MM-dd') : ''}
             onChange={(e) => {
               if (e.target.value) {
-                setStartDate(new Date(e.target.value));
+                setStartDate(parseISO(e.target.value));
               } else {
                 setStartDate(null);
               }
@@ -361,10 +422,10 @@ const PRDashboard = () => {
             size="small"
             sx={{ width: 170 }}
             InputLabelProps={{ shrink: true }}
-            value={endDate ? new Date(endDate).toISOString().split('T')[0] : ''}
+            value={endDate ? format(endDate, 'yyyy-MM-dd') : ''}
             onChange={(e) => {
               if (e.target.value) {
-                setEndDate(new Date(e.target.value));
+                setEndDate(parseISO(e.target.value));
               } else {
                 setEndDate(null);
               }
@@ -523,6 +584,35 @@ const PRDashboard = () => {
           </Select>
         </FormControl>
         
+        <FormControl sx={{ minWidth: 160, maxWidth: 300 }}>
+          <InputLabel>Checks</InputLabel>
+          <Select
+            multiple
+            value={selectedCheckStates}
+            label="Checks"
+            onChange={(e) => {
+              const values = e.target.value;
+              // Same "all" handling as the other filters
+              if (values.includes('all') && !selectedCheckStates.includes('all')) {
+                setSelectedCheckStates(['all']);
+              } else if (values.includes('all') && values.length > 1) {
+                setSelectedCheckStates(values.filter(v => v !== 'all'));
+              } else {
+                setSelectedCheckStates(values);
+              }
+            }}
+            renderValue={(selected) => {
+              if (selected.includes('all')) return 'All Checks';
+              return selected.map(state => CHECK_STATES[state]).join(', ');
+            }}
+          >
+            <MenuItem value="all">All Checks</MenuItem>
+            {Object.entries(CHECK_STATES).map(([state, label]) => (
+              <MenuItem key={state} value={state}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        
         <FormControl sx={{ minWidth: 200, maxWidth: 300 }}>
           <InputLabel>Filter by Labels</InputLabel>
           <Select
@@ -0,0 +1,109 @@
+import React, { useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { buildSizeInsights } from '../utils/prCycleTime';
+import { formatMetricDuration } from '../utils/doraMetrics';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const PRSizeInsights = ({ pullRequests }) => {
+  const insights = useMemo(() => buildSizeInsights(pullRequests), [pullRequests]);
+  const sizedCount = insights.reduce((sum, bucket) => sum + bucket.count, 0);
+
+  const chartData = useMemo(() => ({
+    labels: insights.map(bucket => bucket.size),
+    datasets: [
+      {
+        label: 'Median hours to first review',
+        data: insights.map(bucket => (
+          bucket.medianFirstReview === null ? null : Math.round((bucket.medianFirstReview / HOUR_MS) * 10) / 10
+        )),
+        backgroundColor: '#2f81f7',
+        yAxisID: 'y'
+      },
+      {
+        label: 'Merge rate (%)',
+        data: insights.map(bucket => (bucket.mergeRate === null ? null : Math.round(bucket.mergeRate * 100))),
+        backgroundColor: '#4caf50',
+        yAxisID: 'y1'
+      }
+    ]
+  }), [insights]);
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: { legend: { position: 'top' } },
+    scales: {
+      y: { beginAtZero: true, position: 'left', title: { display: true, text: 'Hours' } },
+      y1: { beginAtZero: true, max: 100, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: '%' } }
+    }
+  };
+
+  if (sizedCount === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        Line counts haven't been loaded for these pull requests
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ height: 260 }}>
+        <Bar data={chartData} options={chartOptions} />
+      </Box>
+      <TableContainer sx={{ mt: 2 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Size</TableCell>
+              <TableCell align="right">PRs</TableCell>
+              <TableCell align="right">Median first review</TableCell>
+              <TableCell align="right">Median open to merge</TableCell>
+              <TableCell align="right">Merge rate</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {insights.map(bucket => (
+              <TableRow key={bucket.size}>
+                <TableCell>{bucket.size}</TableCell>
+                <TableCell align="right">{bucket.count}</TableCell>
+                <TableCell align="right">{formatMetricDuration(bucket.medianFirstReview)}</TableCell>
+                <TableCell align="right">{formatMetricDuration(bucket.medianOpenToMerge)}</TableCell>
+                <TableCell align="right">
+                  {bucket.mergeRate === null ? '-' : `${Math.round(bucket.mergeRate * 100)}%`}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+        Size is lines added plus deleted: XS up to 10, S up to 100, M up to 500, L up to 1000.
+        The merge rate counts closed pull requests only.
+      </Typography>
+    </Box>
+  );
+};
+
+export default PRSizeInsights;
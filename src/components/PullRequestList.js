@@ -20,7 +20,11 @@ import {
   TextField,
   Autocomplete,
   ClickAwayListener,
-  Button
+  Button,
+  Alert,
+  Snackbar,
+  TableSortLabel,
+  Checkbox
 } from '@mui/material';
 import { 
   Launch as LaunchIcon,
@@ -28,20 +32,41 @@ import {
   Error as ErrorIcon,
   PriorityHigh as PriorityHighIcon,
   HourglassEmpty as HourglassEmptyIcon,
-  Add as AddIcon
+  Add as AddIcon,
+  CallSplit as CallSplitIcon
 } from '@mui/icons-material';
 import { useRepo } from '../contexts/RepoContext';
 import Pagination from './common/Pagination';
+import PRChecksBadge from './PRChecksBadge';
+import BulkActionBar from './BulkActionBar';
+import { useUrlState, getListParam, getNumberParam } from '../utils/urlState';
+import { getChangedLines, getSizeBucket } from '../utils/prCycleTime';
+
+// Size badge colors, from trivial to hard to review
+const SIZE_COLORS = {
+  XS: 'success',
+  S: 'success',
+  M: 'info',
+  L: 'warning',
+  XL: 'error'
+};
 
 const PullRequestList = ({ customPRs }) => {
-  const { pullRequests, labels, addLabelToItem, removeLabelFromItem } = useRepo();
-  const [filterLabels, setFilterLabels] = useState([]);
-  const [page, setPage] = useState(1);
-  const [rowsPerPage, setRowsPerPage] = useState(50);
+  const { owner, repo, pullRequests, labels, setItemLabels, flushLabelEdits } = useRepo();
+  const [searchParams, updateParams] = useUrlState();
+  // ?label=bug&label=ui, the same parameter the Pull Requests tab filters on
+  const filterLabels = useMemo(() => getListParam(searchParams, 'label'), [searchParams]);
+  const page = getNumberParam(searchParams, 'page', 1);
+  const rowsPerPage = getNumberParam(searchParams, 'perPage', 50);
+  // ?sort=size or ?sort=-size; without it PRs keep the most recently updated first order
+  const sort = searchParams.get('sort');
   const [editingLabels, setEditingLabels] = useState(null);
   const [inputValue, setInputValue] = useState('');
   const [selectedLabels, setSelectedLabels] = useState([]);
+  const [labelError, setLabelError] = useState('');
   const labelCellRef = useRef(null);
+  // Numbers of the PRs picked for a bulk action
+  const [selectedNumbers, setSelectedNumbers] = useState(() => new Set());
   
   // Use customPRs if provided, otherwise use the ones from context
   const prData = customPRs || pullRequests;
@@ -64,12 +89,72 @@ const PullRequestList = ({ customPRs }) => {
     return filtered;
   }, [prData, filterLabels, customPRs]);
 
-  // Apply pagination to the filtered PRs
+  // PRs without line counts go last in either direction
+  const sortedPRs = useMemo(() => {
+    if (sort !== 'size' && sort !== '-size') return filteredPRs;
+    const direction = sort === 'size' ? 1 : -1;
+    return [...filteredPRs].sort((a, b) => {
+      const aLines = getChangedLines(a);
+      const bLines = getChangedLines(b);
+      if (aLines === null || bLines === null) return (aLines === null) - (bLines === null);
+      return (aLines - bLines) * direction;
+    });
+  }, [filteredPRs, sort]);
+
+  // Apply pagination to the sorted PRs
   const paginatedPRs = useMemo(() => {
     const startIndex = (page - 1) * rowsPerPage;
     const endIndex = startIndex + rowsPerPage;
-    return filteredPRs.slice(startIndex, endIndex);
-  }, [filteredPRs, page, rowsPerPage]);
+    return sortedPRs.slice(startIndex, endIndex);
+  }, [sortedPRs, page, rowsPerPage]);
+
+  // Selected PRs as they are now, so bulk actions plan against the latest state
+  const selectedPRs = useMemo(
+    () => sortedPRs.filter(pr => selectedNumbers.has(pr.number)),
+    [sortedPRs, selectedNumbers]
+  );
+  const pageSelectedCount = paginatedPRs.filter(pr => selectedNumbers.has(pr.number)).length;
+
+  const toggleSelected = (number) => {
+    setSelectedNumbers(prev => {
+      const next = new Set(prev);
+      if (next.has(number)) next.delete(number); else next.add(number);
+      return next;
+    });
+  };
+
+  // The header checkbox selects or clears the current page
+  const togglePageSelected = () => {
+    setSelectedNumbers(prev => {
+      const next = new Set(prev);
+      const selectAll = pageSelectedCount < paginatedPRs.length;
+      paginatedPRs.forEach(pr => (selectAll ? next.add(pr.number) : next.delete(pr.number)));
+      return next;
+    });
+  };
+
+  // Smallest first, then largest first, then back to the default order
+  const handleSizeSort = () => {
+    const nextSort = sort === 'size' ? '-size' : sort === '-size' ? null : 'size';
+    updateParams({ sort: nextSort, page: null });
+  };
+
+  const renderSize = (pr) => {
+    const lines = getChangedLines(pr);
+    if (lines === null) {
+      return <Typography variant="body2" color="text.secondary">-</Typography>;
+    }
+
+    const size = getSizeBucket(pr);
+    const files = typeof pr.changed_files === 'number'
+      ? ` in ${pr.changed_files} file${pr.changed_files === 1 ? '' : 's'}`
+      : '';
+    return (
+      <Tooltip title={`+${pr.additions} −${pr.deletions}${files}`}>
+        <Chip label={size} size="small" color={SIZE_COLORS[size]} variant="outlined" />
+      </Tooltip>
+    );
+  };
   
   const handleLabelClick = (pr) => {
     setEditingLabels(pr.number);
@@ -78,36 +163,26 @@ const PullRequestList = ({ customPRs }) => {
   };
   
   const handleLabelEditClose = () => {
+    // Send any edits still waiting to be batched
+    if (editingLabels) flushLabelEdits(editingLabels);
     setEditingLabels(null);
     setInputValue('');
     setSelectedLabels([]);
   };
   
+  // The change shows straight away; edits made in quick succession are sent together
   const handleLabelChange = async (event, newValue) => {
     if (!editingLabels) return;
     
-    const currentPR = prData.find(pr => pr.number === editingLabels);
-    if (!currentPR) return;
-    
-    const currentLabels = currentPR.labels.map(label => label.name);
-    
-    // Find labels to add (in newValue but not in currentLabels)
-    const labelsToAdd = newValue.filter(label => !currentLabels.includes(label));
-    
-    // Find labels to remove (in currentLabels but not in newValue)
-    const labelsToRemove = currentLabels.filter(label => !newValue.includes(label));
-    
-    // Add new labels
-    for (const label of labelsToAdd) {
-      await addLabelToItem(editingLabels, label);
-    }
+    const itemNumber = editingLabels;
+    setSelectedLabels(newValue);
     
-    // Remove labels
-    for (const label of labelsToRemove) {
-      await removeLabelFromItem(editingLabels, label);
+    const result = await setItemLabels(itemNumber, newValue);
+    if (!result.success) {
+      setLabelError(`Couldn't update labels on #${itemNumber}: ${result.error}`);
+      // The labels were rolled back, so close the editor rather than show the failed edit
+      setEditingLabels(current => (current === itemNumber ? null : current));
     }
-    
-    setSelectedLabels(newValue);
   };
 
   const getStatusIcon = (pr) => {
@@ -138,17 +213,17 @@ const PullRequestList = ({ customPRs }) => {
     const {
       target: { value },
     } = event;
-    setFilterLabels(typeof value === 'string' ? value.split(',') : value);
     // Reset to first page when filter changes
-    setPage(1);
+    updateParams({ label: typeof value === 'string' ? value.split(',') : value, page: null });
   };
 
+  // Page 1 and 50 rows are the defaults, so they are left out of the URL
   const handlePageChange = (newPage) => {
-    setPage(newPage);
+    updateParams({ page: newPage === 1 ? null : newPage });
   };
 
   const handleRowsPerPageChange = (newRowsPerPage) => {
-    setRowsPerPage(newRowsPerPage);
+    updateParams({ perPage: newRowsPerPage === 50 ? null : newRowsPerPage, page: null });
   };
 
   return (
@@ -183,12 +258,38 @@ const PullRequestList = ({ customPRs }) => {
         </Box>
       )}
       
+      {selectedPRs.length > 0 && (
+        <BulkActionBar
+          selectedItems={selectedPRs}
+          onClearSelection={() => setSelectedNumbers(new Set())}
+        />
+      )}
+      
       <TableContainer component={customPRs ? Box : Paper}>
         <Table sx={{ minWidth: 650 }} aria-label="pull requests table">
           <TableHead>
             <TableRow>
+              <TableCell padding="checkbox">
+                <Checkbox
+                  size="small"
+                  indeterminate={pageSelectedCount > 0 && pageSelectedCount < paginatedPRs.length}
+                  checked={paginatedPRs.length > 0 && pageSelectedCount === paginatedPRs.length}
+                  onChange={togglePageSelected}
+                  inputProps={{ 'aria-label': 'select all pull requests on this page' }}
+                />
+              </TableCell>
               <TableCell>Title</TableCell>
               <TableCell>Status</TableCell>
+              <TableCell>Checks</TableCell>
+              <TableCell sortDirection={sort === 'size' ? 'asc' : sort === '-size' ? 'desc' : false}>
+                <TableSortLabel
+                  active={sort === 'size' || sort === '-size'}
+                  direction={sort === '-size' ? 'desc' : 'asc'}
+                  onClick={handleSizeSort}
+                >
+                  Size
+                </TableSortLabel>
+              </TableCell>
               <TableCell>Author</TableCell>
               <TableCell>Updated</TableCell>
               <TableCell>Labels</TableCell>
@@ -199,7 +300,14 @@ const PullRequestList = ({ customPRs }) => {
           <TableBody>
             {paginatedPRs.length > 0 ? (
               paginatedPRs.map((pr) => (
-                <TableRow key={pr.id}>
+                <TableRow key={pr.id} selected={selectedNumbers.has(pr.number)}>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      size="small"
+                      checked={selectedNumbers.has(pr.number)}
+                      onChange={() => toggleSelected(pr.number)}
+                    />
+                  </TableCell>
                   <TableCell component="th" scope="row">
                     #{pr.number} {pr.title}
                   </TableCell>
@@ -209,8 +317,17 @@ const PullRequestList = ({ customPRs }) => {
                       <Typography variant="body2" sx={{ ml: 1 }}>
                         {getStatusText(pr)}
                       </Typography>
+                      {pr.state === 'open' && (pr.mergeable === false || pr.mergeable_state === 'dirty') && (
+                        <Tooltip title="Has merge conflicts">
+                          <CallSplitIcon fontSize="small" color="error" sx={{ ml: 1 }} />
+                        </Tooltip>
+                      )}
                     </Box>
                   </TableCell>
+                  <TableCell>
+                    <PRChecksBadge pr={pr} owner={owner} repo={repo} />
+                  </TableCell>
+                  <TableCell>{renderSize(pr)}</TableCell>
                   <TableCell>
                     <Box sx={{ display: 'flex', alignItems: 'center' }}>
                       <Tooltip title={pr.user.login}>
@@ -337,7 +454,7 @@ const PullRequestList = ({ customPRs }) => {
               ))
             ) : (
               <TableRow>
-                <TableCell colSpan={customPRs ? 7 : 6} align="center">
+                <TableCell colSpan={customPRs ? 10 : 9} align="center">
                   No pull requests found
                 </TableCell>
               </TableRow>
@@ -355,6 +472,16 @@ const PullRequestList = ({ customPRs }) => {
           onRowsPerPageChange={handleRowsPerPageChange}
         />
       )}
+      
+      <Snackbar
+        open={Boolean(labelError)}
+        autoHideDuration={6000}
+        onClose={() => setLabelError('')}
+      >
+        <Alert severity="error" onClose={() => setLabelError('')}>
+          {labelError}
+        </Alert>
+      </Snackbar>
     </Box>
   );
 };
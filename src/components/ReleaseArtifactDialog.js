@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  ListSubheader,
+  Radio,
+  TextField,
+  Alert,
+  CircularProgress,
+  Chip
+} from '@mui/material';
+import githubService from '../services/githubService';
+import { formatBytes } from '../utils/artifacts';
+
+// Each run costs a request, and the build is almost always among the latest
+const MAX_BUILD_RUNS = 10;
+
+const ReleaseArtifactDialog = ({ release, owner, repo, open, onClose, onAttach }) => {
+  // Runs of the tagged commit with their artifacts: [{ run, artifacts }]
+  const [builds, setBuilds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedArtifact, setSelectedArtifact] = useState(null);
+  const [assetName, setAssetName] = useState('');
+  const [attaching, setAttaching] = useState(false);
+  const [attachError, setAttachError] = useState(null);
+
+  useEffect(() => {
+    if (!open || !release) return;
+
+    let cancelled = false;
+    setBuilds([]);
+    setError(null);
+    setSelectedArtifact(null);
+    setAssetName('');
+    setAttachError(null);
+    setLoading(true);
+
+    (async () => {
+      const tagsResult = await githubService.getTags(owner, repo);
+      if (cancelled) return;
+      const tag = tagsResult.success ? tagsResult.tags.find(t => t.name === release.tag_name) : null;
+      if (!tag) {
+        setError(tagsResult.success
+          ? `The tag ${release.tag_name} doesn't exist yet, so there's no build to take artifacts from`
+          : tagsResult.error);
+        setLoading(false);
+        return;
+      }
+
+      const runsResult = await githubService.getWorkflowRuns(owner, repo, null, true, {
+        headSha: tag.commit.sha,
+        maxRuns: 100
+      });
+      if (cancelled) return;
+      if (!runsResult.success) {
+        setError(runsResult.error);
+        setLoading(false);
+        return;
+      }
+
+      const completedRuns = runsResult.workflowRuns
+        .filter(run => run.status === 'completed')
+        .slice(0, MAX_BUILD_RUNS);
+      const artifactResults = await Promise.all(
+        completedRuns.map(run => githubService.getArtifacts(owner, repo, run.id))
+      );
+      if (cancelled) return;
+
+      setBuilds(completedRuns
+        .map((run, index) => ({
+          run,
+          artifacts: artifactResults[index].success ? artifactResults[index].artifacts : []
+        }))
+        .filter(build => build.artifacts.length > 0));
+      setLoading(false);
+    })();
+
+    return () => { cancelled = true; };
+  }, [open, release, owner, repo]);
+
+  const handleSelect = (artifact) => {
+    setSelectedArtifact(artifact);
+    setAssetName(`${artifact.name}.zip`);
+  };
+
+  const existingNames = new Set(((release && release.assets) || []).map(asset => asset.name));
+  const nameTaken = existingNames.has(assetName.trim());
+
+  const handleAttach = async () => {
+    setAttaching(true);
+    setAttachError(null);
+
+    const result = await onAttach(release, selectedArtifact, assetName.trim());
+    setAttaching(false);
+
+    if (result.success) {
+      onClose();
+    } else {
+      setAttachError(result.error);
+    }
+  };
+
+  if (!release) return null;
+
+  return (
+    <Dialog open={open} onClose={() => !attaching && onClose()} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        Attach Artifact to {release.name || release.tag_name}
+        <Typography variant="body2" color="text.secondary">
+          Artifacts uploaded by workflow runs of {release.tag_name}
+        </Typography>
+      </DialogTitle>
+      <DialogContent dividers>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : error ? (
+          <Alert severity="info">{error}</Alert>
+        ) : builds.length === 0 ? (
+          <Alert severity="info">
+            No workflow run of {release.tag_name} has artifacts
+          </Alert>
+        ) : (
+          <List dense disablePadding>
+            {builds.map(({ run, artifacts }) => (
+              <React.Fragment key={run.id}>
+                <ListSubheader disableSticky sx={{ display: 'flex', alignItems: 'center', gap: 1, px: 0 }}>
+                  {run.name} #{run.run_number}
+                  <Chip size="small" label={run.conclusion} color={run.conclusion === 'success' ? 'success' : 'default'} />
+                </ListSubheader>
+                {artifacts.map(artifact => (
+                  <ListItemButton
+                    key={artifact.id}
+                    disabled={artifact.expired}
+                    selected={Boolean(selectedArtifact && selectedArtifact.id === artifact.id)}
+                    onClick={() => handleSelect(artifact)}
+                  >
+                    <ListItemIcon sx={{ minWidth: 36 }}>
+                      <Radio
+                        size="small"
+                        edge="start"
+                        checked={Boolean(selectedArtifact && selectedArtifact.id === artifact.id)}
+                        tabIndex={-1}
+                      />
+                    </ListItemIcon>
+                    <ListItemText
+                      primary={artifact.name}
+                      secondary={artifact.expired ? 'Expired' : formatBytes(artifact.size_in_bytes)}
+                    />
+                  </ListItemButton>
+                ))}
+              </React.Fragment>
+            ))}
+          </List>
+        )}
+
+        {selectedArtifact && (
+          <TextField
+            fullWidth
+            size="small"
+            label="Asset name"
+            value={assetName}
+            onChange={(e) => setAssetName(e.target.value)}
+            error={nameTaken}
+            helperText={nameTaken
+              ? 'The release already has an asset with this name'
+              : 'Artifacts are downloaded as zip archives and attached as they are'}
+            sx={{ mt: 2 }}
+          />
+        )}
+
+        {attachError && <Alert severity="error" sx={{ mt: 2 }}>{attachError}</Alert>}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={attaching}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleAttach}
+          disabled={!selectedArtifact || !assetName.trim() || nameTaken || attaching}
+          startIcon={attaching ? <CircularProgress size={16} /> : null}
+        >
+          {attaching ? 'Attaching...' : 'Attach'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReleaseArtifactDialog;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  Switch,
+  IconButton,
+  TextField,
+  Box,
+  Typography,
+  Tooltip
+} from '@mui/material';
+import {
+  ArrowUpward as ArrowUpwardIcon,
+  ArrowDownward as ArrowDownwardIcon
+} from '@mui/icons-material';
+import { ASSOCIATION_RULE_TYPES, DEFAULT_ASSOCIATION_RULES } from '../utils/releaseAssociation';
+
+// Check that a label pattern compiles
+const isValidPattern = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const ReleaseAssociationRulesDialog = ({ open, rules, onClose, onSave }) => {
+  const [draftRules, setDraftRules] = useState([]);
+
+  // Start from the saved rules every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setDraftRules(rules.length > 0 ? rules : DEFAULT_ASSOCIATION_RULES);
+    }
+  }, [open, rules]);
+
+  const updateRule = (index, changes) => {
+    setDraftRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const moveRule = (index, offset) => {
+    setDraftRules(prev => {
+      const reordered = [...prev];
+      const [rule] = reordered.splice(index, 1);
+      reordered.splice(index + offset, 0, rule);
+      return reordered;
+    });
+  };
+
+  const hasInvalidPattern = draftRules.some(rule =>
+    rule.type === 'label-pattern' && rule.enabled && !isValidPattern(rule.pattern)
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Issue Association Rules</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary">
+          An issue belongs to a release when any enabled rule matches. Rules are listed in priority order.
+        </Typography>
+        <List>
+          {draftRules.map((rule, index) => (
+            <ListItem key={rule.type} divider sx={{ flexWrap: 'wrap' }}>
+              <Switch
+                edge="start"
+                checked={rule.enabled}
+                onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+              />
+              <ListItemText
+                primary={ASSOCIATION_RULE_TYPES[rule.type].label}
+                secondary={ASSOCIATION_RULE_TYPES[rule.type].description}
+              />
+              <Box>
+                <Tooltip title="Move up">
+                  <span>
+                    <IconButton size="small" onClick={() => moveRule(index, -1)} disabled={index === 0}>
+                      <ArrowUpwardIcon fontSize="small" />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+                <Tooltip title="Move down">
+                  <span>
+                    <IconButton
+                      size="small"
+                      onClick={() => moveRule(index, 1)}
+                      disabled={index === draftRules.length - 1}
+                    >
+                      <ArrowDownwardIcon fontSize="small" />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              </Box>
+              {rule.type === 'label-pattern' && (
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Label pattern (regular expression)"
+                  value={rule.pattern}
+                  onChange={(e) => updateRule(index, { pattern: e.target.value })}
+                  error={!isValidPattern(rule.pattern)}
+                  helperText={
+                    isValidPattern(rule.pattern)
+                      ? 'The first capture group is compared with the tag, e.g. release-(.+) matches "release-v1.2" to v1.2'
+                      : 'Invalid regular expression'
+                  }
+                  disabled={!rule.enabled}
+                  sx={{ mt: 1 }}
+                />
+              )}
+            </ListItem>
+          ))}
+        </List>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setDraftRules(DEFAULT_ASSOCIATION_RULES)}>Reset to Defaults</Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={() => onSave(draftRules)} disabled={hasInvalidPattern}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReleaseAssociationRulesDialog;
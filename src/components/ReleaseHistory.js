@@ -16,7 +16,8 @@ import {
 } from '@mui/icons-material';
 import { useRepo } from '../contexts/RepoContext';
 
-const ReleaseHistory = () => {
+// currentReleaseId highlights one release; onSelectRelease makes entries clickable
+const ReleaseHistory = ({ currentReleaseId = null, onSelectRelease = null }) => {
   const { releases } = useRepo();
   
   // Sort releases by date (newest first)
@@ -53,8 +54,14 @@ const ReleaseHistory = () => {
                   {getReleaseDot(release)}
                   {index < sortedReleases.length - 1 && <TimelineConnector />}
                 </TimelineSeparator>
-                <TimelineContent>
-                  <Typography variant="h6" component="span">
+                <TimelineContent
+                  onClick={onSelectRelease ? () => onSelectRelease(release) : undefined}
+                  sx={{
+                    cursor: onSelectRelease ? 'pointer' : 'default',
+                    color: release.id === currentReleaseId ? 'primary.main' : 'inherit'
+                  }}
+                >
+                  <Typography variant="h6" component="span" sx={{ fontWeight: release.id === currentReleaseId ? 700 : 'inherit' }}>
                     {release.name}
                   </Typography>
                   <Typography variant="body2">
@@ -0,0 +1,62 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Box,
+  Link,
+  Tooltip,
+  Typography
+} from '@mui/material';
+
+const ReleaseIssuesDialog = ({ release, open, onClose }) => {
+  const associatedIssues = release ? release.associatedIssues || [] : [];
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        Issues in {release ? release.name || release.tag_name : ''}
+      </DialogTitle>
+      <DialogContent>
+        {associatedIssues.length > 0 ? (
+          <List dense>
+            {associatedIssues.map(({ issue, matches }) => (
+              <ListItem key={issue.id} divider>
+                <ListItemText
+                  primary={
+                    <Link href={issue.html_url} target="_blank" rel="noopener noreferrer">
+                      #{issue.number} {issue.title}
+                    </Link>
+                  }
+                  secondary={issue.state}
+                />
+                <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', justifyContent: 'flex-end', ml: 2 }}>
+                  {matches.map(match => (
+                    <Tooltip key={match.type} title={match.detail}>
+                      <Chip label={match.label} size="small" variant="outlined" />
+                    </Tooltip>
+                  ))}
+                </Box>
+              </ListItem>
+            ))}
+          </List>
+        ) : (
+          <Typography variant="body2" color="text.secondary">
+            No issues match this release's association rules.
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReleaseIssuesDialog;
@@ -1,4 +1,5 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useMemo } from 'react';
+import { Link as RouterLink, useNavigate } from 'react-router-dom';
 import { 
   Box, 
   Typography, 
@@ -23,16 +24,36 @@ import {
   FormControl,
   InputLabel,
   Select,
-  InputAdornment
+  InputAdornment,
+  Alert,
+  CircularProgress,
+  Link
 } from '@mui/material';
 import { 
   Edit as EditIcon, 
   Launch as LaunchIcon, 
   MoreVert as MoreVertIcon,
   Add as AddIcon,
-  DateRange as DateRangeIcon
+  DateRange as DateRangeIcon,
+  AutoAwesome as AutoAwesomeIcon,
+  Rule as RuleIcon,
+  Info as InfoIcon,
+  Inventory2 as Inventory2Icon
 } from '@mui/icons-material';
 import { useRepo } from '../contexts/RepoContext';
+import githubService from '../services/githubService';
+import { useUrlState, getDateParam } from '../utils/urlState';
+import { format, parseISO } from 'date-fns';
+import { buildReleaseNotes } from '../utils/releaseNotes';
+import {
+  isPromotion,
+  loadReadinessConfig,
+  loadReadinessOverrides
+} from '../utils/releaseReadiness';
+import ReleaseReadinessChecklist from './ReleaseReadinessChecklist';
+import ReleaseIssuesDialog from './ReleaseIssuesDialog';
+import ReleaseAssociationRulesDialog from './ReleaseAssociationRulesDialog';
+import ReleaseArtifactDialog from './ReleaseArtifactDialog';
 
 const getPhaseColor = (phase) => {
   switch (phase) {
@@ -44,14 +65,31 @@ const getPhaseColor = (phase) => {
 };
 
 const ReleaseList = () => {
-  const { releases, createNewRelease, updateReleasePhase, loading } = useRepo();
+  const {
+    currentRepo,
+    owner,
+    repo,
+    releases,
+    createNewRelease,
+    updateReleasePhase,
+    attachArtifactToRelease,
+    evaluateReleaseReadiness,
+    associationRules,
+    updateAssociationRules,
+    issueTypeConfig,
+    loading
+  } = useRepo();
+  const navigate = useNavigate();
   const [anchorEl, setAnchorEl] = useState(null);
   const [selectedRelease, setSelectedRelease] = useState(null);
   const [dialogOpen, setDialogOpen] = useState(false);
   const [phaseDialogOpen, setPhaseDialogOpen] = useState(false);
   const [newPhase, setNewPhase] = useState('');
-  const [startDate, setStartDate] = useState(null);
-  const [endDate, setEndDate] = useState(null);
+  const [searchParams, updateParams] = useUrlState();
+  const startDate = useMemo(() => getDateParam(searchParams, 'from'), [searchParams]);
+  const endDate = useMemo(() => getDateParam(searchParams, 'to'), [searchParams]);
+  const setStartDate = (date) => updateParams({ from: date });
+  const setEndDate = (date) => updateParams({ to: date });
   const [newRelease, setNewRelease] = useState({
     name: '',
     tagName: '',
@@ -59,6 +97,21 @@ const ReleaseList = () => {
     draft: true,
     prerelease: false
   });
+  const [tags, setTags] = useState([]);
+  const [previousTag, setPreviousTag] = useState('');
+  const [notesSource, setNotesSource] = useState('pull-requests');
+  const [generatingNotes, setGeneratingNotes] = useState(false);
+  const [notesError, setNotesError] = useState('');
+  const [readiness, setReadiness] = useState(null);
+  const [evaluatingReadiness, setEvaluatingReadiness] = useState(false);
+  const [readinessConfig, setReadinessConfig] = useState(null);
+  const [overrideReason, setOverrideReason] = useState('');
+  const [phaseError, setPhaseError] = useState('');
+  // Ignore results from checks that were superseded by a newer run
+  const readinessRunRef = useRef(0);
+  const [issuesDialogRelease, setIssuesDialogRelease] = useState(null);
+  const [rulesDialogOpen, setRulesDialogOpen] = useState(false);
+  const [artifactDialogRelease, setArtifactDialogRelease] = useState(null);
 
   const handleMenuOpen = (event, release) => {
     setAnchorEl(event.currentTarget);
@@ -69,25 +122,88 @@ const ReleaseList = () => {
     setAnchorEl(null);
   };
 
+  const handleViewDetails = () => {
+    handleMenuClose();
+    navigate(`/dashboard/releases/${selectedRelease.id}`);
+  };
+
+  const handleAttachArtifact = () => {
+    handleMenuClose();
+    setArtifactDialogRelease(selectedRelease);
+  };
+
+  // Run the readiness checks when the selected phase is a promotion
+  const runReadinessChecks = async (phase) => {
+    const runId = ++readinessRunRef.current;
+    setReadiness(null);
+    
+    if (!selectedRelease || !isPromotion(selectedRelease.phase, phase)) return;
+    
+    setEvaluatingReadiness(true);
+    const result = await evaluateReleaseReadiness(selectedRelease);
+    if (runId === readinessRunRef.current) {
+      setReadiness(result);
+      setEvaluatingReadiness(false);
+    }
+  };
+
   const handlePhaseDialogOpen = () => {
     handleMenuClose();
     setNewPhase(selectedRelease.phase);
+    setReadinessConfig(loadReadinessConfig(owner, repo));
+    setReadiness(null);
+    setOverrideReason('');
+    setPhaseError('');
     setPhaseDialogOpen(true);
   };
 
   const handlePhaseDialogClose = () => {
+    readinessRunRef.current++;
+    setEvaluatingReadiness(false);
     setPhaseDialogOpen(false);
   };
 
+  const handleNewPhaseChange = (phase) => {
+    setNewPhase(phase);
+    setPhaseError('');
+    runReadinessChecks(phase);
+  };
+
   const handlePhaseChange = async () => {
     if (selectedRelease && newPhase) {
-      await updateReleasePhase(selectedRelease.id, newPhase);
-      handlePhaseDialogClose();
+      const result = await updateReleasePhase(selectedRelease.id, newPhase, {
+        readiness,
+        overrideReason
+      });
+      
+      if (result.success) {
+        handlePhaseDialogClose();
+      } else {
+        setPhaseError(result.error);
+      }
     }
   };
 
-  const handleCreateDialogOpen = () => {
+  const handleCreateDialogOpen = async () => {
     setDialogOpen(true);
+    setNotesError('');
+    
+    // Load tags so the previous tag can be picked for release notes
+    const result = await githubService.getTags(owner, repo);
+    if (result.success) {
+      setTags(result.tags);
+      // Default to the tag of the most recent release
+      const latestRelease = [...releases]
+        .filter(release => !release.draft)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+      if (latestRelease && result.tags.some(tag => tag.name === latestRelease.tag_name)) {
+        setPreviousTag(latestRelease.tag_name);
+      } else if (result.tags.length > 0) {
+        setPreviousTag(result.tags[0].name);
+      }
+    } else {
+      setNotesError(`Failed to load tags: ${result.error}`);
+    }
   };
 
   const handleCreateDialogClose = () => {
@@ -108,6 +224,55 @@ const ReleaseList = () => {
     }
   };
 
+  const handleGenerateNotes = async () => {
+    if (!newRelease.tagName || !previousTag) return;
+    
+    setGeneratingNotes(true);
+    setNotesError('');
+    
+    try {
+      // The new tag usually doesn't exist yet, in which case it will be
+      // created from the default branch
+      const tagExists = tags.some(tag => tag.name === newRelease.tagName);
+      const headRef = tagExists ? newRelease.tagName : currentRepo.default_branch;
+      let body = '';
+      
+      if (notesSource === 'github') {
+        const result = await githubService.generateReleaseNotes(
+          owner,
+          repo,
+          newRelease.tagName,
+          previousTag,
+          tagExists ? undefined : currentRepo.default_branch
+        );
+        if (!result.success) {
+          setNotesError(`Failed to generate release notes: ${result.error}`);
+          return;
+        }
+        body = result.notes.body;
+      } else {
+        const result = await githubService.getMergedPullRequestsBetween(owner, repo, previousTag, headRef);
+        if (!result.success) {
+          setNotesError(`Failed to collect merged pull requests: ${result.error}`);
+          return;
+        }
+        body = buildReleaseNotes({
+          pullRequests: result.pullRequests,
+          previousTag,
+          tag: newRelease.tagName,
+          repoUrl: currentRepo.html_url,
+          issueTypeConfig
+        });
+      }
+      
+      setNewRelease(prev => ({ ...prev, body }));
+    } catch (err) {
+      setNotesError(`Failed to generate release notes: ${err.message}`);
+    } finally {
+      setGeneratingNotes(false);
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value, checked, type } = e.target;
     setNewRelease(prev => ({
@@ -134,17 +299,38 @@ const ReleaseList = () => {
     return true;
   });
 
+  // Whether the pending promotion has failed readiness checks
+  const readinessFailed = Boolean(
+    selectedRelease &&
+    isPromotion(selectedRelease.phase, newPhase) &&
+    readiness &&
+    !readiness.passed
+  );
+
+  const releaseOverrides = phaseDialogOpen && selectedRelease
+    ? loadReadinessOverrides(owner, repo, selectedRelease.id)
+    : [];
+
   return (
     <Box>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
         <Typography variant="h6">Releases</Typography>
-        <Button 
-          variant="contained" 
-          startIcon={<AddIcon />}
-          onClick={handleCreateDialogOpen}
-        >
-          New Release
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button 
+            variant="outlined" 
+            startIcon={<RuleIcon />}
+            onClick={() => setRulesDialogOpen(true)}
+          >
+            Issue Rules
+          </Button>
+          <Button 
+            variant="contained" 
+            startIcon={<AddIcon />}
+            onClick={handleCreateDialogOpen}
+          >
+            New Release
+          </Button>
+        </Box>
       </Box>
       
       <Box sx={{ mb: 3, display: 'flex', gap: 2 }}>
@@ -154,10 +340,10 @@ const ReleaseList = () => {
           size="small"
           sx={{ width: 170 }}
           InputLabelProps={{ shrink: true }}
-          value={startDate ? new Date(startDate).toISOString().split('T')[0] : ''}
+          value={startDate ? format(startDate, 'yyyy-MM-dd') : ''}
           onChange={(e) => {
             if (e.target.value) {
-              setStartDate(new Date(e.target.value));
+              setStartDate(parseISO(e.target.value));
             } else {
               setStartDate(null);
             }
@@ -176,10 +362,10 @@ const ReleaseList = () => {
           size="small"
           sx={{ width: 170 }}
           InputLabelProps={{ shrink: true }}
-          value={endDate ? new Date(endDate).toISOString().split('T')[0] : ''}
+          value={endDate ? format(endDate, 'yyyy-MM-dd') : ''}
           onChange={(e) => {
             if (e.target.value) {
-              setEndDate(new Date(e.target.value));
+              setEndDate(parseISO(e.target.value));
             } else {
               setEndDate(null);
             }
@@ -211,7 +397,9 @@ const ReleaseList = () => {
               filteredReleases.map((release) => (
                 <TableRow key={release.id}>
                   <TableCell component="th" scope="row">
-                    {release.name}
+                    <Link component={RouterLink} to={`/dashboard/releases/${release.id}`}>
+                      {release.name || release.tag_name}
+                    </Link>
                   </TableCell>
                   <TableCell>{release.tag_name}</TableCell>
                   <TableCell>
@@ -224,7 +412,13 @@ const ReleaseList = () => {
                   <TableCell>
                     {new Date(release.created_at).toLocaleDateString()}
                   </TableCell>
-                  <TableCell>{release.issueCount || 0}</TableCell>
+                  <TableCell>
+                    <Tooltip title="Show associated issues and the rules that matched">
+                      <Button size="small" onClick={() => setIssuesDialogRelease(release)}>
+                        {release.issueCount || 0}
+                      </Button>
+                    </Tooltip>
+                  </TableCell>
                   <TableCell align="right">
                     <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
                       <Tooltip title="View on GitHub">
@@ -265,12 +459,20 @@ const ReleaseList = () => {
         open={Boolean(anchorEl)}
         onClose={handleMenuClose}
       >
+        <MenuItem onClick={handleViewDetails}>
+          <InfoIcon fontSize="small" sx={{ mr: 1 }} />
+          View Details
+        </MenuItem>
         <MenuItem 
           onClick={handlePhaseDialogOpen}
         >
           <EditIcon fontSize="small" sx={{ mr: 1 }} />
           Change Phase
         </MenuItem>
+        <MenuItem onClick={handleAttachArtifact}>
+          <Inventory2Icon fontSize="small" sx={{ mr: 1 }} />
+          Attach Build Artifact
+        </MenuItem>
       </Menu>
 
       {/* Create Release Dialog */}
@@ -296,6 +498,49 @@ const ReleaseList = () => {
             onChange={handleInputChange}
             helperText="Example: v1.0.0"
           />
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mt: 2, mb: 1 }}>
+            <FormControl sx={{ minWidth: 200 }} size="small">
+              <InputLabel>Previous Tag</InputLabel>
+              <Select
+                value={previousTag}
+                label="Previous Tag"
+                onChange={(e) => setPreviousTag(e.target.value)}
+                MenuProps={{ PaperProps: { style: { maxHeight: 300 } } }}
+              >
+                {tags.map(tag => (
+                  <MenuItem key={tag.name} value={tag.name}>{tag.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl sx={{ minWidth: 200 }} size="small">
+              <InputLabel>Notes Source</InputLabel>
+              <Select
+                value={notesSource}
+                label="Notes Source"
+                onChange={(e) => setNotesSource(e.target.value)}
+              >
+                <MenuItem value="pull-requests">Merged pull requests</MenuItem>
+                <MenuItem value="github">GitHub generated notes</MenuItem>
+              </Select>
+            </FormControl>
+            <Tooltip title={!newRelease.tagName ? 'Enter a tag name first' : ''}>
+              <span>
+                <Button
+                  variant="outlined"
+                  startIcon={generatingNotes ? <CircularProgress size={16} /> : <AutoAwesomeIcon />}
+                  onClick={handleGenerateNotes}
+                  disabled={!newRelease.tagName || !previousTag || generatingNotes}
+                >
+                  Generate Notes
+                </Button>
+              </span>
+            </Tooltip>
+          </Box>
+          {notesError && (
+            <Alert severity="error" sx={{ mt: 1 }}>
+              {notesError}
+            </Alert>
+          )}
           <TextField
             margin="normal"
             fullWidth
@@ -304,7 +549,8 @@ const ReleaseList = () => {
             value={newRelease.body}
             onChange={handleInputChange}
             multiline
-            rows={6}
+            rows={12}
+            helperText="Markdown is supported"
           />
           <FormControl fullWidth margin="normal">
             <InputLabel>Release Type</InputLabel>
@@ -338,31 +584,110 @@ const ReleaseList = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Associated Issues Dialog */}
+      <ReleaseIssuesDialog
+        release={issuesDialogRelease}
+        open={Boolean(issuesDialogRelease)}
+        onClose={() => setIssuesDialogRelease(null)}
+      />
+
+      {/* Attach Artifact Dialog */}
+      <ReleaseArtifactDialog
+        release={artifactDialogRelease}
+        owner={owner}
+        repo={repo}
+        open={Boolean(artifactDialogRelease)}
+        onClose={() => setArtifactDialogRelease(null)}
+        onAttach={(release, artifact, assetName) => attachArtifactToRelease(release.id, artifact, assetName)}
+      />
+
+      {/* Association Rules Dialog */}
+      <ReleaseAssociationRulesDialog
+        open={rulesDialogOpen}
+        rules={associationRules}
+        onClose={() => setRulesDialogOpen(false)}
+        onSave={(rules) => {
+          updateAssociationRules(rules);
+          setRulesDialogOpen(false);
+        }}
+      />
+
       {/* Change Phase Dialog */}
-      <Dialog open={phaseDialogOpen} onClose={handlePhaseDialogClose}>
+      <Dialog open={phaseDialogOpen} onClose={handlePhaseDialogClose} maxWidth="sm" fullWidth>
         <DialogTitle>Change Release Phase</DialogTitle>
         <DialogContent>
+          {phaseError && (
+            <Alert severity="error" sx={{ mt: 1 }}>
+              {phaseError}
+            </Alert>
+          )}
           <FormControl fullWidth margin="normal">
             <InputLabel>Phase</InputLabel>
             <Select
               value={newPhase}
               label="Phase"
-              onChange={(e) => setNewPhase(e.target.value)}
+              onChange={(e) => handleNewPhaseChange(e.target.value)}
             >
               <MenuItem value="development">Development</MenuItem>
               <MenuItem value="staging">Staging</MenuItem>
               <MenuItem value="production">Production</MenuItem>
             </Select>
           </FormControl>
+          
+          {selectedRelease && readinessConfig && isPromotion(selectedRelease.phase, newPhase) && (
+            <>
+              <ReleaseReadinessChecklist
+                readiness={readiness}
+                evaluating={evaluatingReadiness}
+              />
+              
+              {readinessFailed && (readinessConfig.enforcement === 'block' ? (
+                <Alert severity="error">
+                  This release can't be promoted until the failed checks pass.
+                </Alert>
+              ) : (
+                <TextField
+                  fullWidth
+                  required
+                  multiline
+                  rows={2}
+                  label="Override Reason"
+                  value={overrideReason}
+                  onChange={(e) => setOverrideReason(e.target.value)}
+                  helperText="Some checks failed. Explain why this release should be promoted anyway."
+                />
+              ))}
+            </>
+          )}
+          
+          {selectedRelease && releaseOverrides.length > 0 && (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="subtitle2" gutterBottom>
+                Previous Overrides
+              </Typography>
+              {releaseOverrides.map(override => (
+                <Typography key={override.createdAt} variant="body2" color="text.secondary">
+                  {new Date(override.createdAt).toLocaleString()} - {override.fromPhase} → {override.toPhase}
+                  {override.user ? ` by @${override.user}` : ''}: {override.reason}
+                </Typography>
+              ))}
+            </Box>
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={handlePhaseDialogClose}>Cancel</Button>
           <Button 
             onClick={handlePhaseChange} 
             variant="contained"
-            disabled={!newPhase || loading}
+            color={readinessFailed ? 'warning' : 'primary'}
+            disabled={
+              !newPhase ||
+              loading ||
+              evaluatingReadiness ||
+              (readinessFailed && (readinessConfig.enforcement === 'block' || !overrideReason.trim()))
+            }
           >
-            Update
+            {readinessFailed ? 'Override and Update' : 'Update'}
           </Button>
         </DialogActions>
       </Dialog>
@@ -0,0 +1,59 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  CircularProgress
+} from '@mui/material';
+import {
+  CheckCircle as CheckCircleIcon,
+  Cancel as CancelIcon,
+  RemoveCircleOutline as RemoveCircleOutlineIcon
+} from '@mui/icons-material';
+
+const STATUS_ICONS = {
+  passed: <CheckCircleIcon color="success" />,
+  failed: <CancelIcon color="error" />,
+  skipped: <RemoveCircleOutlineIcon color="disabled" />
+};
+
+// Results of the readiness checks for a promotion. The checks themselves are
+// configured in Settings, not here, so the gate can't be turned off from the dialog it guards.
+const ReleaseReadinessChecklist = ({ readiness, evaluating }) => (
+  <Box sx={{ mt: 2 }}>
+    <Typography variant="subtitle1">
+      Readiness Checklist
+    </Typography>
+
+    {evaluating ? (
+      <Box sx={{ display: 'flex', alignItems: 'center', py: 2 }}>
+        <CircularProgress size={20} sx={{ mr: 2 }} />
+        <Typography variant="body2">Running readiness checks...</Typography>
+      </Box>
+    ) : readiness && readiness.checks.length > 0 ? (
+      <List dense>
+        {readiness.checks.map(check => (
+          <ListItem key={check.id}>
+            <ListItemIcon sx={{ minWidth: 36 }}>
+              {STATUS_ICONS[check.status]}
+            </ListItemIcon>
+            <ListItemText primary={check.label} secondary={check.detail} />
+          </ListItem>
+        ))}
+      </List>
+    ) : (
+      <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+        No readiness checks are enabled.
+      </Typography>
+    )}
+
+    <Typography variant="caption" color="text.secondary">
+      Checks are configured in Settings.
+    </Typography>
+  </Box>
+);
+
+export default ReleaseReadinessChecklist;
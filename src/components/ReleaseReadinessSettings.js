@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Divider,
+  Button,
+  FormControlLabel,
+  Checkbox,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
+} from '@mui/material';
+import { useRepo } from '../contexts/RepoContext';
+import {
+  READINESS_CHECKS,
+  ENFORCEMENT_MODES,
+  loadReadinessConfig,
+  saveReadinessConfig
+} from '../utils/releaseReadiness';
+
+// Settings section for the current repository's release readiness gate. It lives here
+// rather than in the promotion dialog so the gate can't be switched off by whoever it blocks.
+const ReleaseReadinessSettings = ({ onMessage }) => {
+  const { owner, repo } = useRepo();
+  const [config, setConfig] = useState(null);
+
+  useEffect(() => {
+    setConfig(owner && repo ? loadReadinessConfig(owner, repo) : null);
+  }, [owner, repo]);
+
+  const handleCheckToggle = (checkId) => {
+    setConfig(prev => ({
+      ...prev,
+      checks: { ...prev.checks, [checkId]: !prev.checks[checkId] }
+    }));
+  };
+
+  const handleSave = () => {
+    saveReadinessConfig(owner, repo, config);
+    onMessage(`Release readiness checks for ${owner}/${repo} saved.`, 'success');
+  };
+
+  return (
+    <Paper sx={{ p: 3, mt: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Release Readiness
+      </Typography>
+      <Divider sx={{ mb: 2 }} />
+
+      {!config ? (
+        <Typography variant="body2" color="text.secondary">
+          Open a repository to configure the checks a release has to pass before it is promoted.
+        </Typography>
+      ) : (
+        <>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Checks a release in {owner}/{repo} has to pass before it is promoted to staging or production.
+          </Typography>
+          {READINESS_CHECKS.map(check => (
+            <FormControlLabel
+              key={check.id}
+              sx={{ display: 'flex' }}
+              control={
+                <Checkbox
+                  size="small"
+                  checked={Boolean(config.checks[check.id])}
+                  onChange={() => handleCheckToggle(check.id)}
+                />
+              }
+              label={check.label}
+            />
+          ))}
+          <FormControl size="small" sx={{ mt: 2, minWidth: 300 }}>
+            <InputLabel>When a check fails</InputLabel>
+            <Select
+              value={config.enforcement}
+              label="When a check fails"
+              onChange={(e) => setConfig(prev => ({ ...prev, enforcement: e.target.value }))}
+            >
+              {Object.entries(ENFORCEMENT_MODES).map(([mode, label]) => (
+                <MenuItem key={mode} value={mode}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 2 }}>
+            <Button variant="contained" onClick={handleSave}>
+              Save Readiness Checks
+            </Button>
+          </Box>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default ReleaseReadinessSettings;
@@ -0,0 +1,162 @@
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Avatar,
+  Chip,
+  Link
+} from '@mui/material';
+import { PersonSearch as PersonSearchIcon } from '@mui/icons-material';
+import { useRepo } from '../contexts/RepoContext';
+import { STALE_REQUEST_DAYS, buildReviewerWorkload } from '../utils/reviewerWorkload';
+import { formatMetricDuration } from '../utils/doraMetrics';
+import SuggestReviewerDialog from './SuggestReviewerDialog';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Long tails of one-off reviewers and stale requests are cut off
+const MAX_REVIEWER_ROWS = 20;
+const MAX_STALE_ROWS = 20;
+
+const ReviewerWorkload = ({ pullRequests }) => {
+  const { owner, repo, pullRequests: allPullRequests } = useRepo();
+  const [staleDays, setStaleDays] = useState(3);
+  const [suggestOpen, setSuggestOpen] = useState(false);
+
+  const workload = useMemo(
+    () => buildReviewerWorkload(pullRequests, staleDays),
+    [pullRequests, staleDays]
+  );
+  // Suggestions weigh the load across every loaded PR, not just the filtered ones
+  const allReviewers = useMemo(
+    () => buildReviewerWorkload(allPullRequests, staleDays).reviewers,
+    [allPullRequests, staleDays]
+  );
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>Reviewer Workload</Typography>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel id="stale-days-label">Stale after</InputLabel>
+          <Select
+            labelId="stale-days-label"
+            value={staleDays}
+            label="Stale after"
+            onChange={(e) => setStaleDays(e.target.value)}
+          >
+            {STALE_REQUEST_DAYS.map(days => (
+              <MenuItem key={days} value={days}>{days} day{days === 1 ? '' : 's'}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button variant="outlined" startIcon={<PersonSearchIcon />} onClick={() => setSuggestOpen(true)}>
+          Suggest Reviewer
+        </Button>
+      </Box>
+
+      {workload.reviewers.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No review requests or reviews on these pull requests
+        </Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Reviewer</TableCell>
+                <TableCell align="right">Open requests</TableCell>
+                <TableCell align="right">Stale</TableCell>
+                <TableCell align="right">Median response</TableCell>
+                <TableCell align="right">Reviews given</TableCell>
+                <TableCell align="right">Reviews received</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {workload.reviewers.slice(0, MAX_REVIEWER_ROWS).map(reviewer => (
+                <TableRow key={reviewer.login}>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Avatar src={reviewer.avatarUrl || undefined} sx={{ width: 24, height: 24 }} />
+                      {reviewer.login}
+                    </Box>
+                  </TableCell>
+                  <TableCell align="right">{reviewer.openRequests}</TableCell>
+                  <TableCell align="right">
+                    {reviewer.staleRequests > 0 ? (
+                      <Chip label={reviewer.staleRequests} size="small" color="warning" />
+                    ) : 0}
+                  </TableCell>
+                  <TableCell align="right">{formatMetricDuration(reviewer.medianResponse)}</TableCell>
+                  <TableCell align="right">{reviewer.given}</TableCell>
+                  <TableCell align="right">{reviewer.received}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+            Response time runs from the review request, or from when the PR was opened if the request time isn't known.
+            Given and received count each reviewer once per PR.
+          </Typography>
+        </TableContainer>
+      )}
+
+      {workload.staleRequests.length > 0 && (
+        <>
+          <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+            Stale Requests ({workload.staleRequests.length})
+          </Typography>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Pull request</TableCell>
+                  <TableCell>Waiting on</TableCell>
+                  <TableCell align="right">Waiting for</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {workload.staleRequests.slice(0, MAX_STALE_ROWS).map(({ pr, login, requestedAt }) => (
+                  <TableRow key={`${pr.number}:${login}`}>
+                    <TableCell>
+                      <Link href={pr.html_url} target="_blank" rel="noopener noreferrer">
+                        #{pr.number}
+                      </Link>{' '}
+                      {pr.title}
+                    </TableCell>
+                    <TableCell>{login}</TableCell>
+                    <TableCell align="right">
+                      {Math.floor((Date.now() - requestedAt.getTime()) / DAY_MS)} days
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+
+      <SuggestReviewerDialog
+        open={suggestOpen}
+        onClose={() => setSuggestOpen(false)}
+        owner={owner}
+        repo={repo}
+        pullRequests={allPullRequests}
+        reviewers={allReviewers}
+      />
+    </Box>
+  );
+};
+
+export default ReviewerWorkload;
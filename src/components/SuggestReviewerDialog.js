@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Autocomplete,
+  TextField,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Avatar,
+  Alert,
+  LinearProgress
+} from '@mui/material';
+import { suggestReviewers } from '../utils/reviewerWorkload';
+
+// The top few are all anyone looks at
+const MAX_SUGGESTIONS = 5;
+
+const SuggestReviewerDialog = ({ open, onClose, owner, repo, pullRequests, reviewers }) => {
+  const [selectedPR, setSelectedPR] = useState(null);
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+
+  const openPRs = useMemo(
+    () => pullRequests.filter(pr => pr.state === 'open' && !pr.draft),
+    [pullRequests]
+  );
+
+  useEffect(() => {
+    if (!open) {
+      setSelectedPR(null);
+      setResult(null);
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (!selectedPR) return;
+
+    let cancelled = false;
+    setResult(null);
+    setProgress({ done: 0, total: 0 });
+
+    suggestReviewers({
+      owner,
+      repo,
+      pr: selectedPR,
+      pullRequests,
+      reviewers,
+      onProgress: (done, total) => !cancelled && setProgress({ done, total })
+    }).then(suggestionResult => {
+      if (cancelled) return;
+      setResult(suggestionResult);
+      setProgress(null);
+    });
+
+    return () => { cancelled = true; };
+  }, [selectedPR, owner, repo, pullRequests, reviewers]);
+
+  // People already asked for a review don't need suggesting
+  const alreadyRequested = new Set(((selectedPR && selectedPR.requested_reviewers) || []).map(reviewer => reviewer.login));
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Suggest a Reviewer</DialogTitle>
+      <DialogContent>
+        <Autocomplete
+          options={openPRs}
+          value={selectedPR}
+          onChange={(e, value) => setSelectedPR(value)}
+          getOptionLabel={(pr) => `#${pr.number} ${pr.title}`}
+          isOptionEqualToValue={(option, value) => option.number === value.number}
+          renderInput={(params) => <TextField {...params} label="Pull request" size="small" />}
+          sx={{ mt: 1, mb: 2 }}
+        />
+
+        {progress && (
+          <Box sx={{ mb: 2 }}>
+            <LinearProgress
+              variant={progress.total > 0 ? 'determinate' : 'indeterminate'}
+              value={progress.total > 0 ? (progress.done / progress.total) * 100 : 0}
+            />
+            <Typography variant="caption" color="text.secondary">
+              Comparing files with recently merged pull requests{progress.total > 0 ? ` (${progress.done}/${progress.total})` : ''}
+            </Typography>
+          </Box>
+        )}
+
+        {result && !result.success && <Alert severity="error">{result.error}</Alert>}
+
+        {result && result.success && (
+          result.suggestions.length === 0 ? (
+            <Alert severity="info">
+              Nobody reviewed changes to these files in the last {result.historySize} merged pull requests
+            </Alert>
+          ) : (
+            <>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Reviewer</TableCell>
+                    <TableCell align="right">Related PRs reviewed</TableCell>
+                    <TableCell align="right">Same files</TableCell>
+                    <TableCell align="right">Open requests</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {result.suggestions.slice(0, MAX_SUGGESTIONS).map(suggestion => (
+                    <TableRow key={suggestion.login}>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <Avatar src={suggestion.avatarUrl || undefined} sx={{ width: 24, height: 24 }} />
+                          {suggestion.login}
+                          {alreadyRequested.has(suggestion.login) && (
+                            <Typography variant="caption" color="text.secondary">(requested)</Typography>
+                          )}
+                        </Box>
+                      </TableCell>
+                      <TableCell align="right">{suggestion.reviewedPRs}</TableCell>
+                      <TableCell align="right">{suggestion.sharedFiles}</TableCell>
+                      <TableCell align="right">{suggestion.openRequests}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                Ranked by reviews of the same files and directories in the last {result.historySize} merged
+                pull requests, divided by the reviews they already have waiting
+              </Typography>
+            </>
+          )
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SuggestReviewerDialog;
@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Autocomplete,
+  Alert,
+  CircularProgress,
+  Typography
+} from '@mui/material';
+import githubService from '../services/githubService';
+import { getDefaultInputValues, toDispatchPayload } from '../utils/workflowInputs';
+
+const WorkflowDispatchDialog = ({ open, onClose, owner, repo, workflows, initialWorkflowId, defaultBranch, branches, onDispatched }) => {
+  const [workflowId, setWorkflowId] = useState('');
+  const [ref, setRef] = useState('');
+  // Trigger and inputs read from the workflow file: { loading, dispatchable, inputs, error }
+  const [definition, setDefinition] = useState({ loading: false, dispatchable: false, inputs: [], error: null });
+  const [values, setValues] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  const activeWorkflows = workflows.filter(workflow => workflow.state === 'active');
+  const workflow = activeWorkflows.find(item => String(item.id) === workflowId);
+
+  // Start from the selected workflow and the default branch each time the dialog opens
+  useEffect(() => {
+    if (!open) return;
+
+    const initial = activeWorkflows.find(item => String(item.id) === initialWorkflowId);
+    setWorkflowId(initial ? String(initial.id) : '');
+    setRef(defaultBranch || '');
+    setSubmitError(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, initialWorkflowId, defaultBranch]);
+
+  // The inputs can differ between branches, so read the file at the chosen ref
+  useEffect(() => {
+    if (!open || !workflow || !ref) {
+      setDefinition({ loading: false, dispatchable: false, inputs: [], error: null });
+      return;
+    }
+
+    let cancelled = false;
+    setDefinition({ loading: true, dispatchable: false, inputs: [], error: null });
+
+    // Debounced, since the ref can be typed
+    const timer = setTimeout(() => {
+      githubService.getWorkflowDispatchInputs(owner, repo, workflow.path, ref).then(result => {
+        if (cancelled) return;
+
+        if (result.success) {
+          setDefinition({ loading: false, dispatchable: result.dispatchable, inputs: result.inputs, error: null });
+          setValues(getDefaultInputValues(result.inputs));
+        } else {
+          setDefinition({ loading: false, dispatchable: false, inputs: [], error: result.error });
+        }
+      });
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [open, owner, repo, workflow, ref]);
+
+  const setValue = (name, value) => {
+    setValues(prev => ({ ...prev, [name]: value }));
+  };
+
+  const missingRequired = definition.inputs.some(input => (
+    input.required && input.type !== 'boolean' && String(values[input.name] ?? '').trim() === ''
+  ));
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setSubmitError(null);
+
+    const result = await githubService.dispatchWorkflow(
+      owner,
+      repo,
+      workflow.id,
+      ref,
+      toDispatchPayload(definition.inputs, values)
+    );
+    setSubmitting(false);
+
+    if (result.success) {
+      onDispatched(workflow, ref);
+      onClose();
+    } else {
+      setSubmitError(result.error);
+    }
+  };
+
+  const renderInput = (input) => {
+    const label = input.required ? `${input.name} *` : input.name;
+    const value = values[input.name];
+
+    if (input.type === 'boolean') {
+      return (
+        <Box key={input.name}>
+          <FormControlLabel
+            control={<Switch checked={Boolean(value)} onChange={(e) => setValue(input.name, e.target.checked)} />}
+            label={input.name}
+          />
+          {input.description && (
+            <Typography variant="caption" color="text.secondary" component="div" sx={{ ml: 6, mt: -1 }}>
+              {input.description}
+            </Typography>
+          )}
+        </Box>
+      );
+    }
+
+    if (input.type === 'choice') {
+      return (
+        <FormControl key={input.name} fullWidth size="small">
+          <InputLabel id={`dispatch-input-${input.name}`}>{label}</InputLabel>
+          <Select
+            labelId={`dispatch-input-${input.name}`}
+            value={value ?? ''}
+            label={label}
+            onChange={(e) => setValue(input.name, e.target.value)}
+          >
+            {input.options.map(option => (
+              <MenuItem key={option} value={option}>{option}</MenuItem>
+            ))}
+          </Select>
+          {input.description && (
+            <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5, ml: 1.5 }}>
+              {input.description}
+            </Typography>
+          )}
+        </FormControl>
+      );
+    }
+
+    return (
+      <TextField
+        key={input.name}
+        label={label}
+        type={input.type === 'number' ? 'number' : 'text'}
+        value={value ?? ''}
+        onChange={(e) => setValue(input.name, e.target.value)}
+        helperText={input.description || (input.type === 'environment' ? 'Environment name' : '')}
+        size="small"
+        fullWidth
+      />
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Run Workflow</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <FormControl fullWidth size="small">
+            <InputLabel id="dispatch-workflow-label">Workflow</InputLabel>
+            <Select
+              labelId="dispatch-workflow-label"
+              value={workflowId}
+              label="Workflow"
+              onChange={(e) => setWorkflowId(e.target.value)}
+            >
+              {activeWorkflows.map(item => (
+                <MenuItem key={item.id} value={String(item.id)}>{item.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <Autocomplete
+            freeSolo
+            size="small"
+            options={branches}
+            value={ref}
+            onInputChange={(e, newValue) => setRef(newValue)}
+            renderInput={(params) => (
+              <TextField {...params} label="Branch or tag" />
+            )}
+          />
+
+          {!workflow ? (
+            <Typography variant="body2" color="text.secondary">
+              Choose a workflow to see its inputs
+            </Typography>
+          ) : definition.loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+              <CircularProgress size={24} />
+            </Box>
+          ) : definition.error ? (
+            <Alert severity="error">
+              Couldn't read {workflow.path} at {ref}: {definition.error}
+            </Alert>
+          ) : !definition.dispatchable ? (
+            <Alert severity="warning">
+              {workflow.path} has no workflow_dispatch trigger at {ref}, so it can't be run manually
+            </Alert>
+          ) : definition.inputs.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              This workflow takes no inputs
+            </Typography>
+          ) : (
+            definition.inputs.map(renderInput)
+          )}
+
+          {submitError && <Alert severity="error">{submitError}</Alert>}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={!workflow || !ref || definition.loading || !definition.dispatchable || missingRequired || submitting}
+        >
+          {submitting ? 'Starting...' : 'Run Workflow'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default WorkflowDispatchDialog;
@@ -0,0 +1,138 @@
+import React, { useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Tooltip
+} from '@mui/material';
+
+// Busy repositories have many short-lived branches; show the most active ones
+const MAX_BRANCHES = 15;
+
+const getRunColor = (run) => {
+  if (run.status !== 'completed') return 'info';
+  if (run.conclusion === 'success') return 'success';
+  if (run.conclusion === 'failure' || run.conclusion === 'timed_out') return 'error';
+  return 'default';
+};
+
+// Cancelled and skipped runs say nothing about whether the branch is healthy
+const countsTowardsSuccessRate = (run) => (
+  run.status === 'completed' && !['cancelled', 'skipped', 'neutral'].includes(run.conclusion)
+);
+
+const WorkflowHealthGrid = ({ runs, defaultBranch, onSelect }) => {
+  const { workflows, branches, cells, hiddenBranches } = useMemo(() => {
+    const workflowNames = new Map();
+    const branchActivity = new Map();
+    const cellMap = new Map();
+
+    // Runs arrive newest first, so the first run seen for a pair is the latest one
+    runs.forEach(run => {
+      if (!run.head_branch) return;
+
+      workflowNames.set(run.workflow_id, run.name || String(run.workflow_id));
+      if (!branchActivity.has(run.head_branch)) {
+        branchActivity.set(run.head_branch, new Date(run.created_at));
+      }
+
+      const key = `${run.head_branch}:${run.workflow_id}`;
+      const cell = cellMap.get(key) || { latest: run, total: 0, succeeded: 0 };
+      if (countsTowardsSuccessRate(run)) {
+        cell.total++;
+        if (run.conclusion === 'success') cell.succeeded++;
+      }
+      cellMap.set(key, cell);
+    });
+
+    // Default branch first, then the most recently active branches
+    const sortedBranches = Array.from(branchActivity.keys()).sort((a, b) => {
+      if (a === defaultBranch) return -1;
+      if (b === defaultBranch) return 1;
+      return branchActivity.get(b) - branchActivity.get(a);
+    });
+
+    return {
+      workflows: Array.from(workflowNames.entries())
+        .map(([id, name]) => ({ id, name }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      branches: sortedBranches.slice(0, MAX_BRANCHES),
+      cells: cellMap,
+      hiddenBranches: Math.max(sortedBranches.length - MAX_BRANCHES, 0)
+    };
+  }, [runs, defaultBranch]);
+
+  if (branches.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No branch runs to show
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Branch</TableCell>
+              {workflows.map(workflow => (
+                <TableCell key={workflow.id} align="center">{workflow.name}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {branches.map(branch => (
+              <TableRow key={branch}>
+                <TableCell component="th" scope="row" sx={{ fontWeight: branch === defaultBranch ? 'bold' : 'normal' }}>
+                  {branch}
+                </TableCell>
+                {workflows.map(workflow => {
+                  const cell = cells.get(`${branch}:${workflow.id}`);
+                  if (!cell) {
+                    return <TableCell key={workflow.id} align="center">-</TableCell>;
+                  }
+
+                  const successRate = cell.total > 0 ? Math.round((cell.succeeded / cell.total) * 100) : null;
+                  return (
+                    <TableCell
+                      key={workflow.id}
+                      align="center"
+                      onClick={onSelect ? () => onSelect(branch, workflow.id) : undefined}
+                      sx={{ cursor: onSelect ? 'pointer' : 'default' }}
+                    >
+                      <Tooltip title={`Latest run ${new Date(cell.latest.created_at).toLocaleString()}`}>
+                        <Chip
+                          size="small"
+                          label={cell.latest.conclusion || cell.latest.status}
+                          color={getRunColor(cell.latest)}
+                        />
+                      </Tooltip>
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        {successRate !== null ? `${successRate}% of ${cell.total}` : 'No completed runs'}
+                      </Typography>
+                    </TableCell>
+                  );
+                })}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      {hiddenBranches > 0 && (
+        <Typography variant="caption" color="text.secondary">
+          {hiddenBranches} less active branches not shown
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default WorkflowHealthGrid;
@@ -0,0 +1,148 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import {
+  Box,
+  TextField,
+  IconButton,
+  Typography,
+  InputAdornment,
+  Tooltip
+} from '@mui/material';
+import {
+  Search as SearchIcon,
+  KeyboardArrowUp as KeyboardArrowUpIcon,
+  KeyboardArrowDown as KeyboardArrowDownIcon
+} from '@mui/icons-material';
+import { parseLogLines } from '../utils/ansi';
+
+const COMMAND_STYLES = {
+  group: { fontWeight: 'bold' },
+  error: { color: '#f14c4c' },
+  warning: { color: '#e5e510' },
+  notice: { color: '#3b8eea' },
+  debug: { color: '#858585' }
+};
+
+const WorkflowLogViewer = ({ log }) => {
+  const [search, setSearch] = useState('');
+  const [currentMatch, setCurrentMatch] = useState(0);
+  const lineRefs = useRef(new Map());
+
+  // Parse once
+  const lines = useMemo(() => parseLogLines(log).map(line => ({
+    ...line,
+    searchText: line.text.toLowerCase(),
+    lineStyle: COMMAND_STYLES[line.command] || {}
+  })), [log]);
+
+  const matches = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    if (!term) return [];
+
+    return lines.reduce((indexes, line, index) => {
+      if (line.searchText.includes(term)) indexes.push(index);
+      return indexes;
+    }, []);
+  }, [lines, search]);
+  const matchSet = useMemo(() => new Set(matches), [matches]);
+
+  // Keep the current match in view
+  useEffect(() => {
+    if (matches.length === 0) return;
+
+    const element = lineRefs.current.get(matches[currentMatch]);
+    if (element) element.scrollIntoView({ block: 'center' });
+  }, [matches, currentMatch]);
+
+  const handleSearchChange = (event) => {
+    setSearch(event.target.value);
+    setCurrentMatch(0);
+  };
+
+  const moveMatch = (offset) => {
+    setCurrentMatch(prev => (prev + offset + matches.length) % matches.length);
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <TextField
+          size="small"
+          placeholder="Search log..."
+          value={search}
+          onChange={handleSearchChange}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && matches.length > 0) moveMatch(e.shiftKey ? -1 : 1);
+          }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" />
+              </InputAdornment>
+            )
+          }}
+          sx={{ flexGrow: 1 }}
+        />
+        <Typography variant="body2" color="text.secondary" sx={{ minWidth: 70, textAlign: 'right' }}>
+          {search.trim() ? `${matches.length > 0 ? currentMatch + 1 : 0} of ${matches.length}` : `${lines.length} lines`}
+        </Typography>
+        <Tooltip title="Previous match">
+          <span>
+            <IconButton size="small" onClick={() => moveMatch(-1)} disabled={matches.length === 0}>
+              <KeyboardArrowUpIcon fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title="Next match">
+          <span>
+            <IconButton size="small" onClick={() => moveMatch(1)} disabled={matches.length === 0}>
+              <KeyboardArrowDownIcon fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      <Box
+        component="pre"
+        sx={{
+          m: 0,
+          p: 1,
+          maxHeight: 480,
+          overflow: 'auto',
+          bgcolor: '#1e1e1e',
+          color: '#d4d4d4',
+          fontFamily: 'monospace',
+          fontSize: 12,
+          lineHeight: 1.5,
+          borderRadius: 1
+        }}
+      >
+        {lines.map((line, index) => (
+          <Box
+            key={index}
+            ref={element => {
+              if (element) lineRefs.current.set(index, element);
+              else lineRefs.current.delete(index);
+            }}
+            sx={{
+              display: 'flex',
+              bgcolor: matches[currentMatch] === index
+                ? 'rgba(229, 229, 16, 0.35)'
+                : matchSet.has(index) ? 'rgba(229, 229, 16, 0.15)' : 'transparent'
+            }}
+          >
+            <Box component="span" sx={{ color: '#858585', minWidth: 48, pr: 1, textAlign: 'right', userSelect: 'none' }}>
+              {index + 1}
+            </Box>
+            <Box component="span" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-all', ...line.lineStyle }}>
+              {line.segments.map((segment, segmentIndex) => (
+                <span key={segmentIndex} style={segment.style}>{segment.text}</span>
+              ))}
+            </Box>
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default WorkflowLogViewer;
@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Chip,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  Collapse,
+  CircularProgress,
+  Alert,
+  Divider,
+  Link
+} from '@mui/material';
+import {
+  CheckCircle as CheckCircleIcon,
+  Cancel as CancelIcon,
+  RemoveCircleOutline as RemoveCircleOutlineIcon,
+  Schedule as ScheduleIcon,
+  ExpandLess as ExpandLessIcon,
+  ExpandMore as ExpandMoreIcon,
+  Article as ArticleIcon
+} from '@mui/icons-material';
+import githubService from '../services/githubService';
+import WorkflowLogViewer from './WorkflowLogViewer';
+import {
+  formatDuration,
+  getRunTimings,
+  getJobTimings,
+  getStepDuration,
+  extractStepLog
+} from '../utils/workflowRuns';
+
+const isFailure = (item) => item.conclusion === 'failure' || item.conclusion === 'timed_out';
+
+const getRunColor = (item) => {
+  if (item.status !== 'completed') return 'info';
+  if (item.conclusion === 'success') return 'success';
+  if (isFailure(item)) return 'error';
+  return 'default';
+};
+
+const getStatusIcon = (item) => {
+  if (item.status !== 'completed') return <ScheduleIcon color="info" fontSize="small" />;
+  if (item.conclusion === 'success') return <CheckCircleIcon color="success" fontSize="small" />;
+  if (isFailure(item)) return <CancelIcon color="error" fontSize="small" />;
+  return <RemoveCircleOutlineIcon color="disabled" fontSize="small" />;
+};
+
+const WorkflowRunDetailsDialog = ({ run, owner, repo, open, onClose }) => {
+  const [jobs, setJobs] = useState([]);
+  const [jobsLoading, setJobsLoading] = useState(false);
+  const [jobsError, setJobsError] = useState('');
+  const [expandedJobs, setExpandedJobs] = useState({});
+  // The job (and optionally step) whose log is shown
+  const [logSelection, setLogSelection] = useState(null);
+  // Downloaded logs by job ID: { loading, log, error }
+  const [jobLogs, setJobLogs] = useState({});
+  const requestedLogsRef = useRef(new Set());
+
+  const loadJobLog = useCallback(async (jobId) => {
+    setJobLogs(prev => ({ ...prev, [jobId]: { loading: true } }));
+    const result = await githubService.getJobLogs(owner, repo, jobId);
+    setJobLogs(prev => ({
+      ...prev,
+      [jobId]: result.success ? { log: result.log } : { error: result.error, blocked: result.blocked }
+    }));
+  }, [owner, repo]);
+
+  // Each job's log is downloaded once, however many of its steps are opened
+  const showLog = useCallback((job, step = null) => {
+    setLogSelection({ job, step });
+    if (!requestedLogsRef.current.has(job.id)) {
+      requestedLogsRef.current.add(job.id);
+      loadJobLog(job.id);
+    }
+  }, [loadJobLog]);
+
+  // Load the jobs when a run is opened, and go straight to the first failed step
+  useEffect(() => {
+    if (!open || !run) return;
+
+    let cancelled = false;
+    setJobs([]);
+    setJobsError('');
+    setExpandedJobs({});
+    setLogSelection(null);
+    setJobLogs({});
+    requestedLogsRef.current = new Set();
+    setJobsLoading(true);
+
+    githubService.getWorkflowRunJobs(owner, repo, run.id).then(result => {
+      if (cancelled) return;
+      setJobsLoading(false);
+
+      if (!result.success) {
+        setJobsError(result.error);
+        return;
+      }
+
+      setJobs(result.jobs);
+      const failedJob = result.jobs.find(isFailure);
+      if (failedJob) {
+        setExpandedJobs({ [failedJob.id]: true });
+        showLog(failedJob, (failedJob.steps || []).find(isFailure) || null);
+      }
+    });
+
+    return () => { cancelled = true; };
+  }, [open, run, owner, repo, showLog]);
+
+  const toggleJob = (jobId) => {
+    setExpandedJobs(prev => ({ ...prev, [jobId]: !prev[jobId] }));
+  };
+
+  const selectedLog = logSelection ? jobLogs[logSelection.job.id] : null;
+  const logText = useMemo(() => {
+    if (!selectedLog || !selectedLog.log) return '';
+    return logSelection.step ? extractStepLog(selectedLog.log, logSelection.step) : selectedLog.log;
+  }, [selectedLog, logSelection]);
+
+  if (!run) return null;
+
+  const runTimings = getRunTimings(run);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+          {run.name} #{run.run_number}
+          <Chip size="small" label={run.conclusion || run.status} color={getRunColor(run)} />
+        </Box>
+        <Typography variant="body2" color="text.secondary">
+          {run.head_branch} · {run.event}{run.actor ? ` · @${run.actor.login}` : ''} · {new Date(run.created_at).toLocaleString()}
+        </Typography>
+      </DialogTitle>
+      <DialogContent dividers>
+        <Box sx={{ display: 'flex', gap: 4, mb: 2 }}>
+          <Box>
+            <Typography variant="caption" color="text.secondary">Queued</Typography>
+            <Typography variant="body1">{formatDuration(runTimings.queueMs)}</Typography>
+          </Box>
+          <Box>
+            <Typography variant="caption" color="text.secondary">Ran for</Typography>
+            <Typography variant="body1">
+              {runTimings.executionMs !== null ? formatDuration(runTimings.executionMs) : 'In progress'}
+            </Typography>
+          </Box>
+          <Box>
+            <Typography variant="caption" color="text.secondary">Attempt</Typography>
+            <Typography variant="body1">{run.run_attempt || 1}</Typography>
+          </Box>
+        </Box>
+        <Divider sx={{ mb: 1 }} />
+
+        {jobsLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : jobsError ? (
+          <Alert severity="error">{jobsError}</Alert>
+        ) : (
+          <List dense disablePadding>
+            {jobs.map(job => {
+              const jobTimings = getJobTimings(job);
+              return (
+                <React.Fragment key={job.id}>
+                  <ListItemButton onClick={() => toggleJob(job.id)}>
+                    <ListItemIcon sx={{ minWidth: 32 }}>{getStatusIcon(job)}</ListItemIcon>
+                    <ListItemText
+                      primary={job.name}
+                      secondary={`Queued ${formatDuration(jobTimings.queueMs)} · Ran ${formatDuration(jobTimings.executionMs)}${job.runner_name ? ` · ${job.runner_name}` : ''}`}
+                    />
+                    <Button
+                      size="small"
+                      startIcon={<ArticleIcon />}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        showLog(job);
+                      }}
+                    >
+                      Log
+                    </Button>
+                    {expandedJobs[job.id] ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                  </ListItemButton>
+                  <Collapse in={Boolean(expandedJobs[job.id])} unmountOnExit>
+                    <List dense disablePadding>
+                      {(job.steps || []).map(step => (
+                        <ListItemButton
+                          key={step.number}
+                          sx={{ pl: 6 }}
+                          selected={Boolean(logSelection && logSelection.step && logSelection.job.id === job.id && logSelection.step.number === step.number)}
+                          onClick={() => showLog(job, step)}
+                        >
+                          <ListItemIcon sx={{ minWidth: 32 }}>{getStatusIcon(step)}</ListItemIcon>
+                          <ListItemText primary={`${step.number}. ${step.name}`} />
+                          <Typography variant="body2" color="text.secondary">
+                            {formatDuration(getStepDuration(step))}
+                          </Typography>
+                        </ListItemButton>
+                      ))}
+                    </List>
+                  </Collapse>
+                </React.Fragment>
+              );
+            })}
+          </List>
+        )}
+
+        {logSelection && (
+          <Box sx={{ mt: 2 }}>
+            <Typography variant="subtitle1" gutterBottom>
+              {logSelection.job.name}{logSelection.step ? ` › ${logSelection.step.name}` : ''}
+            </Typography>
+            {!selectedLog || selectedLog.loading ? (
+              <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                <CircularProgress size={24} />
+              </Box>
+            ) : selectedLog.blocked ? (
+              <Alert severity="info">
+                This log can't be shown here because the browser blocked the download from GitHub's log storage.{' '}
+                <Link href={logSelection.job.html_url} target="_blank" rel="noopener noreferrer">
+                  View the log on GitHub
+                </Link>
+              </Alert>
+            ) : selectedLog.error ? (
+              <Alert severity="error">
+                Couldn't download the log: {selectedLog.error}. Logs expire after the repository's retention period.{' '}
+                <Link href={logSelection.job.html_url} target="_blank" rel="noopener noreferrer">
+                  View the job on GitHub
+                </Link>
+              </Alert>
+            ) : (
+              <WorkflowLogViewer log={logText} />
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Link href={run.html_url} target="_blank" rel="noopener noreferrer" sx={{ mr: 'auto', ml: 2 }}>
+          View on GitHub
+        </Link>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default WorkflowRunDetailsDialog;
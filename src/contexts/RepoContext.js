@@ -1,13 +1,37 @@
-import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
 import { useAuth } from './AuthContext';
 import githubService from '../services/githubService';
+import {
+  isPromotion,
+  loadReadinessConfig,
+  evaluateReleaseReadiness as runReadinessChecks,
+  recordReadinessOverride
+} from '../utils/releaseReadiness';
+import {
+  loadAssociationRules,
+  saveAssociationRules,
+  loadReleaseRanges,
+  buildReleaseAssociations
+} from '../utils/releaseAssociation';
+import {
+  DEFAULT_ISSUE_TYPE_CONFIG,
+  loadIssueTypeConfig,
+  saveIssueTypeConfig,
+  classifyIssue,
+  getIssueTypeLabels
+} from '../utils/issueTypes';
 
 const RepoContext = createContext();
 
+// Label edits to one item within this many milliseconds go out as a single request
+const LABEL_EDIT_DELAY = 800;
+
+const usesMergedPRRule = (rules) => rules.some(rule => rule.enabled && rule.type === 'merged-pr');
+
 export const useRepo = () => useContext(RepoContext);
 
 export const RepoProvider = ({ children }) => {
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, currentUser } = useAuth();
   // We'll get itemLimit from localStorage directly to avoid circular dependencies
   const [itemLimit, setItemLimit] = useState(null);
   // Track last used item limit to prevent infinite re-renders
@@ -61,7 +85,13 @@ export const RepoProvider = ({ children }) => {
   const [labels, setLabels] = useState([]);
   const [milestones, setMilestones] = useState([]);
   const [issueTypes, setIssueTypes] = useState([]);
+  const [issueTypeConfig, setIssueTypeConfig] = useState(DEFAULT_ISSUE_TYPE_CONFIG);
   const [reviewStatuses, setReviewStatuses] = useState([]);
+  const [associationRules, setAssociationRules] = useState([]);
+  // Commits and merged PRs of each release's tag range, for the merged PR association rule
+  const [releaseRanges, setReleaseRanges] = useState(null);
+  // Label edits waiting to be sent, by item number
+  const pendingLabelEditsRef = useRef(new Map());
 
   const determineReleasePhase = useCallback((release) => {
     // Logic to determine the phase: test, development, staging, production
@@ -70,21 +100,19 @@ export const RepoProvider = ({ children }) => {
     return 'production'; // Published releases
   }, []);
 
-  const isIssueAssociatedWithRelease = useCallback((issue, release) => {
-    // Simple implementation - enhance with your specific rules
-    // E.g., look for labels like "release-v1.0" or milestone matching the release
-    if (issue.labels.some(label => 
-      label.name.toLowerCase().includes('release') && 
-      release.tag_name.includes(label.name.split('-')[1])
-    )) {
-      return true;
-    }
+  // Attach the issues each release is associated with, and why, using the repo's rules
+  const applyReleaseAssociations = useCallback((releaseList, issueList, ranges, rules) => {
+    const associations = buildReleaseAssociations({
+      releases: releaseList,
+      issues: issueList,
+      releaseRanges: ranges,
+      rules
+    });
     
-    if (issue.milestone && release.name.includes(issue.milestone.title)) {
-      return true;
-    }
-    
-    return false;
+    return releaseList.map(release => {
+      const associatedIssues = associations.get(release.id) || [];
+      return { ...release, associatedIssues, issueCount: associatedIssues.length };
+    });
   }, []);
 
   const clearRepoData = useCallback(() => {
@@ -95,7 +123,10 @@ export const RepoProvider = ({ children }) => {
     setLabels([]);
     setMilestones([]);
     setIssueTypes([]);
+    setIssueTypeConfig(DEFAULT_ISSUE_TYPE_CONFIG);
     setReviewStatuses([]);
+    setAssociationRules([]);
+    setReleaseRanges(null);
     setShouldLoadRepo(false);
     localStorage.removeItem('github_repo');
     localStorage.removeItem('github_owner');
@@ -117,6 +148,9 @@ export const RepoProvider = ({ children }) => {
     setFetchLogs(prevLogs => [...prevLogs, { message, type, timestamp: new Date() }]);
   }, []);
 
+  // Set once a page asks for a repository (e.g. from the URL), so the stored one doesn't replace it
+  const repoRequestedRef = useRef(false);
+
   // Create a function to trigger loading of repo data
   const fetchRepoData = useCallback((ownerName, repoName) => {
     if (!isAuthenticated || !ownerName || !repoName) {
@@ -124,6 +158,7 @@ export const RepoProvider = ({ children }) => {
       return;
     }
     
+    repoRequestedRef.current = true;
     console.log(`Setting up to fetch repo data for ${ownerName}/${repoName}`);
     setOwner(ownerName);
     setRepo(repoName);
@@ -139,7 +174,7 @@ export const RepoProvider = ({ children }) => {
       const storedRepo = localStorage.getItem('github_repo');
       const storedOwner = localStorage.getItem('github_owner');
       
-      if (storedRepo && storedOwner) {
+      if (storedRepo && storedOwner && !repoRequestedRef.current) {
         setRepo(storedRepo);
         setOwner(storedOwner);
         // Set the lastUsedItemLimit to the current itemLimit to prevent double-fetching
@@ -184,7 +219,8 @@ export const RepoProvider = ({ children }) => {
               enhancedReleases = releasesResult.releases.map(release => ({
                 ...release,
                 phase: determineReleasePhase(release),
-                issueCount: 0 // Will be updated when we fetch issues
+                issueCount: 0, // Will be updated when we fetch issues
+                associatedIssues: []
               }));
               setReleases(enhancedReleases);
             } else {
@@ -201,9 +237,11 @@ export const RepoProvider = ({ children }) => {
               addFetchLog(`Failed to fetch milestones: ${milestonesResult.error}`, 'error');
             }
             
-            // Fetch issue types (based on labels)
+            // Fetch issue types (based on labels and the repository's type configuration)
             addFetchLog(`Determining issue types based on repository labels`);
-            const issueTypesResult = await githubService.getIssueTypes(owner, repo);
+            const typeConfig = loadIssueTypeConfig(owner, repo);
+            setIssueTypeConfig(typeConfig);
+            const issueTypesResult = await githubService.getIssueTypes(owner, repo, typeConfig);
             if (issueTypesResult.success) {
               addFetchLog(`Identified ${issueTypesResult.issueTypes.length} issue types`);
               setIssueTypes(issueTypesResult.issueTypes);
@@ -281,19 +319,25 @@ export const RepoProvider = ({ children }) => {
               setIssues(issuesResult.issues);
               
               // Update release issue counts
+              const rules = loadAssociationRules(owner, repo);
+              setAssociationRules(rules);
               if (enhancedReleases.length > 0) {
-                addFetchLog(`Associating issues with releases`);
-                const updatedReleases = [...enhancedReleases];
-                let associationCount = 0;
+                let ranges = null;
+                if (usesMergedPRRule(rules)) {
+                  addFetchLog(`Comparing release tags to find the PRs merged in each release`);
+                  ranges = await loadReleaseRanges({ owner, repo, releases: enhancedReleases });
+                  ranges.errors.forEach(message => addFetchLog(`Failed to compare release tags: ${message}`, 'error'));
+                  setReleaseRanges(ranges);
+                }
                 
-                issuesResult.issues.forEach(issue => {
-                  for (const release of updatedReleases) {
-                    if (isIssueAssociatedWithRelease(issue, release)) {
-                      release.issueCount = (release.issueCount || 0) + 1;
-                      associationCount++;
-                    }
-                  }
-                });
+                addFetchLog(`Associating issues with releases`);
+                const updatedReleases = applyReleaseAssociations(
+                  enhancedReleases,
+                  issuesResult.issues,
+                  ranges,
+                  rules
+                );
+                const associationCount = updatedReleases.reduce((total, release) => total + release.issueCount, 0);
                 
                 addFetchLog(`Associated ${associationCount} issues with releases`);
                 setReleases(updatedReleases);
@@ -333,7 +377,7 @@ export const RepoProvider = ({ children }) => {
         }
       })();
     }
-  }, [shouldLoadRepo, loading, owner, repo, itemLimit, addFetchLog, clearRepoData, determineReleasePhase, isIssueAssociatedWithRelease]);
+  }, [shouldLoadRepo, loading, owner, repo, itemLimit, addFetchLog, clearRepoData, determineReleasePhase, applyReleaseAssociations]);
   
   // Effect to handle item limit changes
   useEffect(() => {
@@ -365,7 +409,8 @@ export const RepoProvider = ({ children }) => {
         const newRelease = {
           ...result.release,
           phase: determineReleasePhase(result.release),
-          issueCount: 0
+          issueCount: 0,
+          associatedIssues: []
         };
         
         setReleases(prevReleases => [newRelease, ...prevReleases]);
@@ -382,10 +427,68 @@ export const RepoProvider = ({ children }) => {
     }
   };
 
-  const updateReleasePhase = async (releaseId, newPhase) => {
+  // Save new association rules and recount the issues of every release.
+  // Release tag ranges are only compared once the merged PR rule is in use.
+  const updateAssociationRules = async (rules) => {
+    saveAssociationRules(owner, repo, rules);
+    setAssociationRules(rules);
+    
+    let ranges = releaseRanges;
+    if (!ranges && usesMergedPRRule(rules)) {
+      ranges = await loadReleaseRanges({ owner, repo, releases });
+      setReleaseRanges(ranges);
+    }
+    setReleases(prevReleases => applyReleaseAssociations(prevReleases, issues, ranges, rules));
+  };
+
+  // Run the configured readiness checks for promoting a release
+  const evaluateReleaseReadiness = async (release) => {
+    return runReadinessChecks({
+      owner,
+      repo,
+      release,
+      milestones,
+      pullRequests,
+      config: loadReadinessConfig(owner, repo)
+    });
+  };
+
+  const updateReleasePhase = async (releaseId, newPhase, { readiness, overrideReason } = {}) => {
     setLoading(true);
     
     try {
+      // Promotions have to pass the readiness gate
+      const release = releases.find(r => r.id === releaseId);
+      if (release && isPromotion(release.phase, newPhase)) {
+        const result = readiness || await evaluateReleaseReadiness(release);
+        
+        if (!result.passed) {
+          const failedChecks = result.checks.filter(check => check.status === 'failed');
+          const config = loadReadinessConfig(owner, repo);
+          
+          if (config.enforcement === 'block') {
+            return {
+              success: false,
+              error: `Release is not ready: ${failedChecks.map(check => check.label).join(', ')}`
+            };
+          }
+          
+          if (!overrideReason || !overrideReason.trim()) {
+            return { success: false, error: 'An override reason is required when readiness checks fail' };
+          }
+          
+          recordReadinessOverride(owner, repo, {
+            releaseId,
+            tagName: release.tag_name,
+            fromPhase: release.phase,
+            toPhase: newPhase,
+            reason: overrideReason.trim(),
+            failedChecks: failedChecks.map(check => check.id),
+            user: currentUser ? currentUser.login : null
+          });
+        }
+      }
+      
       // Map phase to GitHub release properties
       const updates = {
         draft: newPhase === 'development',
@@ -415,46 +518,219 @@ export const RepoProvider = ({ children }) => {
     }
   };
 
-  const addLabelToItem = async (itemNumber, labelName) => {
-    setLoading(true);
-    try {
-      const result = await githubService.addLabelToIssue(owner, repo, itemNumber, labelName);
-      
-      if (result.success) {
-        // Refresh the repo data to reflect the changes
-        setShouldLoadRepo(true);
-        return { success: true };
-      } else {
-        setError(result.error || 'Failed to add label');
-        return { success: false, error: result.error };
-      }
-    } catch (err) {
-      setError('An error occurred while adding label');
-      return { success: false, error: err.message };
-    } finally {
-      setLoading(false);
+  // Attach a workflow artifact to a release as a zip asset
+  const attachArtifactToRelease = async (releaseId, artifact, assetName) => {
+    const result = await githubService.attachArtifactToRelease(owner, repo, releaseId, artifact, assetName);
+    
+    if (result.success) {
+      setReleases(prevReleases =>
+        prevReleases.map(release =>
+          release.id === releaseId
+            ? { ...release, assets: [...(release.assets || []), result.asset] }
+            : release
+        )
+      );
     }
+    return result;
   };
-  
-  const removeLabelFromItem = async (itemNumber, labelName) => {
-    setLoading(true);
-    try {
-      const result = await githubService.removeLabelFromIssue(owner, repo, itemNumber, labelName);
-      
-      if (result.success) {
-        // Refresh the repo data to reflect the changes
-        setShouldLoadRepo(true);
-        return { success: true };
-      } else {
-        setError(result.error || 'Failed to remove label');
-        return { success: false, error: result.error };
+
+  // Replace an item's labels in state, in both the issue and PR lists
+  const applyItemLabels = useCallback((itemNumber, itemLabels) => {
+    const updateItems = items => items.map(item => (
+      item.number === itemNumber ? { ...item, labels: itemLabels } : item
+    ));
+    setIssues(updateItems);
+    setPullRequests(updateItems);
+  }, []);
+
+  // Save a new issue type configuration; every tab classifies issues with it straight away
+  const updateIssueTypeConfig = (config) => {
+    saveIssueTypeConfig(owner, repo, config);
+    setIssueTypeConfig(config);
+    setIssueTypes(getIssueTypeLabels(labels, config));
+  };
+
+  // Type id of an issue or PR under the current configuration
+  const getIssueType = useCallback((issue) => classifyIssue(issue, issueTypeConfig), [issueTypeConfig]);
+
+  // Fetch milestones again, e.g. after their open and closed counts changed
+  const reloadMilestones = async () => {
+    const result = await githubService.getMilestones(owner, repo);
+    if (result.success) {
+      setMilestones(result.milestones);
+    }
+    return result;
+  };
+
+  // Create a milestone and add it to the list
+  const createMilestone = async (fields) => {
+    const result = await githubService.createMilestone(owner, repo, fields);
+    if (result.success) {
+      setMilestones(prevMilestones => [...prevMilestones, result.milestone]);
+    }
+    return result;
+  };
+
+  // Update a milestone, and the copies of it on issues and PRs
+  const updateMilestone = async (milestoneNumber, fields) => {
+    const result = await githubService.updateMilestone(owner, repo, milestoneNumber, fields);
+    if (result.success) {
+      const { title, state, due_on } = result.milestone;
+      setMilestones(prevMilestones => prevMilestones.map(milestone => (
+        milestone.number === milestoneNumber ? result.milestone : milestone
+      )));
+      const updateItems = items => items.map(item => (
+        item.milestone && item.milestone.number === milestoneNumber
+          ? { ...item, milestone: { ...item.milestone, title, state, due_on } }
+          : item
+      ));
+      setIssues(updateItems);
+      setPullRequests(updateItems);
+    }
+    return result;
+  };
+
+  // Fetch labels again, e.g. after a template was applied to this repository
+  const reloadLabels = async () => {
+    const result = await githubService.getLabels(owner, repo, false);
+    if (result.success) {
+      setLabels(result.labels);
+    }
+    return result;
+  };
+
+  // Create a label and add it to the list
+  const createLabel = async (fields) => {
+    const result = await githubService.createLabel(owner, repo, fields);
+    if (result.success) {
+      setLabels(prevLabels => [...prevLabels, result.label]);
+    }
+    return result;
+  };
+
+  // Replace a label, or remove it when `label` is null, in the label list and on issues and PRs
+  const replaceLabel = useCallback((name, label) => {
+    const isLabel = (l) => l.name.toLowerCase() === name.toLowerCase();
+    setLabels(prevLabels => (label
+      ? prevLabels.map(l => (isLabel(l) ? label : l))
+      : prevLabels.filter(l => !isLabel(l))));
+    const updateItems = items => items.map(item => (
+      item.labels.some(isLabel)
+        ? {
+          ...item,
+          labels: label ? item.labels.map(l => (isLabel(l) ? label : l)) : item.labels.filter(l => !isLabel(l))
+        }
+        : item
+    ));
+    setIssues(updateItems);
+    setPullRequests(updateItems);
+  }, []);
+
+  // Rename, recolor or describe a label
+  const updateLabel = async (name, fields) => {
+    const result = await githubService.updateLabel(owner, repo, name, fields);
+    if (result.success) {
+      replaceLabel(name, result.label);
+    }
+    return result;
+  };
+
+  // Delete a label, which takes it off every issue and PR
+  const deleteLabel = async (name) => {
+    const result = await githubService.deleteLabel(owner, repo, name);
+    if (result.success) {
+      replaceLabel(name, null);
+    }
+    return result;
+  };
+
+  // Merge the result of an edit made elsewhere, e.g. a bulk action, into an issue or PR
+  const applyItemChanges = useCallback((itemNumber, changes, createdLabels = []) => {
+    const updateItems = items => items.map(item => (
+      item.number === itemNumber ? { ...item, ...changes } : item
+    ));
+    setIssues(updateItems);
+    setPullRequests(updateItems);
+    if (createdLabels.length > 0) {
+      setLabels(prevLabels => [...prevLabels, ...createdLabels]);
+    }
+  }, []);
+
+  // Send an item's queued label edits as one setLabels request
+  const flushLabelEdits = async (itemNumber) => {
+    const pending = pendingLabelEditsRef.current;
+    const edit = pending.get(itemNumber);
+    if (!edit) return { success: true };
+    
+    clearTimeout(edit.timer);
+    pending.delete(itemNumber);
+    
+    const result = await githubService.setIssueLabels(edit.owner, edit.repo, itemNumber, edit.labelNames);
+    // Edits made while this request was in flight take over from here
+    const newerEdit = pending.get(itemNumber);
+    
+    if (result.success) {
+      if (!newerEdit) applyItemLabels(itemNumber, result.labels);
+      if (result.createdLabels.length > 0) {
+        setLabels(prevLabels => [...prevLabels, ...result.createdLabels]);
       }
-    } catch (err) {
-      setError('An error occurred while removing label');
-      return { success: false, error: err.message };
-    } finally {
-      setLoading(false);
+    } else if (newerEdit) {
+      newerEdit.originalLabels = edit.originalLabels;
+    } else {
+      // Put the labels back the way they were before this batch of edits
+      applyItemLabels(itemNumber, edit.originalLabels);
+    }
+    
+    const response = result.success ? { success: true } : { success: false, error: result.error };
+    edit.callbacks.forEach(resolve => resolve(response));
+    return response;
+  };
+
+  /**
+   * Set the labels on an issue or PR. The change shows straight away; edits to the same
+   * item within LABEL_EDIT_DELAY are sent together, and rolled back if the request fails.
+   * @param {number} itemNumber - Issue or PR number
+   * @param {string[]} labelNames - The complete set of labels the item should have
+   * @returns {Promise<{success: boolean, error?: string}>} - Resolves once the batch is sent
+   */
+  const setItemLabels = (itemNumber, labelNames) => {
+    const item = [...issues, ...pullRequests].find(i => i.number === itemNumber);
+    if (!item) {
+      return Promise.resolve({ success: false, error: `#${itemNumber} is not loaded` });
     }
+    
+    const pending = pendingLabelEditsRef.current;
+    const edit = pending.get(itemNumber) || { owner, repo, originalLabels: item.labels, callbacks: [] };
+    
+    // Use the repository's label colours; labels that will be created get a neutral one
+    applyItemLabels(itemNumber, labelNames.map(name => (
+      labels.find(label => label.name.toLowerCase() === name.toLowerCase()) ||
+      { id: `new:${name}`, name, color: 'ededed' }
+    )));
+    
+    clearTimeout(edit.timer);
+    edit.labelNames = labelNames;
+    edit.timer = setTimeout(() => flushLabelEdits(itemNumber), LABEL_EDIT_DELAY);
+    pending.set(itemNumber, edit);
+    
+    return new Promise(resolve => edit.callbacks.push(resolve));
+  };
+  
+  const getItemLabelNames = (itemNumber) => {
+    const pending = pendingLabelEditsRef.current.get(itemNumber);
+    if (pending) return pending.labelNames;
+    
+    const item = [...issues, ...pullRequests].find(i => i.number === itemNumber);
+    return item ? item.labels.map(label => label.name) : [];
+  };
+  
+  const addLabelToItem = (itemNumber, labelName) => {
+    const labelNames = getItemLabelNames(itemNumber);
+    return setItemLabels(itemNumber, labelNames.includes(labelName) ? labelNames : [...labelNames, labelName]);
+  };
+  
+  const removeLabelFromItem = (itemNumber, labelName) => {
+    return setItemLabels(itemNumber, getItemLabelNames(itemNumber).filter(name => name !== labelName));
   };
 
   const value = {
@@ -469,14 +745,31 @@ export const RepoProvider = ({ children }) => {
     labels,
     milestones,
     issueTypes,
+    issueTypeConfig,
+    getIssueType,
     reviewStatuses,
+    associationRules,
     fetchLogs,    // Expose logs to consumers
     setOwner,
     setRepo,
     fetchRepoData,
     createNewRelease,
     updateReleasePhase,
+    attachArtifactToRelease,
+    createMilestone,
+    updateMilestone,
+    reloadMilestones,
+    createLabel,
+    updateLabel,
+    deleteLabel,
+    reloadLabels,
+    evaluateReleaseReadiness,
+    updateAssociationRules,
+    updateIssueTypeConfig,
     clearRepoData,
+    setItemLabels,
+    flushLabelEdits,
+    applyItemChanges,
     addLabelToItem,
     removeLabelFromItem
   };
@@ -84,9 +84,16 @@ export const SettingsProvider = ({ children }) => {
 
   // Clear all cached data
   const clearAllCache = () => {
-    githubService.cache.clear();
+    githubService.clearAllCache();
   };
 
+  // Clear cached data, including incremental sync datasets, for one repository
+  const clearRepoCache = (owner, repo) => {
+    githubService.clearRepoCache(owner, repo, true);
+  };
+
+  const getCacheStats = () => githubService.getCacheStats();
+
   const value = {
     cacheExpiryTime,
     updateCacheExpiryTime,
@@ -95,6 +102,8 @@ export const SettingsProvider = ({ children }) => {
     rateLimit,
     fetchRateLimit,
     clearAllCache,
+    clearRepoCache,
+    getCacheStats,
     isLoading
   };
 
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect } from 'react';
 import { 
   Box, 
   Container, 
@@ -9,6 +9,7 @@ import {
   Tabs,
   Tab
 } from '@mui/material';
+import { Navigate, useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useRepo } from '../contexts/RepoContext';
 import AppNavbar from '../components/AppNavbar';
@@ -16,9 +17,30 @@ import ReleaseList from '../components/ReleaseList';
 import PullRequestList from '../components/PullRequestList';
 import PRDashboard from '../components/PRDashboard';
 import IssuesDashboard from '../components/IssuesDashboard';
+import MilestonesDashboard from '../components/MilestonesDashboard';
+import LabelManager from '../components/LabelManager';
 import ActionsWorkflowDashboard from '../components/ActionsWorkflowDashboard';
+import DoraMetricsDashboard from '../components/DoraMetricsDashboard';
 import CustomView from '../components/CustomView';
 
+// Tab keys, in tab order, used in /:owner/:repo/:tab routes
+const DASHBOARD_TABS = ['releases', 'pull-requests', 'issues', 'milestones', 'labels', 'actions', 'metrics', 'custom-view'];
+
+// Top-level app routes; paths under them are not repositories even when /:owner/:repo/:tab matches
+const RESERVED_PATHS = ['login', 'dashboard', 'select-repo', 'settings', 'portfolio'];
+
+// Work out which tab an old style /dashboard?tab= link points to
+const getTabFromQuery = (searchParams) => {
+  // Open straight on the Custom View tab when following a shared view link
+  if (searchParams.has('view')) return 'custom-view';
+  
+  return DASHBOARD_TABS.includes(searchParams.get('tab')) ? searchParams.get('tab') : DASHBOARD_TABS[0];
+};
+
+const isSameRepo = (ownerA, repoA, ownerB, repoB) => (
+  ownerA.toLowerCase() === ownerB.toLowerCase() && repoA.toLowerCase() === repoB.toLowerCase()
+);
+
 // Create TabPanel component
 function TabPanel(props) {
   const { children, value, index, ...other } = props;
@@ -42,8 +64,21 @@ function TabPanel(props) {
 
 const Dashboard = () => {
   const { isAuthenticated, currentUser } = useAuth();
-  const { currentRepo, loading, error } = useRepo();
-  const [tabValue, setTabValue] = useState(0);
+  const { owner, repo, currentRepo, loading, error, fetchRepoData } = useRepo();
+  const { owner: urlOwner, repo: urlRepo, tab } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const tabValue = DASHBOARD_TABS.indexOf(tab);
+  // Unknown pages such as /settings/foo end up here too and must not load as a repository
+  const isRepoRoute = !urlOwner || (!RESERVED_PATHS.includes(urlOwner.toLowerCase()) && (!tab || tabValue >= 0));
+  // The URL decides the repository; load it when it differs from the current one
+  const isUrlRepoLoaded = !urlOwner || isSameRepo(urlOwner, urlRepo, owner, repo);
+
+  useEffect(() => {
+    if (isRepoRoute && urlOwner && urlRepo && !isSameRepo(urlOwner, urlRepo, owner, repo)) {
+      fetchRepoData(urlOwner, urlRepo);
+    }
+  }, [isRepoRoute, urlOwner, urlRepo, owner, repo, fetchRepoData]);
 
   console.log("Dashboard - Auth state:", { isAuthenticated, user: currentUser?.login });
   console.log("Dashboard - Repo state:", { 
@@ -52,10 +87,27 @@ const Dashboard = () => {
     hasError: !!error
   });
 
+  // Each tab has its own filters, so switching tabs starts from a clean query string
   const handleTabChange = (event, newValue) => {
-    setTabValue(newValue);
+    navigate(`/${urlOwner}/${urlRepo}/${DASHBOARD_TABS[newValue]}`);
   };
 
+  // Same as the catch-all route in App
+  if (!isRepoRoute) {
+    return <Navigate to="/login" replace />;
+  }
+
+  // Old /dashboard links go to the current repository's route, keeping a shared view
+  if (!urlOwner && owner && repo) {
+    const view = searchParams.get('view');
+    const query = view ? `?${new URLSearchParams({ view })}` : '';
+    return <Navigate to={`/${owner}/${repo}/${getTabFromQuery(searchParams)}${query}`} replace />;
+  }
+
+  if (urlOwner && tabValue < 0) {
+    return <Navigate to={`/${urlOwner}/${urlRepo}/${DASHBOARD_TABS[0]}`} replace />;
+  }
+
   // This check shouldn't be necessary with ProtectedRoute, but keeping as a backup
   if (!isAuthenticated) {
     console.log("Dashboard detected user is not authenticated");
@@ -66,7 +118,7 @@ const Dashboard = () => {
     );
   }
 
-  if (loading) {
+  if (loading || !isUrlRepoLoaded) {
     return (
       <>
         <AppNavbar />
@@ -123,8 +175,11 @@ const Dashboard = () => {
               <Tab label="Releases" id="tab-0" aria-controls="tabpanel-0" />
               <Tab label="Pull Requests" id="tab-1" aria-controls="tabpanel-1" />
               <Tab label="Issues" id="tab-2" aria-controls="tabpanel-2" />
-              <Tab label="Actions" id="tab-3" aria-controls="tabpanel-3" />
-              <Tab label="Custom View" id="tab-4" aria-controls="tabpanel-4" />
+              <Tab label="Milestones" id="tab-3" aria-controls="tabpanel-3" />
+              <Tab label="Labels" id="tab-4" aria-controls="tabpanel-4" />
+              <Tab label="Actions" id="tab-5" aria-controls="tabpanel-5" />
+              <Tab label="Metrics" id="tab-6" aria-controls="tabpanel-6" />
+              <Tab label="Custom View" id="tab-7" aria-controls="tabpanel-7" />
             </Tabs>
           </Box>
           
@@ -149,13 +204,28 @@ const Dashboard = () => {
             <IssuesDashboard />
           </TabPanel>
           
-          {/* Actions Tab */}
+          {/* Milestones Tab */}
           <TabPanel value={tabValue} index={3}>
+            <MilestonesDashboard />
+          </TabPanel>
+          
+          {/* Labels Tab */}
+          <TabPanel value={tabValue} index={4}>
+            <LabelManager />
+          </TabPanel>
+          
+          {/* Actions Tab */}
+          <TabPanel value={tabValue} index={5}>
             <ActionsWorkflowDashboard />
           </TabPanel>
           
+          {/* Metrics Tab */}
+          <TabPanel value={tabValue} index={6}>
+            <DoraMetricsDashboard />
+          </TabPanel>
+          
           {/* Custom View Tab */}
-          <TabPanel value={tabValue} index={4}>
+          <TabPanel value={tabValue} index={7}>
             <CustomView />
           </TabPanel>
         </Paper>
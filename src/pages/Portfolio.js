@@ -0,0 +1,530 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  Divider,
+  Alert,
+  Grid,
+  Card,
+  CardContent,
+  LinearProgress,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Tooltip,
+  IconButton
+} from '@mui/material';
+import {
+  NewReleases as NewReleasesIcon,
+  CallMerge as CallMergeIcon,
+  BugReport as BugReportIcon,
+  PlayCircleOutline as PlayCircleOutlineIcon,
+  Delete as DeleteIcon,
+  CheckCircle as CheckCircleIcon,
+  Error as ErrorIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+import AppNavbar from '../components/AppNavbar';
+import { useRepo } from '../contexts/RepoContext';
+import githubService from '../services/githubService';
+import { parseRepoUrl } from '../utils/repoUrl';
+import { loadPortfolioRepos, savePortfolioRepos } from '../utils/portfolioStorage';
+
+// Number of repositories loaded at the same time
+const CONCURRENT_LOADS = 3;
+
+// Number of recent workflow runs used for the Actions success rate
+const WORKFLOW_RUN_SAMPLE = 50;
+
+// Load the summary stats for a single repository.
+// Each section fails independently so one missing permission doesn't hide the rest.
+const loadRepoSummary = async (owner, repo, onStep) => {
+  const summary = { errors: [] };
+
+  onStep('repository');
+  const repoResult = await githubService.getRepository(owner, repo);
+  if (!repoResult.success) {
+    throw new Error(repoResult.error);
+  }
+  summary.repository = repoResult.repo;
+
+  onStep('releases');
+  const releasesResult = await githubService.getReleases(owner, repo);
+  if (releasesResult.success) {
+    const published = releasesResult.releases
+      .filter(release => !release.draft)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    summary.releaseCount = releasesResult.releases.length;
+    summary.productionReleaseCount = published.filter(release => !release.prerelease).length;
+    summary.latestRelease = published[0] || null;
+  } else {
+    summary.errors.push(`Releases: ${releasesResult.error}`);
+  }
+
+  onStep('pull requests');
+  const prsResult = await githubService.getPullRequests(owner, repo, 'open', '', {
+    skipReviewData: true,
+    maxPRs: 100
+  });
+  if (prsResult.success) {
+    summary.openPRCount = prsResult.pullRequests.length;
+    // Only the first page is fetched, so 100 means "100 or more"
+    summary.openPRCountCapped = prsResult.pullRequests.length >= 100;
+    // open_issues_count includes open pull requests
+    summary.openIssueCount = Math.max(summary.repository.open_issues_count - summary.openPRCount, 0);
+  } else {
+    summary.errors.push(`Pull requests: ${prsResult.error}`);
+    summary.openIssueCount = summary.repository.open_issues_count;
+  }
+
+  onStep('workflow runs');
+  const runsResult = await githubService.getWorkflowRuns(owner, repo, null, true, {
+    maxRuns: WORKFLOW_RUN_SAMPLE
+  });
+  if (runsResult.success) {
+    const completedRuns = runsResult.workflowRuns.filter(run => run.status === 'completed');
+    const successfulRuns = completedRuns.filter(run => run.conclusion === 'success');
+    summary.workflowRunCount = runsResult.workflowRuns.length;
+    summary.workflowSuccessRate = completedRuns.length > 0
+      ? Math.round((successfulRuns.length / completedRuns.length) * 100)
+      : null;
+    summary.latestWorkflowRun = runsResult.workflowRuns[0] || null;
+  } else {
+    summary.errors.push(`Actions: ${runsResult.error}`);
+  }
+
+  return summary;
+};
+
+const Portfolio = () => {
+  const { fetchRepoData } = useRepo();
+  const navigate = useNavigate();
+  const [repoInput, setRepoInput] = useState('');
+  const [orgInput, setOrgInput] = useState('');
+  const [inputError, setInputError] = useState('');
+  const [repos, setRepos] = useState([]);
+  const [results, setResults] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [addingOrg, setAddingOrg] = useState(false);
+
+  // Restore the saved portfolio
+  useEffect(() => {
+    setRepos(loadPortfolioRepos());
+  }, []);
+
+  const updateRepos = (newRepos) => {
+    setRepos(newRepos);
+    savePortfolioRepos(newRepos);
+  };
+
+  const addRepos = (fullNames) => {
+    const merged = [...repos];
+    fullNames.forEach(fullName => {
+      if (!merged.some(existing => existing.toLowerCase() === fullName.toLowerCase())) {
+        merged.push(fullName);
+      }
+    });
+    updateRepos(merged);
+  };
+
+  const handleAddRepos = () => {
+    const lines = repoInput.split(/[\n,]/).map(line => line.trim()).filter(Boolean);
+    const parsed = lines.map(line => ({ line, repo: parseRepoUrl(line) }));
+    const invalid = parsed.filter(({ repo }) => !repo).map(({ line }) => line);
+
+    if (invalid.length > 0) {
+      setInputError(`Invalid repository format: ${invalid.join(', ')}`);
+      return;
+    }
+
+    addRepos(parsed.map(({ repo }) => `${repo.owner}/${repo.repo}`));
+    setRepoInput('');
+    setInputError('');
+  };
+
+  // Add every repository of an organization ("org") or team ("org/team")
+  const handleAddOrg = async () => {
+    const [org, teamSlug] = orgInput.trim().split('/');
+    if (!org) return;
+
+    setAddingOrg(true);
+    setInputError('');
+
+    try {
+      const result = teamSlug
+        ? await githubService.getTeamRepositories(org, teamSlug)
+        : await githubService.getOrganizationRepositories(org);
+
+      if (result.success) {
+        addRepos(result.repositories.map(repository => repository.full_name));
+        setOrgInput('');
+      } else {
+        setInputError(`Failed to load repositories for ${orgInput.trim()}: ${result.error}`);
+      }
+    } finally {
+      setAddingOrg(false);
+    }
+  };
+
+  const handleRemoveRepo = (fullName) => {
+    updateRepos(repos.filter(existing => existing !== fullName));
+    setResults(prev => {
+      const { [fullName]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const updateResult = (fullName, update) => {
+    setResults(prev => ({ ...prev, [fullName]: { ...prev[fullName], ...update } }));
+  };
+
+  // Load every repository, a few at a time, keeping failures per repository
+  const handleLoadPortfolio = async () => {
+    setLoading(true);
+    setResults(Object.fromEntries(repos.map(fullName => [fullName, { status: 'pending' }])));
+
+    const queue = [...repos];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const fullName = queue.shift();
+        const [owner, repo] = fullName.split('/');
+        updateResult(fullName, { status: 'loading', step: 'repository' });
+
+        try {
+          const summary = await loadRepoSummary(owner, repo, (step) => updateResult(fullName, { step }));
+          updateResult(fullName, { status: 'done', summary });
+        } catch (err) {
+          updateResult(fullName, { status: 'error', error: err.message });
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(CONCURRENT_LOADS, repos.length) }, worker));
+    setLoading(false);
+  };
+
+  const handleOpenRepo = (fullName, tab) => {
+    const [owner, repo] = fullName.split('/');
+    fetchRepoData(owner, repo);
+    navigate(`/${owner}/${repo}/${tab}`);
+  };
+
+  const progress = useMemo(() => {
+    const finished = repos.filter(fullName =>
+      results[fullName] && ['done', 'error'].includes(results[fullName].status)
+    ).length;
+    return repos.length > 0 ? Math.round((finished / repos.length) * 100) : 0;
+  }, [repos, results]);
+
+  // Aggregated stats across every repository that loaded
+  const totals = useMemo(() => {
+    const summaries = repos
+      .map(fullName => results[fullName])
+      .filter(result => result && result.status === 'done')
+      .map(result => result.summary);
+
+    const sum = (key) => summaries.reduce((total, summary) => total + (summary[key] || 0), 0);
+    const rates = summaries
+      .map(summary => summary.workflowSuccessRate)
+      .filter(rate => rate !== null && rate !== undefined);
+
+    return {
+      loaded: summaries.length,
+      failed: repos.filter(fullName => results[fullName] && results[fullName].status === 'error').length,
+      releases: sum('releaseCount'),
+      openPRs: sum('openPRCount'),
+      openIssues: sum('openIssueCount'),
+      workflowSuccessRate: rates.length > 0
+        ? Math.round(rates.reduce((total, rate) => total + rate, 0) / rates.length)
+        : null
+    };
+  }, [repos, results]);
+
+  const getSuccessRateColor = (rate) => {
+    if (rate === null || rate === undefined) return 'default';
+    if (rate >= 90) return 'success';
+    if (rate >= 70) return 'warning';
+    return 'error';
+  };
+
+  const renderStatus = (result) => {
+    if (!result) return <Typography variant="body2" color="text.secondary">Not loaded</Typography>;
+
+    switch (result.status) {
+      case 'pending':
+        return <Typography variant="body2" color="text.secondary">Queued</Typography>;
+      case 'loading':
+        return (
+          <Box sx={{ display: 'flex', alignItems: 'center' }}>
+            <CircularProgress size={16} sx={{ mr: 1 }} />
+            <Typography variant="body2">Loading {result.step}...</Typography>
+          </Box>
+        );
+      case 'error':
+        return (
+          <Tooltip title={result.error}>
+            <Chip icon={<ErrorIcon />} label="Failed" color="error" size="small" />
+          </Tooltip>
+        );
+      default:
+        return result.summary.errors.length > 0 ? (
+          <Tooltip title={result.summary.errors.join('\n')}>
+            <Chip icon={<ErrorIcon />} label="Partial" color="warning" size="small" />
+          </Tooltip>
+        ) : (
+          <Chip icon={<CheckCircleIcon />} label="Loaded" color="success" size="small" />
+        );
+    }
+  };
+
+  return (
+    <>
+      <AppNavbar />
+      <Container maxWidth="xl" sx={{ mt: 4, mb: 4 }}>
+        <Typography variant="h4" gutterBottom>
+          Portfolio
+        </Typography>
+
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Repositories
+          </Typography>
+          <Divider sx={{ mb: 2 }} />
+
+          {inputError && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setInputError('')}>
+              {inputError}
+            </Alert>
+          )}
+
+          <Grid container spacing={2}>
+            <Grid item xs={12} md={6}>
+              <TextField
+                label="Repositories"
+                placeholder={'owner/repo\nhttps://github.com/owner/other-repo'}
+                helperText="One repository per line"
+                multiline
+                rows={3}
+                fullWidth
+                value={repoInput}
+                onChange={(e) => setRepoInput(e.target.value)}
+              />
+              <Button
+                variant="outlined"
+                sx={{ mt: 1 }}
+                onClick={handleAddRepos}
+                disabled={!repoInput.trim()}
+              >
+                Add Repositories
+              </Button>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                label="Organization or team"
+                placeholder="org or org/team-slug"
+                helperText="Adds every non-archived repository of the organization or team"
+                fullWidth
+                value={orgInput}
+                onChange={(e) => setOrgInput(e.target.value)}
+              />
+              <Button
+                variant="outlined"
+                sx={{ mt: 1 }}
+                onClick={handleAddOrg}
+                disabled={!orgInput.trim() || addingOrg}
+                startIcon={addingOrg ? <CircularProgress size={16} /> : null}
+              >
+                Add Organization Repositories
+              </Button>
+            </Grid>
+          </Grid>
+
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 3 }}>
+            <Button
+              variant="contained"
+              startIcon={<RefreshIcon />}
+              onClick={handleLoadPortfolio}
+              disabled={loading || repos.length === 0}
+            >
+              {loading ? 'Loading...' : `Load ${repos.length} Repositories`}
+            </Button>
+            {loading && (
+              <Box sx={{ flexGrow: 1 }}>
+                <LinearProgress variant="determinate" value={progress} />
+              </Box>
+            )}
+          </Box>
+        </Paper>
+
+        {/* Aggregated stats */}
+        <Grid container spacing={3} sx={{ mb: 3 }}>
+          <Grid item xs={12} md={3}>
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <NewReleasesIcon fontSize="large" sx={{ mr: 2, color: '#4caf50' }} />
+                  <Box>
+                    <Typography variant="h4">{totals.releases}</Typography>
+                    <Typography variant="body2" color="text.secondary">Releases</Typography>
+                  </Box>
+                </Box>
+              </CardContent>
+            </Card>
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <CallMergeIcon fontSize="large" sx={{ mr: 2, color: '#2f81f7' }} />
+                  <Box>
+                    <Typography variant="h4">{totals.openPRs}</Typography>
+                    <Typography variant="body2" color="text.secondary">Open PRs</Typography>
+                  </Box>
+                </Box>
+              </CardContent>
+            </Card>
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <BugReportIcon fontSize="large" sx={{ mr: 2, color: '#ff9800' }} />
+                  <Box>
+                    <Typography variant="h4">{totals.openIssues}</Typography>
+                    <Typography variant="body2" color="text.secondary">Open Issues</Typography>
+                  </Box>
+                </Box>
+              </CardContent>
+            </Card>
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <PlayCircleOutlineIcon fontSize="large" sx={{ mr: 2, color: '#6e40c9' }} />
+                  <Box>
+                    <Typography variant="h4">
+                      {totals.workflowSuccessRate !== null ? `${totals.workflowSuccessRate}%` : '-'}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">Average Actions Success Rate</Typography>
+                  </Box>
+                </Box>
+              </CardContent>
+            </Card>
+          </Grid>
+        </Grid>
+
+        {totals.failed > 0 && (
+          <Alert severity="warning" sx={{ mb: 3 }}>
+            {totals.failed} of {repos.length} repositories could not be loaded. Totals only include the {totals.loaded} that loaded.
+          </Alert>
+        )}
+
+        <TableContainer component={Paper}>
+          <Table aria-label="portfolio table">
+            <TableHead>
+              <TableRow>
+                <TableCell>Repository</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Latest Release</TableCell>
+                <TableCell align="right">Releases</TableCell>
+                <TableCell align="right">Open PRs</TableCell>
+                <TableCell align="right">Open Issues</TableCell>
+                <TableCell>Actions</TableCell>
+                <TableCell align="right">Open in Dashboard</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {repos.length > 0 ? (
+                repos.map(fullName => {
+                  const result = results[fullName];
+                  const summary = result && result.status === 'done' ? result.summary : null;
+
+                  return (
+                    <TableRow key={fullName}>
+                      <TableCell component="th" scope="row">
+                        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                          <Tooltip title="Remove from portfolio">
+                            <IconButton size="small" onClick={() => handleRemoveRepo(fullName)} disabled={loading}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                          <Typography variant="body2" sx={{ ml: 1 }}>{fullName}</Typography>
+                        </Box>
+                      </TableCell>
+                      <TableCell>{renderStatus(result)}</TableCell>
+                      <TableCell>
+                        {summary && summary.latestRelease ? (
+                          <Box>
+                            <Typography variant="body2">{summary.latestRelease.tag_name}</Typography>
+                            <Typography variant="caption" color="text.secondary">
+                              {new Date(summary.latestRelease.created_at).toLocaleDateString()}
+                            </Typography>
+                          </Box>
+                        ) : '-'}
+                      </TableCell>
+                      <TableCell align="right">
+                        {summary && summary.releaseCount !== undefined
+                          ? `${summary.releaseCount} (${summary.productionReleaseCount} prod)`
+                          : '-'}
+                      </TableCell>
+                      <TableCell align="right">
+                        {summary && summary.openPRCount !== undefined
+                          ? `${summary.openPRCount}${summary.openPRCountCapped ? '+' : ''}`
+                          : '-'}
+                      </TableCell>
+                      <TableCell align="right">
+                        {summary ? summary.openIssueCount : '-'}
+                      </TableCell>
+                      <TableCell>
+                        {summary && summary.workflowRunCount !== undefined ? (
+                          summary.workflowRunCount > 0 ? (
+                            <Tooltip title={`Success rate of the last ${summary.workflowRunCount} runs. Latest: ${summary.latestWorkflowRun.conclusion || summary.latestWorkflowRun.status}`}>
+                              <Chip
+                                label={summary.workflowSuccessRate !== null ? `${summary.workflowSuccessRate}%` : 'running'}
+                                color={getSuccessRateColor(summary.workflowSuccessRate)}
+                                size="small"
+                              />
+                            </Tooltip>
+                          ) : (
+                            <Typography variant="body2" color="text.secondary">No runs</Typography>
+                          )
+                        ) : '-'}
+                      </TableCell>
+                      <TableCell align="right">
+                        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 0.5 }}>
+                          <Button size="small" onClick={() => handleOpenRepo(fullName, 'releases')}>Releases</Button>
+                          <Button size="small" onClick={() => handleOpenRepo(fullName, 'pull-requests')}>PRs</Button>
+                          <Button size="small" onClick={() => handleOpenRepo(fullName, 'issues')}>Issues</Button>
+                          <Button size="small" onClick={() => handleOpenRepo(fullName, 'actions')}>Actions</Button>
+                        </Box>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              ) : (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">
+                    Add repositories to build your portfolio
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Container>
+    </>
+  );
+};
+
+export default Portfolio;
@@ -0,0 +1,423 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  Chip,
+  Grid,
+  Divider,
+  Alert,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Link,
+  Avatar,
+  Tooltip,
+  IconButton
+} from '@mui/material';
+import {
+  ArrowBack as ArrowBackIcon,
+  Launch as LaunchIcon,
+  Download as DownloadIcon
+} from '@mui/icons-material';
+import AppNavbar from '../components/AppNavbar';
+import ReleaseHistory from '../components/ReleaseHistory';
+import { useRepo } from '../contexts/RepoContext';
+import githubService from '../services/githubService';
+import { formatBytes } from '../utils/artifacts';
+import { findPreviousRelease } from '../utils/releaseAssociation';
+
+const getPhaseColor = (phase) => {
+  switch (phase) {
+    case 'development': return 'warning';
+    case 'staging': return 'info';
+    case 'production': return 'success';
+    default: return 'default';
+  }
+};
+
+const getRunColor = (run) => {
+  if (run.status !== 'completed') return 'info';
+  if (run.conclusion === 'success') return 'success';
+  if (run.conclusion === 'failure' || run.conclusion === 'timed_out') return 'error';
+  return 'default';
+};
+
+// Section wrapper with a title, loading spinner and error message
+const Section = ({ title, loading, error, children }) => (
+  <Paper sx={{ p: 3, mb: 3 }}>
+    <Typography variant="h6" gutterBottom>
+      {title}
+    </Typography>
+    <Divider sx={{ mb: 2 }} />
+    {loading ? (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+        <CircularProgress size={24} />
+      </Box>
+    ) : error ? (
+      <Alert severity="error">{error}</Alert>
+    ) : children}
+  </Paper>
+);
+
+const ReleaseDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { owner, repo, currentRepo, releases, loading: repoLoading } = useRepo();
+
+  const [details, setDetails] = useState(null);
+  const [detailsError, setDetailsError] = useState('');
+  const [changes, setChanges] = useState(null);
+  const [changesError, setChangesError] = useState('');
+  const [workflowRuns, setWorkflowRuns] = useState(null);
+  const [workflowRunsError, setWorkflowRunsError] = useState('');
+
+  const release = useMemo(
+    () => releases.find(r => String(r.id) === id) || null,
+    [releases, id]
+  );
+
+  // The previous published release is the starting point for commits and PRs
+  const previousRelease = useMemo(
+    () => (release ? findPreviousRelease(release, releases) : null),
+    [releases, release]
+  );
+
+  const releaseId = release ? release.id : null;
+  const tagName = release ? release.tag_name : null;
+  const targetCommitish = release ? release.target_commitish : null;
+  const previousTag = previousRelease ? previousRelease.tag_name : null;
+
+  // Release body and assets
+  useEffect(() => {
+    if (!owner || !repo || !releaseId) return;
+
+    let cancelled = false;
+    setDetails(null);
+    setDetailsError('');
+
+    githubService.getRelease(owner, repo, releaseId).then(result => {
+      if (cancelled) return;
+      if (result.success) {
+        setDetails(result.release);
+      } else {
+        setDetailsError(result.error);
+      }
+    });
+
+    return () => { cancelled = true; };
+  }, [owner, repo, releaseId]);
+
+  // Commits and merged PRs since the previous tag, and workflow runs for this tag
+  useEffect(() => {
+    if (!owner || !repo || !tagName) return;
+
+    let cancelled = false;
+    setChanges(null);
+    setChangesError('');
+    setWorkflowRuns(null);
+    setWorkflowRunsError('');
+
+    (async () => {
+      const tagsResult = await githubService.getTags(owner, repo);
+      if (cancelled) return;
+
+      const tag = tagsResult.success ? tagsResult.tags.find(t => t.name === tagName) : null;
+      // Draft releases may not have their tag yet, so compare up to the target branch
+      const head = tag ? tagName : targetCommitish;
+
+      if (previousTag) {
+        const changesResult = await githubService.getMergedPullRequestsBetween(owner, repo, previousTag, head);
+        if (cancelled) return;
+        if (changesResult.success) {
+          setChanges({ commits: changesResult.commits, pullRequests: changesResult.pullRequests });
+        } else {
+          setChangesError(changesResult.error);
+        }
+      } else {
+        setChanges({ commits: [], pullRequests: [], firstRelease: true });
+      }
+
+      if (!tag) {
+        setWorkflowRuns([]);
+        setWorkflowRunsError(tagsResult.success ? '' : tagsResult.error);
+        return;
+      }
+
+      const runsResult = await githubService.getWorkflowRuns(owner, repo, null, true, {
+        headSha: tag.commit.sha,
+        maxRuns: 100
+      });
+      if (cancelled) return;
+      if (runsResult.success) {
+        setWorkflowRuns(runsResult.workflowRuns);
+      } else {
+        setWorkflowRunsError(runsResult.error);
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [owner, repo, tagName, targetCommitish, previousTag]);
+
+  // Commit authors and PR authors, excluding bots
+  const contributors = useMemo(() => {
+    if (!changes) return [];
+
+    const byLogin = new Map();
+    const addUser = (user) => {
+      if (user && user.login && user.type !== 'Bot' && !byLogin.has(user.login)) {
+        byLogin.set(user.login, user);
+      }
+    };
+    changes.commits.forEach(commit => addUser(commit.author));
+    changes.pullRequests.forEach(pr => addUser(pr.user));
+
+    return Array.from(byLogin.values()).sort((a, b) => a.login.localeCompare(b.login));
+  }, [changes]);
+
+  const handleBack = () => navigate(owner && repo ? `/${owner}/${repo}/releases` : '/dashboard');
+
+  if (!release) {
+    return (
+      <>
+        <AppNavbar />
+        <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+          {repoLoading || (owner && !currentRepo) ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <Alert severity="warning" action={<Button onClick={handleBack}>Back to Releases</Button>}>
+              {owner ? `Release ${id} was not found in ${owner}/${repo}.` : 'No repository is selected.'}
+            </Alert>
+          )}
+        </Container>
+      </>
+    );
+  }
+
+  const associatedIssues = release.associatedIssues || [];
+
+  return (
+    <>
+      <AppNavbar />
+      <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+        <Button startIcon={<ArrowBackIcon />} onClick={handleBack} sx={{ mb: 2 }}>
+          Releases
+        </Button>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+          <Typography variant="h4" sx={{ mr: 1 }}>
+            {release.name || release.tag_name}
+          </Typography>
+          <Chip label={release.tag_name} variant="outlined" />
+          <Chip label={release.phase} color={getPhaseColor(release.phase)} />
+          <Tooltip title="View on GitHub">
+            <IconButton href={release.html_url} target="_blank" rel="noopener noreferrer">
+              <LaunchIcon />
+            </IconButton>
+          </Tooltip>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          {release.published_at
+            ? `Published ${new Date(release.published_at).toLocaleString()}`
+            : `Created ${new Date(release.created_at).toLocaleString()}`}
+          {release.author ? ` by @${release.author.login}` : ''}
+          {previousTag ? ` · Changes since ${previousTag}` : ''}
+        </Typography>
+
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={8}>
+            <Section title="Release Notes" loading={!details && !detailsError} error={detailsError}>
+              {details && details.body_html ? (
+                // body_html is rendered and sanitised by GitHub
+                <Box
+                  sx={{ '& img': { maxWidth: '100%' }, '& pre': { overflow: 'auto' }, wordBreak: 'break-word' }}
+                  dangerouslySetInnerHTML={{ __html: details.body_html }}
+                />
+              ) : (
+                <Typography variant="body2" color="text.secondary">No release notes</Typography>
+              )}
+            </Section>
+
+            <Section title="Assets" loading={!details && !detailsError} error={detailsError}>
+              {details && details.assets.length > 0 ? (
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Name</TableCell>
+                        <TableCell align="right">Size</TableCell>
+                        <TableCell align="right">Downloads</TableCell>
+                        <TableCell align="right"></TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {details.assets.map(asset => (
+                        <TableRow key={asset.id}>
+                          <TableCell>{asset.name}</TableCell>
+                          <TableCell align="right">{formatBytes(asset.size)}</TableCell>
+                          <TableCell align="right">{asset.download_count}</TableCell>
+                          <TableCell align="right">
+                            <Tooltip title="Download">
+                              <IconButton size="small" href={asset.browser_download_url}>
+                                <DownloadIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              ) : (
+                <Typography variant="body2" color="text.secondary">No assets</Typography>
+              )}
+            </Section>
+
+            <Section title={`Pull Requests${changes ? ` (${changes.pullRequests.length})` : ''}`} loading={!changes && !changesError} error={changesError}>
+              {changes && changes.pullRequests.length > 0 ? (
+                changes.pullRequests.map(pr => (
+                  <Box key={pr.id} sx={{ display: 'flex', alignItems: 'center', py: 0.5 }}>
+                    <Link href={pr.html_url} target="_blank" rel="noopener noreferrer" sx={{ mr: 1 }}>
+                      #{pr.number}
+                    </Link>
+                    <Typography variant="body2" sx={{ flexGrow: 1 }}>{pr.title}</Typography>
+                    {pr.user && (
+                      <Typography variant="caption" color="text.secondary">@{pr.user.login}</Typography>
+                    )}
+                  </Box>
+                ))
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  {changes && changes.firstRelease ? 'This is the first release, so there is no previous tag to compare with' : 'No pull requests merged in this release'}
+                </Typography>
+              )}
+            </Section>
+
+            <Section title={`Issues (${associatedIssues.length})`}>
+              {associatedIssues.length > 0 ? (
+                associatedIssues.map(({ issue, matches }) => (
+                  <Box key={issue.id} sx={{ display: 'flex', alignItems: 'center', py: 0.5 }}>
+                    <Link href={issue.html_url} target="_blank" rel="noopener noreferrer" sx={{ mr: 1 }}>
+                      #{issue.number}
+                    </Link>
+                    <Typography variant="body2" sx={{ flexGrow: 1 }}>{issue.title}</Typography>
+                    {matches.map(match => (
+                      <Tooltip key={match.type} title={match.detail}>
+                        <Chip label={match.label} size="small" variant="outlined" sx={{ ml: 0.5 }} />
+                      </Tooltip>
+                    ))}
+                  </Box>
+                ))
+              ) : (
+                <Typography variant="body2" color="text.secondary">No issues are associated with this release</Typography>
+              )}
+            </Section>
+
+            <Section title={`Commits${changes ? ` (${changes.commits.length})` : ''}`} loading={!changes && !changesError} error={changesError}>
+              {changes && changes.commits.length > 0 ? (
+                <Box sx={{ maxHeight: 400, overflow: 'auto' }}>
+                  {[...changes.commits].reverse().map(commit => (
+                    <Box key={commit.sha} sx={{ display: 'flex', alignItems: 'center', py: 0.5 }}>
+                      <Link
+                        href={commit.html_url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        sx={{ mr: 1, fontFamily: 'monospace' }}
+                      >
+                        {commit.sha.substring(0, 7)}
+                      </Link>
+                      <Typography variant="body2" sx={{ flexGrow: 1 }} noWrap>
+                        {commit.commit.message.split('\n')[0]}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary" sx={{ ml: 1, whiteSpace: 'nowrap' }}>
+                        {commit.author ? `@${commit.author.login}` : commit.commit.author.name}
+                      </Typography>
+                    </Box>
+                  ))}
+                </Box>
+              ) : (
+                <Typography variant="body2" color="text.secondary">No commits to show</Typography>
+              )}
+            </Section>
+
+            <Section title="Workflow Runs" loading={!workflowRuns && !workflowRunsError} error={workflowRunsError}>
+              {workflowRuns && workflowRuns.length > 0 ? (
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Workflow</TableCell>
+                        <TableCell>Event</TableCell>
+                        <TableCell>Result</TableCell>
+                        <TableCell>Started</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {workflowRuns.map(run => (
+                        <TableRow key={run.id}>
+                          <TableCell>
+                            <Link href={run.html_url} target="_blank" rel="noopener noreferrer">
+                              {run.name}
+                            </Link>
+                          </TableCell>
+                          <TableCell>{run.event}</TableCell>
+                          <TableCell>
+                            <Chip label={run.conclusion || run.status} color={getRunColor(run)} size="small" />
+                          </TableCell>
+                          <TableCell>{new Date(run.created_at).toLocaleString()}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  No workflow runs for {release.tag_name}
+                </Typography>
+              )}
+            </Section>
+          </Grid>
+
+          <Grid item xs={12} md={4}>
+            <Section title="Contributors" loading={!changes && !changesError} error={changesError}>
+              {contributors.length > 0 ? (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                  {contributors.map(user => (
+                    <Tooltip key={user.login} title={`@${user.login}`}>
+                      <Avatar
+                        src={user.avatar_url}
+                        alt={user.login}
+                        component="a"
+                        href={user.html_url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      />
+                    </Tooltip>
+                  ))}
+                </Box>
+              ) : (
+                <Typography variant="body2" color="text.secondary">No contributors to show</Typography>
+              )}
+            </Section>
+
+            <ReleaseHistory
+              currentReleaseId={release.id}
+              onSelectRelease={(selected) => navigate(`/dashboard/releases/${selected.id}`)}
+            />
+          </Grid>
+        </Grid>
+      </Container>
+    </>
+  );
+};
+
+export default ReleaseDetail;
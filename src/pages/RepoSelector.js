@@ -2,7 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useRepo } from '../contexts/RepoContext';
 import { useNavigate } from 'react-router-dom';
 import { Box, Button, TextField, Typography, Paper, Container, Alert, CircularProgress, List, ListItem, ListItemText } from '@mui/material';
-import { GitHub } from '@mui/icons-material';
+import { GitHub, ViewModule } from '@mui/icons-material';
+import { parseRepoUrl } from '../utils/repoUrl';
 
 const RepoSelector = () => {
   const [repoUrl, setRepoUrl] = useState('');
@@ -63,30 +64,17 @@ const RepoSelector = () => {
     
     try {
       // Extract owner and repo from GitHub URL
-      // Support formats like:
-      // - https://github.com/owner/repo
-      // - github.com/owner/repo
-      // - owner/repo
-      let owner, repo;
-      const urlPattern = /(?:https?:\/\/)?(?:www\.)?github\.com\/([^/]+)\/([^/]+)\/?$/;
-      const simplePattern = /^([^/]+)\/([^/]+)$/;
+      const parsedRepo = parseRepoUrl(repoUrl);
       
-      const urlMatch = repoUrl.match(urlPattern);
-      const simpleMatch = repoUrl.match(simplePattern);
-      
-      if (urlMatch) {
-        owner = urlMatch[1];
-        repo = urlMatch[2];
-      } else if (simpleMatch) {
-        owner = simpleMatch[1];
-        repo = simpleMatch[2];
-      } else {
+      if (!parsedRepo) {
         const errorMsg = 'Invalid GitHub repository URL format. Use: owner/repo or https://github.com/owner/repo';
         setUrlError(errorMsg);
         addLog(errorMsg, 'error');
         return;
       }
       
+      const { owner, repo } = parsedRepo;
+      
       addLog(`Extracted repository information: ${owner}/${repo}`);
       addLog(`Fetching repository data...`);
       
@@ -96,7 +84,7 @@ const RepoSelector = () => {
       
       addLog(`Repository data fetched successfully!`, 'success');
       addLog(`Navigating to dashboard...`, 'success');
-      navigate('/dashboard');
+      navigate(`/${owner}/${repo}/releases`);
     } catch (err) {
       console.error("Error processing repo URL:", err);
       const errorMsg = 'Failed to parse repository URL or fetch repository data';
@@ -155,6 +143,15 @@ const RepoSelector = () => {
               {loading ? 'Loading Repository...' : 'Continue'}
             </Button>
             
+            <Button
+              fullWidth
+              variant="text"
+              startIcon={<ViewModule />}
+              onClick={() => navigate('/portfolio')}
+            >
+              Track several repositories (portfolio)
+            </Button>
+            
             {/* Log display area */}
             {logs.length > 0 && (
               <Paper 
@@ -18,6 +18,9 @@ import {
 import { CachedOutlined, InfoOutlined, WarningAmberOutlined } from '@mui/icons-material';
 import AppNavbar from '../components/AppNavbar';
 import { useSettings } from '../contexts/SettingsContext';
+import { useRepo } from '../contexts/RepoContext';
+import IssueTypeSettings from '../components/IssueTypeSettings';
+import ReleaseReadinessSettings from '../components/ReleaseReadinessSettings';
 
 const Settings = () => {
   const { 
@@ -28,11 +31,15 @@ const Settings = () => {
     rateLimit, 
     fetchRateLimit, 
     clearAllCache,
+    clearRepoCache,
+    getCacheStats,
     isLoading 
   } = useSettings();
+  const { owner, repo } = useRepo();
   
   const [tempCacheTime, setTempCacheTime] = useState(cacheExpiryTime);
   const [tempItemLimit, setTempItemLimit] = useState(itemLimit || '');
+  const [cacheStats, setCacheStats] = useState(() => getCacheStats());
   const [message, setMessage] = useState({ text: '', severity: 'info' });
   const [showMessage, setShowMessage] = useState(false);
 
@@ -85,11 +92,28 @@ const Settings = () => {
 
   const handleClearCache = () => {
     clearAllCache();
+    setCacheStats(getCacheStats());
     setMessage({ text: 'All cached data has been cleared.', severity: 'success' });
     setShowMessage(true);
     setTimeout(() => setShowMessage(false), 3000);
   };
 
+  const handleClearRepoCache = () => {
+    clearRepoCache(owner, repo);
+    setCacheStats(getCacheStats());
+    setMessage({ text: `Cached data for ${owner}/${repo} has been cleared.`, severity: 'success' });
+    setShowMessage(true);
+    setTimeout(() => setShowMessage(false), 3000);
+  };
+
+  const handleSectionMessage = (text, severity) => {
+    setMessage({ text, severity });
+    setShowMessage(true);
+    setTimeout(() => setShowMessage(false), 3000);
+  };
+
+  const formatSize = (size) => `${(size / (1024 * 1024)).toFixed(1)} MB`;
+
   const formatDateTime = (timestamp) => {
     if (!timestamp) return 'N/A';
     return new Date(timestamp * 1000).toLocaleString();
@@ -179,7 +203,27 @@ const Settings = () => {
                 </Button>
               </Box>
               
-              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  Cached data is kept on disk between visits: {cacheStats.entries} entries, {formatSize(cacheStats.size)} of {formatSize(cacheStats.maxSize)}
+                </Typography>
+                <LinearProgress 
+                  variant="determinate" 
+                  value={Math.min((cacheStats.size / cacheStats.maxSize) * 100, 100)} 
+                />
+              </Box>
+              
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                {owner && repo && (
+                  <Button 
+                    variant="outlined" 
+                    color="secondary" 
+                    startIcon={<CachedOutlined />}
+                    onClick={handleClearRepoCache}
+                  >
+                    Clear Cached Data for {owner}/{repo}
+                  </Button>
+                )}
                 <Button 
                   variant="outlined" 
                   color="secondary" 
@@ -280,6 +324,16 @@ const Settings = () => {
             </Paper>
           </Grid>
 
+          {/* Issue Types */}
+          <Grid item xs={12}>
+            <IssueTypeSettings onMessage={handleSectionMessage} />
+          </Grid>
+
+          {/* Release Readiness */}
+          <Grid item xs={12}>
+            <ReleaseReadinessSettings onMessage={handleSectionMessage} />
+          </Grid>
+
           {/* Token Security */}
           <Grid item xs={12}>
             <Paper sx={{ p: 3, mt: 3 }}>
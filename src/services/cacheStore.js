@@ -0,0 +1,336 @@
+// Persistent cache used by GitHubService.
+// CacheStore keeps every entry in memory so reads stay synchronous, and writes
+// through to a pluggable backend so the cache survives page reloads.
+
+const DB_NAME = 'github-release-dashboard';
+const DB_VERSION = 1;
+
+// Object stores created in the dashboard database
+export const CACHE_STORES = {
+  apiCache: 'api-cache',
+  syncedDatasets: 'synced-datasets'
+};
+
+// Default size limit for a single store (in serialised characters)
+const DEFAULT_MAX_SIZE = 50 * 1024 * 1024;
+
+// Reads are written back to the backend in batches this often, so the LRU order survives a reload
+const ACCESS_WRITE_DELAY = 5000;
+
+/**
+ * Approximate size of a value, used for size accounting
+ * @param {any} value - Value to measure
+ * @returns {number} - Length of the value serialised as JSON
+ */
+const measureSize = (value) => {
+  try {
+    const json = JSON.stringify(value);
+    return json ? json.length : 0;
+  } catch (err) {
+    return 0;
+  }
+};
+
+/**
+ * IndexedDB storage backend.
+ * Any object with the same getAll/put/delete/clear methods can be used instead.
+ */
+export class IndexedDBBackend {
+  constructor(storeName, dbName = DB_NAME) {
+    this.storeName = storeName;
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating every dashboard store on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          Object.values(CACHE_STORES).forEach(storeName => {
+            if (!db.objectStoreNames.contains(storeName)) {
+              db.createObjectStore(storeName, { keyPath: 'key' });
+            }
+          });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against the store
+   * @param {string} mode - readonly or readwrite
+   * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+   * @returns {Promise<any>} - The request result
+   */
+  async run(mode, makeRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = makeRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  getAll() {
+    return this.run('readonly', store => store.getAll());
+  }
+
+  put(record) {
+    return this.run('readwrite', store => store.put(record));
+  }
+
+  delete(key) {
+    return this.run('readwrite', store => store.delete(key));
+  }
+
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+}
+
+/**
+ * Create the IndexedDB backend for a store, or null where IndexedDB isn't available
+ * (tests, some private browsing modes); the cache then stays in memory only.
+ * @param {string} storeName - One of CACHE_STORES
+ * @returns {IndexedDBBackend|null}
+ */
+export const createDefaultBackend = (storeName) => (
+  typeof indexedDB !== 'undefined' ? new IndexedDBBackend(storeName) : null
+);
+
+/**
+ * Map-like cache with per-entry expiry, size accounting and LRU eviction
+ */
+export class CacheStore {
+  constructor({ backend = null, maxSize = DEFAULT_MAX_SIZE } = {}) {
+    this.backend = backend;
+    this.maxSize = maxSize;
+    // key -> { key, value, expiry, size, lastAccess }, kept in least recently used first order
+    this.entries = new Map();
+    this.totalSize = 0;
+    // Keys read since the last access write
+    this.accessedKeys = new Set();
+    this.accessWriteTimer = null;
+  }
+
+  /**
+   * Load persisted entries into memory, skipping expired ones
+   * @returns {Promise<void>}
+   */
+  async hydrate() {
+    if (!this.backend) return;
+
+    try {
+      const records = await this.backend.getAll();
+      const now = Date.now();
+
+      records.forEach(record => {
+        if (record.expiry && record.expiry < now) {
+          this.persistDelete(record.key);
+          return;
+        }
+        // Entries written since the page loaded are newer than what's on disk
+        if (this.entries.has(record.key)) return;
+
+        this.entries.set(record.key, record);
+        this.totalSize += record.size;
+      });
+
+      // Restore least recently used first order
+      const ordered = Array.from(this.entries.values()).sort((a, b) => a.lastAccess - b.lastAccess);
+      this.entries = new Map(ordered.map(entry => [entry.key, entry]));
+
+      console.log(`[Cache] Restored ${this.entries.size} entries from disk`);
+      this.evict();
+    } catch (err) {
+      console.error('[Cache] Failed to restore persisted cache:', err);
+    }
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  /**
+   * Get a value, dropping it if it has expired
+   * @param {string} key - Cache key
+   * @returns {any} - The value, or undefined
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiry && Date.now() > entry.expiry) {
+      this.delete(key);
+      return undefined;
+    }
+
+    // Move to the most recently used end
+    entry.lastAccess = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.scheduleAccessWrite(key);
+    return entry.value;
+  }
+
+  /**
+   * Persist the access time of a read entry, batched with other reads
+   * @param {string} key - Cache key
+   */
+  scheduleAccessWrite(key) {
+    if (!this.backend) return;
+
+    this.accessedKeys.add(key);
+    if (!this.accessWriteTimer) {
+      this.accessWriteTimer = setTimeout(() => this.writeAccessTimes(), ACCESS_WRITE_DELAY);
+    }
+  }
+
+  /**
+   * Write the entries read since the last write, with their new access times
+   */
+  writeAccessTimes() {
+    const keys = Array.from(this.accessedKeys);
+    this.accessedKeys.clear();
+    this.accessWriteTimer = null;
+
+    keys.forEach(key => {
+      // Entries deleted or evicted since they were read are gone from the backend too
+      const entry = this.entries.get(key);
+      if (entry) {
+        this.backend.put(entry).catch(err => console.error(`[Cache] Failed to persist ${key}:`, err));
+      }
+    });
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {any} value - Value to store
+   * @param {number|null} [expiry] - Timestamp (ms) after which the entry expires, or null to keep it until evicted
+   * @returns {CacheStore}
+   */
+  set(key, value, expiry = null) {
+    this.removeEntry(key);
+
+    const entry = {
+      key,
+      value,
+      expiry,
+      size: measureSize(value),
+      lastAccess: Date.now()
+    };
+    this.entries.set(key, entry);
+    this.totalSize += entry.size;
+
+    this.evict(key);
+
+    if (this.entries.has(key) && this.backend) {
+      this.backend.put(entry).catch(err => console.error(`[Cache] Failed to persist ${key}:`, err));
+    }
+    return this;
+  }
+
+  /**
+   * Replace a value in place, keeping its expiry
+   * @param {string} key - Cache key
+   * @param {Function} updater - Receives the current value and returns the new one
+   * @returns {boolean} - False when there was no live entry to update
+   */
+  update(key, updater) {
+    const value = this.get(key);
+    if (value === undefined) return false;
+
+    this.set(key, updater(value), this.entries.get(key).expiry);
+    return true;
+  }
+
+  delete(key) {
+    const existed = this.removeEntry(key);
+    if (existed) this.persistDelete(key);
+    return existed;
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.totalSize = 0;
+
+    if (this.backend) {
+      this.backend.clear().catch(err => console.error('[Cache] Failed to clear persisted cache:', err));
+    }
+  }
+
+  /**
+   * Delete every entry whose key starts with the prefix
+   * @param {string} prefix - Key prefix, e.g. "owner/repo:"
+   */
+  clearPrefix(prefix) {
+    for (const key of Array.from(this.entries.keys())) {
+      if (key.startsWith(prefix)) {
+        this.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Current usage, for display in Settings
+   * @returns {{entries: number, size: number, maxSize: number}}
+   */
+  getStats() {
+    return { entries: this.entries.size, size: this.totalSize, maxSize: this.maxSize };
+  }
+
+  removeEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.totalSize -= entry.size;
+    return true;
+  }
+
+  persistDelete(key) {
+    if (this.backend) {
+      this.backend.delete(key).catch(err => console.error(`[Cache] Failed to delete ${key}:`, err));
+    }
+  }
+
+  /**
+   * Evict expired entries, then least recently used ones, until under the size limit
+   * @param {string} [protectedKey] - Entry that was just written and shouldn't be evicted
+   */
+  evict(protectedKey = null) {
+    if (this.totalSize <= this.maxSize) return;
+
+    const now = Date.now();
+    const entries = Array.from(this.entries.values()).filter(entry => entry.key !== protectedKey);
+    const isExpired = (entry) => entry.expiry && entry.expiry < now;
+    const candidates = [...entries.filter(isExpired), ...entries.filter(entry => !isExpired(entry))];
+
+    for (const entry of candidates) {
+      if (this.totalSize <= this.maxSize) break;
+      console.log(`[Cache] Evicting ${entry.key}`);
+      this.delete(entry.key);
+    }
+  }
+}
@@ -0,0 +1,197 @@
+import { CacheStore } from './cacheStore';
+
+// In-memory stand-in for IndexedDBBackend
+const createBackend = (records = []) => {
+  const stored = new Map(records.map(record => [record.key, record]));
+  return {
+    stored,
+    getAll: jest.fn(() => Promise.resolve(Array.from(stored.values()))),
+    put: jest.fn(record => {
+      stored.set(record.key, { ...record });
+      return Promise.resolve();
+    }),
+    delete: jest.fn(key => {
+      stored.delete(key);
+      return Promise.resolve();
+    }),
+    clear: jest.fn(() => {
+      stored.clear();
+      return Promise.resolve();
+    })
+  };
+};
+
+const record = (key, value, overrides = {}) => ({
+  key,
+  value,
+  expiry: null,
+  size: JSON.stringify(value).length,
+  lastAccess: 0,
+  ...overrides
+});
+
+const NOW = new Date('2024-05-01T12:00:00Z').getTime();
+
+beforeEach(() => {
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(NOW);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('hydrate', () => {
+  test('restores live entries in least recently used order and drops expired ones', async () => {
+    const backend = createBackend([
+      record('recent', 'b', { lastAccess: NOW - 1000 }),
+      record('expired', 'x', { expiry: NOW - 1 }),
+      record('old', 'a', { lastAccess: NOW - 5000 })
+    ]);
+    const store = new CacheStore({ backend });
+
+    await store.hydrate();
+
+    expect(Array.from(store.keys())).toEqual(['old', 'recent']);
+    expect(store.getStats()).toEqual({ entries: 2, size: 6, maxSize: expect.any(Number) });
+    expect(backend.delete).toHaveBeenCalledWith('expired');
+  });
+
+  test('keeps entries written before hydration finished', async () => {
+    const backend = createBackend([record('key', 'on disk')]);
+    const store = new CacheStore({ backend });
+
+    store.set('key', 'new');
+    await store.hydrate();
+
+    expect(store.get('key')).toBe('new');
+    expect(store.getStats().size).toBe(5);
+  });
+
+  test('does nothing without a backend', async () => {
+    const store = new CacheStore();
+    await store.hydrate();
+    expect(store.size).toBe(0);
+  });
+});
+
+describe('expiry', () => {
+  test('drops an entry once it expires', () => {
+    const backend = createBackend();
+    const store = new CacheStore({ backend });
+    store.set('key', 'value', NOW + 1000);
+
+    expect(store.get('key')).toBe('value');
+    jest.setSystemTime(NOW + 1001);
+    expect(store.get('key')).toBeUndefined();
+    expect(store.has('key')).toBe(false);
+    expect(store.getStats().size).toBe(0);
+    expect(backend.delete).toHaveBeenCalledWith('key');
+  });
+
+  test('keeps entries without an expiry', () => {
+    const store = new CacheStore();
+    store.set('key', 'value');
+    jest.setSystemTime(NOW + 365 * 24 * 60 * 60 * 1000);
+    expect(store.get('key')).toBe('value');
+  });
+
+  test('update keeps the expiry', () => {
+    const store = new CacheStore();
+    store.set('count', 1, NOW + 1000);
+
+    expect(store.update('count', count => count + 1)).toBe(true);
+    expect(store.get('count')).toBe(2);
+    jest.setSystemTime(NOW + 1001);
+    expect(store.update('count', count => count + 1)).toBe(false);
+  });
+});
+
+describe('size accounting', () => {
+  test('tracks the serialised size through writes, replacements and deletes', () => {
+    const store = new CacheStore();
+
+    store.set('a', 'abc');
+    store.set('b', [1, 2]);
+    expect(store.getStats().size).toBe(5 + 5);
+
+    store.set('a', 'abcdef');
+    expect(store.getStats().size).toBe(8 + 5);
+
+    store.delete('b');
+    expect(store.getStats()).toMatchObject({ entries: 1, size: 8 });
+
+    store.set('owner/repo:x', 1);
+    store.set('owner/other:x', 1);
+    store.clearPrefix('owner/repo:');
+    expect(Array.from(store.keys())).toEqual(['a', 'owner/other:x']);
+
+    store.clear();
+    expect(store.getStats()).toMatchObject({ entries: 0, size: 0 });
+  });
+});
+
+describe('eviction', () => {
+  test('evicts expired entries first, then the least recently used', () => {
+    const store = new CacheStore({ maxSize: 30 });
+    store.set('expiring', '12345678', NOW + 1000);
+    store.set('first', '12345678');
+    store.set('second', '12345678');
+    jest.setSystemTime(NOW + 2000);
+
+    // Reading "first" makes "second" the least recently used
+    store.get('first');
+    store.set('third', '12345678');
+
+    expect(Array.from(store.keys())).toEqual(['second', 'first', 'third']);
+
+    store.set('fourth', '12345678');
+    expect(Array.from(store.keys())).toEqual(['first', 'third', 'fourth']);
+    expect(store.getStats().size).toBeLessThanOrEqual(30);
+  });
+
+  test('keeps the entry being written even when it is over the limit', () => {
+    const store = new CacheStore({ maxSize: 10 });
+    store.set('small', 'abc');
+    store.set('big', 'abcdefghijklmnop');
+
+    expect(Array.from(store.keys())).toEqual(['big']);
+  });
+
+  test('persists reads so the least recently used order survives a reload', async () => {
+    const backend = createBackend();
+    const store = new CacheStore({ backend, maxSize: 25 });
+    store.set('first', '12345678');
+    jest.setSystemTime(NOW + 1000);
+    store.set('second', '12345678');
+    jest.setSystemTime(NOW + 2000);
+    store.get('first');
+    store.get('first');
+
+    expect(backend.stored.get('first').lastAccess).toBe(NOW);
+    jest.advanceTimersByTime(5000);
+    expect(backend.put).toHaveBeenCalledTimes(3);
+    expect(backend.stored.get('first').lastAccess).toBe(NOW + 2000);
+
+    const reloaded = new CacheStore({ backend, maxSize: 25 });
+    await reloaded.hydrate();
+    expect(Array.from(reloaded.keys())).toEqual(['second', 'first']);
+
+    reloaded.set('third', '12345678');
+    expect(Array.from(reloaded.keys())).toEqual(['first', 'third']);
+  });
+
+  test("doesn't write back entries deleted after they were read", () => {
+    const backend = createBackend();
+    const store = new CacheStore({ backend });
+    store.set('key', 'value');
+    store.get('key');
+    store.delete('key');
+
+    jest.advanceTimersByTime(5000);
+    expect(backend.put).toHaveBeenCalledTimes(1);
+    expect(backend.stored.has('key')).toBe(false);
+  });
+});
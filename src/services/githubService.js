@@ -1,15 +1,290 @@
 import { Octokit } from "octokit";
+import { CacheStore, CACHE_STORES, createDefaultBackend } from "./cacheStore";
+import { parseDispatchInputs } from "../utils/workflowInputs";
+import { getIssueTypeLabels } from "../utils/issueTypes";
+import { DEFAULT_LABEL_COLOR, normalizeLabelName } from "../utils/labelNames";
+
+// Query parameters the workflow runs endpoints can filter on
+const WORKFLOW_RUN_FILTERS = ['branch', 'event', 'actor', 'status', 'created'];
+
+// Deployment statuses are looked up this many deployments at a time
+const DEPLOYMENT_STATUS_BATCH_SIZE = 5;
+// Deployments from before the period checked for the last successful one, before giving up
+const MAX_DEPLOYMENTS_BEFORE_PERIOD = 10;
+
+// Pull requests with everything the PR views need in one paginated query,
+// instead of a listReviews/listRequestedReviewers call per pull request.
+const PULL_REQUESTS_QUERY = `
+  query ($owner: String!, $repo: String!, $states: [PullRequestState!], $labels: [String!], $pageSize: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequests(states: $states, labels: $labels, first: $pageSize, after: $cursor, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          id
+          databaseId
+          number
+          title
+          body
+          url
+          state
+          isDraft
+          locked
+          merged
+          mergedAt
+          createdAt
+          updatedAt
+          closedAt
+          additions
+          deletions
+          changedFiles
+          mergeable
+          mergeStateStatus
+          baseRefName
+          headRefName
+          headRefOid
+          mergeCommit {
+            oid
+          }
+          author {
+            __typename
+            login
+            avatarUrl
+            url
+          }
+          labels(first: 50) {
+            nodes {
+              id
+              name
+              color
+              description
+            }
+          }
+          assignees(first: 10) {
+            nodes {
+              login
+              avatarUrl
+            }
+          }
+          milestone {
+            id
+            number
+            title
+            state
+            dueOn
+            url
+          }
+          reviews(last: 50) {
+            nodes {
+              state
+              submittedAt
+              author {
+                login
+              }
+            }
+          }
+          reviewRequests(first: 20) {
+            nodes {
+              requestedReviewer {
+                __typename
+                ... on User {
+                  login
+                  avatarUrl
+                }
+                ... on Team {
+                  slug
+                }
+              }
+            }
+          }
+          timelineItems(last: 20, itemTypes: [REVIEW_REQUESTED_EVENT]) {
+            nodes {
+              ... on ReviewRequestedEvent {
+                createdAt
+                requestedReviewer {
+                  ... on User {
+                    login
+                  }
+                }
+              }
+            }
+          }
+          commits(last: 1) {
+            nodes {
+              commit {
+                statusCheckRollup {
+                  state
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// REST `state` values mapped to GraphQL PullRequestState filters
+const GRAPHQL_PR_STATES = {
+  open: ['OPEN'],
+  closed: ['CLOSED', 'MERGED'],
+  all: null
+};
+
+// GraphQL mergeable values mapped to the REST `mergeable` boolean
+const GRAPHQL_MERGEABLE = {
+  MERGEABLE: true,
+  CONFLICTING: false,
+  UNKNOWN: null
+};
+
+/**
+ * Convert a GraphQL pull request node to the REST shape the PR views consume
+ * @param {object} node - PullRequest node from PULL_REQUESTS_QUERY
+ * @returns {object} - Pull request in REST format, plus reviews, review_requested_events and checkStatus
+ */
+const mapGraphQLPullRequest = (node) => {
+  const toUser = (author) => author ? {
+    login: author.login,
+    avatar_url: author.avatarUrl,
+    html_url: author.url,
+    type: author.__typename === 'Bot' ? 'Bot' : 'User'
+  } : null;
+
+  const requestedReviewers = node.reviewRequests.nodes
+    .map(request => request.requestedReviewer)
+    .filter(Boolean);
+  const lastCommit = node.commits.nodes[0];
+  const checkRollup = lastCommit && lastCommit.commit.statusCheckRollup;
+
+  return {
+    id: node.databaseId,
+    node_id: node.id,
+    number: node.number,
+    title: node.title,
+    body: node.body,
+    html_url: node.url,
+    // REST only knows open/closed; merged PRs are closed with merged_at set
+    state: node.state === 'OPEN' ? 'open' : 'closed',
+    draft: node.isDraft,
+    locked: node.locked,
+    merged: node.merged,
+    merged_at: node.mergedAt,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    closed_at: node.closedAt,
+    additions: node.additions,
+    deletions: node.deletions,
+    changed_files: node.changedFiles,
+    mergeable: GRAPHQL_MERGEABLE[node.mergeable],
+    mergeable_state: node.mergeStateStatus ? node.mergeStateStatus.toLowerCase() : null,
+    merge_commit_sha: node.mergeCommit ? node.mergeCommit.oid : null,
+    base: { ref: node.baseRefName },
+    head: { ref: node.headRefName, sha: node.headRefOid },
+    user: toUser(node.author),
+    labels: node.labels.nodes.map(label => ({
+      id: label.id,
+      node_id: label.id,
+      name: label.name,
+      color: label.color,
+      description: label.description
+    })),
+    assignees: node.assignees.nodes.map(assignee => ({ login: assignee.login, avatar_url: assignee.avatarUrl })),
+    milestone: node.milestone ? {
+      id: node.milestone.id,
+      number: node.milestone.number,
+      title: node.milestone.title,
+      state: node.milestone.state.toLowerCase(),
+      due_on: node.milestone.dueOn,
+      html_url: node.milestone.url
+    } : null,
+    requested_reviewers: requestedReviewers
+      .filter(reviewer => reviewer.__typename === 'User')
+      .map(reviewer => ({ login: reviewer.login, avatar_url: reviewer.avatarUrl })),
+    requested_teams: requestedReviewers
+      .filter(reviewer => reviewer.__typename === 'Team')
+      .map(reviewer => ({ slug: reviewer.slug })),
+    reviews: node.reviews.nodes.map(review => ({
+      user: review.author ? { login: review.author.login } : null,
+      state: review.state,
+      submitted_at: review.submittedAt
+    })),
+    // When each user was asked for a review; REST PRs don't have this
+    review_requested_events: node.timelineItems.nodes
+      .filter(event => event.requestedReviewer && event.requestedReviewer.login)
+      .map(event => ({ login: event.requestedReviewer.login, created_at: event.createdAt })),
+    checkStatus: checkRollup ? checkRollup.state.toLowerCase() : null
+  };
+};
+
+/**
+ * Latest updated_at of a list of issues or pull requests
+ * @param {Array} items - Issues or pull requests
+ * @returns {string|null} - ISO date, or null for an empty list
+ */
+const getHighWaterMark = (items) => items.reduce(
+  (latest, item) => (!latest || item.updated_at > latest ? item.updated_at : latest),
+  null
+);
+
+/**
+ * Merge updated items into a stored dataset
+ * @param {Array} items - Stored items
+ * @param {Array} updates - Items updated since the stored copy was taken
+ * @param {string} state - open, closed or all; updates that no longer match are dropped
+ * @param {number} maxItems - Maximum number of items to keep
+ * @returns {Array} - Merged items, most recently updated first
+ */
+const mergeUpdatedItems = (items, updates, state, maxItems) => {
+  const itemsById = new Map(items.map(item => [item.id, item]));
+  updates.forEach(update => itemsById.set(update.id, update));
+  
+  return Array.from(itemsById.values())
+    .filter(item => state === 'all' || item.state === state)
+    .sort((a, b) => (a.updated_at < b.updated_at ? 1 : a.updated_at > b.updated_at ? -1 : 0))
+    .slice(0, maxItems);
+};
+
+/**
+ * Parse a comma separated label filter
+ * @param {string} labels - Comma separated label names
+ * @returns {Array<string>} - Lower-cased label names, empty when there is no filter
+ */
+const parseLabelFilter = (labels) => (
+  labels ? labels.split(',').map(label => label.trim().toLowerCase()).filter(Boolean) : []
+);
+
+/**
+ * Whether an issue or pull request carries the filtered labels
+ * @param {object} item - Issue or pull request
+ * @param {Array<string>} labelNames - Result of parseLabelFilter
+ * @param {boolean} matchAll - Require every label (the issues filter) rather than any (the PR filter)
+ * @returns {boolean}
+ */
+const hasFilterLabels = (item, labelNames, matchAll) => {
+  const itemLabels = item.labels.map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+  return matchAll
+    ? labelNames.every(name => itemLabels.includes(name))
+    : labelNames.some(name => itemLabels.includes(name));
+};
 
 class GitHubService {
   constructor() {
     this.octokit = null;
-    // Cache system to store API results
-    this.cache = new Map();
+    // Cache system to store API results, persisted to IndexedDB
+    this.cache = new CacheStore({ backend: createDefaultBackend(CACHE_STORES.apiCache) });
     // Default cache expiry time (30 minutes in milliseconds)
     this.defaultCacheExpiry = 30 * 60 * 1000;
     // Rate limit tracking
     this.rateLimitRemaining = null;
     this.rateLimitReset = null;
+    // Issue and PR datasets kept for incremental sync, keyed like the cache.
+    // They outlive cache expiry so a refresh only fetches what changed.
+    this.syncedDatasets = new CacheStore({ backend: createDefaultBackend(CACHE_STORES.syncedDatasets) });
+    // Resolves once both caches have been restored from disk
+    this.cacheReady = Promise.all([this.cache.hydrate(), this.syncedDatasets.hydrate()]);
   }
   
   /**
@@ -18,16 +293,9 @@ class GitHubService {
    * @returns {any|null} - The cached value or null if not found/expired
    */
   getCachedItem(key) {
-    if (!this.cache.has(key)) return null;
-    
-    const { data, expiry } = this.cache.get(key);
-    if (Date.now() > expiry) {
-      // Cache expired, remove it
-      this.cache.delete(key);
-      return null;
-    }
-    
-    return data;
+    // Expired entries are dropped by the store
+    const data = this.cache.get(key);
+    return data === undefined ? null : data;
   }
   
   /**
@@ -37,29 +305,87 @@ class GitHubService {
    * @param {number} [expiryMs] - Time in ms until cache expires (defaults to 30 min)
    */
   setCacheItem(key, data, expiryMs = this.defaultCacheExpiry) {
-    this.cache.set(key, {
-      data,
-      expiry: Date.now() + expiryMs
-    });
+    this.cache.set(key, data, Date.now() + expiryMs);
   }
   
   /**
    * Clear cache for a specific repository
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
+   * @param {boolean} [includeSyncedDatasets] - Also drop the incremental sync datasets,
+   *   so the next load is a full refetch
    */
-  clearRepoCache(owner, repo) {
+  clearRepoCache(owner, repo, includeSyncedDatasets = false) {
     const repoPrefix = `${owner}/${repo}:`;
     
-    // Find and delete all keys related to this repo
-    for (const key of this.cache.keys()) {
-      if (key.startsWith(repoPrefix)) {
-        this.cache.delete(key);
+    this.cache.clearPrefix(repoPrefix);
+    if (includeSyncedDatasets) {
+      this.syncedDatasets.clearPrefix(repoPrefix);
+    }
+  }
+  
+  /**
+   * Clear all cached data, including the incremental sync datasets
+   */
+  clearAllCache() {
+    this.cache.clear();
+    this.syncedDatasets.clear();
+  }
+  
+  /**
+   * Get combined usage of the API cache and sync datasets
+   * @returns {{entries: number, size: number, maxSize: number}}
+   */
+  getCacheStats() {
+    const cacheStats = this.cache.getStats();
+    const datasetStats = this.syncedDatasets.getStats();
+    return {
+      entries: cacheStats.entries + datasetStats.entries,
+      size: cacheStats.size + datasetStats.size,
+      maxSize: cacheStats.maxSize + datasetStats.maxSize
+    };
+  }
+
+  /**
+   * Make a REST request with If-None-Match so unchanged data comes back as a 304,
+   * which doesn't count against the rate limit
+   * @param {Function} request - Octokit REST method, e.g. this.octokit.rest.issues.listForRepo
+   * @param {object} params - Request parameters
+   * @param {string|null} etag - ETag from the previous response
+   * @returns {Promise<{notModified: boolean, data?: any, etag?: string}>}
+   */
+  async conditionalRequest(request, params, etag) {
+    try {
+      const response = await request({
+        ...params,
+        ...(etag && { headers: { 'If-None-Match': etag } })
+      });
+      return { notModified: false, data: response.data, etag: response.headers.etag };
+    } catch (error) {
+      if (error.status === 304) {
+        return { notModified: true };
       }
+      throw error;
     }
   }
 
+  /**
+   * Get the stored dataset for incremental sync, if it covers the requested limit
+   * @param {string} key - Dataset key (same as the cache key)
+   * @param {number} maxItems - Number of items the caller wants
+   * @returns {object|null} - { items, highWaterMark, etag, maxItems } or null
+   */
+  getSyncedDataset(key, maxItems) {
+    const dataset = this.syncedDatasets.get(key);
+    // A dataset fetched with a lower limit can't be topped up incrementally
+    if (!dataset || !dataset.highWaterMark || dataset.maxItems < maxItems) return null;
+    return dataset;
+  }
+
   async initialize(token) {
+    // Make sure the persisted cache is loaded before any data is requested
+    await this.cacheReady;
+    
     console.log("Creating Octokit instance");
     try {
       this.octokit = new Octokit({ auth: token });
@@ -97,6 +423,89 @@ class GitHubService {
     }
   }
 
+  /**
+   * Get the repositories of an organization
+   * @param {string} org - Organization login
+   * @param {boolean} includeArchived - Whether to include archived repositories
+   * @returns {Promise<{success: boolean, repositories?: Array, error?: string}>}
+   */
+  async getOrganizationRepositories(org, includeArchived = false) {
+    try {
+      console.log(`[GitHub API] Fetching repositories for organization ${org}`);
+      
+      let allRepos = [];
+      let page = 1;
+      let hasNextPage = true;
+      
+      while (hasNextPage) {
+        const response = await this.octokit.rest.repos.listForOrg({
+          org,
+          type: "all",
+          per_page: 100,
+          page: page
+        });
+        
+        const repos = response.data;
+        allRepos = [...allRepos, ...repos];
+        
+        if (repos.length < 100) {
+          hasNextPage = false;
+        } else {
+          page++;
+        }
+      }
+      
+      const repositories = includeArchived ? allRepos : allRepos.filter(repo => !repo.archived);
+      console.log(`[GitHub API] Total repositories fetched for ${org}: ${repositories.length}`);
+      return { success: true, repositories };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching organization repositories: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the repositories a team has access to
+   * @param {string} org - Organization login
+   * @param {string} teamSlug - Team slug
+   * @param {boolean} includeArchived - Whether to include archived repositories
+   * @returns {Promise<{success: boolean, repositories?: Array, error?: string}>}
+   */
+  async getTeamRepositories(org, teamSlug, includeArchived = false) {
+    try {
+      console.log(`[GitHub API] Fetching repositories for team ${org}/${teamSlug}`);
+      
+      let allRepos = [];
+      let page = 1;
+      let hasNextPage = true;
+      
+      while (hasNextPage) {
+        const response = await this.octokit.rest.teams.listReposInOrg({
+          org,
+          team_slug: teamSlug,
+          per_page: 100,
+          page: page
+        });
+        
+        const repos = response.data;
+        allRepos = [...allRepos, ...repos];
+        
+        if (repos.length < 100) {
+          hasNextPage = false;
+        } else {
+          page++;
+        }
+      }
+      
+      const repositories = includeArchived ? allRepos : allRepos.filter(repo => !repo.archived);
+      console.log(`[GitHub API] Total repositories fetched for ${org}/${teamSlug}: ${repositories.length}`);
+      return { success: true, repositories };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching team repositories: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
   async getReleases(owner, repo) {
     try {
       console.log(`[GitHub API] Fetching releases for ${owner}/${repo}`);
@@ -136,10 +545,399 @@ class GitHubService {
     }
   }
 
+  /**
+   * Work out the overall review status of a pull request
+   * @param {object} pr - Pull request
+   * @param {Array} reviews - Reviews submitted on the pull request
+   * @param {number} requestedReviewerCount - Number of outstanding review requests
+   * @returns {string} - Review status
+   */
+  getReviewStatus(pr, reviews, requestedReviewerCount = 0) {
+    if (pr.draft) return 'DRAFT';
+    if (pr.merged) return 'APPROVED';
+    if (pr.state === 'closed') return 'CHANGES_REQUESTED';
+    
+    if (reviews && reviews.length > 0) {
+      // Group reviews by reviewer
+      const reviewerLatestReviews = {};
+      reviews.forEach(review => {
+        if (!review.user) return;
+        const reviewer = review.user.login;
+        const existingReview = reviewerLatestReviews[reviewer];
+        
+        // Keep only the most recent review from each reviewer
+        if (!existingReview || new Date(review.submitted_at) > new Date(existingReview.submitted_at)) {
+          reviewerLatestReviews[reviewer] = review;
+        }
+      });
+      
+      // Convert to array of latest reviews by each reviewer
+      const latestReviews = Object.values(reviewerLatestReviews);
+      
+      // Check if any reviewer has requested changes
+      if (latestReviews.some(review => review.state === 'CHANGES_REQUESTED')) {
+        return 'CHANGES_REQUESTED';
+      }
+      
+      // Check if there are approvals
+      if (latestReviews.some(review => review.state === 'APPROVED')) {
+        return 'APPROVED';
+      }
+      
+      // If only comments, mark as COMMENTED
+      return 'COMMENTED';
+    }
+    
+    // If PR has active review requests, mark as REVIEW_REQUIRED
+    return requestedReviewerCount > 0 ? 'REVIEW_REQUIRED' : 'NO_REVIEW';
+  }
+
+  /**
+   * Fetch pull requests with reviews, review requests, labels, milestone,
+   * merge state and checks through paginated GraphQL queries
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} state - open, closed or all
+   * @param {string} labels - Comma separated label names to filter by
+   * @param {number} maxPRs - Maximum number of pull requests to fetch
+   * @param {string|null} updatedSince - Only fetch pull requests updated at or after this ISO date
+   * @returns {Promise<Array>} - Pull requests in the REST shape, with reviewStatus
+   */
+  async getPullRequestsGraphQL(owner, repo, state = "all", labels = "", maxPRs = 200, updatedSince = null) {
+    const labelNames = labels ? labels.split(',').map(label => label.trim()).filter(Boolean) : null;
+    let allPRs = [];
+    let cursor = null;
+    let hasNextPage = true;
+    
+    while (hasNextPage && allPRs.length < maxPRs) {
+      console.log(`[GitHub API] Fetching PRs via GraphQL${cursor ? ` after ${cursor}` : ''}`);
+      const response = await this.octokit.graphql(PULL_REQUESTS_QUERY, {
+        owner,
+        repo,
+        states: GRAPHQL_PR_STATES[state] || null,
+        labels: labelNames && labelNames.length > 0 ? labelNames : null,
+        // Smaller pages keep the nested review/label queries under GraphQL's timeout
+        pageSize: Math.min(maxPRs - allPRs.length, 50),
+        cursor
+      });
+      
+      const { nodes, pageInfo } = response.repository.pullRequests;
+      // Results are sorted by last update, so everything after the first older PR is older too
+      const newNodes = updatedSince ? nodes.filter(node => node.updatedAt >= updatedSince) : nodes;
+      allPRs = [...allPRs, ...newNodes.map(mapGraphQLPullRequest)];
+      
+      console.log(`[GitHub API] Retrieved ${newNodes.length} PRs via GraphQL (${allPRs.length} total)`);
+      
+      hasNextPage = pageInfo.hasNextPage && newNodes.length === nodes.length;
+      cursor = pageInfo.endCursor;
+    }
+    
+    return allPRs.map(pr => ({
+      ...pr,
+      reviewStatus: this.getReviewStatus(pr, pr.reviews, pr.requested_reviewers.length + pr.requested_teams.length)
+    }));
+  }
+
+  /**
+   * Add review statuses to pull requests from the REST API, fetching
+   * reviews and review requests for each pull request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array} prs - Pull requests from pulls.list
+   * @returns {Promise<Array>} - Pull requests with reviewStatus and reviews
+   */
+  async addReviewStatuses(owner, repo, prs) {
+    console.log(`[GitHub API] Processing review data for ${prs.length} PRs`);
+    
+    // Process PRs to include review data - this is the most time-consuming part
+    // Use batch processing to reduce load (process in chunks of 10 PRs)
+    const batchSize = 10;
+    let processedPRs = [];
+    
+    for (let i = 0; i < prs.length; i += batchSize) {
+      const batch = prs.slice(i, i + batchSize);
+      console.log(`[GitHub API] Processing PR batch ${i/batchSize + 1}/${Math.ceil(prs.length/batchSize)}`);
+      
+      const batchResults = await Promise.all(batch.map(async (pr) => {
+        // Default to "NO_REVIEW" for open PRs without reviews
+        let reviewStatus = pr.draft ? "DRAFT" : "NO_REVIEW";
+        
+        try {
+          // Check if PR review data is cached
+          const prReviewCacheKey = `${owner}/${repo}:pr:${pr.number}:reviews`;
+          const cachedReviewData = this.getCachedItem(prReviewCacheKey);
+          
+          if (cachedReviewData) {
+            return {
+              ...pr,
+              ...cachedReviewData
+            };
+          }
+          
+          // Get all reviews for this PR with pagination (only if needed)
+          let allReviews = [];
+          let requestedReviewerCount = 0;
+          
+          // Only fetch reviews if necessary (skip for draft or closed PRs where we can determine status).
+          // Merged PRs are fetched for the review timestamps the cycle time analytics need.
+          if (!pr.draft && !(pr.state === 'closed' && !pr.merged)) {
+            let reviewsPage = 1;
+            let hasMoreReviews = true;
+            
+            while (hasMoreReviews) {
+              const reviewsResponse = await this.octokit.rest.pulls.listReviews({
+                owner,
+                repo,
+                pull_number: pr.number,
+                per_page: 100,
+                page: reviewsPage
+              });
+              
+              const reviews = reviewsResponse.data;
+              allReviews = [...allReviews, ...reviews];
+              
+              if (reviews.length < 100) {
+                hasMoreReviews = false;
+              } else {
+                reviewsPage++;
+              }
+            }
+            
+            // Fetch requested reviewers only for open PRs without reviews
+            if (pr.state !== 'closed' && allReviews.length === 0) {
+              const reviewRequestsResponse = await this.octokit.rest.pulls.listRequestedReviewers({
+                owner,
+                repo,
+                pull_number: pr.number,
+              });
+              
+              const reviewRequests = reviewRequestsResponse.data;
+              requestedReviewerCount = reviewRequests.users ? reviewRequests.users.length : 0;
+            }
+          }
+          
+          // Determine review status based on the data we collected
+          reviewStatus = this.getReviewStatus(pr, allReviews, requestedReviewerCount);
+          
+          // Keep the reviews in the same shape as the GraphQL path
+          const reviewData = {
+            reviewStatus,
+            reviews: allReviews.map(review => ({
+              user: review.user ? { login: review.user.login } : null,
+              state: review.state,
+              submitted_at: review.submitted_at
+            }))
+          };
+          
+          // Reviews of merged PRs don't change, so they can be kept much longer
+          const reviewCacheExpiry = pr.merged ? 7 * 24 * 60 * 60 * 1000 : 60 * 60 * 1000;
+          this.setCacheItem(prReviewCacheKey, reviewData, reviewCacheExpiry);
+          
+          return {
+            ...pr,
+            ...reviewData
+          };
+        } catch (error) {
+          console.error(`Error fetching reviews for PR #${pr.number}:`, error);
+          // Fallback to algorithmic determination if API call fails
+          if (pr.draft) {
+            reviewStatus = 'DRAFT';
+          } else if (pr.merged) {
+            reviewStatus = 'APPROVED';
+          } else if (pr.state === 'closed') {
+            reviewStatus = 'CHANGES_REQUESTED';
+          } else {
+            reviewStatus = 'NO_REVIEW';
+          }
+          
+          return {
+            ...pr,
+            reviewStatus
+          };
+        }
+      }));
+      
+      processedPRs = [...processedPRs, ...batchResults];
+    }
+    
+    return processedPRs;
+  }
+
+  /**
+   * Add the line counts, changed file count, mergeable state and combined check
+   * status that pulls.list leaves out, fetching them for many pull requests per GraphQL query
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array} prs - Pull requests from pulls.list
+   * @returns {Promise<Array>} - Pull requests with additions, deletions, changed_files,
+   *   mergeable, mergeable_state and checkStatus where they could be fetched
+   */
+  async addPullRequestStats(owner, repo, prs) {
+    const statsCacheKey = (pr) => `${owner}/${repo}:pr:${pr.number}:stats`;
+    const stats = new Map();
+    prs.forEach(pr => {
+      const cachedStats = this.getCachedItem(statsCacheKey(pr));
+      if (cachedStats) stats.set(pr.number, cachedStats);
+    });
+    
+    const missing = prs.filter(pr => !stats.has(pr.number));
+    const batchSize = 50;
+    
+    try {
+      for (let i = 0; i < missing.length; i += batchSize) {
+        const batch = missing.slice(i, i + batchSize);
+        console.log(`[GitHub API] Fetching stats for PR batch ${i/batchSize + 1}/${Math.ceil(missing.length/batchSize)}`);
+        
+        const fields = batch.map(pr => `
+          pr${pr.number}: pullRequest(number: ${pr.number}) {
+            additions
+            deletions
+            changedFiles
+            mergeable
+            mergeStateStatus
+            commits(last: 1) {
+              nodes {
+                commit {
+                  statusCheckRollup {
+                    state
+                  }
+                }
+              }
+            }
+          }`).join('');
+        const response = await this.octokit.graphql(`
+          query ($owner: String!, $repo: String!) {
+            repository(owner: $owner, name: $repo) {${fields}
+            }
+          }
+        `, { owner, repo });
+        
+        batch.forEach(pr => {
+          const node = response.repository[`pr${pr.number}`];
+          if (!node) return;
+          
+          const lastCommit = node.commits.nodes[0];
+          const checkRollup = lastCommit && lastCommit.commit.statusCheckRollup;
+          const prStats = {
+            additions: node.additions,
+            deletions: node.deletions,
+            changed_files: node.changedFiles,
+            mergeable: GRAPHQL_MERGEABLE[node.mergeable],
+            mergeable_state: node.mergeStateStatus ? node.mergeStateStatus.toLowerCase() : null,
+            checkStatus: checkRollup ? checkRollup.state.toLowerCase() : null
+          };
+          stats.set(pr.number, prStats);
+          // Closed PRs don't change; the mergeable state and checks of open ones do
+          this.setCacheItem(statsCacheKey(pr), prStats, pr.state === 'open' ? 10 * 60 * 1000 : 7 * 24 * 60 * 60 * 1000);
+        });
+      }
+    } catch (error) {
+      // Sizes are a nice-to-have, so keep whatever was fetched
+      console.warn(`[GitHub API] Error fetching PR stats: ${error.message}`);
+    }
+    
+    return prs.map(pr => (stats.has(pr.number) ? { ...pr, ...stats.get(pr.number) } : pr));
+  }
+
+  /**
+   * Bring a stored pull request dataset up to date. A conditional request for the
+   * most recently updated PR tells us whether anything changed at all; if it did,
+   * only PRs updated since the high-water mark are fetched and merged in.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} state - open, closed or all
+   * @param {string} labels - Comma separated label names to filter by
+   * @param {object} dataset - Stored dataset from getSyncedDataset
+   * @param {number} maxPRs - Maximum number of pull requests to keep
+   * @param {boolean} useGraphQL - Fetch the updated PRs through GraphQL
+   * @returns {Promise<Array>} - Up to date pull requests
+   */
+  async syncPullRequests(owner, repo, state, labels, dataset, maxPRs, useGraphQL) {
+    const probe = await this.conditionalRequest(this.octokit.rest.pulls.list, {
+      owner,
+      repo,
+      state: "all",
+      sort: "updated",
+      direction: "desc",
+      per_page: 1
+    }, dataset.etag);
+    
+    if (probe.notModified) {
+      console.log(`[GitHub API] No PR changes since ${dataset.highWaterMark} (304)`);
+      return dataset.items.slice(0, maxPRs);
+    }
+    
+    console.log(`[GitHub API] Fetching PRs updated since ${dataset.highWaterMark}`);
+    
+    // Updates are fetched without the label filter so PRs that lost the label are seen,
+    // then only PRs with any of the labels are kept, as the GraphQL filter does
+    const labelNames = parseLabelFilter(labels);
+    const unlabelledIds = new Set();
+    const keepLabelled = (prs) => {
+      if (labelNames.length === 0) return prs;
+      prs.filter(pr => !hasFilterLabels(pr, labelNames, false)).forEach(pr => unlabelledIds.add(pr.id));
+      return prs.filter(pr => hasFilterLabels(pr, labelNames, false));
+    };
+    
+    let updatedPRs;
+    if (useGraphQL) {
+      // Fetch every state so PRs that were closed or merged drop out of open-only datasets
+      updatedPRs = keepLabelled(
+        await this.getPullRequestsGraphQL(owner, repo, "all", "", maxPRs, dataset.highWaterMark)
+      );
+    } else {
+      updatedPRs = [];
+      let page = 1;
+      let hasNextPage = true;
+      
+      while (hasNextPage) {
+        const response = await this.octokit.rest.pulls.list({
+          owner,
+          repo,
+          state: "all",
+          per_page: 100,
+          page,
+          sort: "updated",
+          direction: "desc"
+        });
+        
+        const prs = response.data
+          .filter(pr => pr.updated_at >= dataset.highWaterMark)
+          .map(pr => ({ ...pr, merged: Boolean(pr.merged_at) }));
+        updatedPRs = [...updatedPRs, ...prs];
+        
+        hasNextPage = response.data.length === 100 && prs.length === response.data.length && updatedPRs.length < maxPRs;
+        page++;
+      }
+      
+      updatedPRs = keepLabelled(updatedPRs);
+      
+      // Review statuses cached for these PRs may be out of date
+      updatedPRs.forEach(pr => this.cache.delete(`${owner}/${repo}:pr:${pr.number}:reviews`));
+      updatedPRs = await this.addReviewStatuses(owner, repo, updatedPRs);
+      updatedPRs.forEach(pr => this.cache.delete(`${owner}/${repo}:pr:${pr.number}:stats`));
+      updatedPRs = await this.addPullRequestStats(owner, repo, updatedPRs);
+    }
+    
+    console.log(`[GitHub API] Merging ${updatedPRs.length} updated PRs`);
+    // Stored PRs that no longer carry any of the labels drop out
+    const storedPRs = dataset.items.filter(pr => !unlabelledIds.has(pr.id));
+    const items = mergeUpdatedItems(storedPRs, updatedPRs, state, maxPRs);
+    
+    this.syncedDatasets.set(`${owner}/${repo}:prs:${state}:${labels}`, {
+      items,
+      highWaterMark: getHighWaterMark(items),
+      etag: probe.etag,
+      maxItems: dataset.maxItems
+    });
+    
+    return items;
+  }
+
   async getPullRequests(owner, repo, state = "all", labels = "", options = {}) {
     try {
       const cacheKey = `${owner}/${repo}:prs:${state}:${labels}`;
-      const { useCache = true, maxPRs = 200, skipReviewData = false } = options;
+      const { useCache = true, maxPRs = 200, skipReviewData = false, useGraphQL = true } = options;
       
       // Try to get from cache first if cache use is enabled
       if (useCache) {
@@ -150,6 +948,37 @@ class GitHubService {
         }
       }
       
+      // Refresh incrementally when we already hold a complete dataset
+      const dataset = this.getSyncedDataset(cacheKey, maxPRs);
+      if (dataset) {
+        try {
+          const syncedPRs = await this.syncPullRequests(owner, repo, state, labels, dataset, maxPRs, useGraphQL);
+          this.setCacheItem(cacheKey, syncedPRs);
+          return { success: true, pullRequests: syncedPRs };
+        } catch (error) {
+          console.warn(`[GitHub API] Incremental PR sync failed, refetching: ${error.message}`);
+        }
+      }
+      
+      // GraphQL returns complete review data in bulk, so there's no need for
+      // the skipReviewData quick pass. Fall back to REST if it fails.
+      if (useGraphQL) {
+        try {
+          const graphQLPRs = await this.getPullRequestsGraphQL(owner, repo, state, labels, maxPRs);
+          console.log(`[GitHub API] Fetched ${graphQLPRs.length} PRs with review data via GraphQL`);
+          this.setCacheItem(cacheKey, graphQLPRs);
+          this.syncedDatasets.set(cacheKey, {
+            items: graphQLPRs,
+            highWaterMark: getHighWaterMark(graphQLPRs),
+            etag: null,
+            maxItems: maxPRs
+          });
+          return { success: true, pullRequests: graphQLPRs };
+        } catch (error) {
+          console.warn(`[GitHub API] GraphQL PR fetch failed, falling back to REST: ${error.message}`);
+        }
+      }
+      
       console.log(`[GitHub API] Fetching pull requests for ${owner}/${repo}`);
       
       // Initialize variables for pagination
@@ -171,7 +1000,8 @@ class GitHubService {
           ...(labels && { labels }),
         });
         
-        const prs = response.data;
+        // The list endpoint has no `merged` flag; derive it so REST and GraphQL PRs look the same
+        const prs = response.data.map(pr => ({ ...pr, merged: Boolean(pr.merged_at) }));
         allPRs = [...allPRs, ...prs];
         
         console.log(`[GitHub API] Retrieved ${prs.length} PRs on page ${page}`);
@@ -206,310 +1036,1110 @@ class GitHubService {
         return { success: true, pullRequests: simplePRs, incomplete: true };
       }
       
-      console.log(`[GitHub API] Processing review data for ${allPRs.length} PRs`);
-      
-      // Process PRs to include review data - this is the most time-consuming part
-      // Use batch processing to reduce load (process in chunks of 10 PRs)
-      const batchSize = 10;
-      let processedPRs = [];
-      
-      for (let i = 0; i < allPRs.length; i += batchSize) {
-        const batch = allPRs.slice(i, i + batchSize);
-        console.log(`[GitHub API] Processing PR batch ${i/batchSize + 1}/${Math.ceil(allPRs.length/batchSize)}`);
+      const processedPRs = await this.addPullRequestStats(
+        owner,
+        repo,
+        await this.addReviewStatuses(owner, repo, allPRs)
+      );
+      
+      console.log(`[GitHub API] Completed processing ${processedPRs.length} PRs with review data`);
+      
+      // Cache the full results
+      this.setCacheItem(cacheKey, processedPRs);
+      this.syncedDatasets.set(cacheKey, {
+        items: processedPRs,
+        highWaterMark: getHighWaterMark(processedPRs),
+        etag: null,
+        maxItems: maxPRs
+      });
+      
+      return { success: true, pullRequests: processedPRs };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching pull requests: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getLabels(owner, repo, useCache = true) {
+    try {
+      const cacheKey = `${owner}/${repo}:labels`;
+      
+      // Try to get from cache first if cache use is enabled
+      if (useCache) {
+        const cachedData = this.getCachedItem(cacheKey);
+        if (cachedData) {
+          console.log(`[GitHub API] Using cached labels for ${owner}/${repo} (${cachedData.length} labels)`);
+          return { success: true, labels: cachedData };
+        }
+      }
+      
+      console.log(`[GitHub API] Fetching labels for ${owner}/${repo}`);
+      
+      // Initialize variables for pagination
+      let allLabels = [];
+      let page = 1;
+      let hasNextPage = true;
+      
+      // Fetch all pages of labels
+      while (hasNextPage) {
+        console.log(`[GitHub API] Fetching labels page ${page}`);
+        const response = await this.octokit.rest.issues.listLabelsForRepo({
+          owner,
+          repo,
+          per_page: 100,
+          page: page
+        });
+        
+        const labels = response.data;
+        allLabels = [...allLabels, ...labels];
+        
+        console.log(`[GitHub API] Retrieved ${labels.length} labels on page ${page}`);
+        
+        // Check if we've reached the last page
+        if (labels.length < 100) {
+          hasNextPage = false;
+        } else {
+          page++;
+        }
+      }
+      
+      console.log(`[GitHub API] Total labels fetched: ${allLabels.length}`);
+      
+      // Cache the results - labels rarely change so use a longer expiry time
+      this.setCacheItem(cacheKey, allLabels, 60 * 60 * 1000); // 1 hour cache
+      
+      return { success: true, labels: allLabels };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching labels: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create a label
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {object} fields - name, color (hex without #) and description
+   * @returns {Promise<{success: boolean, label?: object, error?: string}>}
+   */
+  async createLabel(owner, repo, fields) {
+    try {
+      console.log(`[GitHub API] Creating label ${fields.name} in ${owner}/${repo}`);
+      const response = await this.octokit.rest.issues.createLabel({
+        owner,
+        repo,
+        ...fields
+      });
+      this._trackRateLimit(response);
+      
+      this.cache.delete(`${owner}/${repo}:labels`);
+      
+      return { success: true, label: response.data };
+    } catch (error) {
+      console.error(`[GitHub API] Error creating label ${fields.name}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Rename, recolor or describe a label. GitHub updates it on every issue and PR,
+   * and the cached lists are patched to match.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} name - Current label name
+   * @param {object} fields - Any of new_name, color and description
+   * @returns {Promise<{success: boolean, label?: object, error?: string}>}
+   */
+  async updateLabel(owner, repo, name, fields) {
+    try {
+      console.log(`[GitHub API] Updating label ${name} in ${owner}/${repo}`);
+      const response = await this.octokit.rest.issues.updateLabel({
+        owner,
+        repo,
+        name,
+        ...fields
+      });
+      this._trackRateLimit(response);
+      
+      this.cache.delete(`${owner}/${repo}:labels`);
+      this.cache.delete(`${owner}/${repo}:label-usage`);
+      this.patchCachedLabel(owner, repo, name, response.data);
+      
+      return { success: true, label: response.data };
+    } catch (error) {
+      console.error(`[GitHub API] Error updating label ${name}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Delete a label, which also removes it from every issue and PR
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} name - Label name
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async deleteLabel(owner, repo, name) {
+    try {
+      console.log(`[GitHub API] Deleting label ${name} from ${owner}/${repo}`);
+      const response = await this.octokit.rest.issues.deleteLabel({
+        owner,
+        repo,
+        name
+      });
+      this._trackRateLimit(response);
+      
+      this.cache.delete(`${owner}/${repo}:labels`);
+      this.cache.delete(`${owner}/${repo}:label-usage`);
+      this.patchCachedLabel(owner, repo, name, null);
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`[GitHub API] Error deleting label ${name}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Count the issues and pull requests carrying each label. The loaded lists are
+   * capped by the item limit, so the counts come from GraphQL instead.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {boolean} [useCache] - Whether to use cached data if available
+   * @returns {Promise<{success: boolean, usage?: object, error?: string}>}
+   *   usage maps each label name to { issues, pullRequests }
+   */
+  async getLabelUsage(owner, repo, useCache = true) {
+    try {
+      const cacheKey = `${owner}/${repo}:label-usage`;
+      if (useCache) {
+        const cachedData = this.getCachedItem(cacheKey);
+        if (cachedData) {
+          return { success: true, usage: cachedData };
+        }
+      }
+      
+      const query = `
+        query($owner: String!, $repo: String!, $cursor: String) {
+          repository(owner: $owner, name: $repo) {
+            labels(first: 100, after: $cursor) {
+              pageInfo { hasNextPage endCursor }
+              nodes {
+                name
+                issues { totalCount }
+                pullRequests { totalCount }
+              }
+            }
+          }
+        }
+      `;
+      
+      const usage = {};
+      let cursor = null;
+      let hasNextPage = true;
+      
+      while (hasNextPage) {
+        const response = await this.octokit.graphql(query, { owner, repo, cursor });
+        const { nodes, pageInfo } = response.repository.labels;
+        
+        nodes.forEach(label => {
+          usage[label.name] = { issues: label.issues.totalCount, pullRequests: label.pullRequests.totalCount };
+        });
+        hasNextPage = pageInfo.hasNextPage;
+        cursor = pageInfo.endCursor;
+      }
+      
+      this.setCacheItem(cacheKey, usage, 10 * 60 * 1000);
+      
+      return { success: true, usage };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching label usage: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Get every issue and pull request with a label, open and closed
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} name - Label name
+   * @returns {Promise<{success: boolean, items?: Array, error?: string}>}
+   */
+  async getLabelItems(owner, repo, name) {
+    try {
+      let items = [];
+      let page = 1;
+      let hasNextPage = true;
+      
+      while (hasNextPage) {
+        const response = await this.octokit.rest.issues.listForRepo({
+          owner,
+          repo,
+          labels: name,
+          state: 'all',
+          per_page: 100,
+          page
+        });
+        this._trackRateLimit(response);
+        
+        items = [...items, ...response.data];
+        hasNextPage = response.data.length === 100;
+        page++;
+      }
+      
+      return { success: true, items };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching items labelled ${name}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async createRelease(owner, repo, tagName, name, body, draft = false, prerelease = false) {
+    try {
+      const { data } = await this.octokit.rest.repos.createRelease({
+        owner,
+        repo,
+        tag_name: tagName,
+        name,
+        body,
+        draft,
+        prerelease,
+      });
+      return { success: true, release: data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateRelease(owner, repo, releaseId, updates) {
+    try {
+      const { data } = await this.octokit.rest.repos.updateRelease({
+        owner,
+        repo,
+        release_id: releaseId,
+        ...updates,
+      });
+      return { success: true, release: data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get a single release with its assets and the body rendered to HTML by GitHub
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} releaseId - Release ID
+   * @returns {Promise<{success: boolean, release?: object, error?: string}>}
+   */
+  async getRelease(owner, repo, releaseId) {
+    try {
+      console.log(`[GitHub API] Fetching release ${releaseId} for ${owner}/${repo}`);
+      const { data } = await this.octokit.rest.repos.getRelease({
+        owner,
+        repo,
+        release_id: releaseId,
+        // "full" returns body_html alongside the raw Markdown body
+        mediaType: { format: 'full' }
+      });
+      return { success: true, release: data };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching release: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the tags of a repository (newest first, as returned by the API)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {boolean} useCache - Whether to use cached data if available
+   * @returns {Promise<{success: boolean, tags?: Array, error?: string}>}
+   */
+  async getTags(owner, repo, useCache = true) {
+    try {
+      const cacheKey = `${owner}/${repo}:tags`;
+
+      if (useCache) {
+        const cachedData = this.getCachedItem(cacheKey);
+        if (cachedData) {
+          console.log(`[GitHub API] Using cached tags for ${owner}/${repo} (${cachedData.length} tags)`);
+          return { success: true, tags: cachedData };
+        }
+      }
+
+      console.log(`[GitHub API] Fetching tags for ${owner}/${repo}`);
+
+      let allTags = [];
+      let page = 1;
+      let hasNextPage = true;
+
+      while (hasNextPage) {
+        const response = await this.octokit.rest.repos.listTags({
+          owner,
+          repo,
+          per_page: 100,
+          page: page
+        });
+
+        const tags = response.data;
+        allTags = [...allTags, ...tags];
+
+        if (tags.length < 100) {
+          hasNextPage = false;
+        } else {
+          page++;
+        }
+      }
+
+      console.log(`[GitHub API] Total tags fetched: ${allTags.length}`);
+
+      this.setCacheItem(cacheKey, allTags);
+
+      return { success: true, tags: allTags };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching tags: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the commits between two refs using the compare API
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} base - Base ref (e.g. the previous tag)
+   * @param {string} head - Head ref (e.g. the new tag or a branch)
+   * @param {number|null} cacheExpiry - Cache the result this long (ms); only worth it between tags, which don't move
+   * @returns {Promise<{success: boolean, commits?: Array, error?: string}>}
+   */
+  async compareCommits(owner, repo, base, head, cacheExpiry = null) {
+    try {
+      const cacheKey = `${owner}/${repo}:compare:${base}...${head}`;
+      if (cacheExpiry) {
+        const cachedData = this.getCachedItem(cacheKey);
+        if (cachedData) {
+          return { success: true, commits: cachedData };
+        }
+      }
+      
+      console.log(`[GitHub API] Comparing ${base}...${head} for ${owner}/${repo}`);
+
+      let allCommits = [];
+      let page = 1;
+      let hasNextPage = true;
+
+      while (hasNextPage) {
+        const response = await this.octokit.rest.repos.compareCommitsWithBasehead({
+          owner,
+          repo,
+          basehead: `${base}...${head}`,
+          per_page: 100,
+          page: page
+        });
+
+        this._trackRateLimit(response);
+
+        const commits = response.data.commits || [];
+        allCommits = [...allCommits, ...commits];
+
+        if (commits.length < 100 || allCommits.length >= response.data.total_commits) {
+          hasNextPage = false;
+        } else {
+          page++;
+        }
+      }
+
+      console.log(`[GitHub API] Found ${allCommits.length} commits between ${base} and ${head}`);
+      if (cacheExpiry) {
+        this.setCacheItem(cacheKey, allCommits, cacheExpiry);
+      }
+      return { success: true, commits: allCommits };
+    } catch (error) {
+      console.error(`[GitHub API] Error comparing commits: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the pull requests merged between two refs.
+   * The compare API gives us the commits in range; closed PRs are then matched
+   * on their merge commit, stopping once PRs are older than the range.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} base - Base ref (e.g. the previous tag)
+   * @param {string} head - Head ref (e.g. the new tag or a branch)
+   * @returns {Promise<{success: boolean, pullRequests?: Array, commits?: Array, error?: string}>}
+   */
+  async getMergedPullRequestsBetween(owner, repo, base, head) {
+    try {
+      const compareResult = await this.compareCommits(owner, repo, base, head);
+      if (!compareResult.success) {
+        return { success: false, error: compareResult.error };
+      }
+
+      const { commits } = compareResult;
+      if (commits.length === 0) {
+        return { success: true, pullRequests: [], commits };
+      }
+
+      const commitShas = new Set(commits.map(commit => commit.sha));
+      const oldestCommitDate = commits.reduce((oldest, commit) => {
+        const date = new Date(commit.commit.committer?.date || commit.commit.author?.date);
+        return date < oldest ? date : oldest;
+      }, new Date());
+
+      console.log(`[GitHub API] Matching merged PRs against ${commitShas.size} commits`);
+
+      let mergedPRs = [];
+      let page = 1;
+      let hasNextPage = true;
+
+      while (hasNextPage) {
+        const response = await this.octokit.rest.pulls.list({
+          owner,
+          repo,
+          state: "closed",
+          per_page: 100,
+          page: page,
+          sort: "updated",
+          direction: "desc"
+        });
+
+        const prs = response.data;
+        mergedPRs = [
+          ...mergedPRs,
+          ...prs.filter(pr => pr.merged_at && commitShas.has(pr.merge_commit_sha))
+        ];
+
+        // PRs are sorted by last update, so once a page ends before the range
+        // starts none of the remaining PRs can have been merged inside it
+        const lastPR = prs[prs.length - 1];
+        if (prs.length < 100 || (lastPR && new Date(lastPR.updated_at) < oldestCommitDate)) {
+          hasNextPage = false;
+        } else {
+          page++;
+        }
+      }
+
+      console.log(`[GitHub API] Found ${mergedPRs.length} PRs merged between ${base} and ${head}`);
+      return { success: true, pullRequests: mergedPRs, commits };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching merged PRs: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the pull requests merged since a date, newest first
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Date} since - Earliest merge date
+   * @param {boolean} useCache - Whether to use cached data if available
+   * @returns {Promise<{success: boolean, pullRequests?: Array, error?: string}>}
+   */
+  async getMergedPullRequests(owner, repo, since, useCache = true) {
+    try {
+      const cacheKey = `${owner}/${repo}:merged-prs:${since.toISOString().split('T')[0]}`;
+      
+      if (useCache) {
+        const cachedData = this.getCachedItem(cacheKey);
+        if (cachedData) {
+          return { success: true, pullRequests: cachedData };
+        }
+      }
+      
+      console.log(`[GitHub API] Fetching PRs merged since ${since.toISOString()} for ${owner}/${repo}`);
+      
+      let mergedPRs = [];
+      let page = 1;
+      let hasNextPage = true;
+      
+      while (hasNextPage) {
+        const response = await this.octokit.rest.pulls.list({
+          owner,
+          repo,
+          state: "closed",
+          per_page: 100,
+          page: page,
+          sort: "updated",
+          direction: "desc"
+        });
+        this._trackRateLimit(response);
+        
+        const prs = response.data;
+        mergedPRs = [
+          ...mergedPRs,
+          ...prs.filter(pr => pr.merged_at && new Date(pr.merged_at) >= since)
+        ];
+        
+        // A PR is updated when it is merged, so PRs last updated before the
+        // start date can't have been merged after it
+        const lastPR = prs[prs.length - 1];
+        if (prs.length < 100 || (lastPR && new Date(lastPR.updated_at) < since)) {
+          hasNextPage = false;
+        } else {
+          page++;
+        }
+      }
+      
+      mergedPRs.sort((a, b) => new Date(b.merged_at) - new Date(a.merged_at));
+      this.setCacheItem(cacheKey, mergedPRs, 10 * 60 * 1000);
+      
+      return { success: true, pullRequests: mergedPRs };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching merged PRs: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Get the first commit of a pull request, e.g. to see when work on it started
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @returns {Promise<{success: boolean, commit?: object|null, error?: string}>}
+   */
+  async getPullRequestFirstCommit(owner, repo, pullNumber) {
+    try {
+      // The commits of a merged PR don't change
+      const cacheKey = `${owner}/${repo}:pr-first-commit:${pullNumber}`;
+      const cachedData = this.getCachedItem(cacheKey);
+      if (cachedData) {
+        return { success: true, commit: cachedData };
+      }
+      
+      // Commits are listed oldest first
+      const response = await this.octokit.rest.pulls.listCommits({
+        owner,
+        repo,
+        pull_number: pullNumber,
+        per_page: 1,
+        page: 1
+      });
+      this._trackRateLimit(response);
+      
+      const commit = response.data[0] || null;
+      if (commit) {
+        this.setCacheItem(cacheKey, commit, 7 * 24 * 60 * 60 * 1000);
+      }
+      
+      return { success: true, commit };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching PR commits: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Get the paths of the files a pull request changes
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @param {boolean} [merged] - The PR is merged, so its files can be cached for longer
+   * @returns {Promise<{success: boolean, files?: Array<string>, error?: string}>}
+   */
+  async getPullRequestFiles(owner, repo, pullNumber, merged = false) {
+    try {
+      const cacheKey = `${owner}/${repo}:pr-files:${pullNumber}`;
+      const cachedData = this.getCachedItem(cacheKey);
+      if (cachedData) {
+        return { success: true, files: cachedData };
+      }
+      
+      // The API lists at most 3000 files per pull request
+      let files = [];
+      let page = 1;
+      let hasNextPage = true;
+      
+      while (hasNextPage) {
+        const response = await this.octokit.rest.pulls.listFiles({
+          owner,
+          repo,
+          pull_number: pullNumber,
+          per_page: 100,
+          page
+        });
+        this._trackRateLimit(response);
+        
+        files = [...files, ...response.data.map(file => file.filename)];
+        hasNextPage = response.data.length === 100 && page < 30;
+        page++;
+      }
+      
+      this.setCacheItem(cacheKey, files, merged ? 7 * 24 * 60 * 60 * 1000 : 10 * 60 * 1000);
+      
+      return { success: true, files };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching PR files: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Get every check on a commit: check runs from GitHub Actions and other apps,
+   * and commit statuses from services that use the older status API
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} ref - Commit SHA, usually a pull request's head
+   * @returns {Promise<{success: boolean, checks?: Array<{name: string, state: string, description: string|null, url: string|null}>, error?: string}>}
+   *   state is success, failure, pending, neutral or skipped
+   */
+  async getCommitChecks(owner, repo, ref) {
+    try {
+      const cacheKey = `${owner}/${repo}:checks:${ref}`;
+      const cachedData = this.getCachedItem(cacheKey);
+      if (cachedData) {
+        return { success: true, checks: cachedData };
+      }
+      
+      const statusResponse = await this.octokit.rest.repos.getCombinedStatusForRef({
+        owner,
+        repo,
+        ref,
+        per_page: 100
+      });
+      this._trackRateLimit(statusResponse);
+      
+      let checkRuns = [];
+      let page = 1;
+      let hasNextPage = true;
+      
+      while (hasNextPage) {
+        const response = await this.octokit.rest.checks.listForRef({
+          owner,
+          repo,
+          ref,
+          filter: 'latest',
+          per_page: 100,
+          page
+        });
+        this._trackRateLimit(response);
         
-        const batchResults = await Promise.all(batch.map(async (pr) => {
-          // Default to "NO_REVIEW" for open PRs without reviews
-          let reviewStatus = pr.draft ? "DRAFT" : "NO_REVIEW";
+        checkRuns = [...checkRuns, ...response.data.check_runs];
+        hasNextPage = checkRuns.length < response.data.total_count && response.data.check_runs.length === 100;
+        page++;
+      }
+      
+      const conclusionStates = {
+        success: 'success',
+        neutral: 'neutral',
+        skipped: 'skipped',
+        failure: 'failure',
+        timed_out: 'failure',
+        cancelled: 'failure',
+        action_required: 'failure',
+        startup_failure: 'failure',
+        stale: 'neutral'
+      };
+      
+      const checks = [
+        ...checkRuns.map(run => ({
+          name: run.name,
+          state: run.status === 'completed' ? (conclusionStates[run.conclusion] || 'neutral') : 'pending',
+          description: run.output && run.output.title ? run.output.title : null,
+          url: run.html_url || run.details_url || null
+        })),
+        ...statusResponse.data.statuses.map(status => ({
+          name: status.context,
+          state: status.state === 'error' ? 'failure' : status.state,
+          description: status.description || null,
+          url: status.target_url || null
+        }))
+      ];
+      
+      // Running checks change quickly
+      const stillRunning = checks.some(check => check.state === 'pending');
+      this.setCacheItem(cacheKey, checks, stillRunning ? 30 * 1000 : 10 * 60 * 1000);
+      
+      return { success: true, checks };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching checks for ${ref}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Get the successful deployments to an environment, newest first.
+   * Includes the first deployment before the start date, so changes can be measured from it.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} environment - Environment name, e.g. production
+   * @param {Date} since - Earliest deployment date
+   * @param {boolean} useCache - Whether to use cached data if available
+   * @returns {Promise<{success: boolean, deployments?: Array, error?: string}>}
+   */
+  async getSuccessfulDeployments(owner, repo, environment, since, useCache = true) {
+    try {
+      const cacheKey = `${owner}/${repo}:deployments:${environment}:${since.toISOString().split('T')[0]}`;
+      if (useCache) {
+        const cachedData = this.getCachedItem(cacheKey);
+        if (cachedData) {
+          return { success: true, deployments: cachedData };
+        }
+      }
+      
+      console.log(`[GitHub API] Fetching ${environment} deployments for ${owner}/${repo}`);
+      
+      const successful = [];
+      let checkedBeforePeriod = 0;
+      let page = 1;
+      let hasNextPage = true;
+      
+      while (hasNextPage) {
+        const response = await this.octokit.rest.repos.listDeployments({
+          owner,
+          repo,
+          environment,
+          per_page: 100,
+          page: page
+        });
+        this._trackRateLimit(response);
+        
+        const deployments = response.data;
+        for (let i = 0; i < deployments.length && hasNextPage; i += DEPLOYMENT_STATUS_BATCH_SIZE) {
+          const batch = deployments.slice(i, i + DEPLOYMENT_STATUS_BATCH_SIZE);
+          const statusResponses = await Promise.all(batch.map(deployment => (
+            this.octokit.rest.repos.listDeploymentStatuses({
+              owner,
+              repo,
+              deployment_id: deployment.id,
+              per_page: 100
+            })
+          )));
           
-          try {
-            // Check if PR review data is cached
-            const prReviewCacheKey = `${owner}/${repo}:pr:${pr.number}:review`;
-            const cachedReviewStatus = this.getCachedItem(prReviewCacheKey);
+          for (const [index, statusResponse] of statusResponses.entries()) {
+            this._trackRateLimit(statusResponse);
             
-            if (cachedReviewStatus) {
-              return {
-                ...pr,
-                reviewStatus: cachedReviewStatus
-              };
-            }
-            
-            // Get all reviews for this PR with pagination (only if needed)
-            let allReviews = [];
-            
-            // Only fetch reviews if necessary (skip for draft, merged, or closed PRs where we can determine status)
-            if (!pr.draft && !(pr.merged) && !(pr.state === 'closed' && !pr.merged)) {
-              let reviewsPage = 1;
-              let hasMoreReviews = true;
-              
-              while (hasMoreReviews) {
-                const reviewsResponse = await this.octokit.rest.pulls.listReviews({
-                  owner,
-                  repo,
-                  pull_number: pr.number,
-                  per_page: 100,
-                  page: reviewsPage
-                });
-                
-                const reviews = reviewsResponse.data;
-                allReviews = [...allReviews, ...reviews];
-                
-                if (reviews.length < 100) {
-                  hasMoreReviews = false;
-                } else {
-                  reviewsPage++;
-                }
-              }
-              
-              // Fetch requested reviewers only for open PRs without reviews
-              if (pr.state !== 'closed' && allReviews.length === 0) {
-                const reviewRequestsResponse = await this.octokit.rest.pulls.listRequestedReviewers({
-                  owner,
-                  repo,
-                  pull_number: pr.number,
-                });
-                
-                const reviewRequests = reviewRequestsResponse.data;
-                
-                // If PR has active review requests, mark as REVIEW_REQUIRED
-                if (reviewRequests.users && reviewRequests.users.length > 0) {
-                  reviewStatus = 'REVIEW_REQUIRED';
-                }
-              }
+            // A deployment counts once it reports success
+            const deployment = batch[index];
+            const successStatus = statusResponse.data.find(status => status.state === 'success');
+            if (successStatus) {
+              successful.push({ ...deployment, deployed_at: successStatus.created_at });
             }
             
-            // Determine review status based on the data we collected
-            if (pr.draft) {
-              reviewStatus = 'DRAFT';
-            } else if (pr.merged) {
-              reviewStatus = 'APPROVED';
-            } else if (pr.state === 'closed') {
-              reviewStatus = 'CHANGES_REQUESTED';
-            } else if (allReviews && allReviews.length > 0) {
-              // Group reviews by reviewer
-              const reviewerLatestReviews = {};
-              allReviews.forEach(review => {
-                const reviewer = review.user.login;
-                const existingReview = reviewerLatestReviews[reviewer];
-                
-                // Keep only the most recent review from each reviewer
-                if (!existingReview || new Date(review.submitted_at) > new Date(existingReview.submitted_at)) {
-                  reviewerLatestReviews[reviewer] = review;
-                }
-              });
-              
-              // Convert to array of latest reviews by each reviewer
-              const latestReviews = Object.values(reviewerLatestReviews);
-              
-              // Check if any reviewer has requested changes
-              const hasChangesRequested = latestReviews.some(review => review.state === 'CHANGES_REQUESTED');
-              
-              // Check if there are approvals
-              const hasApproval = latestReviews.some(review => review.state === 'APPROVED');
-              
-              // Determine overall status
-              if (hasChangesRequested) {
-                reviewStatus = 'CHANGES_REQUESTED';
-              } else if (hasApproval) {
-                reviewStatus = 'APPROVED';
-              } else {
-                // If only comments, mark as COMMENTED
-                reviewStatus = 'COMMENTED';
+            // Before the period only the latest successful deployment is needed, and
+            // environments that never succeeded back then shouldn't be walked to the end
+            if (new Date(deployment.created_at) < since) {
+              checkedBeforePeriod++;
+              if (successStatus || checkedBeforePeriod >= MAX_DEPLOYMENTS_BEFORE_PERIOD) {
+                hasNextPage = false;
+                break;
               }
             }
-            
-            // Cache the review status for this PR
-            this.setCacheItem(prReviewCacheKey, reviewStatus, 60 * 60 * 1000); // 1 hour cache for PR reviews
-            
-            return {
-              ...pr,
-              reviewStatus
-            };
-          } catch (error) {
-            console.error(`Error fetching reviews for PR #${pr.number}:`, error);
-            // Fallback to algorithmic determination if API call fails
-            if (pr.draft) {
-              reviewStatus = 'DRAFT';
-            } else if (pr.merged) {
-              reviewStatus = 'APPROVED';
-            } else if (pr.state === 'closed') {
-              reviewStatus = 'CHANGES_REQUESTED';
-            } else {
-              reviewStatus = 'NO_REVIEW';
-            }
-            
-            return {
-              ...pr,
-              reviewStatus
-            };
           }
-        }));
+        }
         
-        processedPRs = [...processedPRs, ...batchResults];
+        if (deployments.length < 100) {
+          hasNextPage = false;
+        } else if (hasNextPage) {
+          page++;
+        }
       }
       
-      console.log(`[GitHub API] Completed processing ${processedPRs.length} PRs with review data`);
-      
-      // Cache the full results
-      this.setCacheItem(cacheKey, processedPRs);
-      
-      return { success: true, pullRequests: processedPRs };
+      this.setCacheItem(cacheKey, successful, 10 * 60 * 1000);
+      return { success: true, deployments: successful };
     } catch (error) {
-      console.error(`[GitHub API] Error fetching pull requests: ${error.message}`);
+      console.error(`[GitHub API] Error fetching deployments: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Ask GitHub to generate release notes for a tag
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} tagName - Tag of the release (may not exist yet)
+   * @param {string} [previousTagName] - Tag to use as the starting point
+   * @param {string} [targetCommitish] - Commitish the tag is created from if it doesn't exist
+   * @returns {Promise<{success: boolean, notes?: {name: string, body: string}, error?: string}>}
+   */
+  async generateReleaseNotes(owner, repo, tagName, previousTagName, targetCommitish) {
+    try {
+      console.log(`[GitHub API] Generating release notes for ${owner}/${repo}@${tagName}`);
+      const { data } = await this.octokit.rest.repos.generateReleaseNotes({
+        owner,
+        repo,
+        tag_name: tagName,
+        ...(previousTagName && { previous_tag_name: previousTagName }),
+        ...(targetCommitish && { target_commitish: targetCommitish })
+      });
+      return { success: true, notes: data };
+    } catch (error) {
+      console.error(`[GitHub API] Error generating release notes: ${error.message}`);
       return { success: false, error: error.message };
     }
   }
 
-  async getLabels(owner, repo, useCache = true) {
+  /**
+   * Resolve label names against the repository's labels, creating only labels that
+   * have no near-duplicate. A name that differs from an existing label only in case,
+   * plurals or separators uses that label, so typing "Bugs" doesn't add a second "bug".
+   * New labels get GitHub's default colour and no description.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string[]} labelNames - Label names to check
+   * @returns {Promise<{success: boolean, labelNames?: string[], createdLabels?: Array, error?: string}>}
+   */
+  async createMissingLabels(owner, repo, labelNames) {
+    const labelsResult = await this.getLabels(owner, repo);
+    if (!labelsResult.success) {
+      return { success: false, error: labelsResult.error };
+    }
+    
+    const labelsByKey = new Map(labelsResult.labels.map(label => [normalizeLabelName(label.name), label]));
+    const createdLabels = [];
+    const resolvedNames = [];
+    
+    for (const labelName of labelNames) {
+      const key = normalizeLabelName(labelName);
+      const existing = labelsByKey.get(key);
+      if (existing) {
+        resolvedNames.push(existing.name);
+        continue;
+      }
+      
+      console.log(`[GitHub API] Creating new label: ${labelName}`);
+      try {
+        const { data } = await this.octokit.rest.issues.createLabel({
+          owner,
+          repo,
+          name: labelName,
+          color: DEFAULT_LABEL_COLOR
+        });
+        labelsByKey.set(key, data);
+        createdLabels.push(data);
+        resolvedNames.push(data.name);
+      } catch (error) {
+        return { success: false, error: `Failed to create label: ${error.message}` };
+      }
+    }
+    
+    if (createdLabels.length > 0) {
+      this.cache.delete(`${owner}/${repo}:labels`);
+    }
+    // The same label may have been asked for under two spellings
+    return { success: true, labelNames: [...new Set(resolvedNames)], createdLabels };
+  }
+  
+  /**
+   * Run a change over the items of every cached issue and PR list of a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Function} patchItems - Maps an item array to the patched array
+   */
+  _patchCachedItems(owner, repo, patchItems) {
+    const prefixes = [`${owner}/${repo}:issues:`, `${owner}/${repo}:prs:`];
+    
+    // Plain caches hold item arrays; synced datasets hold { items, highWaterMark, ... }
+    [this.cache, this.syncedDatasets].forEach(store => {
+      Array.from(store.keys())
+        .filter(key => prefixes.some(prefix => key.startsWith(prefix)))
+        .forEach(key => store.update(key, value => (
+          Array.isArray(value) ? patchItems(value) : { ...value, items: patchItems(value.items || []) }
+        )));
+    });
+  }
+
+  /**
+   * Apply changes to one issue or PR wherever it appears in the cached issue and PR
+   * lists, so a small edit doesn't throw the whole cached dataset away
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} itemNumber - Issue or PR number
+   * @param {object} changes - Fields to overwrite on the item
+   */
+  patchCachedItem(owner, repo, itemNumber, changes) {
+    this._patchCachedItems(owner, repo, items => items.map(item => (
+      item.number === itemNumber ? { ...item, ...changes } : item
+    )));
+  }
+
+  /**
+   * Replace or remove a label on every item in the cached issue and PR lists,
+   * after it was renamed, recolored or deleted
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} name - Label name before the change
+   * @param {object|null} label - The updated label, or null when it was deleted
+   */
+  patchCachedLabel(owner, repo, name, label) {
+    const isLabel = (itemLabel) => itemLabel.name.toLowerCase() === name.toLowerCase();
+    
+    this._patchCachedItems(owner, repo, items => items.map(item => {
+      if (!(item.labels || []).some(isLabel)) return item;
+      return {
+        ...item,
+        labels: label
+          ? item.labels.map(itemLabel => (isLabel(itemLabel) ? label : itemLabel))
+          : item.labels.filter(itemLabel => !isLabel(itemLabel))
+      };
+    }));
+  }
+
+  async addLabelToIssue(owner, repo, issueNumber, labelName) {
     try {
-      const cacheKey = `${owner}/${repo}:labels`;
-      
-      // Try to get from cache first if cache use is enabled
-      if (useCache) {
-        const cachedData = this.getCachedItem(cacheKey);
-        if (cachedData) {
-          console.log(`[GitHub API] Using cached labels for ${owner}/${repo} (${cachedData.length} labels)`);
-          return { success: true, labels: cachedData };
-        }
+      const createResult = await this.createMissingLabels(owner, repo, [labelName]);
+      if (!createResult.success) {
+        return { success: false, error: createResult.error };
       }
       
-      console.log(`[GitHub API] Fetching labels for ${owner}/${repo}`);
-      
-      // Initialize variables for pagination
-      let allLabels = [];
-      let page = 1;
-      let hasNextPage = true;
+      // Add the label to the issue
+      const { data } = await this.octokit.rest.issues.addLabels({
+        owner,
+        repo,
+        issue_number: issueNumber,
+        labels: createResult.labelNames
+      });
       
-      // Fetch all pages of labels
-      while (hasNextPage) {
-        console.log(`[GitHub API] Fetching labels page ${page}`);
-        const response = await this.octokit.rest.issues.listLabelsForRepo({
-          owner,
-          repo,
-          per_page: 100,
-          page: page
-        });
-        
-        const labels = response.data;
-        allLabels = [...allLabels, ...labels];
-        
-        console.log(`[GitHub API] Retrieved ${labels.length} labels on page ${page}`);
-        
-        // Check if we've reached the last page
-        if (labels.length < 100) {
-          hasNextPage = false;
-        } else {
-          page++;
-        }
-      }
+      this.patchCachedItem(owner, repo, issueNumber, { labels: data });
       
-      console.log(`[GitHub API] Total labels fetched: ${allLabels.length}`);
+      return { success: true, labels: data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  
+  async removeLabelFromIssue(owner, repo, issueNumber, labelName) {
+    try {
+      // The response holds the labels left on the issue
+      const { data } = await this.octokit.rest.issues.removeLabel({
+        owner,
+        repo,
+        issue_number: issueNumber,
+        name: labelName
+      });
       
-      // Cache the results - labels rarely change so use a longer expiry time
-      this.setCacheItem(cacheKey, allLabels, 60 * 60 * 1000); // 1 hour cache
+      this.patchCachedItem(owner, repo, issueNumber, { labels: data });
       
-      return { success: true, labels: allLabels };
+      return { success: true, labels: data };
     } catch (error) {
-      console.error(`[GitHub API] Error fetching labels: ${error.message}`);
       return { success: false, error: error.message };
     }
   }
-
-  async createRelease(owner, repo, tagName, name, body, draft = false, prerelease = false) {
+  
+  /**
+   * Replace all labels on an issue or PR in one request, creating labels that don't exist yet
+   * (see createMissingLabels for how near-duplicates are reused)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} issueNumber - Issue or PR number
+   * @param {string[]} labelNames - The complete set of labels the item should have
+   * @returns {Promise<{success: boolean, labels?: Array, createdLabels?: Array, error?: string}>}
+   */
+  async setIssueLabels(owner, repo, issueNumber, labelNames) {
     try {
-      const { data } = await this.octokit.rest.repos.createRelease({
+      const createResult = await this.createMissingLabels(owner, repo, labelNames);
+      if (!createResult.success) {
+        return { success: false, error: createResult.error };
+      }
+      
+      console.log(`[GitHub API] Setting ${createResult.labelNames.length} labels on #${issueNumber}`);
+      const { data } = await this.octokit.rest.issues.setLabels({
         owner,
         repo,
-        tag_name: tagName,
-        name,
-        body,
-        draft,
-        prerelease,
+        issue_number: issueNumber,
+        labels: createResult.labelNames
       });
-      return { success: true, release: data };
+      
+      this.patchCachedItem(owner, repo, issueNumber, { labels: data });
+      
+      return { success: true, labels: data, createdLabels: createResult.createdLabels };
     } catch (error) {
+      console.error(`[GitHub API] Error setting labels on #${issueNumber}: ${error.message}`);
       return { success: false, error: error.message };
     }
   }
 
-  async updateRelease(owner, repo, releaseId, updates) {
+  /**
+   * Update fields of an issue or PR, e.g. its state or milestone. Pull requests
+   * are issues too, so this works for both.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} issueNumber - Issue or PR number
+   * @param {object} fields - Fields to update, as accepted by issues.update
+   * @returns {Promise<{success: boolean, issue?: object, error?: string}>}
+   */
+  async updateIssue(owner, repo, issueNumber, fields) {
     try {
-      const { data } = await this.octokit.rest.repos.updateRelease({
+      console.log(`[GitHub API] Updating ${Object.keys(fields).join(', ')} on #${issueNumber}`);
+      const response = await this.octokit.rest.issues.update({
         owner,
         repo,
-        release_id: releaseId,
-        ...updates,
+        issue_number: issueNumber,
+        ...fields
       });
-      return { success: true, release: data };
+      this._trackRateLimit(response);
+      
+      const { data } = response;
+      this.patchCachedItem(owner, repo, issueNumber, {
+        state: data.state,
+        closed_at: data.closed_at,
+        milestone: data.milestone,
+        assignees: data.assignees,
+        labels: data.labels
+      });
+      
+      return { success: true, issue: data };
     } catch (error) {
+      console.error(`[GitHub API] Error updating #${issueNumber}: ${error.message}`);
       return { success: false, error: error.message };
     }
   }
   
-  async addLabelToIssue(owner, repo, issueNumber, labelName) {
+  /**
+   * Add or remove assignees on an issue or PR, leaving the other assignees alone
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} issueNumber - Issue or PR number
+   * @param {string[]} logins - Users to add or remove
+   * @param {boolean} [remove] - Remove the users instead of adding them
+   * @returns {Promise<{success: boolean, assignees?: Array, error?: string}>}
+   */
+  async setAssignees(owner, repo, issueNumber, logins, remove = false) {
     try {
-      // Check if label exists first
-      const labelsResult = await this.getLabels(owner, repo);
-      if (!labelsResult.success) {
-        return { success: false, error: labelsResult.error };
-      }
-      
-      const labelExists = labelsResult.labels.some(label => 
-        label.name.toLowerCase() === labelName.toLowerCase()
-      );
-      
-      // Create the label if it doesn't exist
-      if (!labelExists) {
-        console.log(`[GitHub API] Creating new label: ${labelName}`);
-        
-        // Generate a random color for the new label
-        const randomColor = Math.floor(Math.random()*16777215).toString(16);
-        
-        try {
-          await this.octokit.rest.issues.createLabel({
-            owner,
-            repo,
-            name: labelName,
-            color: randomColor,
-            description: `Label created via GitHub Release Dashboard`
-          });
-        } catch (error) {
-          return { success: false, error: `Failed to create label: ${error.message}` };
-        }
-      }
-      
-      // Add the label to the issue
-      const { data } = await this.octokit.rest.issues.addLabels({
+      const request = remove ? this.octokit.rest.issues.removeAssignees : this.octokit.rest.issues.addAssignees;
+      const response = await request({
         owner,
         repo,
         issue_number: issueNumber,
-        labels: [labelName]
+        assignees: logins
       });
+      this._trackRateLimit(response);
       
-      // Clear cache for this issue
-      const cacheKey = `${owner}/${repo}:issues:all:`;
-      this.cache.delete(cacheKey);
+      // Users who can't be assigned are dropped silently, so report what GitHub kept
+      const assignees = response.data.assignees || [];
+      this.patchCachedItem(owner, repo, issueNumber, { assignees });
       
-      return { success: true, labels: data };
+      return { success: true, assignees };
     } catch (error) {
+      console.error(`[GitHub API] Error changing assignees on #${issueNumber}: ${error.message}`);
       return { success: false, error: error.message };
     }
   }
   
-  async removeLabelFromIssue(owner, repo, issueNumber, labelName) {
+  /**
+   * Lock the conversation on an issue or PR
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} issueNumber - Issue or PR number
+   * @param {string|null} [lockReason] - off-topic, too heated, resolved or spam
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async lockIssue(owner, repo, issueNumber, lockReason = null) {
     try {
-      await this.octokit.rest.issues.removeLabel({
+      const response = await this.octokit.rest.issues.lock({
         owner,
         repo,
         issue_number: issueNumber,
-        name: labelName
+        ...(lockReason && { lock_reason: lockReason })
       });
+      this._trackRateLimit(response);
       
-      // Clear cache for this issue
-      const cacheKey = `${owner}/${repo}:issues:all:`;
-      this.cache.delete(cacheKey);
+      this.patchCachedItem(owner, repo, issueNumber, { locked: true, active_lock_reason: lockReason });
       
       return { success: true };
     } catch (error) {
+      console.error(`[GitHub API] Error locking #${issueNumber}: ${error.message}`);
       return { success: false, error: error.message };
     }
   }
@@ -549,6 +2179,97 @@ class GitHubService {
     }
   }
 
+  /**
+   * Create a milestone
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {object} fields - title, and optionally description and due_on (ISO date)
+   * @returns {Promise<{success: boolean, milestone?: object, error?: string}>}
+   */
+  async createMilestone(owner, repo, fields) {
+    try {
+      const { data } = await this.octokit.rest.issues.createMilestone({
+        owner,
+        repo,
+        ...fields
+      });
+      return { success: true, milestone: data };
+    } catch (error) {
+      console.error(`[GitHub API] Error creating milestone: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Update a milestone, including closing (state: closed) and reopening it
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} milestoneNumber - Milestone number
+   * @param {object} fields - Any of title, description, due_on and state
+   * @returns {Promise<{success: boolean, milestone?: object, error?: string}>}
+   */
+  async updateMilestone(owner, repo, milestoneNumber, fields) {
+    try {
+      const { data } = await this.octokit.rest.issues.updateMilestone({
+        owner,
+        repo,
+        milestone_number: milestoneNumber,
+        ...fields
+      });
+      return { success: true, milestone: data };
+    } catch (error) {
+      console.error(`[GitHub API] Error updating milestone ${milestoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Get every issue and pull request in a milestone, open and closed
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} milestoneNumber - Milestone number
+   * @param {boolean} [useCache] - Whether to use cached data if available
+   * @returns {Promise<{success: boolean, items?: Array, error?: string}>}
+   */
+  async getMilestoneItems(owner, repo, milestoneNumber, useCache = true) {
+    try {
+      const cacheKey = `${owner}/${repo}:milestone-items:${milestoneNumber}`;
+      if (useCache) {
+        const cachedData = this.getCachedItem(cacheKey);
+        if (cachedData) {
+          return { success: true, items: cachedData };
+        }
+      }
+      
+      let items = [];
+      let page = 1;
+      let hasNextPage = true;
+      
+      while (hasNextPage) {
+        const response = await this.octokit.rest.issues.listForRepo({
+          owner,
+          repo,
+          milestone: String(milestoneNumber),
+          state: 'all',
+          per_page: 100,
+          page
+        });
+        this._trackRateLimit(response);
+        
+        items = [...items, ...response.data];
+        hasNextPage = response.data.length === 100;
+        page++;
+      }
+      
+      this.setCacheItem(cacheKey, items, 10 * 60 * 1000);
+      
+      return { success: true, items };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching milestone items: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
   async getPRReviewStatuses(owner, repo) {
     try {
       // Get PRs to extract review statuses
@@ -600,7 +2321,14 @@ class GitHubService {
     }
   }
 
-  async getIssueTypes(owner, repo) {
+  /**
+   * Get the labels that mark an issue's type under a repository's issue type configuration
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {{types: Array}} config - Issue type configuration
+   * @returns {Promise<{success: boolean, issueTypes?: Array, error?: string}>}
+   */
+  async getIssueTypes(owner, repo, config) {
     try {
       // Get all labels
       const { success, labels, error } = await this.getLabels(owner, repo);
@@ -609,24 +2337,7 @@ class GitHubService {
         return { success: false, error };
       }
       
-      // Filter out labels that represent issue types
-      // Common issue type labels include: bug, feature, enhancement, documentation, etc.
-      const issueTypeKeywords = [
-        'bug', 'fix', 'error',
-        'feature', 'enhancement', 'improvement',
-        'documentation', 'docs',
-        'question', 'help',
-        'security', 'vulnerability',
-        'refactor', 'technical debt',
-        'test', 'testing'
-      ];
-      
-      // Find labels that match issue type keywords
-      const issueTypeLabels = labels.filter(label => 
-        issueTypeKeywords.some(keyword => 
-          label.name.toLowerCase().includes(keyword)
-        )
-      );
+      const issueTypeLabels = getIssueTypeLabels(labels, config);
       
       return { success: true, issueTypes: issueTypeLabels };
     } catch (error) {
@@ -634,6 +2345,81 @@ class GitHubService {
     }
   }
 
+  /**
+   * Bring a stored issue dataset up to date by fetching only the issues updated
+   * since the high-water mark. The first page is a conditional request, so when
+   * nothing changed GitHub answers 304 and no rate limit is used.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} state - open, closed or all
+   * @param {string} labels - Comma separated label names to filter by
+   * @param {object} dataset - Stored dataset from getSyncedDataset
+   * @param {number} maxIssues - Maximum number of issues to keep
+   * @returns {Promise<Array>} - Up to date issues (without pull requests)
+   */
+  async syncIssues(owner, repo, state, labels, dataset, maxIssues) {
+    let updatedIssues = [];
+    let etag = dataset.etag;
+    let page = 1;
+    let hasNextPage = true;
+    
+    while (hasNextPage) {
+      // Fetch every state so issues that were closed drop out of open-only datasets, and
+      // without the label filter so issues that lost one of the labels drop out too
+      const result = await this.conditionalRequest(this.octokit.rest.issues.listForRepo, {
+        owner,
+        repo,
+        state: "all",
+        since: dataset.highWaterMark,
+        per_page: 100,
+        page,
+        sort: "updated",
+        direction: "desc"
+      }, page === 1 ? dataset.etag : null);
+      
+      if (result.notModified) {
+        console.log(`[GitHub API] No issue changes since ${dataset.highWaterMark} (304)`);
+        return dataset.items.slice(0, maxIssues);
+      }
+      
+      if (page === 1) etag = result.etag;
+      updatedIssues = [...updatedIssues, ...result.data];
+      
+      hasNextPage = result.data.length === 100;
+      page++;
+    }
+    
+    console.log(`[GitHub API] Merging ${updatedIssues.length} issues updated since ${dataset.highWaterMark}`);
+    
+    // The issues endpoint also returns pull requests
+    const updates = updatedIssues.filter(issue => !issue.pull_request);
+    
+    // Like the labels parameter, keep only issues with every label
+    const labelNames = parseLabelFilter(labels);
+    const unlabelledIds = new Set(labelNames.length > 0
+      ? updates.filter(issue => !hasFilterLabels(issue, labelNames, true)).map(issue => issue.id)
+      : []);
+    const items = mergeUpdatedItems(
+      dataset.items.filter(issue => !unlabelledIds.has(issue.id)),
+      updates.filter(issue => !unlabelledIds.has(issue.id)),
+      state,
+      maxIssues
+    );
+    
+    // PR updates still move the mark forward so they aren't fetched again
+    const highWaterMark = getHighWaterMark([...items, ...updatedIssues]);
+    
+    this.syncedDatasets.set(`${owner}/${repo}:issues:${state}:${labels}`, {
+      items,
+      highWaterMark,
+      // The ETag only matches a request with the same `since`
+      etag: highWaterMark === dataset.highWaterMark ? etag : null,
+      maxItems: dataset.maxItems
+    });
+    
+    return items;
+  }
+
   async getIssues(owner, repo, state = "all", labels = "", options = {}) {
     try {
       const cacheKey = `${owner}/${repo}:issues:${state}:${labels}`;
@@ -648,105 +2434,81 @@ class GitHubService {
         }
       }
       
-      console.log(`[GitHub API] Fetching issues for ${owner}/${repo}`);
-      
-      // Initialize variables for pagination
-      let allIssues = [];
-      let page = 1;
-      let hasNextPage = true;
-      
-      // Fetch issues with pagination, stopping at maxIssues limit
-      while (hasNextPage && allIssues.length < maxIssues) {
-        console.log(`[GitHub API] Fetching issues page ${page}`);
-        const response = await this.octokit.rest.issues.listForRepo({
-          owner,
-          repo,
-          state,
-          per_page: 100,
-          page: page,
-          sort: "updated",
-          direction: "desc",
-          ...(labels && { labels }),
-        });
-        
-        const issues = response.data;
-        allIssues = [...allIssues, ...issues];
-        
-        console.log(`[GitHub API] Retrieved ${issues.length} issues on page ${page}`);
-        
-        // Check if we've reached the last page or the max limit
-        if (issues.length < 100 || allIssues.length >= maxIssues) {
-          hasNextPage = false;
-        } else {
-          page++;
+      // Refresh incrementally when we already hold a complete dataset
+      let issues = null;
+      const dataset = this.getSyncedDataset(cacheKey, maxIssues);
+      if (dataset) {
+        try {
+          issues = await this.syncIssues(owner, repo, state, labels, dataset, maxIssues);
+        } catch (error) {
+          console.warn(`[GitHub API] Incremental issue sync failed, refetching: ${error.message}`);
         }
       }
       
-      // Optionally limit the number of issues to process
-      if (allIssues.length > maxIssues) {
-        console.log(`[GitHub API] Limiting issues to ${maxIssues} (out of ${allIssues.length} retrieved)`);
-        allIssues = allIssues.slice(0, maxIssues);
-      }
-      
-      console.log(`[GitHub API] Filtering PRs from issues and classifying ${allIssues.length} items`);
-      
-      // Filter out pull requests which also appear in the issues endpoint
-      const issues = allIssues.filter(issue => !issue.pull_request);
-      
-      console.log(`[GitHub API] After filtering PRs, processing ${issues.length} true issues`);
-      
-      // Get issue types mapping from labels - use cache for efficiency
-      const { success: typesSuccess, issueTypes } = await this.getIssueTypes(owner, repo);
-      
-      // Add issue type classification if we have the issue types
-      const enhancedIssues = issues.map(issue => {
-        let issueType = 'other';
+      if (!issues) {
+        console.log(`[GitHub API] Fetching issues for ${owner}/${repo}`);
         
-        // Determine issue type based on labels
-        if (typesSuccess && issueTypes.length > 0) {
-          // Check for bug labels
-          if (issue.labels.some(label => 
-            label.name.toLowerCase().includes('bug') || 
-            label.name.toLowerCase().includes('fix') ||
-            label.name.toLowerCase().includes('error')
-          )) {
-            issueType = 'bug';
-          }
-          // Check for enhancement/feature labels
-          else if (issue.labels.some(label => 
-            label.name.toLowerCase().includes('feature') || 
-            label.name.toLowerCase().includes('enhancement') ||
-            label.name.toLowerCase().includes('improvement')
-          )) {
-            issueType = 'enhancement';
-          }
-          // Check for documentation labels
-          else if (issue.labels.some(label => 
-            label.name.toLowerCase().includes('doc')
-          )) {
-            issueType = 'documentation';
-          }
-          // Check for question labels
-          else if (issue.labels.some(label => 
-            label.name.toLowerCase().includes('question') ||
-            label.name.toLowerCase().includes('help')
-          )) {
-            issueType = 'question';
+        // Initialize variables for pagination
+        let allIssues = [];
+        let page = 1;
+        let hasNextPage = true;
+        
+        // Fetch issues with pagination, stopping at maxIssues limit
+        while (hasNextPage && allIssues.length < maxIssues) {
+          console.log(`[GitHub API] Fetching issues page ${page}`);
+          const response = await this.octokit.rest.issues.listForRepo({
+            owner,
+            repo,
+            state,
+            per_page: 100,
+            page: page,
+            sort: "updated",
+            direction: "desc",
+            ...(labels && { labels }),
+          });
+          
+          const pageIssues = response.data;
+          allIssues = [...allIssues, ...pageIssues];
+          
+          console.log(`[GitHub API] Retrieved ${pageIssues.length} issues on page ${page}`);
+          
+          // Check if we've reached the last page or the max limit
+          if (pageIssues.length < 100 || allIssues.length >= maxIssues) {
+            hasNextPage = false;
+          } else {
+            page++;
           }
         }
         
-        return {
-          ...issue,
-          issueType
-        };
-      });
+        // Optionally limit the number of issues to process
+        if (allIssues.length > maxIssues) {
+          console.log(`[GitHub API] Limiting issues to ${maxIssues} (out of ${allIssues.length} retrieved)`);
+          allIssues = allIssues.slice(0, maxIssues);
+        }
+        
+        console.log(`[GitHub API] Filtering PRs from ${allIssues.length} items`);
+        
+        // Filter out pull requests which also appear in the issues endpoint
+        issues = allIssues.filter(issue => !issue.pull_request);
+        
+        console.log(`[GitHub API] After filtering PRs, processing ${issues.length} true issues`);
+        
+        this.syncedDatasets.set(cacheKey, {
+          items: issues,
+          highWaterMark: getHighWaterMark(allIssues),
+          etag: null,
+          maxItems: maxIssues
+        });
+      }
       
-      console.log(`[GitHub API] Completed processing ${enhancedIssues.length} issues with types`);
+      // Types aren't stored on the issues; the repository's issue type configuration
+      // classifies them when they're shown, so changing it applies straight away
+      console.log(`[GitHub API] Completed processing ${issues.length} issues`);
       
       // Cache the results
-      this.setCacheItem(cacheKey, enhancedIssues, 30 * 60 * 1000); // 30 min cache
+      this.setCacheItem(cacheKey, issues, 30 * 60 * 1000); // 30 min cache
       
-      return { success: true, issues: enhancedIssues };
+      return { success: true, issues };
     } catch (error) {
       console.error(`[GitHub API] Error fetching issues: ${error.message}`);
       return { success: false, error: error.message };
@@ -812,6 +2574,15 @@ class GitHubService {
     }
   }
   
+  /**
+   * How long to wait before sending more requests, for long runs of writes
+   * @returns {number} - Milliseconds until the rate limit resets, or 0 if requests can go ahead
+   */
+  getRateLimitDelay() {
+    if (!this._shouldBackOff()) return 0;
+    return Math.max(this.rateLimitReset * 1000 - Date.now(), 0);
+  }
+  
   /**
    * Check if we should back off due to rate limiting
    * @returns {boolean} True if should back off
@@ -830,6 +2601,56 @@ class GitHubService {
     return false;
   }
 
+  /**
+   * Get the branches of a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {boolean} useCache - Whether to use cached data if available
+   * @returns {Promise<{success: boolean, branches?: Array, error?: string}>}
+   */
+  async getBranches(owner, repo, useCache = true) {
+    try {
+      const cacheKey = `${owner}/${repo}:branches`;
+      
+      if (useCache) {
+        const cachedData = this.getCachedItem(cacheKey);
+        if (cachedData) {
+          return { success: true, branches: cachedData };
+        }
+      }
+      
+      console.log(`[GitHub API] Fetching branches for ${owner}/${repo}`);
+      
+      let allBranches = [];
+      let page = 1;
+      let hasNextPage = true;
+      
+      while (hasNextPage) {
+        const response = await this.octokit.rest.repos.listBranches({
+          owner,
+          repo,
+          per_page: 100,
+          page: page
+        });
+        
+        const branches = response.data;
+        allBranches = [...allBranches, ...branches];
+        
+        if (branches.length < 100) {
+          hasNextPage = false;
+        } else {
+          page++;
+        }
+      }
+      
+      this.setCacheItem(cacheKey, allBranches);
+      return { success: true, branches: allBranches };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching branches: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
   /**
    * Get GitHub Actions workflows for a repository
    * @param {string} owner - Repository owner
@@ -914,11 +2735,25 @@ class GitHubService {
    * @param {string} repo - Repository name
    * @param {string|null} workflowId - Specific workflow ID to fetch runs for, or null for all workflows
    * @param {boolean} useCache - Whether to use cached data if available
+   * @param {object} [options] - Additional options
+   * @param {number} [options.maxRuns] - Maximum number of runs to fetch (defaults to 500)
+   * @param {string} [options.headSha] - Only return runs for this commit SHA
+   * @param {string} [options.branch] - Only return runs for this branch
+   * @param {string} [options.event] - Only return runs triggered by this event, e.g. push
+   * @param {string} [options.actor] - Only return runs started by this user
+   * @param {string} [options.status] - Only return runs with this status or conclusion
+   * @param {string} [options.created] - Date range in GitHub search syntax, e.g. 2026-01-01..2026-01-31
    * @returns {Promise<{success: boolean, workflowRuns?: Array, error?: string}>}
    */
-  async getWorkflowRuns(owner, repo, workflowId = null, useCache = true) {
+  async getWorkflowRuns(owner, repo, workflowId = null, useCache = true, options = {}) {
     try {
-      const cacheKey = `${owner}/${repo}:workflow-runs:${workflowId || 'all'}`;
+      const { maxRuns = 500, headSha = null, ...filterOptions } = options;
+      // The API filters runs server side, so each filter combination is cached separately
+      const filters = WORKFLOW_RUN_FILTERS
+        .filter(name => filterOptions[name])
+        .reduce((result, name) => ({ ...result, [name]: filterOptions[name] }), {});
+      const filterKey = Object.entries(filters).map(([name, value]) => `${name}=${value}`).join('&');
+      const cacheKey = `${owner}/${repo}:workflow-runs:${workflowId || 'all'}${maxRuns !== 500 ? `:${maxRuns}` : ''}${headSha ? `:sha:${headSha}` : ''}${filterKey ? `:${filterKey}` : ''}`;
       
       // Try to get from cache first if cache use is enabled
       if (useCache) {
@@ -952,8 +2787,11 @@ class GitHubService {
       const params = {
         owner,
         repo,
-        per_page: 100,
-        page: 1
+        per_page: Math.min(maxRuns, 100),
+        page: 1,
+        // Only runs for a specific commit, e.g. a release tag
+        ...(headSha && { head_sha: headSha }),
+        ...filters
       };
       
       // Add workflow_id parameter if specified
@@ -968,9 +2806,7 @@ class GitHubService {
       let page = 1;
       let hasNextPage = true;
       
-      // Fetch workflow runs with pagination (limit to 500 runs total for performance)
-      const maxRuns = 500;
-      
+      // Fetch workflow runs with pagination (limited to maxRuns total for performance)
       while (hasNextPage && allRuns.length < maxRuns) {
         console.log(`[GitHub API] Fetching workflow runs page ${page}`);
         params.page = page;
@@ -1001,7 +2837,7 @@ class GitHubService {
           console.log(`[GitHub API] Retrieved ${runs.length} workflow runs on page ${page}`);
           
           // Check if we've reached the last page or the max limit
-          if (runs.length < 100 || allRuns.length >= maxRuns) {
+          if (runs.length < params.per_page || allRuns.length >= maxRuns) {
             hasNextPage = false;
           } else {
             page++;
@@ -1024,6 +2860,409 @@ class GitHubService {
       return { success: false, error: error.message };
     }
   }
+  
+  /**
+   * Get the jobs of a workflow run, with their steps and timings
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} runId - Workflow run ID
+   * @param {number|null} attempt - A specific attempt of the run, instead of the latest attempt of each job
+   * @returns {Promise<{success: boolean, jobs?: Array, error?: string}>}
+   */
+  async getWorkflowRunJobs(owner, repo, runId, attempt = null) {
+    try {
+      // Earlier attempts are finished, so their jobs never change
+      const cacheKey = `${owner}/${repo}:run-jobs:${runId}:${attempt}`;
+      if (attempt) {
+        const cachedData = this.getCachedItem(cacheKey);
+        if (cachedData) {
+          return { success: true, jobs: cachedData };
+        }
+      }
+      
+      console.log(`[GitHub API] Fetching jobs for workflow run ${runId}${attempt ? ` attempt ${attempt}` : ''}`);
+      
+      let allJobs = [];
+      let page = 1;
+      let hasNextPage = true;
+      
+      while (hasNextPage) {
+        const response = attempt
+          ? await this.octokit.request('GET /repos/{owner}/{repo}/actions/runs/{run_id}/attempts/{attempt_number}/jobs', {
+            owner,
+            repo,
+            run_id: runId,
+            attempt_number: attempt,
+            per_page: 100,
+            page: page
+          })
+          : await this.octokit.request('GET /repos/{owner}/{repo}/actions/runs/{run_id}/jobs', {
+            owner,
+            repo,
+            run_id: runId,
+            // Only the latest attempt of each job
+            filter: 'latest',
+            per_page: 100,
+            page: page
+          });
+        this._trackRateLimit(response);
+        
+        const jobs = response.data.jobs || [];
+        allJobs = [...allJobs, ...jobs];
+        
+        if (jobs.length < 100 || allJobs.length >= response.data.total_count) {
+          hasNextPage = false;
+        } else {
+          page++;
+        }
+      }
+      
+      if (attempt) {
+        this.setCacheItem(cacheKey, allJobs, 24 * 60 * 60 * 1000);
+      }
+      
+      return { success: true, jobs: allJobs };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching workflow run jobs: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Download the plain text log of a job.
+   * The API redirects to a short-lived blob storage URL on another origin, which the
+   * browser may refuse to read (CORS). That comes back as blocked, so callers can link
+   * to the log on GitHub instead.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} jobId - Job ID
+   * @returns {Promise<{success: boolean, log?: string, blocked?: boolean, error?: string}>}
+   */
+  async getJobLogs(owner, repo, jobId) {
+    try {
+      console.log(`[GitHub API] Downloading logs for job ${jobId}`);
+      const response = await this.octokit.request('GET /repos/{owner}/{repo}/actions/jobs/{job_id}/logs', {
+        owner,
+        repo,
+        job_id: jobId
+      });
+      
+      const log = typeof response.data === 'string'
+        ? response.data
+        : response.data ? new TextDecoder().decode(response.data) : '';
+      // An opaque redirect response has no body to read
+      if (!log) {
+        return { success: false, blocked: true, error: 'The log download was blocked by the browser' };
+      }
+      return { success: true, log };
+    } catch (error) {
+      // A network-level failure (no HTTP response) on the redirect is what a CORS block looks like
+      const blocked = !error.response;
+      console.error(`[GitHub API] Error downloading job logs${blocked ? ' (blocked)' : ''}: ${error.message}`);
+      return {
+        success: false,
+        blocked,
+        error: blocked ? 'The log download was blocked by the browser' : error.message
+      };
+    }
+  }
+  
+  /**
+   * Read the workflow_dispatch inputs a workflow file declares
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} workflowPath - Path of the workflow file, e.g. .github/workflows/deploy.yml
+   * @param {string} ref - Branch or tag to read the file from
+   * @returns {Promise<{success: boolean, dispatchable?: boolean, inputs?: Array, error?: string}>}
+   */
+  async getWorkflowDispatchInputs(owner, repo, workflowPath, ref) {
+    try {
+      console.log(`[GitHub API] Reading ${workflowPath} at ${ref}`);
+      const response = await this.octokit.rest.repos.getContent({
+        owner,
+        repo,
+        path: workflowPath,
+        ref,
+        mediaType: { format: 'raw' }
+      });
+      this._trackRateLimit(response);
+      
+      return { success: true, ...parseDispatchInputs(String(response.data)) };
+    } catch (error) {
+      console.error(`[GitHub API] Error reading workflow file: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Start a workflow that has a workflow_dispatch trigger
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} workflowId - Workflow ID
+   * @param {string} ref - Branch or tag to run on
+   * @param {object} inputs - Input values, as strings
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async dispatchWorkflow(owner, repo, workflowId, ref, inputs = {}) {
+    try {
+      console.log(`[GitHub API] Dispatching workflow ${workflowId} on ${ref}`);
+      await this.octokit.rest.actions.createWorkflowDispatch({
+        owner,
+        repo,
+        workflow_id: workflowId,
+        ref,
+        inputs
+      });
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`[GitHub API] Error dispatching workflow: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Rerun a completed workflow run
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} runId - Workflow run ID
+   * @param {boolean} failedJobsOnly - Only rerun the jobs that failed, and the jobs that depend on them
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async rerunWorkflowRun(owner, repo, runId, failedJobsOnly = false) {
+    try {
+      console.log(`[GitHub API] Rerunning ${failedJobsOnly ? 'failed jobs of ' : ''}workflow run ${runId}`);
+      if (failedJobsOnly) {
+        await this.octokit.rest.actions.reRunWorkflowFailedJobs({ owner, repo, run_id: runId });
+      } else {
+        await this.octokit.rest.actions.reRunWorkflow({ owner, repo, run_id: runId });
+      }
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`[GitHub API] Error rerunning workflow run: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Cancel a queued or in-progress workflow run
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} runId - Workflow run ID
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async cancelWorkflowRun(owner, repo, runId) {
+    try {
+      console.log(`[GitHub API] Cancelling workflow run ${runId}`);
+      await this.octokit.rest.actions.cancelWorkflowRun({ owner, repo, run_id: runId });
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`[GitHub API] Error cancelling workflow run: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Get the current state of a single workflow run, e.g. to follow it until it completes
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} runId - Workflow run ID
+   * @returns {Promise<{success: boolean, run?: object, error?: string}>}
+   */
+  async getWorkflowRun(owner, repo, runId) {
+    try {
+      const response = await this.octokit.rest.actions.getWorkflowRun({ owner, repo, run_id: runId });
+      this._trackRateLimit(response);
+      
+      return { success: true, run: response.data };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching workflow run: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Get one attempt of a workflow run, e.g. to see how the attempt before a rerun ended
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} runId - Workflow run ID
+   * @param {number} attempt - Attempt number
+   * @returns {Promise<{success: boolean, run?: object, error?: string}>}
+   */
+  async getWorkflowRunAttempt(owner, repo, runId, attempt) {
+    try {
+      // Earlier attempts are finished, so they never change
+      const cacheKey = `${owner}/${repo}:run-attempt:${runId}:${attempt}`;
+      const cachedData = this.getCachedItem(cacheKey);
+      if (cachedData) {
+        return { success: true, run: cachedData };
+      }
+      
+      const response = await this.octokit.request('GET /repos/{owner}/{repo}/actions/runs/{run_id}/attempts/{attempt_number}', {
+        owner,
+        repo,
+        run_id: runId,
+        attempt_number: attempt,
+        exclude_pull_requests: true
+      });
+      this._trackRateLimit(response);
+      
+      this.setCacheItem(cacheKey, response.data, 24 * 60 * 60 * 1000);
+      return { success: true, run: response.data };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching workflow run attempt: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * List artifacts, either of one workflow run or of the whole repository (newest first)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number|null} runId - Workflow run ID, or null for every run
+   * @param {boolean} useCache - Whether to use cached data if available
+   * @param {number} maxArtifacts - Stop after this many artifacts
+   * @returns {Promise<{success: boolean, artifacts?: Array, totalCount?: number, error?: string}>}
+   */
+  async getArtifacts(owner, repo, runId = null, useCache = true, maxArtifacts = 500) {
+    try {
+      const cacheKey = `${owner}/${repo}:artifacts:${runId || 'all'}`;
+      
+      if (useCache) {
+        const cachedData = this.getCachedItem(cacheKey);
+        if (cachedData) {
+          return { success: true, ...cachedData };
+        }
+      }
+      
+      console.log(`[GitHub API] Fetching artifacts for ${runId ? `workflow run ${runId}` : `${owner}/${repo}`}`);
+      
+      const endpoint = runId
+        ? 'GET /repos/{owner}/{repo}/actions/runs/{run_id}/artifacts'
+        : 'GET /repos/{owner}/{repo}/actions/artifacts';
+      let allArtifacts = [];
+      let totalCount = 0;
+      let page = 1;
+      let hasNextPage = true;
+      
+      while (hasNextPage) {
+        const response = await this.octokit.request(endpoint, {
+          owner,
+          repo,
+          ...(runId && { run_id: runId }),
+          per_page: 100,
+          page: page
+        });
+        this._trackRateLimit(response);
+        
+        const artifacts = response.data.artifacts || [];
+        allArtifacts = [...allArtifacts, ...artifacts];
+        totalCount = response.data.total_count;
+        
+        if (artifacts.length < 100 || allArtifacts.length >= totalCount || allArtifacts.length >= maxArtifacts) {
+          hasNextPage = false;
+        } else {
+          page++;
+        }
+      }
+      
+      const data = { artifacts: allArtifacts.slice(0, maxArtifacts), totalCount };
+      // Artifacts expire and new runs add more, so keep this short
+      this.setCacheItem(cacheKey, data, 10 * 60 * 1000);
+      
+      return { success: true, ...data };
+    } catch (error) {
+      console.error(`[GitHub API] Error fetching artifacts: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Download an artifact as a zip archive.
+   * Like job logs, the API redirects to blob storage on another origin, and the browser
+   * may refuse to read it; that comes back as blocked with an error saying so.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} artifactId - Artifact ID
+   * @returns {Promise<{success: boolean, data?: ArrayBuffer, blocked?: boolean, error?: string}>}
+   */
+  async downloadArtifact(owner, repo, artifactId) {
+    const blockedError = 'the browser blocked the download from GitHub\'s artifact storage. Download it from the workflow run on GitHub instead';
+    
+    try {
+      console.log(`[GitHub API] Downloading artifact ${artifactId}`);
+      const response = await this.octokit.rest.actions.downloadArtifact({
+        owner,
+        repo,
+        artifact_id: artifactId,
+        archive_format: 'zip'
+      });
+      
+      // An opaque redirect response has no body to read
+      if (!response.data || response.data.byteLength === 0) {
+        return { success: false, blocked: true, error: blockedError };
+      }
+      return { success: true, data: response.data };
+    } catch (error) {
+      // A network-level failure (no HTTP response) on the redirect is what a CORS block looks like
+      const blocked = !error.response;
+      console.error(`[GitHub API] Error downloading artifact${blocked ? ' (blocked)' : ''}: ${error.message}`);
+      return { success: false, blocked, error: blocked ? blockedError : error.message };
+    }
+  }
+  
+  /**
+   * Upload a file to a release as an asset
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} releaseId - Release ID
+   * @param {string} name - Asset file name
+   * @param {ArrayBuffer} data - File contents
+   * @param {string} contentType - MIME type of the file
+   * @returns {Promise<{success: boolean, asset?: object, error?: string}>}
+   */
+  async uploadReleaseAsset(owner, repo, releaseId, name, data, contentType = 'application/octet-stream') {
+    try {
+      console.log(`[GitHub API] Uploading ${name} to release ${releaseId}`);
+      const response = await this.octokit.rest.repos.uploadReleaseAsset({
+        owner,
+        repo,
+        release_id: releaseId,
+        name,
+        data,
+        // Browsers set content-length themselves and refuse it from scripts
+        headers: {
+          'content-type': contentType
+        }
+      });
+      
+      return { success: true, asset: response.data };
+    } catch (error) {
+      console.error(`[GitHub API] Error uploading release asset: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Attach a workflow artifact to a release: download its zip and upload it as an asset
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} releaseId - Release ID
+   * @param {object} artifact - Artifact to attach
+   * @param {string} assetName - File name for the asset
+   * @returns {Promise<{success: boolean, asset?: object, error?: string}>}
+   */
+  async attachArtifactToRelease(owner, repo, releaseId, artifact, assetName) {
+    // Nothing is uploaded unless the whole archive was downloaded
+    const download = await this.downloadArtifact(owner, repo, artifact.id);
+    if (!download.success) {
+      return { success: false, error: `Couldn't download ${artifact.name}: ${download.error}` };
+    }
+    
+    return this.uploadReleaseAsset(owner, repo, releaseId, assetName, download.data, 'application/zip');
+  }
 }
 
 const githubService = new GitHubService();
@@ -0,0 +1,204 @@
+import githubService from './githubService';
+
+// Octokit is replaced per test, so the real client is never loaded
+jest.mock('octokit', () => ({ Octokit: jest.fn() }));
+
+const labels = (...names) => names.map(name => ({ id: name, name, color: 'ededed', description: '' }));
+
+const issue = (id, updatedAt, labelNames) => ({
+  id,
+  number: id,
+  title: `Issue ${id}`,
+  state: 'open',
+  updated_at: updatedAt,
+  labels: labels(...labelNames)
+});
+
+const prNode = (number, updatedAt, labelNames) => ({
+  id: `PR_${number}`,
+  databaseId: number,
+  number,
+  title: `PR ${number}`,
+  body: '',
+  url: `https://github.com/octo/app/pull/${number}`,
+  state: 'OPEN',
+  isDraft: false,
+  locked: false,
+  merged: false,
+  mergedAt: null,
+  createdAt: '2024-01-01T00:00:00Z',
+  updatedAt,
+  closedAt: null,
+  additions: 1,
+  deletions: 1,
+  changedFiles: 1,
+  mergeable: 'MERGEABLE',
+  mergeStateStatus: 'CLEAN',
+  baseRefName: 'main',
+  headRefName: `branch-${number}`,
+  headRefOid: 'abc',
+  mergeCommit: null,
+  author: { __typename: 'User', login: 'author', avatarUrl: '', url: '' },
+  labels: { nodes: labels(...labelNames) },
+  assignees: { nodes: [] },
+  milestone: null,
+  reviewRequests: { nodes: [] },
+  commits: { nodes: [] },
+  reviews: { nodes: [] },
+  timelineItems: { nodes: [] }
+});
+
+const graphQLPage = (nodes) => ({
+  repository: { pullRequests: { pageInfo: { hasNextPage: false, endCursor: null }, nodes } }
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  githubService.octokit = {
+    graphql: jest.fn(),
+    request: jest.fn(),
+    rest: {
+      issues: { listForRepo: jest.fn() },
+      pulls: { list: jest.fn() },
+      repos: { listDeployments: jest.fn(), listDeploymentStatuses: jest.fn() }
+    }
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  githubService.clearAllCache();
+});
+
+describe('incremental sync with a label filter', () => {
+  test('drops an issue whose label was removed since the last sync', async () => {
+    const { listForRepo } = githubService.octokit.rest.issues;
+    listForRepo.mockResolvedValueOnce({
+      data: [issue(1, '2024-05-02T00:00:00Z', ['bug']), issue(2, '2024-05-01T00:00:00Z', ['bug', 'ui'])],
+      headers: {}
+    });
+    const first = await githubService.getIssues('octo', 'app', 'all', 'bug');
+    expect(first.issues.map(i => i.id)).toEqual([1, 2]);
+
+    listForRepo.mockResolvedValueOnce({
+      data: [issue(2, '2024-05-03T00:00:00Z', ['ui'])],
+      headers: { etag: '"next"' }
+    });
+    const second = await githubService.getIssues('octo', 'app', 'all', 'bug', { useCache: false });
+
+    expect(listForRepo.mock.calls[1][0]).not.toHaveProperty('labels');
+    expect(listForRepo.mock.calls[1][0].since).toBe('2024-05-02T00:00:00Z');
+    expect(second.issues.map(i => i.id)).toEqual([1]);
+  });
+
+  test('keeps issues that still carry every filtered label', async () => {
+    const { listForRepo } = githubService.octokit.rest.issues;
+    listForRepo.mockResolvedValueOnce({ data: [issue(1, '2024-05-01T00:00:00Z', ['bug', 'ui'])], headers: {} });
+    await githubService.getIssues('octo', 'app', 'all', 'bug,ui');
+
+    listForRepo.mockResolvedValueOnce({
+      data: [issue(1, '2024-05-02T00:00:00Z', ['UI', 'bug']), issue(3, '2024-05-02T00:00:00Z', ['bug'])],
+      headers: {}
+    });
+    const synced = await githubService.getIssues('octo', 'app', 'all', 'bug,ui', { useCache: false });
+
+    expect(synced.issues.map(i => [i.id, i.updated_at])).toEqual([[1, '2024-05-02T00:00:00Z']]);
+  });
+
+  test('drops a pull request whose label was removed since the last GraphQL sync', async () => {
+    const { graphql } = githubService.octokit;
+    graphql.mockResolvedValueOnce(graphQLPage([
+      prNode(1, '2024-05-02T00:00:00Z', ['bug']),
+      prNode(2, '2024-05-01T00:00:00Z', ['bug'])
+    ]));
+    const first = await githubService.getPullRequests('octo', 'app', 'all', 'bug');
+    expect(first.pullRequests.map(pr => pr.id)).toEqual([1, 2]);
+
+    githubService.octokit.rest.pulls.list.mockResolvedValueOnce({ data: [], headers: { etag: '"probe"' } });
+    graphql.mockResolvedValueOnce(graphQLPage([
+      prNode(2, '2024-05-03T00:00:00Z', []),
+      prNode(3, '2024-05-03T00:00:00Z', ['docs'])
+    ]));
+    const second = await githubService.getPullRequests('octo', 'app', 'all', 'bug', { useCache: false });
+
+    expect(graphql.mock.calls[1][1].labels).toBeNull();
+    expect(second.pullRequests.map(pr => pr.id)).toEqual([1]);
+  });
+});
+
+describe('getArtifacts', () => {
+  test('lists the repository\'s artifacts without a run_id when there is no run', async () => {
+    githubService.octokit.request.mockResolvedValue({ data: { total_count: 1, artifacts: [{ id: 9 }] }, headers: {} });
+
+    const result = await githubService.getArtifacts('octo', 'app');
+
+    expect(githubService.octokit.request).toHaveBeenCalledWith(
+      'GET /repos/{owner}/{repo}/actions/artifacts',
+      { owner: 'octo', repo: 'app', per_page: 100, page: 1 }
+    );
+    expect(result).toMatchObject({ success: true, artifacts: [{ id: 9 }], totalCount: 1 });
+  });
+
+  test('lists one run\'s artifacts by run_id', async () => {
+    githubService.octokit.request.mockResolvedValue({ data: { total_count: 0, artifacts: [] }, headers: {} });
+
+    await githubService.getArtifacts('octo', 'app', 42);
+
+    expect(githubService.octokit.request).toHaveBeenCalledWith(
+      'GET /repos/{owner}/{repo}/actions/runs/{run_id}/artifacts',
+      { owner: 'octo', repo: 'app', run_id: 42, per_page: 100, page: 1 }
+    );
+  });
+});
+
+describe('getSuccessfulDeployments', () => {
+  const since = new Date('2024-05-01T00:00:00Z');
+  const deployment = (id, createdAt) => ({ id, environment: 'production', sha: `sha-${id}`, created_at: createdAt });
+
+  // Newest first, as the API lists them: two deployments in the period, then older ones
+  const setUp = (olderCount, olderSucceeded) => {
+    const { listDeployments, listDeploymentStatuses } = githubService.octokit.rest.repos;
+    const deployments = [
+      deployment(1, '2024-05-10T00:00:00Z'),
+      deployment(2, '2024-05-05T00:00:00Z'),
+      ...Array.from({ length: olderCount }, (value, index) => deployment(100 + index, '2024-04-01T00:00:00Z'))
+    ];
+    listDeployments.mockResolvedValue({ data: deployments.slice(0, 100), headers: {} });
+    listDeploymentStatuses.mockImplementation(({ deployment_id: id }) => Promise.resolve({
+      data: id < 100 || olderSucceeded(id)
+        ? [{ state: 'success', created_at: deployments.find(d => d.id === id).created_at }]
+        : [{ state: 'failure', created_at: '2024-04-01T00:00:00Z' }],
+      headers: { 'x-ratelimit-remaining': '4321' }
+    }));
+  };
+
+  test('stops at the first successful deployment before the period', async () => {
+    setUp(20, id => id === 102);
+
+    const result = await githubService.getSuccessfulDeployments('octo', 'app', 'production', since);
+
+    expect(result.deployments.map(d => d.id)).toEqual([1, 2, 102]);
+    expect(githubService.octokit.rest.repos.listDeploymentStatuses.mock.calls.length).toBeLessThan(22);
+    expect(githubService.rateLimitRemaining).toBe(4321);
+  });
+
+  test('gives up on older deployments when none of them succeeded', async () => {
+    setUp(98, () => false);
+
+    const result = await githubService.getSuccessfulDeployments('octo', 'app', 'production', since, false);
+
+    expect(result.deployments.map(d => d.id)).toEqual([1, 2]);
+    expect(githubService.octokit.rest.repos.listDeployments).toHaveBeenCalledTimes(1);
+    expect(githubService.octokit.rest.repos.listDeploymentStatuses.mock.calls.length).toBeLessThan(20);
+  });
+
+  test('uses the cache unless told not to', async () => {
+    setUp(1, () => true);
+    await githubService.getSuccessfulDeployments('octo', 'app', 'production', since);
+    await githubService.getSuccessfulDeployments('octo', 'app', 'production', since);
+    expect(githubService.octokit.rest.repos.listDeployments).toHaveBeenCalledTimes(1);
+
+    await githubService.getSuccessfulDeployments('octo', 'app', 'production', since, false);
+    expect(githubService.octokit.rest.repos.listDeployments).toHaveBeenCalledTimes(2);
+  });
+});
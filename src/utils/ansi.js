@@ -0,0 +1,151 @@
+// Minimal ANSI escape code handling for rendering GitHub Actions logs.
+// Only SGR (colour and weight) sequences are styled; anything else is dropped.
+// Workflow commands such as ##[group] are split off so the viewer can style the line.
+
+const ESC = String.fromCharCode(27);
+
+// Matches every CSI sequence; group 1 holds the parameters of SGR ("m") sequences
+const ANSI_PATTERN = new RegExp(`${ESC}\\[([0-9;]*)m|${ESC}\\[[0-9;?]*[A-Za-z]`, 'g');
+
+// Every line of a job log starts with the time it was written
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z ?/;
+
+// Workflow commands at the start of a line, e.g. ##[group]Run npm test
+const COMMAND_PATTERN = /^##\[(group|endgroup|error|warning|notice|debug)\]/;
+
+// The standard 8 colours, then their bright variants (xterm defaults)
+const BASIC_COLORS = [
+  '#000000', '#cd3131', '#0dbc79', '#e5e510', '#2472c8', '#bc3fbc', '#11a8cd', '#e5e5e5',
+  '#666666', '#f14c4c', '#23d18b', '#f5f543', '#3b8eea', '#d670d6', '#29b8db', '#ffffff'
+];
+
+/**
+ * Colour for an index in the xterm 256 colour palette
+ * @param {number} index - Palette index (0-255)
+ * @returns {string} - CSS colour
+ */
+const getPaletteColor = (index) => {
+  if (index < 16) return BASIC_COLORS[index];
+
+  if (index < 232) {
+    // 6x6x6 colour cube
+    const cube = index - 16;
+    const level = (value) => (value === 0 ? 0 : 55 + value * 40);
+    return `rgb(${level(Math.floor(cube / 36))}, ${level(Math.floor(cube / 6) % 6)}, ${level(cube % 6)})`;
+  }
+
+  const gray = 8 + (index - 232) * 10;
+  return `rgb(${gray}, ${gray}, ${gray})`;
+};
+
+/**
+ * Apply SGR parameters to the current style
+ * @param {object} style - Current style ({ color, backgroundColor, fontWeight, fontStyle, textDecoration })
+ * @param {number[]} codes - SGR parameters
+ * @returns {object} - New style
+ */
+const applyCodes = (style, codes) => {
+  const next = { ...style };
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+
+    if (code === 0) {
+      Object.keys(next).forEach(key => delete next[key]);
+    } else if (code === 1) {
+      next.fontWeight = 'bold';
+    } else if (code === 3) {
+      next.fontStyle = 'italic';
+    } else if (code === 4) {
+      next.textDecoration = 'underline';
+    } else if (code === 22) {
+      delete next.fontWeight;
+    } else if (code === 23) {
+      delete next.fontStyle;
+    } else if (code === 24) {
+      delete next.textDecoration;
+    } else if (code >= 30 && code <= 37) {
+      next.color = BASIC_COLORS[code - 30];
+    } else if (code >= 90 && code <= 97) {
+      next.color = BASIC_COLORS[code - 90 + 8];
+    } else if (code >= 40 && code <= 47) {
+      next.backgroundColor = BASIC_COLORS[code - 40];
+    } else if (code >= 100 && code <= 107) {
+      next.backgroundColor = BASIC_COLORS[code - 100 + 8];
+    } else if (code === 39) {
+      delete next.color;
+    } else if (code === 49) {
+      delete next.backgroundColor;
+    } else if (code === 38 || code === 48) {
+      // Extended colours: 38;5;n (palette) or 38;2;r;g;b (true colour)
+      const property = code === 38 ? 'color' : 'backgroundColor';
+      if (codes[i + 1] === 5 && codes[i + 2] !== undefined) {
+        next[property] = getPaletteColor(codes[i + 2]);
+        i += 2;
+      } else if (codes[i + 1] === 2 && codes[i + 4] !== undefined) {
+        next[property] = `rgb(${codes[i + 2]}, ${codes[i + 3]}, ${codes[i + 4]})`;
+        i += 4;
+      }
+    }
+  }
+
+  return next;
+};
+
+/**
+ * Split a line of log output into styled segments
+ * @param {string} line - Text with ANSI escape codes
+ * @param {object} [initialStyle] - Style carried over from the previous line
+ * @returns {{segments: Array<{text: string, style: object}>, style: object}} - Segments, and the style at the end of the line
+ */
+export const parseAnsiLine = (line, initialStyle = {}) => {
+  const segments = [];
+  let style = initialStyle;
+  let lastIndex = 0;
+
+  for (const match of line.matchAll(ANSI_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: line.slice(lastIndex, match.index), style });
+    }
+    if (match[1] !== undefined) {
+      const codes = match[1] === '' ? [0] : match[1].split(';').map(code => parseInt(code, 10) || 0);
+      style = applyCodes(style, codes);
+    }
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < line.length) {
+    segments.push({ text: line.slice(lastIndex), style });
+  }
+
+  return { segments, style };
+};
+
+/**
+ * Remove ANSI escape codes, e.g. before searching
+ * @param {string} text - Text with ANSI escape codes
+ * @returns {string}
+ */
+export const stripAnsi = (text) => text.replace(ANSI_PATTERN, '');
+
+
+/**
+ * Split a job log into lines, dropping timestamps and ##[endgroup] markers
+ * @param {string} log - Raw job log
+ * @returns {Array<{command: string|null, segments: Array, text: string}>} - Lines with the workflow command they start with
+ */
+export const parseLogLines = (log) => {
+  // Colours can carry over from one line to the next
+  let style = {};
+
+  return log.split(/\r?\n/).map(rawLine => {
+    let line = rawLine.replace(TIMESTAMP_PATTERN, '');
+    const commandMatch = line.match(COMMAND_PATTERN);
+    const command = commandMatch ? commandMatch[1] : null;
+    if (commandMatch) line = line.slice(commandMatch[0].length);
+
+    const parsed = parseAnsiLine(line, style);
+    style = parsed.style;
+    return { command, segments: parsed.segments, text: stripAnsi(line) };
+  }).filter(line => line.command !== 'endgroup');
+};
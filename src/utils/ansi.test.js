@@ -0,0 +1,148 @@
+import { parseAnsiLine, stripAnsi, parseLogLines } from './ansi';
+
+const ESC = String.fromCharCode(27);
+const sgr = (params) => `${ESC}[${params}m`;
+
+describe('parseAnsiLine', () => {
+  test('returns plain text as a single unstyled segment', () => {
+    expect(parseAnsiLine('npm test')).toEqual({
+      segments: [{ text: 'npm test', style: {} }],
+      style: {}
+    });
+  });
+
+  test('colours text with the standard and bright foreground colours', () => {
+    const { segments } = parseAnsiLine(`${sgr(31)}red${sgr(92)}green`);
+
+    expect(segments).toEqual([
+      { text: 'red', style: { color: '#cd3131' } },
+      { text: 'green', style: { color: '#23d18b' } }
+    ]);
+  });
+
+  test('sets background colours', () => {
+    const { segments } = parseAnsiLine(`${sgr(41)}a${sgr(104)}b`);
+
+    expect(segments.map(segment => segment.style)).toEqual([
+      { backgroundColor: '#cd3131' },
+      { backgroundColor: '#3b8eea' }
+    ]);
+  });
+
+  test('reads 256 colour and true colour sequences', () => {
+    const { segments } = parseAnsiLine(`${sgr('38;5;9')}a${sgr('38;5;196')}b${sgr('38;5;232')}c${sgr('48;2;10;20;30')}d`);
+
+    expect(segments.map(segment => segment.style)).toEqual([
+      { color: '#f14c4c' },
+      { color: 'rgb(255, 0, 0)' },
+      { color: 'rgb(8, 8, 8)' },
+      { color: 'rgb(8, 8, 8)', backgroundColor: 'rgb(10, 20, 30)' }
+    ]);
+  });
+
+  test('turns bold on and off', () => {
+    const { segments } = parseAnsiLine(`${sgr(1)}bold${sgr(22)}normal`);
+
+    expect(segments).toEqual([
+      { text: 'bold', style: { fontWeight: 'bold' } },
+      { text: 'normal', style: {} }
+    ]);
+  });
+
+  test('combines codes given in one sequence', () => {
+    const { segments } = parseAnsiLine(`${sgr('1;33;44')}warn`);
+
+    expect(segments[0].style).toEqual({ fontWeight: 'bold', color: '#e5e510', backgroundColor: '#2472c8' });
+  });
+
+  test('clears everything on reset and on an empty sequence', () => {
+    const { segments } = parseAnsiLine(`${sgr('1;31')}a${sgr(0)}b${sgr('1;31')}c${ESC}[md`);
+
+    expect(segments.map(segment => segment.style)).toEqual([
+      { fontWeight: 'bold', color: '#cd3131' },
+      {},
+      { fontWeight: 'bold', color: '#cd3131' },
+      {}
+    ]);
+  });
+
+  test('resets only the colour or the background with 39 and 49', () => {
+    const { segments } = parseAnsiLine(`${sgr('1;31;42')}a${sgr(39)}b${sgr(49)}c`);
+
+    expect(segments.map(segment => segment.style)).toEqual([
+      { fontWeight: 'bold', color: '#cd3131', backgroundColor: '#0dbc79' },
+      { fontWeight: 'bold', backgroundColor: '#0dbc79' },
+      { fontWeight: 'bold' }
+    ]);
+  });
+
+  test('drops escape codes that are not SGR and ignores unknown SGR codes', () => {
+    const { segments } = parseAnsiLine(`${ESC}[2K${ESC}[?25l${sgr(31)}a${ESC}[1Gb${sgr(5)}c`);
+
+    expect(segments).toEqual([
+      { text: 'a', style: { color: '#cd3131' } },
+      { text: 'b', style: { color: '#cd3131' } },
+      { text: 'c', style: { color: '#cd3131' } }
+    ]);
+  });
+
+  test('starts from the style carried over and returns the style at the end', () => {
+    const first = parseAnsiLine(`${sgr(32)}pass`);
+    const second = parseAnsiLine('still green', first.style);
+
+    expect(second).toEqual({
+      segments: [{ text: 'still green', style: { color: '#0dbc79' } }],
+      style: { color: '#0dbc79' }
+    });
+  });
+});
+
+describe('stripAnsi', () => {
+  test('removes every escape sequence', () => {
+    expect(stripAnsi(`${ESC}[2K${sgr('1;31')}Error:${sgr(0)} failed`)).toBe('Error: failed');
+  });
+});
+
+describe('parseLogLines', () => {
+  test('drops the timestamp at the start of each line', () => {
+    const lines = parseLogLines('2024-05-01T10:00:00.1234567Z Installing\r\n2024-05-01T10:00:01Z Done');
+
+    expect(lines.map(line => line.text)).toEqual(['Installing', 'Done']);
+  });
+
+  test('splits ##[group] and other workflow commands off the line', () => {
+    const lines = parseLogLines([
+      '2024-05-01T10:00:00Z ##[group]Run npm test',
+      '2024-05-01T10:00:00Z npm test',
+      '2024-05-01T10:00:01Z ##[endgroup]',
+      '2024-05-01T10:00:02Z ##[error]Process completed with exit code 1.',
+      '2024-05-01T10:00:02Z ##[warning]Deprecated'
+    ].join('\n'));
+
+    expect(lines.map(({ command, text }) => ({ command, text }))).toEqual([
+      { command: 'group', text: 'Run npm test' },
+      { command: null, text: 'npm test' },
+      { command: 'error', text: 'Process completed with exit code 1.' },
+      { command: 'warning', text: 'Deprecated' }
+    ]);
+  });
+
+  test('leaves ##[...] markers that are not workflow commands or not at the start', () => {
+    const lines = parseLogLines('##[section]Starting\necho ##[group]');
+
+    expect(lines.map(({ command, text }) => ({ command, text }))).toEqual([
+      { command: null, text: '##[section]Starting' },
+      { command: null, text: 'echo ##[group]' }
+    ]);
+  });
+
+  test('carries colours from one line to the next', () => {
+    const lines = parseLogLines(`${sgr(31)}first\nsecond${sgr(0)}\nthird`);
+
+    expect(lines.map(line => line.segments)).toEqual([
+      [{ text: 'first', style: { color: '#cd3131' } }],
+      [{ text: 'second', style: { color: '#cd3131' } }],
+      [{ text: 'third', style: {} }]
+    ]);
+  });
+});
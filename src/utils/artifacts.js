@@ -0,0 +1,44 @@
+// Helpers for workflow artifacts and other downloadable files
+
+/**
+ * Format a size in bytes, e.g. "512 B", "1.5 KB", "2.3 MB" or "1.1 GB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
+
+/**
+ * Storage used by artifacts. Expired artifacts have been deleted, so they don't count.
+ * @param {Array} artifacts - Workflow artifacts
+ * @returns {{bytes: number, active: number, expired: number}}
+ */
+export const getArtifactStorage = (artifacts) => artifacts.reduce((storage, artifact) => {
+  if (artifact.expired) {
+    storage.expired++;
+  } else {
+    storage.active++;
+    storage.bytes += artifact.size_in_bytes || 0;
+  }
+  return storage;
+}, { bytes: 0, active: 0, expired: 0 });
+
+/**
+ * Hand downloaded data to the browser as a file download
+ * @param {ArrayBuffer|Blob} data - File contents
+ * @param {string} fileName - Name to save the file as
+ * @param {string} type - MIME type
+ */
+export const saveFile = (data, fileName, type = 'application/octet-stream') => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
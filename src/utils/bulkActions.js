@@ -0,0 +1,213 @@
+// Bulk edits of issues and pull requests: work out what an action would change on
+// each selected item (the dry run), then apply it one item at a time.
+import githubService from '../services/githubService';
+
+// Actions in menu order, with whether they need a value picked
+export const BULK_ACTIONS = {
+  addLabels: { label: 'Add labels', needs: 'labels' },
+  removeLabels: { label: 'Remove labels', needs: 'labels' },
+  setMilestone: { label: 'Set milestone', needs: 'milestone' },
+  clearMilestone: { label: 'Clear milestone', needs: null },
+  assign: { label: 'Assign users', needs: 'users' },
+  unassign: { label: 'Unassign users', needs: 'users' },
+  close: { label: 'Close', needs: null },
+  reopen: { label: 'Reopen', needs: null },
+  lock: { label: 'Lock conversation', needs: null }
+};
+
+// GitHub asks for at least a second between writes to avoid its secondary rate limits
+export const WRITE_INTERVAL = 1000;
+
+const labelNamesOf = (item) => item.labels.map(label => label.name);
+const loginsOf = (item) => (item.assignees || []).map(assignee => assignee.login);
+const lowerCaseSet = (values) => new Set(values.map(value => value.toLowerCase()));
+
+/**
+ * What one action does to one item
+ * @returns {{description: string, skipReason: string|null, request: object|null}}
+ */
+const planItem = (item, action, value) => {
+  const skip = (skipReason) => ({ description: null, skipReason, request: null });
+
+  switch (action) {
+    case 'addLabels': {
+      const current = lowerCaseSet(labelNamesOf(item));
+      const added = value.filter(name => !current.has(name.toLowerCase()));
+      if (added.length === 0) return skip('Already has these labels');
+      return {
+        description: `Add ${added.join(', ')}`,
+        skipReason: null,
+        request: { type: 'labels', labelNames: [...labelNamesOf(item), ...added] }
+      };
+    }
+    case 'removeLabels': {
+      const removed = lowerCaseSet(value);
+      const kept = labelNamesOf(item).filter(name => !removed.has(name.toLowerCase()));
+      if (kept.length === item.labels.length) return skip("Doesn't have these labels");
+      return {
+        description: `Remove ${labelNamesOf(item).filter(name => removed.has(name.toLowerCase())).join(', ')}`,
+        skipReason: null,
+        request: { type: 'labels', labelNames: kept }
+      };
+    }
+    case 'setMilestone':
+      if (item.milestone && item.milestone.number === value.number) return skip(`Already in ${value.title}`);
+      return {
+        description: item.milestone ? `Move from ${item.milestone.title} to ${value.title}` : `Add to ${value.title}`,
+        skipReason: null,
+        request: { type: 'update', fields: { milestone: value.number } }
+      };
+    case 'clearMilestone':
+      if (!item.milestone) return skip('Has no milestone');
+      return {
+        description: `Remove from ${item.milestone.title}`,
+        skipReason: null,
+        request: { type: 'update', fields: { milestone: null } }
+      };
+    case 'assign': {
+      const current = lowerCaseSet(loginsOf(item));
+      const added = value.filter(login => !current.has(login.toLowerCase()));
+      if (added.length === 0) return skip('Already assigned');
+      return {
+        description: `Assign ${added.join(', ')}`,
+        skipReason: null,
+        request: { type: 'assignees', logins: added, remove: false }
+      };
+    }
+    case 'unassign': {
+      const current = lowerCaseSet(loginsOf(item));
+      const removed = value.filter(login => current.has(login.toLowerCase()));
+      if (removed.length === 0) return skip('Not assigned to these users');
+      return {
+        description: `Unassign ${removed.join(', ')}`,
+        skipReason: null,
+        request: { type: 'assignees', logins: removed, remove: true }
+      };
+    }
+    case 'close':
+      if (item.state === 'closed') return skip('Already closed');
+      return { description: 'Close', skipReason: null, request: { type: 'update', fields: { state: 'closed' } } };
+    case 'reopen':
+      if (item.state === 'open') return skip('Already open');
+      if (item.merged) return skip("Merged pull requests can't be reopened");
+      return { description: 'Reopen', skipReason: null, request: { type: 'update', fields: { state: 'open' } } };
+    case 'lock':
+      if (item.locked) return skip('Already locked');
+      return { description: 'Lock conversation', skipReason: null, request: { type: 'lock' } };
+    default:
+      return skip(`Unknown action ${action}`);
+  }
+};
+
+/**
+ * Dry run of a bulk action: what it would change on every item, without sending anything
+ * @param {Array} items - Selected issues or pull requests
+ * @param {string} action - BULK_ACTIONS key
+ * @param {*} value - Label names, a milestone or user logins, depending on the action
+ * @returns {Array<{item: object, description: string|null, skipReason: string|null, request: object|null}>}
+ */
+export const planBulkAction = (items, action, value) => items.map(item => ({
+  item,
+  ...planItem(item, action, value)
+}));
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait, checking every second whether the run was cancelled so a long pause can end early
+const waitUnlessCancelled = async (ms, cancelled) => {
+  const until = Date.now() + ms;
+  while (Date.now() < until && !cancelled()) {
+    await wait(Math.min(until - Date.now(), WRITE_INTERVAL));
+  }
+};
+
+/**
+ * Send one planned change
+ * @returns {Promise<{success: boolean, changes?: object, createdLabels?: Array, error?: string}>}
+ */
+const applyRequest = async (owner, repo, item, request) => {
+  switch (request.type) {
+    case 'labels': {
+      const result = await githubService.setIssueLabels(owner, repo, item.number, request.labelNames);
+      return result.success
+        ? { success: true, changes: { labels: result.labels }, createdLabels: result.createdLabels }
+        : result;
+    }
+    case 'assignees': {
+      const result = await githubService.setAssignees(owner, repo, item.number, request.logins, request.remove);
+      return result.success ? { success: true, changes: { assignees: result.assignees } } : result;
+    }
+    case 'lock': {
+      const result = await githubService.lockIssue(owner, repo, item.number);
+      return result.success ? { success: true, changes: { locked: true } } : result;
+    }
+    default: {
+      const result = await githubService.updateIssue(owner, repo, item.number, request.fields);
+      if (!result.success) return result;
+      const changes = {};
+      if ('state' in request.fields) {
+        changes.state = result.issue.state;
+        changes.closed_at = result.issue.closed_at;
+      }
+      if ('milestone' in request.fields) changes.milestone = result.issue.milestone;
+      return { success: true, changes };
+    }
+  }
+};
+
+/**
+ * Apply a planned bulk action one item at a time, spacing the writes out and
+ * pausing until the rate limit resets when it runs low
+ * @param {object} params
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {Array} params.plan - Result of planBulkAction; skipped items aren't sent
+ * @param {Function} [params.onProgress] - Called with ({ done, total, waitingUntil }) before each write
+ * @param {Function} [params.onItemDone] - Called with (item, result) after each write
+ * @param {Function} [params.isCancelled] - Stops the run before the next write, or during a rate limit pause, when it returns true
+ * @returns {Promise<Array<{item: object, success: boolean, skipped: boolean, message: string|null}>>}
+ *   One result per planned item, in plan order; message is the skip reason or error
+ */
+export const runBulkAction = async ({ owner, repo, plan, onProgress, onItemDone, isCancelled }) => {
+  const steps = plan.filter(step => step.request);
+  const results = new Map(plan
+    .filter(step => !step.request)
+    .map(step => [step.item.number, { item: step.item, success: true, skipped: true, message: step.skipReason }]));
+
+  const cancelled = () => Boolean(isCancelled && isCancelled());
+  const cancelFrom = (index) => steps.slice(index).forEach(step => results.set(step.item.number, {
+    item: step.item,
+    success: false,
+    skipped: true,
+    message: 'Cancelled before it was sent'
+  }));
+
+  for (let i = 0; i < steps.length; i++) {
+    if (cancelled()) {
+      cancelFrom(i);
+      break;
+    }
+
+    const rateLimitDelay = githubService.getRateLimitDelay();
+    if (rateLimitDelay > 0) {
+      if (onProgress) onProgress({ done: i, total: steps.length, waitingUntil: new Date(Date.now() + rateLimitDelay) });
+      await waitUnlessCancelled(rateLimitDelay, cancelled);
+    } else if (i > 0) {
+      await wait(WRITE_INTERVAL);
+    }
+    // Cancelled while waiting
+    if (cancelled()) {
+      cancelFrom(i);
+      break;
+    }
+    if (onProgress) onProgress({ done: i, total: steps.length, waitingUntil: null });
+
+    const { item, request } = steps[i];
+    const result = await applyRequest(owner, repo, item, request);
+    if (onItemDone) onItemDone(item, result);
+    results.set(item.number, { item, success: result.success, skipped: false, message: result.error || null });
+  }
+  if (onProgress) onProgress({ done: steps.length, total: steps.length, waitingUntil: null });
+
+  return plan.map(step => results.get(step.item.number));
+};
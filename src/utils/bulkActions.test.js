@@ -0,0 +1,193 @@
+import githubService from '../services/githubService';
+import { WRITE_INTERVAL, planBulkAction, runBulkAction } from './bulkActions';
+
+jest.mock('../services/githubService', () => ({
+  __esModule: true,
+  default: {
+    getRateLimitDelay: jest.fn(),
+    setIssueLabels: jest.fn(),
+    setAssignees: jest.fn(),
+    lockIssue: jest.fn(),
+    updateIssue: jest.fn()
+  }
+}));
+
+const item = (number, overrides = {}) => ({
+  number,
+  state: 'open',
+  labels: [],
+  assignees: [],
+  milestone: null,
+  locked: false,
+  ...overrides
+});
+
+const labels = (...names) => names.map(name => ({ name }));
+const planOne = (target, action, value) => planBulkAction([target], action, value)[0];
+
+// Let pending promises run, on the real event loop rather than the faked timers
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+// Advance the faked clock a write interval at a time until the run finishes
+const runToEnd = async (promise) => {
+  let settled = false;
+  promise.then(() => { settled = true; }, () => { settled = true; });
+  while (!settled) {
+    await flush();
+    jest.advanceTimersByTime(WRITE_INTERVAL);
+  }
+  return promise;
+};
+
+describe('planBulkAction', () => {
+  test('adds only the labels an item is missing, ignoring case', () => {
+    expect(planOne(item(1, { labels: labels('Bug') }), 'addLabels', ['bug', 'ui'])).toEqual({
+      item: expect.any(Object),
+      description: 'Add ui',
+      skipReason: null,
+      request: { type: 'labels', labelNames: ['Bug', 'ui'] }
+    });
+    expect(planOne(item(1, { labels: labels('Bug') }), 'addLabels', ['BUG']).skipReason).toBe('Already has these labels');
+  });
+
+  test('removes labels regardless of case', () => {
+    const step = planOne(item(1, { labels: labels('Bug', 'UI') }), 'removeLabels', ['ui']);
+    expect(step.description).toBe('Remove UI');
+    expect(step.request).toEqual({ type: 'labels', labelNames: ['Bug'] });
+    expect(planOne(item(1, { labels: labels('Bug') }), 'removeLabels', ['ui']).skipReason).toBe("Doesn't have these labels");
+  });
+
+  test('sets, moves and clears milestones', () => {
+    const v1 = { number: 1, title: 'v1' };
+    const v2 = { number: 2, title: 'v2' };
+    expect(planOne(item(1), 'setMilestone', v2).description).toBe('Add to v2');
+    expect(planOne(item(1, { milestone: v1 }), 'setMilestone', v2)).toMatchObject({
+      description: 'Move from v1 to v2',
+      request: { type: 'update', fields: { milestone: 2 } }
+    });
+    expect(planOne(item(1, { milestone: v2 }), 'setMilestone', v2).skipReason).toBe('Already in v2');
+    expect(planOne(item(1, { milestone: v1 }), 'clearMilestone').request).toEqual({ type: 'update', fields: { milestone: null } });
+    expect(planOne(item(1), 'clearMilestone').skipReason).toBe('Has no milestone');
+  });
+
+  test('assigns and unassigns users, matching logins regardless of case', () => {
+    const assigned = item(1, { assignees: [{ login: 'Octocat' }] });
+    expect(planOne(assigned, 'assign', ['octocat', 'hubot']).request).toEqual({ type: 'assignees', logins: ['hubot'], remove: false });
+    expect(planOne(assigned, 'assign', ['OCTOCAT']).skipReason).toBe('Already assigned');
+    expect(planOne(assigned, 'unassign', ['octocat', 'hubot']).request).toEqual({ type: 'assignees', logins: ['octocat'], remove: true });
+    expect(planOne(assigned, 'unassign', ['hubot']).skipReason).toBe('Not assigned to these users');
+  });
+
+  test('closes, reopens and locks', () => {
+    expect(planOne(item(1), 'close').request).toEqual({ type: 'update', fields: { state: 'closed' } });
+    expect(planOne(item(1, { state: 'closed' }), 'close').skipReason).toBe('Already closed');
+    expect(planOne(item(1, { state: 'closed' }), 'reopen').request).toEqual({ type: 'update', fields: { state: 'open' } });
+    expect(planOne(item(1), 'reopen').skipReason).toBe('Already open');
+    expect(planOne(item(1), 'lock').request).toEqual({ type: 'lock' });
+    expect(planOne(item(1, { locked: true }), 'lock').skipReason).toBe('Already locked');
+  });
+
+  test("doesn't reopen a merged pull request", () => {
+    expect(planOne(item(1, { state: 'closed', merged: true }), 'reopen')).toMatchObject({
+      request: null,
+      skipReason: "Merged pull requests can't be reopened"
+    });
+  });
+
+  test('skips unknown actions', () => {
+    expect(planOne(item(1), 'delete').skipReason).toBe('Unknown action delete');
+  });
+});
+
+describe('runBulkAction', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers('modern');
+    githubService.getRateLimitDelay.mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('returns a result per planned item in plan order, including skips and failures', async () => {
+    githubService.updateIssue.mockImplementation((owner, repo, number) => Promise.resolve(
+      number === 2
+        ? { success: false, error: 'Resource not accessible' }
+        : { success: true, issue: { state: 'closed', closed_at: '2024-05-01T00:00:00Z', milestone: null } }
+    ));
+    const plan = planBulkAction([item(1), item(2), item(3, { state: 'closed' }), item(4)], 'close');
+    const onItemDone = jest.fn();
+
+    const results = await runToEnd(runBulkAction({ owner: 'octo', repo: 'app', plan, onItemDone }));
+
+    expect(results.map(r => [r.item.number, r.success, r.skipped, r.message])).toEqual([
+      [1, true, false, null],
+      [2, false, false, 'Resource not accessible'],
+      [3, true, true, 'Already closed'],
+      [4, true, false, null]
+    ]);
+    expect(githubService.updateIssue).toHaveBeenCalledTimes(3);
+    expect(onItemDone).toHaveBeenCalledWith(plan[0].item, {
+      success: true,
+      changes: { state: 'closed', closed_at: '2024-05-01T00:00:00Z' }
+    });
+  });
+
+  test('stops before the next write once cancelled', async () => {
+    let cancelled = false;
+    githubService.lockIssue.mockImplementation(() => {
+      cancelled = true;
+      return Promise.resolve({ success: true });
+    });
+    const plan = planBulkAction([item(1), item(2), item(3)], 'lock');
+
+    const results = await runToEnd(runBulkAction({ owner: 'octo', repo: 'app', plan, isCancelled: () => cancelled }));
+
+    expect(githubService.lockIssue).toHaveBeenCalledTimes(1);
+    expect(results.map(r => [r.success, r.skipped, r.message])).toEqual([
+      [true, false, null],
+      [false, true, 'Cancelled before it was sent'],
+      [false, true, 'Cancelled before it was sent']
+    ]);
+  });
+
+  test('waits for the rate limit to reset before writing', async () => {
+    const delay = 5 * WRITE_INTERVAL;
+    githubService.getRateLimitDelay.mockReturnValueOnce(delay).mockReturnValue(0);
+    githubService.lockIssue.mockResolvedValue({ success: true });
+    const onProgress = jest.fn();
+    const startedAt = Date.now();
+
+    const run = runBulkAction({ owner: 'octo', repo: 'app', plan: planBulkAction([item(1)], 'lock'), onProgress });
+    await flush();
+    expect(onProgress).toHaveBeenCalledWith({ done: 0, total: 1, waitingUntil: new Date(startedAt + delay) });
+    expect(githubService.lockIssue).not.toHaveBeenCalled();
+
+    await runToEnd(run);
+    expect(githubService.lockIssue).toHaveBeenCalledTimes(1);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(delay);
+  });
+
+  test('ends a rate limit pause early when cancelled', async () => {
+    const hour = 60 * 60 * 1000;
+    githubService.getRateLimitDelay.mockReturnValue(hour);
+    let cancelled = false;
+    const startedAt = Date.now();
+
+    const run = runBulkAction({
+      owner: 'octo',
+      repo: 'app',
+      plan: planBulkAction([item(1), item(2)], 'lock'),
+      isCancelled: () => cancelled
+    });
+    await flush();
+    jest.advanceTimersByTime(WRITE_INTERVAL);
+    cancelled = true;
+
+    const results = await runToEnd(run);
+    expect(Date.now() - startedAt).toBeLessThan(hour);
+    expect(githubService.lockIssue).not.toHaveBeenCalled();
+    expect(results.every(r => r.message === 'Cancelled before it was sent')).toBe(true);
+  });
+});
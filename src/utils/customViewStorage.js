@@ -0,0 +1,157 @@
+// Persistence, import/export and URL sharing for Custom View definitions.
+// Views are stored per repository in localStorage under `${owner}/${repo}:custom-views`,
+// the same key scheme the Actions dashboard uses for its cached data.
+
+export const CUSTOM_VIEWS_SCHEMA_VERSION = 1;
+
+const STORAGE_KEY = 'custom-views';
+
+// Migrations from each older schema version to the next one.
+// Version 0 is the unversioned format: a bare array of { name, rowLabels, columnLabels }.
+const MIGRATIONS = {
+  0: (views) => ({
+    version: 1,
+    views: views.map(view => ({
+      name: view.name,
+      rowLabels: view.rowLabels || [],
+      columnLabels: view.columnLabels || []
+    }))
+  })
+};
+
+const getStorageKey = (owner, repo) => `${owner}/${repo}:${STORAGE_KEY}`;
+
+/**
+ * Check that a value looks like a view definition
+ * @param {any} view - Candidate view
+ * @returns {boolean}
+ */
+const isValidView = (view) => (
+  view &&
+  typeof view.name === 'string' &&
+  view.name.trim() !== '' &&
+  Array.isArray(view.rowLabels) &&
+  Array.isArray(view.columnLabels)
+);
+
+/**
+ * Bring stored or imported data up to the current schema version
+ * @param {any} data - Parsed JSON (versioned object or legacy array)
+ * @returns {Array} - Views in the current schema
+ * @throws {Error} - If the data can't be understood
+ */
+export const migrateCustomViews = (data) => {
+  let current = Array.isArray(data) ? { version: 0, views: data } : data;
+
+  if (!current || typeof current.version !== 'number' || !Array.isArray(current.views)) {
+    throw new Error('Unrecognised custom view data');
+  }
+
+  if (current.version > CUSTOM_VIEWS_SCHEMA_VERSION) {
+    throw new Error(`Custom views were saved by a newer version (schema v${current.version})`);
+  }
+
+  while (current.version < CUSTOM_VIEWS_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    current = migrate(current.views);
+  }
+
+  return current.views.filter(isValidView);
+};
+
+/**
+ * Load the saved custom views for a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Array} - Saved views, or an empty array
+ */
+export const loadCustomViews = (owner, repo) => {
+  const storageKey = getStorageKey(owner, repo);
+  const storedData = localStorage.getItem(storageKey);
+
+  if (!storedData) return [];
+
+  try {
+    return migrateCustomViews(JSON.parse(storedData));
+  } catch (err) {
+    console.error('Error loading custom views:', err);
+    return [];
+  }
+};
+
+/**
+ * Save the custom views for a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array} views - Views to save
+ */
+export const saveCustomViews = (owner, repo, views) => {
+  const storageKey = getStorageKey(owner, repo);
+  localStorage.setItem(storageKey, JSON.stringify({
+    version: CUSTOM_VIEWS_SCHEMA_VERSION,
+    views
+  }));
+};
+
+/**
+ * Serialise views to a JSON document for export
+ * @param {Array} views - Views to export
+ * @returns {string} - JSON text
+ */
+export const exportCustomViews = (views) => JSON.stringify({
+  version: CUSTOM_VIEWS_SCHEMA_VERSION,
+  views
+}, null, 2);
+
+/**
+ * Parse an exported JSON document back into views
+ * @param {string} text - JSON text
+ * @returns {Array} - Views in the current schema
+ * @throws {Error} - If the text is not a valid export
+ */
+export const importCustomViews = (text) => migrateCustomViews(JSON.parse(text));
+
+// base64url so the payload survives as a query parameter
+const toBase64Url = (text) => {
+  const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+/**
+ * Encode a view, and the repository it belongs to, for a share URL
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {object} view - View to share
+ * @returns {string} - URL-safe encoded view
+ */
+export const encodeSharedView = (owner, repo, view) => toBase64Url(JSON.stringify({
+  version: CUSTOM_VIEWS_SCHEMA_VERSION,
+  owner,
+  repo,
+  views: [view]
+}));
+
+/**
+ * Decode a view from a share URL parameter
+ * @param {string} encoded - Encoded view from the URL
+ * @returns {{owner: string, repo: string, view: object}|null} - Decoded view, or null if invalid
+ */
+export const decodeSharedView = (encoded) => {
+  try {
+    const data = JSON.parse(fromBase64Url(encoded));
+    const [view] = migrateCustomViews(data);
+    if (!view) return null;
+    return { owner: data.owner, repo: data.repo, view };
+  } catch (err) {
+    console.error('Error decoding shared custom view:', err);
+    return null;
+  }
+};
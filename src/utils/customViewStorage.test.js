@@ -0,0 +1,83 @@
+import {
+  CUSTOM_VIEWS_SCHEMA_VERSION,
+  migrateCustomViews,
+  loadCustomViews,
+  saveCustomViews,
+  exportCustomViews,
+  importCustomViews,
+  encodeSharedView,
+  decodeSharedView
+} from './customViewStorage';
+
+const view = { name: 'Bugs by area', rowLabels: ['bug'], columnLabels: ['ui', 'api'] };
+
+describe('migrateCustomViews', () => {
+  test('upgrades the unversioned array format', () => {
+    expect(migrateCustomViews([{ name: 'Legacy', rowLabels: ['bug'] }])).toEqual([
+      { name: 'Legacy', rowLabels: ['bug'], columnLabels: [] }
+    ]);
+  });
+
+  test('drops views that are not valid', () => {
+    expect(migrateCustomViews({
+      version: CUSTOM_VIEWS_SCHEMA_VERSION,
+      views: [view, { name: ' ', rowLabels: [], columnLabels: [] }, { name: 'No labels' }, null]
+    })).toEqual([view]);
+  });
+
+  test('rejects unrecognised data and newer schema versions', () => {
+    expect(() => migrateCustomViews(null)).toThrow('Unrecognised custom view data');
+    expect(() => migrateCustomViews({ views: [] })).toThrow('Unrecognised custom view data');
+    expect(() => migrateCustomViews({ version: CUSTOM_VIEWS_SCHEMA_VERSION + 1, views: [] }))
+      .toThrow('saved by a newer version');
+  });
+});
+
+describe('loadCustomViews', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('round-trips saved views per repository', () => {
+    saveCustomViews('octo', 'app', [view]);
+    expect(loadCustomViews('octo', 'app')).toEqual([view]);
+    expect(loadCustomViews('octo', 'other')).toEqual([]);
+  });
+
+  test('is empty when the stored data cannot be read', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('octo/app:custom-views', '{not json');
+
+    expect(loadCustomViews('octo', 'app')).toEqual([]);
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+});
+
+describe('exportCustomViews and importCustomViews', () => {
+  test('round-trip views', () => {
+    expect(importCustomViews(exportCustomViews([view]))).toEqual([view]);
+  });
+
+  test('import throws on invalid JSON', () => {
+    expect(() => importCustomViews('nope')).toThrow();
+  });
+});
+
+describe('shared views', () => {
+  test('round-trip a view with non-ASCII names through a URL-safe string', () => {
+    const shared = { name: 'Équipe ✓', rowLabels: ['größe/xl'], columnLabels: ['??>>'] };
+    const encoded = encodeSharedView('octo', 'app', shared);
+
+    expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeSharedView(encoded)).toEqual({ owner: 'octo', repo: 'app', view: shared });
+  });
+
+  test('decode to null when the parameter is invalid', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(decodeSharedView('not-a-view')).toBeNull();
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,425 @@
+import githubService from '../services/githubService';
+
+// DORA metrics: deployment frequency, lead time for changes, change failure rate and
+// time to restore. What counts as a deployment, a failure and a fix is configurable
+// per repository, since teams ship in different ways.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const CONFIG_KEY = 'dora-config';
+
+// Lead times take a compare request per deployment, so only this many of the most recent are measured
+export const MAX_LEAD_TIME_DEPLOYMENTS = 60;
+
+// Deployed refs are tags and SHAs, so the commits between two of them don't change
+const COMPARE_CACHE_EXPIRY = 24 * HOUR_MS;
+
+// First commit lookups for the first-commit lead time start, made this many at a time...
+const FIRST_COMMIT_BATCH_SIZE = 5;
+// ...up to this many per calculation; later PRs count from when they were opened
+const MAX_FIRST_COMMIT_LOOKUPS = 200;
+
+// Where deployments come from
+export const DEPLOYMENT_SOURCES = {
+  releases: 'Production releases',
+  deployments: 'Deployments API',
+  workflow: 'Successful runs of a deploy workflow'
+};
+
+// When a change's lead time starts
+export const LEAD_TIME_STARTS = {
+  'first-commit': 'First commit of the pull request',
+  'pr-opened': 'Pull request opened'
+};
+
+// When a failed deployment counts as restored
+export const RESTORE_ENDS = {
+  'fix-deployed': 'The fix is deployed',
+  'fix-merged': 'The fix is merged'
+};
+
+// Reporting periods, in days
+export const METRICS_PERIODS = [30, 90, 180, 365];
+
+/**
+ * Default definitions
+ * @returns {object}
+ */
+export const getDefaultDoraConfig = () => ({
+  deploymentSource: 'releases',
+  environment: 'production',
+  workflowId: '',
+  // Matched against the title, branch and labels of merged pull requests
+  failurePatterns: ['hotfix', 'revert'],
+  leadTimeStart: 'first-commit',
+  restoreEnd: 'fix-deployed'
+});
+
+/**
+ * Load the metric definitions for a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {object}
+ */
+export const loadDoraConfig = (owner, repo) => {
+  const defaults = getDefaultDoraConfig();
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(`${owner}/${repo}:${CONFIG_KEY}`) || 'null');
+    if (!stored) return defaults;
+
+    return {
+      ...defaults,
+      ...stored,
+      deploymentSource: DEPLOYMENT_SOURCES[stored.deploymentSource] ? stored.deploymentSource : defaults.deploymentSource,
+      leadTimeStart: LEAD_TIME_STARTS[stored.leadTimeStart] ? stored.leadTimeStart : defaults.leadTimeStart,
+      restoreEnd: RESTORE_ENDS[stored.restoreEnd] ? stored.restoreEnd : defaults.restoreEnd,
+      failurePatterns: Array.isArray(stored.failurePatterns) ? stored.failurePatterns : defaults.failurePatterns
+    };
+  } catch (err) {
+    console.error('Error loading DORA config:', err);
+    return defaults;
+  }
+};
+
+/**
+ * Save the metric definitions for a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {object} config - Definitions to save
+ */
+export const saveDoraConfig = (owner, repo, config) => {
+  localStorage.setItem(`${owner}/${repo}:${CONFIG_KEY}`, JSON.stringify(config));
+};
+
+/**
+ * Format a metric duration, e.g. "45 min", "5.2 hours" or "3.1 days"
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export const formatMetricDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < HOUR_MS) return `${Math.round(ms / 60000)} min`;
+  if (ms < DAY_MS) return `${(ms / HOUR_MS).toFixed(1)} hours`;
+  return `${(ms / DAY_MS).toFixed(1)} days`;
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Check whether a merged pull request fixes a failed deployment
+ * @param {object} pr - Pull request
+ * @param {string[]} patterns - Failure patterns
+ * @returns {boolean}
+ */
+export const isFailureFix = (pr, patterns) => {
+  const text = [
+    pr.title,
+    pr.head ? pr.head.ref : '',
+    ...(pr.labels || []).map(label => label.name)
+  ].join(' ').toLowerCase();
+
+  return patterns.some(pattern => pattern.trim() && text.includes(pattern.trim().toLowerCase()));
+};
+
+/**
+ * Collect deployments from the configured source, oldest first. The last deployment
+ * before the period is kept so the first one in the period has something to compare to.
+ * @param {object} context
+ * @param {string} context.owner - Repository owner
+ * @param {string} context.repo - Repository name
+ * @param {Array} context.releases - Releases with their phase
+ * @param {object} context.config - Metric definitions
+ * @param {Date} context.since - Start of the period
+ * @param {string} context.defaultBranch - Branch deploy workflows run on
+ * @param {boolean} [context.useCache] - Whether cached deployments and runs may be used
+ * @returns {Promise<Array<{id, name, ref, deployedAt: Date, url}>>}
+ */
+export const collectDeployments = async ({ owner, repo, releases, config, since, defaultBranch, useCache = true }) => {
+  let deployments = [];
+
+  if (config.deploymentSource === 'deployments') {
+    const result = await githubService.getSuccessfulDeployments(owner, repo, config.environment, since, useCache);
+    if (!result.success) throw new Error(result.error);
+
+    deployments = result.deployments.map(deployment => ({
+      id: deployment.id,
+      name: `${deployment.environment} ${deployment.ref || deployment.sha.slice(0, 7)}`,
+      ref: deployment.sha,
+      deployedAt: new Date(deployment.deployed_at),
+      url: null
+    }));
+  } else if (config.deploymentSource === 'workflow') {
+    if (!config.workflowId) throw new Error('Choose the deploy workflow in the metric definitions');
+
+    const result = await githubService.getWorkflowRuns(owner, repo, config.workflowId, useCache, {
+      branch: defaultBranch,
+      status: 'success'
+    });
+    if (!result.success) throw new Error(result.error);
+
+    deployments = result.workflowRuns.map(run => ({
+      id: run.id,
+      name: `${run.name} #${run.run_number}`,
+      ref: run.head_sha,
+      deployedAt: new Date(run.updated_at),
+      url: run.html_url
+    }));
+  } else {
+    deployments = releases
+      .filter(release => release.phase === 'production' && release.published_at)
+      .map(release => ({
+        id: release.id,
+        name: release.name || release.tag_name,
+        ref: release.tag_name,
+        deployedAt: new Date(release.published_at),
+        url: release.html_url
+      }));
+  }
+
+  deployments.sort((a, b) => a.deployedAt - b.deployedAt);
+  const firstInPeriod = deployments.findIndex(deployment => deployment.deployedAt >= since);
+  if (firstInPeriod === -1) return [];
+  return deployments.slice(Math.max(firstInPeriod - 1, 0));
+};
+
+/**
+ * When work on each pull request started, by PR number. With the first-commit start
+ * that takes a request per PR, so they are made a few at a time and capped; PRs past
+ * the cap fall back to when they were opened.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array} pullRequests - Pull requests
+ * @param {object} config - Metric definitions
+ * @returns {Promise<Map<number, Date>>}
+ */
+const getChangeStarts = async (owner, repo, pullRequests, config) => {
+  const starts = new Map(pullRequests.map(pr => [pr.number, new Date(pr.created_at)]));
+  if (config.leadTimeStart !== 'first-commit') return starts;
+
+  const toLookUp = pullRequests.slice(0, MAX_FIRST_COMMIT_LOOKUPS);
+  for (let i = 0; i < toLookUp.length; i += FIRST_COMMIT_BATCH_SIZE) {
+    const batch = toLookUp.slice(i, i + FIRST_COMMIT_BATCH_SIZE);
+    const results = await Promise.all(batch.map(pr => githubService.getPullRequestFirstCommit(owner, repo, pr.number)));
+    results.forEach((result, index) => {
+      if (result.success && result.commit) {
+        starts.set(batch[index].number, new Date(result.commit.commit.author.date));
+      }
+    });
+  }
+  return starts;
+};
+
+/**
+ * Work out the lead time of every change in each deployment of the period, by
+ * comparing it with the deployment before it. Changes are the merged PRs whose merge
+ * commit is in the compared range. Only the most recent deployments are measured,
+ * and compares between deployed refs (tags and SHAs, which don't move) are cached.
+ * @param {object} context
+ * @param {string} context.owner - Repository owner
+ * @param {string} context.repo - Repository name
+ * @param {Array} context.deployments - Result of collectDeployments
+ * @param {Array} context.mergedPRs - Pull requests merged since the first deployment
+ * @param {object} context.config - Metric definitions
+ * @param {Date} context.since - Start of the period
+ * @param {Function} [context.onProgress] - Called with (done, total)
+ * @returns {Promise<Array>} - Deployments with changes (number), leadTimesMs (number[]) and leadTimeMeasured (boolean)
+ */
+export const addLeadTimes = async ({ owner, repo, deployments, mergedPRs, config, since, onProgress }) => {
+  const prsByMergeCommit = new Map(mergedPRs.map(pr => [pr.merge_commit_sha, pr]));
+  const inPeriod = deployments
+    .map((deployment, index) => ({ deployment, previous: deployments[index - 1] }))
+    .filter(({ deployment }) => deployment.deployedAt >= since);
+  const measuredFrom = Math.max(inPeriod.length - MAX_LEAD_TIME_DEPLOYMENTS, 0);
+  const total = inPeriod.length - measuredFrom;
+
+  // The changes in each measured deployment: its PRs, or its commits when pushed straight to the branch
+  const ranges = new Map();
+  for (const { deployment, previous } of inPeriod.slice(measuredFrom)) {
+    if (previous) {
+      const compareResult = await githubService.compareCommits(
+        owner,
+        repo,
+        previous.ref,
+        deployment.ref,
+        COMPARE_CACHE_EXPIRY
+      );
+      if (compareResult.success) {
+        const commits = compareResult.commits;
+        const pullRequests = commits.map(commit => prsByMergeCommit.get(commit.sha)).filter(Boolean);
+        ranges.set(deployment.id, { commits, pullRequests });
+      }
+    }
+    if (onProgress) onProgress(ranges.size, total);
+  }
+
+  // Most recent PRs first, so the lookup cap drops the oldest
+  const pullRequests = [...ranges.values()].reverse().flatMap(range => range.pullRequests);
+  const starts = await getChangeStarts(owner, repo, pullRequests, config);
+
+  return inPeriod.map(({ deployment }, index) => {
+    const range = ranges.get(deployment.id);
+    if (!range) {
+      return { ...deployment, changes: 0, leadTimesMs: [], leadTimeMeasured: index >= measuredFrom };
+    }
+
+    const changeStarts = range.pullRequests.length > 0
+      ? range.pullRequests.map(pr => starts.get(pr.number))
+      : range.commits.map(commit => new Date(commit.commit.author.date));
+    return {
+      ...deployment,
+      changes: changeStarts.length,
+      leadTimesMs: changeStarts.map(start => deployment.deployedAt - start).filter(ms => ms >= 0),
+      leadTimeMeasured: true
+    };
+  });
+};
+
+/**
+ * Deployments that were followed by a fix, and when service was restored
+ * @param {Array} deployments - All collected deployments, oldest first
+ * @param {Array} mergedPRs - Merged pull requests
+ * @param {object} config - Metric definitions
+ * @returns {Map<number, {fixes: Array, restoredAt: Date|null}>} - By deployment ID
+ */
+const findFailures = (deployments, mergedPRs, config) => {
+  const failures = new Map();
+
+  mergedPRs
+    .filter(pr => isFailureFix(pr, config.failurePatterns))
+    .sort((a, b) => new Date(a.merged_at) - new Date(b.merged_at))
+    .forEach(pr => {
+      const mergedAt = new Date(pr.merged_at);
+      // The fix belongs to the latest deployment before it was merged
+      const failed = [...deployments].reverse().find(deployment => deployment.deployedAt <= mergedAt);
+      if (!failed) return;
+
+      if (!failures.has(failed.id)) {
+        const fixDeployment = deployments.find(deployment => deployment.deployedAt >= mergedAt);
+        failures.set(failed.id, {
+          fixes: [],
+          restoredAt: config.restoreEnd === 'fix-merged'
+            ? mergedAt
+            : (fixDeployment ? fixDeployment.deployedAt : null)
+        });
+      }
+      failures.get(failed.id).fixes.push(pr);
+    });
+
+  return failures;
+};
+
+// Start of the week (Monday) or month a date falls in
+const getBucketStart = (date, granularity) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), granularity === 'month' ? 1 : date.getDate());
+  if (granularity === 'week') {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start;
+};
+
+const nextBucketStart = (start, granularity) => (
+  granularity === 'month'
+    ? new Date(start.getFullYear(), start.getMonth() + 1, 1)
+    : new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7)
+);
+
+// Performance bands from the State of DevOps research
+const getBand = (value, thresholds) => {
+  if (value === null) return null;
+  if (value <= thresholds[0]) return 'elite';
+  if (value <= thresholds[1]) return 'high';
+  if (value <= thresholds[2]) return 'medium';
+  return 'low';
+};
+
+/**
+ * Compute the four metrics for a period, with a trend
+ * @param {object} context
+ * @param {Array} context.deployments - Result of addLeadTimes (deployments in the period)
+ * @param {Array} context.allDeployments - Result of collectDeployments, to find the deployment that shipped a fix
+ * @param {Array} context.mergedPRs - Merged pull requests
+ * @param {object} context.config - Metric definitions
+ * @param {Date} context.since - Start of the period
+ * @param {string} context.granularity - 'week' or 'month'
+ * @returns {{summary: object, trend: object, failures: Array}}
+ */
+export const computeDoraMetrics = ({ deployments, allDeployments, mergedPRs, config, since, granularity }) => {
+  const failureMap = findFailures(allDeployments, mergedPRs, config);
+  const periodDays = Math.max((Date.now() - since.getTime()) / DAY_MS, 1);
+
+  const failures = deployments
+    .filter(deployment => failureMap.has(deployment.id))
+    .map(deployment => {
+      const { fixes, restoredAt } = failureMap.get(deployment.id);
+      return {
+        deployment,
+        fixes,
+        restoredAt,
+        restoreMs: restoredAt ? restoredAt - deployment.deployedAt : null
+      };
+    });
+
+  const leadTimes = deployments.flatMap(deployment => deployment.leadTimesMs);
+  const restoreTimes = failures.filter(failure => failure.restoreMs !== null).map(failure => failure.restoreMs);
+  const deploymentsPerDay = deployments.length / periodDays;
+
+  const summary = {
+    deployments: deployments.length,
+    deploymentsPerWeek: deploymentsPerDay * 7,
+    leadTimeMs: median(leadTimes),
+    changes: leadTimes.length,
+    // Older deployments past MAX_LEAD_TIME_DEPLOYMENTS have no lead times
+    leadTimeDeployments: deployments.filter(deployment => deployment.leadTimeMeasured).length,
+    changeFailureRate: deployments.length > 0 ? failures.length / deployments.length : null,
+    failedDeployments: failures.length,
+    restoreMs: median(restoreTimes),
+    unrestored: failures.length - restoreTimes.length,
+    bands: {
+      // Days between deployments: daily or more, weekly, monthly
+      deploymentFrequency: getBand(deploymentsPerDay > 0 ? 1 / deploymentsPerDay : Infinity, [1, 7, 30]),
+      leadTime: getBand(median(leadTimes), [DAY_MS, 7 * DAY_MS, 30 * DAY_MS]),
+      changeFailureRate: getBand(deployments.length > 0 ? failures.length / deployments.length : null, [0.05, 0.1, 0.15]),
+      restore: getBand(median(restoreTimes), [HOUR_MS, DAY_MS, 7 * DAY_MS])
+    }
+  };
+
+  // Trend buckets from the start of the period to now
+  const buckets = [];
+  for (let start = getBucketStart(since, granularity); start <= new Date(); start = nextBucketStart(start, granularity)) {
+    buckets.push({ start, end: nextBucketStart(start, granularity) });
+  }
+  const inBucket = (bucket, date) => date >= bucket.start && date < bucket.end;
+  const toHours = (ms) => (ms === null ? null : Math.round((ms / HOUR_MS) * 10) / 10);
+
+  const trend = {
+    labels: buckets.map(bucket => (
+      granularity === 'month'
+        ? bucket.start.toLocaleDateString(undefined, { year: 'numeric', month: 'short' })
+        : bucket.start.toLocaleDateString()
+    )),
+    deployments: buckets.map(bucket => deployments.filter(deployment => inBucket(bucket, deployment.deployedAt)).length),
+    leadTimeHours: buckets.map(bucket => toHours(median(
+      deployments.filter(deployment => inBucket(bucket, deployment.deployedAt)).flatMap(deployment => deployment.leadTimesMs)
+    ))),
+    changeFailureRate: buckets.map(bucket => {
+      const bucketDeployments = deployments.filter(deployment => inBucket(bucket, deployment.deployedAt));
+      if (bucketDeployments.length === 0) return null;
+      const failed = bucketDeployments.filter(deployment => failureMap.has(deployment.id)).length;
+      return Math.round((failed / bucketDeployments.length) * 100);
+    }),
+    restoreHours: buckets.map(bucket => toHours(median(
+      failures
+        .filter(failure => failure.restoreMs !== null && inBucket(bucket, failure.deployment.deployedAt))
+        .map(failure => failure.restoreMs)
+    )))
+  };
+
+  return { summary, trend, failures };
+};
@@ -0,0 +1,329 @@
+import githubService from '../services/githubService';
+import {
+  MAX_LEAD_TIME_DEPLOYMENTS,
+  getDefaultDoraConfig,
+  loadDoraConfig,
+  saveDoraConfig,
+  formatMetricDuration,
+  isFailureFix,
+  collectDeployments,
+  addLeadTimes,
+  computeDoraMetrics
+} from './doraMetrics';
+
+jest.mock('../services/githubService', () => ({
+  __esModule: true,
+  default: {
+    getSuccessfulDeployments: jest.fn(),
+    getWorkflowRuns: jest.fn(),
+    compareCommits: jest.fn(),
+    getPullRequestFirstCommit: jest.fn()
+  }
+}));
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Local times, since trend buckets start at local midnight
+const at = (day, hour = 10, month = 5) => new Date(2024, month, day, hour);
+
+const deployment = (id, deployedAt, overrides = {}) => ({
+  id,
+  name: `Deploy ${id}`,
+  ref: `v${id}`,
+  deployedAt,
+  url: null,
+  ...overrides
+});
+
+const commit = (sha, authoredAt) => ({ sha, commit: { author: { date: authoredAt.toISOString() } } });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(at(29, 12));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('loadDoraConfig', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('falls back to the defaults for missing or unknown definitions', () => {
+    expect(loadDoraConfig('octo', 'app')).toEqual(getDefaultDoraConfig());
+
+    saveDoraConfig('octo', 'app', {
+      deploymentSource: 'carrier-pigeon',
+      leadTimeStart: 'pr-opened',
+      restoreEnd: 'never',
+      failurePatterns: 'hotfix'
+    });
+    expect(loadDoraConfig('octo', 'app')).toMatchObject({
+      deploymentSource: 'releases',
+      leadTimeStart: 'pr-opened',
+      restoreEnd: 'fix-deployed',
+      failurePatterns: ['hotfix', 'revert']
+    });
+  });
+});
+
+describe('formatMetricDuration', () => {
+  test('picks minutes, hours or days', () => {
+    expect(formatMetricDuration(null)).toBe('-');
+    expect(formatMetricDuration(45 * 60000)).toBe('45 min');
+    expect(formatMetricDuration(5.2 * HOUR_MS)).toBe('5.2 hours');
+    expect(formatMetricDuration(3.1 * DAY_MS)).toBe('3.1 days');
+  });
+});
+
+describe('isFailureFix', () => {
+  test('matches the patterns against the title, branch and labels, ignoring case', () => {
+    const patterns = ['hotfix', ' revert ', ''];
+    expect(isFailureFix({ title: 'HOTFIX: login', labels: [] }, patterns)).toBe(true);
+    expect(isFailureFix({ title: 'Login', head: { ref: 'revert-123' } }, patterns)).toBe(true);
+    expect(isFailureFix({ title: 'Login', labels: [{ name: 'Hotfix' }] }, patterns)).toBe(true);
+    expect(isFailureFix({ title: 'Add login', head: { ref: 'feature' }, labels: [] }, patterns)).toBe(false);
+  });
+});
+
+describe('collectDeployments', () => {
+  const since = at(1, 0);
+  const config = getDefaultDoraConfig();
+
+  test('uses production releases, keeping the last one before the period', async () => {
+    const release = (id, phase, day, month = 5) => ({
+      id,
+      tag_name: `v${id}`,
+      phase,
+      published_at: at(day, 10, month).toISOString(),
+      html_url: `https://github.com/octo/app/releases/v${id}`
+    });
+    const releases = [
+      release(4, 'production', 10),
+      release(3, 'staging', 3),
+      release(0, 'production', 1, 3),
+      release(2, 'production', 2),
+      release(1, 'production', 1, 4),
+      { ...release(5, 'production', 12), published_at: null }
+    ];
+
+    const deployments = await collectDeployments({ owner: 'octo', repo: 'app', releases, config, since });
+
+    expect(deployments.map(d => [d.id, d.ref])).toEqual([[1, 'v1'], [2, 'v2'], [4, 'v4']]);
+  });
+
+  test('is empty when nothing was deployed in the period', async () => {
+    const releases = [{ id: 1, tag_name: 'v1', phase: 'production', published_at: at(1, 10, 3).toISOString() }];
+    expect(await collectDeployments({ owner: 'octo', repo: 'app', releases, config, since })).toEqual([]);
+  });
+
+  test('passes useCache on to the Deployments API', async () => {
+    githubService.getSuccessfulDeployments.mockResolvedValue({
+      success: true,
+      deployments: [{ id: 7, environment: 'production', ref: 'main', sha: 'abcdef123', deployed_at: at(3).toISOString() }]
+    });
+
+    const deployments = await collectDeployments({
+      owner: 'octo',
+      repo: 'app',
+      releases: [],
+      config: { ...config, deploymentSource: 'deployments' },
+      since,
+      useCache: false
+    });
+
+    expect(githubService.getSuccessfulDeployments).toHaveBeenCalledWith('octo', 'app', 'production', since, false);
+    expect(deployments).toEqual([{ id: 7, name: 'production main', ref: 'abcdef123', deployedAt: at(3), url: null }]);
+  });
+
+  test('needs a workflow for the deploy workflow source', async () => {
+    await expect(collectDeployments({
+      owner: 'octo',
+      repo: 'app',
+      releases: [],
+      config: { ...config, deploymentSource: 'workflow', workflowId: '' },
+      since
+    })).rejects.toThrow('Choose the deploy workflow');
+  });
+});
+
+describe('addLeadTimes', () => {
+  const since = at(1, 0);
+
+  test('measures each deployment against the one before it', async () => {
+    const deployments = [deployment(0, at(30, 10, 4)), deployment(1, at(3)), deployment(2, at(5))];
+    githubService.compareCommits.mockImplementation((owner, repo, base) => Promise.resolve(
+      base === 'v0'
+        ? { success: true, commits: [commit('merge-1', at(2)), commit('direct', at(2))] }
+        : { success: true, commits: [commit('c1', at(4)), commit('c2', at(5, 9)), commit('future', at(6))] }
+    ));
+    const mergedPRs = [{ number: 1, merge_commit_sha: 'merge-1', created_at: at(1, 10).toISOString() }];
+
+    const result = await addLeadTimes({
+      owner: 'octo',
+      repo: 'app',
+      deployments,
+      mergedPRs,
+      config: { leadTimeStart: 'pr-opened' },
+      since
+    });
+
+    expect(githubService.compareCommits).toHaveBeenCalledWith('octo', 'app', 'v0', 'v1', DAY_MS);
+    expect(result.map(d => d.id)).toEqual([1, 2]);
+    // The PR is the change; the commit pushed straight to the branch isn't counted separately
+    expect(result[0]).toMatchObject({ changes: 1, leadTimesMs: [2 * DAY_MS], leadTimeMeasured: true });
+    // Without PRs the commits are the changes; one authored after the deployment is dropped
+    expect(result[1]).toMatchObject({ changes: 3, leadTimesMs: [DAY_MS, HOUR_MS], leadTimeMeasured: true });
+    expect(githubService.getPullRequestFirstCommit).not.toHaveBeenCalled();
+  });
+
+  test('starts lead times at the first commit when configured to', async () => {
+    githubService.compareCommits.mockResolvedValue({ success: true, commits: [commit('merge-1', at(2))] });
+    githubService.getPullRequestFirstCommit.mockResolvedValue({ success: true, commit: commit('first', at(1, 4)) });
+
+    const [result] = await addLeadTimes({
+      owner: 'octo',
+      repo: 'app',
+      deployments: [deployment(0, at(30, 10, 4)), deployment(1, at(3))],
+      mergedPRs: [{ number: 1, merge_commit_sha: 'merge-1', created_at: at(1, 10).toISOString() }],
+      config: { leadTimeStart: 'first-commit' },
+      since
+    });
+
+    expect(githubService.getPullRequestFirstCommit).toHaveBeenCalledWith('octo', 'app', 1);
+    expect(result.leadTimesMs).toEqual([2 * DAY_MS + 6 * HOUR_MS]);
+  });
+
+  test('leaves the first deployment and failed compares without changes', async () => {
+    githubService.compareCommits.mockResolvedValue({ success: false, error: 'Not Found' });
+
+    const result = await addLeadTimes({
+      owner: 'octo',
+      repo: 'app',
+      deployments: [deployment(1, at(3)), deployment(2, at(5))],
+      mergedPRs: [],
+      config: { leadTimeStart: 'pr-opened' },
+      since
+    });
+
+    expect(githubService.compareCommits).toHaveBeenCalledTimes(1);
+    expect(result.map(d => [d.changes, d.leadTimesMs, d.leadTimeMeasured])).toEqual([[0, [], true], [0, [], true]]);
+  });
+
+  test('only measures the most recent deployments', async () => {
+    githubService.compareCommits.mockResolvedValue({ success: true, commits: [] });
+    const inPeriod = MAX_LEAD_TIME_DEPLOYMENTS + 2;
+    const deployments = [
+      deployment(0, at(30, 10, 4)),
+      ...Array.from({ length: inPeriod }, (value, index) => deployment(index + 1, new Date(at(2).getTime() + index * HOUR_MS)))
+    ];
+    const onProgress = jest.fn();
+
+    const result = await addLeadTimes({
+      owner: 'octo',
+      repo: 'app',
+      deployments,
+      mergedPRs: [],
+      config: { leadTimeStart: 'pr-opened' },
+      since,
+      onProgress
+    });
+
+    expect(githubService.compareCommits).toHaveBeenCalledTimes(MAX_LEAD_TIME_DEPLOYMENTS);
+    expect(githubService.compareCommits.mock.calls[0].slice(2, 4)).toEqual(['v2', 'v3']);
+    expect(result).toHaveLength(inPeriod);
+    expect(result.filter(d => !d.leadTimeMeasured).map(d => d.id)).toEqual([1, 2]);
+    expect(onProgress).toHaveBeenLastCalledWith(MAX_LEAD_TIME_DEPLOYMENTS, MAX_LEAD_TIME_DEPLOYMENTS);
+  });
+});
+
+describe('computeDoraMetrics', () => {
+  const since = at(1, 0);
+  const measured = (id, deployedAt, leadTimeHours) => deployment(id, deployedAt, {
+    leadTimesMs: leadTimeHours.map(hours => hours * HOUR_MS),
+    changes: leadTimeHours.length,
+    leadTimeMeasured: true
+  });
+  const deployments = [
+    measured(1, at(3), [2]),
+    measured(2, at(5), [4, 6]),
+    measured(3, at(12), []),
+    measured(4, at(20), [10])
+  ];
+  const allDeployments = [deployment(0, at(30, 10, 4)), ...deployments];
+  const fix = (number, title, mergedAt) => ({ number, title, labels: [], merged_at: mergedAt.toISOString() });
+  const mergedPRs = [
+    fix(1, 'Hotfix login', at(5, 12)),
+    fix(2, 'Revert "cache"', at(6)),
+    fix(3, 'Hotfix search', at(21)),
+    fix(4, 'Add search', at(7)),
+    fix(5, 'Hotfix before any deployment', at(1, 10, 3))
+  ];
+  const config = { ...getDefaultDoraConfig(), restoreEnd: 'fix-deployed' };
+
+  test('links each fix to the latest deployment before it was merged', () => {
+    const { failures } = computeDoraMetrics({ deployments, allDeployments, mergedPRs, config, since, granularity: 'week' });
+
+    expect(failures.map(f => [f.deployment.id, f.fixes.map(pr => pr.number)])).toEqual([[2, [1, 2]], [4, [3]]]);
+  });
+
+  test('counts a failure as restored when the fix is deployed', () => {
+    const { summary, failures } = computeDoraMetrics({ deployments, allDeployments, mergedPRs, config, since, granularity: 'week' });
+
+    expect(failures.map(f => f.restoreMs)).toEqual([7 * DAY_MS, null]);
+    expect(summary).toMatchObject({
+      deployments: 4,
+      leadTimeMs: 5 * HOUR_MS,
+      changes: 4,
+      leadTimeDeployments: 4,
+      changeFailureRate: 0.5,
+      failedDeployments: 2,
+      restoreMs: 7 * DAY_MS,
+      unrestored: 1
+    });
+    expect(summary.deploymentsPerWeek).toBeCloseTo((4 / 28.5) * 7);
+    expect(summary.bands).toEqual({ deploymentFrequency: 'medium', leadTime: 'elite', changeFailureRate: 'low', restore: 'medium' });
+  });
+
+  test('counts a failure as restored when the fix is merged', () => {
+    const { summary } = computeDoraMetrics({
+      deployments,
+      allDeployments,
+      mergedPRs,
+      config: { ...config, restoreEnd: 'fix-merged' },
+      since,
+      granularity: 'week'
+    });
+
+    expect(summary).toMatchObject({ restoreMs: 13 * HOUR_MS, unrestored: 0 });
+    expect(summary.bands.restore).toBe('high');
+  });
+
+  test('buckets the trend by week from the Monday before the period', () => {
+    const { trend } = computeDoraMetrics({ deployments, allDeployments, mergedPRs, config, since, granularity: 'week' });
+
+    expect(trend.labels).toEqual([at(27, 0, 4), at(3, 0), at(10, 0), at(17, 0), at(24, 0)].map(d => d.toLocaleDateString()));
+    expect(trend.deployments).toEqual([0, 2, 1, 1, 0]);
+    expect(trend.leadTimeHours).toEqual([null, 4, null, 10, null]);
+    expect(trend.changeFailureRate).toEqual([null, 50, 0, 100, null]);
+    expect(trend.restoreHours).toEqual([null, 168, null, null, null]);
+  });
+
+  test('buckets the trend by month', () => {
+    const { trend } = computeDoraMetrics({ deployments, allDeployments, mergedPRs, config, since, granularity: 'month' });
+
+    expect(trend.deployments).toEqual([4]);
+    expect(trend.leadTimeHours).toEqual([5]);
+  });
+
+  test('has no rates or bands without deployments', () => {
+    const { summary } = computeDoraMetrics({ deployments: [], allDeployments: [], mergedPRs, config, since, granularity: 'week' });
+
+    expect(summary).toMatchObject({ deployments: 0, leadTimeMs: null, changeFailureRate: null, restoreMs: null });
+    expect(summary.bands).toEqual({ deploymentFrequency: 'low', leadTime: null, changeFailureRate: null, restore: null });
+  });
+});
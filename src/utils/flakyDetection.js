@@ -0,0 +1,202 @@
+// Flaky workflow and job detection from workflow run history.
+// A commit's runs of a workflow are flaky when they fail and then pass without the
+// code changing: either a rerun succeeded after the attempt before it failed, or a
+// later run on the same head_sha succeeded after an earlier one failed.
+// The runs list only has each run's latest attempt, so the attempt before a passing
+// rerun is looked up separately (findPassedReruns) and passed in.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Windows offered for the report, in days
+export const FLAKE_WINDOWS = [7, 14, 30, 90];
+
+// Each passing rerun costs a request to see how the attempt before it ended
+export const MAX_RERUN_CHECKS = 100;
+// Each flaky commit costs two job requests, so only the most recent ones are compared
+export const MAX_JOB_COMPARISONS = 25;
+
+const isFailed = (run) => run.conclusion === 'failure' || run.conclusion === 'timed_out';
+const isPassed = (run) => run.conclusion === 'success';
+
+/**
+ * Passing reruns in the window. Whether they count as flakes depends on how the attempt
+ * before them ended: a cancelled run or a passing run rerun to redeploy isn't a flake.
+ * @param {Array} runs - Workflow runs (latest attempt of each)
+ * @param {number} windowDays - Only include runs this recent
+ * @param {number} [maxRuns] - Keep only this many, dropping the oldest
+ * @returns {Array} - Runs whose previous attempt needs looking up, most recent first
+ */
+export const findPassedReruns = (runs, windowDays, maxRuns = MAX_RERUN_CHECKS) => {
+  const since = Date.now() - windowDays * DAY_MS;
+  return runs
+    .filter(run => (
+      run.status === 'completed' &&
+      run.run_attempt > 1 &&
+      isPassed(run) &&
+      new Date(run.created_at).getTime() >= since
+    ))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, maxRuns);
+};
+
+/**
+ * Group runs by workflow and commit, and work out which groups flaked
+ * @param {Array} runs - Workflow runs (latest attempt of each)
+ * @param {number} windowDays - Only include commits whose latest run is this recent
+ * @param {Map<number, object>} previousAttempts - Run ID to the attempt before it, for the runs from findPassedReruns
+ * @returns {Array<{workflowId, workflowName, headSha, branch, lastRunAt: Date, flaky: boolean, reason: string|null, failedRun: object|null, passedRun: object|null}>}
+ */
+export const findFlakyRunGroups = (runs, windowDays, previousAttempts = new Map()) => {
+  const since = Date.now() - windowDays * DAY_MS;
+  const groups = new Map();
+
+  runs
+    .filter(run => run.status === 'completed' && run.head_sha)
+    .forEach(run => {
+      const key = `${run.workflow_id}:${run.head_sha}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(run);
+    });
+
+  return Array.from(groups.values())
+    .map(groupRuns => {
+      const sorted = [...groupRuns].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      const latest = sorted[sorted.length - 1];
+
+      // A rerun that passed after the attempt before it failed
+      const rerun = sorted.find(run => (
+        run.run_attempt > 1 && isPassed(run) && previousAttempts.has(run.id) && isFailed(previousAttempts.get(run.id))
+      ));
+      // A failed run followed by a passing run of the same commit
+      const firstFailure = sorted.find(isFailed);
+      const laterPass = firstFailure
+        ? sorted.find(run => isPassed(run) && new Date(run.created_at) > new Date(firstFailure.created_at))
+        : null;
+
+      let flaky = null;
+      if (rerun) {
+        flaky = { reason: 'rerun', failedRun: previousAttempts.get(rerun.id), passedRun: rerun };
+      } else if (laterPass) {
+        flaky = { reason: 'retrigger', failedRun: firstFailure, passedRun: laterPass };
+      }
+
+      return {
+        workflowId: latest.workflow_id,
+        workflowName: latest.name || String(latest.workflow_id),
+        headSha: latest.head_sha,
+        branch: latest.head_branch,
+        lastRunAt: new Date(latest.created_at),
+        flaky: Boolean(flaky),
+        reason: flaky ? flaky.reason : null,
+        failedRun: flaky ? flaky.failedRun : null,
+        passedRun: flaky ? flaky.passedRun : null
+      };
+    })
+    .filter(group => group.lastRunAt.getTime() >= since);
+};
+
+/**
+ * Flaky groups whose jobs are compared to find the jobs that flake
+ * @param {Array} groups - Result of findFlakyRunGroups
+ * @param {number} [maxGroups] - Keep only this many, dropping the oldest
+ * @returns {Array} - Flaky groups, most recent first
+ */
+export const selectGroupsToCompare = (groups, maxGroups = MAX_JOB_COMPARISONS) => groups
+  .filter(group => group.flaky)
+  .sort((a, b) => b.lastRunAt - a.lastRunAt)
+  .slice(0, maxGroups);
+
+/**
+ * Flake rate per workflow, worst first
+ * @param {Array} groups - Result of findFlakyRunGroups
+ * @returns {Array<{workflowId, workflowName, commits: number, flaky: number, rate: number, lastFlakeAt: Date|null}>}
+ */
+export const buildWorkflowFlakeReport = (groups) => {
+  const byWorkflow = new Map();
+
+  groups.forEach(group => {
+    const entry = byWorkflow.get(group.workflowId) || {
+      workflowId: group.workflowId,
+      workflowName: group.workflowName,
+      commits: 0,
+      flaky: 0,
+      lastFlakeAt: null
+    };
+    entry.commits++;
+    if (group.flaky) {
+      entry.flaky++;
+      if (!entry.lastFlakeAt || group.lastRunAt > entry.lastFlakeAt) entry.lastFlakeAt = group.lastRunAt;
+    }
+    byWorkflow.set(group.workflowId, entry);
+  });
+
+  return Array.from(byWorkflow.values())
+    .map(entry => ({ ...entry, rate: entry.commits > 0 ? entry.flaky / entry.commits : 0 }))
+    .sort((a, b) => b.rate - a.rate || b.flaky - a.flaky);
+};
+
+/**
+ * Flake rate over time, by day for short windows and by week for longer ones
+ * @param {Array} groups - Result of findFlakyRunGroups
+ * @param {number} windowDays - Report window
+ * @returns {{labels: string[], rates: number[], counts: number[]}} - rates in percent
+ */
+export const buildFlakeTrend = (groups, windowDays) => {
+  const bucketDays = windowDays > 14 ? 7 : 1;
+  const bucketCount = Math.ceil(windowDays / bucketDays);
+  const end = Date.now();
+  const buckets = Array.from({ length: bucketCount }, (value, index) => ({
+    start: new Date(end - (bucketCount - index) * bucketDays * DAY_MS),
+    commits: 0,
+    flaky: 0
+  }));
+
+  groups.forEach(group => {
+    const index = Math.floor((group.lastRunAt.getTime() - buckets[0].start.getTime()) / (bucketDays * DAY_MS));
+    const bucket = buckets[Math.min(Math.max(index, 0), bucketCount - 1)];
+    bucket.commits++;
+    if (group.flaky) bucket.flaky++;
+  });
+
+  return {
+    labels: buckets.map(bucket => bucket.start.toLocaleDateString()),
+    rates: buckets.map(bucket => (bucket.commits > 0 ? Math.round((bucket.flaky / bucket.commits) * 100) : 0)),
+    counts: buckets.map(bucket => bucket.flaky)
+  };
+};
+
+/**
+ * Jobs that failed in one attempt and passed in a later one, worst first
+ * @param {Array<{group: object, failedJobs: Array, passedJobs: Array}>} comparisons - Jobs of the failing and passing run of each flaky group
+ * @param {Array} workflowReport - Result of buildWorkflowFlakeReport, for the number of commits per workflow
+ * @returns {Array<{key, jobName, workflowName, flakes: number, rate: number, lastSeen: Date}>}
+ */
+export const findFlakyJobs = (comparisons, workflowReport) => {
+  const commitsByWorkflow = new Map(workflowReport.map(entry => [entry.workflowId, entry.commits]));
+  const byJob = new Map();
+
+  comparisons.forEach(({ group, failedJobs, passedJobs }) => {
+    const passedNames = new Set(passedJobs.filter(isPassed).map(job => job.name));
+
+    failedJobs
+      .filter(job => isFailed(job) && passedNames.has(job.name))
+      .forEach(job => {
+        const key = `${group.workflowId}:${job.name}`;
+        const entry = byJob.get(key) || {
+          key,
+          jobName: job.name,
+          workflowId: group.workflowId,
+          workflowName: group.workflowName,
+          flakes: 0,
+          lastSeen: group.lastRunAt
+        };
+        entry.flakes++;
+        if (group.lastRunAt > entry.lastSeen) entry.lastSeen = group.lastRunAt;
+        byJob.set(key, entry);
+      });
+  });
+
+  return Array.from(byJob.values())
+    .map(entry => ({ ...entry, rate: entry.flakes / (commitsByWorkflow.get(entry.workflowId) || entry.flakes) }))
+    .sort((a, b) => b.rate - a.rate || b.flakes - a.flakes);
+};
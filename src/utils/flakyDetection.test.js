@@ -0,0 +1,212 @@
+import {
+  MAX_RERUN_CHECKS,
+  MAX_JOB_COMPARISONS,
+  findPassedReruns,
+  findFlakyRunGroups,
+  selectGroupsToCompare,
+  buildWorkflowFlakeReport,
+  buildFlakeTrend,
+  findFlakyJobs
+} from './flakyDetection';
+
+const NOW = new Date('2024-05-31T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY_MS).toISOString();
+
+const run = (id, overrides = {}) => ({
+  id,
+  name: 'CI',
+  workflow_id: 1,
+  head_sha: `sha-${id}`,
+  head_branch: 'main',
+  status: 'completed',
+  conclusion: 'success',
+  run_attempt: 1,
+  created_at: daysAgo(1),
+  ...overrides
+});
+
+const group = (overrides = {}) => ({
+  workflowId: 1,
+  workflowName: 'CI',
+  headSha: 'abc',
+  lastRunAt: new Date(daysAgo(1)),
+  flaky: true,
+  reason: 'retrigger',
+  failedRun: null,
+  passedRun: null,
+  ...overrides
+});
+
+describe('findPassedReruns', () => {
+  test('keeps completed, passing reruns in the window, most recent first', () => {
+    const reruns = findPassedReruns([
+      run(1, { run_attempt: 2, created_at: daysAgo(3) }),
+      run(2, { run_attempt: 2, created_at: daysAgo(1) }),
+      run(3),
+      run(4, { run_attempt: 2, conclusion: 'failure' }),
+      run(5, { run_attempt: 3, status: 'in_progress', conclusion: null }),
+      run(6, { run_attempt: 2, created_at: daysAgo(10) })
+    ], 7);
+
+    expect(reruns.map(r => r.id)).toEqual([2, 1]);
+  });
+
+  test('drops the oldest reruns beyond the limit', () => {
+    const runs = Array.from({ length: MAX_RERUN_CHECKS + 5 }, (value, index) => (
+      run(index, { run_attempt: 2, created_at: new Date(NOW.getTime() - index * 60000).toISOString() })
+    ));
+
+    const reruns = findPassedReruns(runs, 7);
+    expect(reruns).toHaveLength(MAX_RERUN_CHECKS);
+    expect(reruns[reruns.length - 1].id).toBe(MAX_RERUN_CHECKS - 1);
+    expect(findPassedReruns(runs, 7, 3).map(r => r.id)).toEqual([0, 1, 2]);
+  });
+});
+
+describe('findFlakyRunGroups', () => {
+  test('flags a rerun that passed after the attempt before it failed', () => {
+    const rerun = run(1, { run_attempt: 2, head_sha: 'abc' });
+    const failedAttempt = { ...rerun, run_attempt: 1, conclusion: 'failure' };
+
+    const [result] = findFlakyRunGroups([rerun], 7, new Map([[1, failedAttempt]]));
+
+    expect(result).toMatchObject({ headSha: 'abc', flaky: true, reason: 'rerun', failedRun: failedAttempt, passedRun: rerun });
+  });
+
+  test('does not flag a rerun after a cancelled attempt, or one whose attempt was not looked up', () => {
+    const rerun = run(1, { run_attempt: 2 });
+
+    expect(findFlakyRunGroups([rerun], 7, new Map([[1, { ...rerun, conclusion: 'cancelled' }]]))[0].flaky).toBe(false);
+    expect(findFlakyRunGroups([rerun], 7)[0].flaky).toBe(false);
+  });
+
+  test('flags a commit whose failed run was followed by a passing one', () => {
+    const failed = run(1, { head_sha: 'abc', conclusion: 'timed_out', created_at: daysAgo(2) });
+    const passed = run(2, { head_sha: 'abc', created_at: daysAgo(1) });
+
+    const [result] = findFlakyRunGroups([passed, failed], 7);
+
+    expect(result).toMatchObject({ flaky: true, reason: 'retrigger', failedRun: failed, passedRun: passed });
+  });
+
+  test('does not flag a commit that failed every attempt', () => {
+    const runs = [
+      run(1, { head_sha: 'abc', conclusion: 'failure', created_at: daysAgo(2) }),
+      run(2, { head_sha: 'abc', conclusion: 'failure', run_attempt: 3, created_at: daysAgo(1) })
+    ];
+    const failedAttempt = { ...runs[1], run_attempt: 2 };
+
+    const [result] = findFlakyRunGroups(runs, 7, new Map([[2, failedAttempt]]));
+
+    expect(result).toMatchObject({ flaky: false, reason: null, failedRun: null, passedRun: null });
+  });
+
+  test('does not flag a pass followed by a failure', () => {
+    const runs = [
+      run(1, { head_sha: 'abc', created_at: daysAgo(2) }),
+      run(2, { head_sha: 'abc', conclusion: 'failure', created_at: daysAgo(1) })
+    ];
+
+    expect(findFlakyRunGroups(runs, 7)[0].flaky).toBe(false);
+  });
+
+  test('groups by workflow and commit and leaves out commits last run before the window', () => {
+    const groups = findFlakyRunGroups([
+      run(1, { head_sha: 'abc', workflow_id: 1 }),
+      run(2, { head_sha: 'abc', workflow_id: 2 }),
+      run(3, { head_sha: 'old', created_at: daysAgo(10) }),
+      run(4, { head_sha: 'running', status: 'in_progress' })
+    ], 7);
+
+    expect(groups.map(g => [g.workflowId, g.headSha])).toEqual([[1, 'abc'], [2, 'abc']]);
+  });
+});
+
+describe('selectGroupsToCompare', () => {
+  test('keeps the most recent flaky groups up to the limit', () => {
+    const groups = Array.from({ length: MAX_JOB_COMPARISONS + 3 }, (value, index) => (
+      group({ headSha: `sha-${index}`, lastRunAt: new Date(NOW.getTime() - index * 60000) })
+    ));
+    groups.push(group({ headSha: 'stable', flaky: false, lastRunAt: NOW }));
+
+    const selected = selectGroupsToCompare(groups);
+    expect(selected).toHaveLength(MAX_JOB_COMPARISONS);
+    expect(selected[0].headSha).toBe('sha-0');
+    expect(selected.some(g => g.headSha === 'stable')).toBe(false);
+    expect(selectGroupsToCompare(groups, 2).map(g => g.headSha)).toEqual(['sha-0', 'sha-1']);
+  });
+});
+
+describe('buildWorkflowFlakeReport', () => {
+  test('reports the flake rate per workflow, worst first', () => {
+    const report = buildWorkflowFlakeReport([
+      group({ workflowId: 1, flaky: false }),
+      group({ workflowId: 1, flaky: true, lastRunAt: new Date(daysAgo(2)) }),
+      group({ workflowId: 2, workflowName: 'Deploy', flaky: true, lastRunAt: new Date(daysAgo(3)) })
+    ]);
+
+    expect(report).toEqual([
+      { workflowId: 2, workflowName: 'Deploy', commits: 1, flaky: 1, rate: 1, lastFlakeAt: new Date(daysAgo(3)) },
+      { workflowId: 1, workflowName: 'CI', commits: 2, flaky: 1, rate: 0.5, lastFlakeAt: new Date(daysAgo(2)) }
+    ]);
+  });
+});
+
+describe('buildFlakeTrend', () => {
+  test('buckets by day for short windows', () => {
+    const trend = buildFlakeTrend([
+      group({ lastRunAt: new Date(daysAgo(0.5)), flaky: true }),
+      group({ lastRunAt: new Date(daysAgo(0.5)), flaky: false })
+    ], 7);
+
+    expect(trend.labels).toHaveLength(7);
+    expect(trend.rates[6]).toBe(50);
+    expect(trend.counts).toEqual([0, 0, 0, 0, 0, 0, 1]);
+  });
+
+  test('buckets by week for longer windows', () => {
+    expect(buildFlakeTrend([], 30).labels).toHaveLength(5);
+  });
+});
+
+describe('findFlakyJobs', () => {
+  test('counts a job that failed in one attempt and passed in the other', () => {
+    const flakyGroup = group({ lastRunAt: new Date(daysAgo(1)) });
+    const jobs = findFlakyJobs([
+      {
+        group: flakyGroup,
+        failedJobs: [
+          { name: 'test', conclusion: 'failure' },
+          { name: 'lint', conclusion: 'failure' },
+          { name: 'build', conclusion: 'success' }
+        ],
+        passedJobs: [
+          { name: 'test', conclusion: 'success' },
+          { name: 'lint', conclusion: 'failure' },
+          { name: 'build', conclusion: 'success' }
+        ]
+      }
+    ], [{ workflowId: 1, commits: 4 }]);
+
+    expect(jobs).toEqual([{
+      key: '1:test',
+      jobName: 'test',
+      workflowId: 1,
+      workflowName: 'CI',
+      flakes: 1,
+      rate: 0.25,
+      lastSeen: flakyGroup.lastRunAt
+    }]);
+  });
+});
@@ -0,0 +1,210 @@
+// Issue type classification: which type (bug, enhancement, ...) an issue or PR counts
+// as, from its labels or GitHub's native issue type. Configured per repository in
+// Settings and shared by every tab, so an issue shows as the same type everywhere.
+
+const CONFIG_KEY = 'issue-types';
+
+// Icons a type can use; IssueTypeIcon draws them
+export const ISSUE_TYPE_ICON_NAMES = [
+  'bug',
+  'feature',
+  'documentation',
+  'question',
+  'security',
+  'refactor',
+  'test',
+  'task',
+  'performance',
+  'other'
+];
+
+// What an issue counts as when no type matches
+export const OTHER_ISSUE_TYPE = {
+  id: 'other',
+  name: 'Other',
+  icon: 'other',
+  color: '#9e9e9e',
+  patterns: [],
+  nativeType: ''
+};
+
+// Types in priority order. Patterns are case-insensitive regular expressions matched
+// against label names, so a plain word matches any label containing it.
+export const DEFAULT_ISSUE_TYPES = [
+  { id: 'bug', name: 'Bug', icon: 'bug', color: '#f44336', patterns: ['bug', 'fix', 'error'], nativeType: 'Bug' },
+  {
+    id: 'enhancement',
+    name: 'Enhancement',
+    icon: 'feature',
+    color: '#2196f3',
+    patterns: ['feature', 'enhancement', 'improvement'],
+    nativeType: 'Feature'
+  },
+  { id: 'documentation', name: 'Documentation', icon: 'documentation', color: '#9c27b0', patterns: ['doc'], nativeType: '' },
+  { id: 'question', name: 'Question', icon: 'question', color: '#ff9800', patterns: ['question', 'help'], nativeType: '' },
+  { id: 'security', name: 'Security', icon: 'security', color: '#b71c1c', patterns: ['security', 'vulnerability'], nativeType: '' },
+  { id: 'refactor', name: 'Refactor', icon: 'refactor', color: '#795548', patterns: ['refactor', 'technical debt'], nativeType: '' },
+  { id: 'test', name: 'Test', icon: 'test', color: '#009688', patterns: ['test'], nativeType: '' }
+];
+
+export const DEFAULT_ISSUE_TYPE_CONFIG = {
+  types: DEFAULT_ISSUE_TYPES,
+  // Prefer the issue's GitHub issue type, when it has one that maps to a type, over its labels
+  useNativeTypes: false
+};
+
+/**
+ * Whether a label pattern is a valid regular expression
+ * @param {string} pattern - Pattern to check
+ * @returns {boolean}
+ */
+export const isValidTypePattern = (pattern) => {
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Problems that would stop a configuration from being saved
+ * @param {{types: Array}} config - Configuration to check
+ * @returns {string[]} - Empty when the configuration is valid
+ */
+export const validateIssueTypeConfig = (config) => {
+  const problems = [];
+  const names = new Set();
+
+  config.types.forEach((type, index) => {
+    const name = type.name.trim();
+    if (!name) {
+      problems.push(`Type ${index + 1} has no name`);
+    } else if (names.has(name.toLowerCase()) || name.toLowerCase() === OTHER_ISSUE_TYPE.name.toLowerCase()) {
+      problems.push(`There is more than one ${name} type`);
+    }
+    names.add(name.toLowerCase());
+
+    type.patterns.filter(pattern => !isValidTypePattern(pattern)).forEach(pattern => {
+      problems.push(`${name || `Type ${index + 1}`} has an invalid pattern: ${pattern}`);
+    });
+  });
+
+  return problems;
+};
+
+/**
+ * Id for a new type, made from its name and unique among the existing ids.
+ * Ids appear in filter URLs, so they stay the same when a type is renamed.
+ * @param {string} name - Type name
+ * @param {string[]} existingIds - Ids already in use
+ * @returns {string}
+ */
+export const createIssueTypeId = (name, existingIds) => {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'type';
+  let id = base;
+  for (let suffix = 2; id === OTHER_ISSUE_TYPE.id || existingIds.includes(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+};
+
+// Fill in anything missing from a stored type
+const normalizeType = (type) => ({
+  id: String(type.id),
+  name: typeof type.name === 'string' ? type.name : String(type.id),
+  icon: ISSUE_TYPE_ICON_NAMES.includes(type.icon) ? type.icon : OTHER_ISSUE_TYPE.icon,
+  color: typeof type.color === 'string' ? type.color : OTHER_ISSUE_TYPE.color,
+  patterns: Array.isArray(type.patterns) ? type.patterns.filter(pattern => typeof pattern === 'string') : [],
+  nativeType: typeof type.nativeType === 'string' ? type.nativeType : ''
+});
+
+/**
+ * Load the issue type configuration for a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {{types: Array, useNativeTypes: boolean}}
+ */
+export const loadIssueTypeConfig = (owner, repo) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(`${owner}/${repo}:${CONFIG_KEY}`) || 'null');
+    if (stored && Array.isArray(stored.types)) {
+      return {
+        types: stored.types.filter(type => type && type.id && type.id !== OTHER_ISSUE_TYPE.id).map(normalizeType),
+        useNativeTypes: Boolean(stored.useNativeTypes)
+      };
+    }
+  } catch (err) {
+    console.error('Error loading issue type config:', err);
+  }
+  return DEFAULT_ISSUE_TYPE_CONFIG;
+};
+
+/**
+ * Save the issue type configuration for a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {{types: Array, useNativeTypes: boolean}} config - Configuration to save
+ */
+export const saveIssueTypeConfig = (owner, repo, config) => {
+  localStorage.setItem(`${owner}/${repo}:${CONFIG_KEY}`, JSON.stringify(config));
+};
+
+// Compiled patterns, per configuration object
+const compiledConfigs = new WeakMap();
+
+const compileConfig = (config) => {
+  if (!compiledConfigs.has(config)) {
+    compiledConfigs.set(config, config.types.map(type => ({
+      type,
+      regexes: type.patterns.filter(isValidTypePattern).map(pattern => new RegExp(pattern, 'i'))
+    })));
+  }
+  return compiledConfigs.get(config);
+};
+
+/**
+ * Work out an issue's or PR's type: its GitHub issue type when that's enabled and
+ * mapped to a type, otherwise the first type in priority order one of its labels matches
+ * @param {object} issue - Issue or pull request
+ * @param {{types: Array, useNativeTypes: boolean}} config - Issue type configuration
+ * @returns {string} - Type id, or OTHER_ISSUE_TYPE.id
+ */
+export const classifyIssue = (issue, config) => {
+  const compiled = compileConfig(config);
+
+  const nativeName = issue.type && typeof issue.type === 'object' ? issue.type.name : null;
+  if (config.useNativeTypes && nativeName) {
+    const native = config.types.find(type => (
+      type.nativeType && type.nativeType.toLowerCase() === nativeName.toLowerCase()
+    ));
+    if (native) return native.id;
+  }
+
+  const labelNames = (issue.labels || []).map(label => label.name);
+  const match = compiled.find(({ regexes }) => (
+    labelNames.some(name => regexes.some(regex => regex.test(name)))
+  ));
+  return match ? match.type.id : OTHER_ISSUE_TYPE.id;
+};
+
+/**
+ * Look up a type by id
+ * @param {{types: Array}} config - Issue type configuration
+ * @param {string} id - Type id
+ * @returns {object} - The type, or OTHER_ISSUE_TYPE when there's no such type
+ */
+export const getIssueTypeById = (config, id) => (
+  config.types.find(type => type.id === id) || OTHER_ISSUE_TYPE
+);
+
+/**
+ * Labels that one of the types' patterns matches
+ * @param {Array} labels - Repository labels
+ * @param {{types: Array}} config - Issue type configuration
+ * @returns {Array}
+ */
+export const getIssueTypeLabels = (labels, config) => {
+  const regexes = compileConfig(config).flatMap(({ regexes: typeRegexes }) => typeRegexes);
+  return labels.filter(label => regexes.some(regex => regex.test(label.name)));
+};
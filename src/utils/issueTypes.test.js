@@ -0,0 +1,155 @@
+import {
+  OTHER_ISSUE_TYPE,
+  DEFAULT_ISSUE_TYPE_CONFIG,
+  isValidTypePattern,
+  validateIssueTypeConfig,
+  createIssueTypeId,
+  loadIssueTypeConfig,
+  saveIssueTypeConfig,
+  classifyIssue,
+  getIssueTypeById,
+  getIssueTypeLabels
+} from './issueTypes';
+
+const type = (id, patterns, overrides = {}) => ({
+  id,
+  name: id[0].toUpperCase() + id.slice(1),
+  icon: 'other',
+  color: '#000000',
+  patterns,
+  nativeType: '',
+  ...overrides
+});
+
+const issue = (labelNames, nativeType = null) => ({
+  labels: labelNames.map(name => ({ name })),
+  type: nativeType ? { name: nativeType } : null
+});
+
+describe('classifyIssue', () => {
+  const config = {
+    types: [
+      type('security', ['security']),
+      type('bug', ['bug', '^fix'], { nativeType: 'Bug' }),
+      type('feature', ['feature'], { nativeType: 'Feature' })
+    ],
+    useNativeTypes: false
+  };
+
+  test('picks the first type in priority order that one of the labels matches', () => {
+    expect(classifyIssue(issue(['feature', 'bug']), config)).toBe('bug');
+    expect(classifyIssue(issue(['Security Bug']), config)).toBe('security');
+    expect(classifyIssue(issue(['FIX: login']), config)).toBe('bug');
+    expect(classifyIssue(issue(['hotfix']), config)).toBe(OTHER_ISSUE_TYPE.id);
+    expect(classifyIssue({}, config)).toBe(OTHER_ISSUE_TYPE.id);
+  });
+
+  test('prefers the GitHub issue type only when native types are enabled', () => {
+    const bugLabelledFeature = issue(['bug'], 'feature');
+    expect(classifyIssue(bugLabelledFeature, config)).toBe('bug');
+    expect(classifyIssue(bugLabelledFeature, { ...config, useNativeTypes: true })).toBe('feature');
+  });
+
+  test('falls back to labels when the native type maps to no type', () => {
+    expect(classifyIssue(issue(['bug'], 'Task'), { ...config, useNativeTypes: true })).toBe('bug');
+  });
+
+  test('ignores invalid patterns', () => {
+    const withInvalid = { types: [type('broken', ['(', 'crash']), type('bug', ['bug'])], useNativeTypes: false };
+    expect(classifyIssue(issue(['(']), withInvalid)).toBe(OTHER_ISSUE_TYPE.id);
+    expect(classifyIssue(issue(['crash']), withInvalid)).toBe('broken');
+  });
+
+  test('classifies with the defaults', () => {
+    expect(classifyIssue(issue(['documentation']), DEFAULT_ISSUE_TYPE_CONFIG)).toBe('documentation');
+    expect(classifyIssue(issue(['enhancement']), DEFAULT_ISSUE_TYPE_CONFIG)).toBe('enhancement');
+  });
+});
+
+describe('loadIssueTypeConfig', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('falls back to the default configuration', () => {
+    expect(loadIssueTypeConfig('octo', 'app')).toBe(DEFAULT_ISSUE_TYPE_CONFIG);
+
+    saveIssueTypeConfig('octo', 'app', { types: 'bug' });
+    expect(loadIssueTypeConfig('octo', 'app')).toBe(DEFAULT_ISSUE_TYPE_CONFIG);
+  });
+
+  test('falls back to the defaults when the stored JSON is broken', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('octo/app:issue-types', '{');
+
+    expect(loadIssueTypeConfig('octo', 'app')).toBe(DEFAULT_ISSUE_TYPE_CONFIG);
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  test('drops the reserved other id and fills in missing fields', () => {
+    saveIssueTypeConfig('octo', 'app', {
+      types: [
+        { id: 'other', name: 'Other', patterns: ['misc'] },
+        { id: 'chore', icon: 'rocket', patterns: ['chore', 3] },
+        null
+      ],
+      useNativeTypes: 1
+    });
+
+    expect(loadIssueTypeConfig('octo', 'app')).toEqual({
+      types: [{ id: 'chore', name: 'chore', icon: 'other', color: OTHER_ISSUE_TYPE.color, patterns: ['chore'], nativeType: '' }],
+      useNativeTypes: true
+    });
+    expect(loadIssueTypeConfig('octo', 'other-repo')).toBe(DEFAULT_ISSUE_TYPE_CONFIG);
+  });
+});
+
+describe('validateIssueTypeConfig', () => {
+  test('reports missing and duplicate names and invalid patterns', () => {
+    expect(validateIssueTypeConfig({
+      types: [
+        type('bug', ['bug']),
+        type('bug2', ['['], { name: ' bug ' }),
+        type('blank', [], { name: '' }),
+        type('other', [], { name: 'Other' })
+      ]
+    })).toEqual([
+      'There is more than one bug type',
+      'bug has an invalid pattern: [',
+      'Type 3 has no name',
+      'There is more than one Other type'
+    ]);
+    expect(validateIssueTypeConfig(DEFAULT_ISSUE_TYPE_CONFIG)).toEqual([]);
+  });
+
+  test('checks patterns are regular expressions', () => {
+    expect(isValidTypePattern('^bug$')).toBe(true);
+    expect(isValidTypePattern('(')).toBe(false);
+  });
+});
+
+describe('createIssueTypeId', () => {
+  test('makes a unique slug that is never the reserved other id', () => {
+    expect(createIssueTypeId('Tech Debt!', [])).toBe('tech-debt');
+    expect(createIssueTypeId('Tech Debt', ['tech-debt', 'tech-debt-2'])).toBe('tech-debt-3');
+    expect(createIssueTypeId('Other', [])).toBe('other-2');
+    expect(createIssueTypeId('!!!', [])).toBe('type');
+  });
+});
+
+describe('getIssueTypeById', () => {
+  test('falls back to the other type', () => {
+    expect(getIssueTypeById(DEFAULT_ISSUE_TYPE_CONFIG, 'bug').name).toBe('Bug');
+    expect(getIssueTypeById(DEFAULT_ISSUE_TYPE_CONFIG, 'missing')).toBe(OTHER_ISSUE_TYPE);
+  });
+});
+
+describe('getIssueTypeLabels', () => {
+  test('keeps the labels any type matches', () => {
+    const config = { types: [type('bug', ['bug']), type('docs', ['^doc', '('])], useNativeTypes: false };
+    const repoLabels = [{ name: 'Bug' }, { name: 'docs' }, { name: 'needs docs' }, { name: 'ui' }];
+
+    expect(getIssueTypeLabels(repoLabels, config).map(label => label.name)).toEqual(['Bug', 'docs']);
+  });
+});
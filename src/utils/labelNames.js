@@ -0,0 +1,36 @@
+// Label name and colour rules shared by the label tools and by label creation in the
+// GitHub service. Kept free of imports so the service can use them.
+
+// Colour for new labels that don't give one; GitHub's own default
+export const DEFAULT_LABEL_COLOR = 'ededed';
+
+const singular = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Reduce a label name to the form near-duplicates share: lower case, any run of
+ * spaces, dashes, underscores, colons, slashes or dots as one space, and singular words,
+ * so "good-first-issue" and "Good First Issues" match
+ * @param {string} name - Label name
+ * @returns {string}
+ */
+export const normalizeLabelName = (name) => name
+  .toLowerCase()
+  .split(/[\s\-_:/.]+/)
+  .filter(Boolean)
+  .map(singular)
+  .join(' ');
+
+/**
+ * Normalize a colour to the six lower-case hex digits GitHub expects
+ * @param {string} color - Colour with or without a leading #
+ * @returns {string|null} - The colour, or null if it isn't a hex colour
+ */
+export const normalizeLabelColor = (color) => {
+  const hex = String(color || '').trim().replace(/^#/, '').toLowerCase();
+  if (/^[0-9a-f]{3}$/.test(hex)) return hex.split('').map(digit => digit + digit).join('');
+  return /^[0-9a-f]{6}$/.test(hex) ? hex : null;
+};
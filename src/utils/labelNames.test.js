@@ -0,0 +1,43 @@
+import { normalizeLabelName, normalizeLabelColor } from './labelNames';
+
+describe('normalizeLabelName', () => {
+  test('ignores case and runs of separators', () => {
+    expect(normalizeLabelName('good-first-issue')).toBe('good first issue');
+    expect(normalizeLabelName('Good  First_Issue')).toBe('good first issue');
+    expect(normalizeLabelName('type: bug')).toBe('type bug');
+    expect(normalizeLabelName('area/ui.core')).toBe('area ui core');
+    expect(normalizeLabelName('-bug-')).toBe('bug');
+  });
+
+  test('singularizes every word', () => {
+    expect(normalizeLabelName('Good First Issues')).toBe('good first issue');
+    expect(normalizeLabelName('bugs')).toBe('bug');
+    expect(normalizeLabelName('dependencies')).toBe('dependency');
+  });
+
+  test('leaves short words and double s endings alone', () => {
+    expect(normalizeLabelName('ies')).toBe('ies');
+    expect(normalizeLabelName('ties')).toBe('tie');
+    expect(normalizeLabelName('css')).toBe('css');
+    expect(normalizeLabelName('access')).toBe('access');
+    expect(normalizeLabelName('bus')).toBe('bus');
+  });
+});
+
+describe('normalizeLabelColor', () => {
+  test('strips the # and lower-cases', () => {
+    expect(normalizeLabelColor('#FF00AA')).toBe('ff00aa');
+    expect(normalizeLabelColor(' 00ff00 ')).toBe('00ff00');
+  });
+
+  test('expands three-digit colours', () => {
+    expect(normalizeLabelColor('#f0a')).toBe('ff00aa');
+  });
+
+  test('rejects anything that is not a hex colour', () => {
+    expect(normalizeLabelColor('red')).toBeNull();
+    expect(normalizeLabelColor('#ff00a')).toBeNull();
+    expect(normalizeLabelColor('')).toBeNull();
+    expect(normalizeLabelColor(undefined)).toBeNull();
+  });
+});
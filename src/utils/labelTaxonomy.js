@@ -0,0 +1,166 @@
+// Label housekeeping: spotting near-duplicate labels, merging one label into another,
+// and label templates shared between repositories as JSON files.
+import githubService from '../services/githubService';
+import { WRITE_INTERVAL } from './bulkActions';
+import { DEFAULT_LABEL_COLOR, normalizeLabelName, normalizeLabelColor } from './labelNames';
+
+// GitHub rejects longer label descriptions
+const MAX_DESCRIPTION_LENGTH = 100;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Groups of labels whose names only differ in case, pluralization or separators
+ * @param {Array} labels - Repository labels
+ * @returns {Array<Array<object>>} - Groups of two or more labels, sorted by name
+ */
+export const findNearDuplicates = (labels) => {
+  const groups = new Map();
+  labels.forEach(label => {
+    const key = normalizeLabelName(label.name);
+    groups.set(key, [...(groups.get(key) || []), label]);
+  });
+
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(group => [...group].sort((a, b) => a.name.localeCompare(b.name)))
+    .sort((a, b) => a[0].name.localeCompare(b[0].name));
+};
+
+/**
+ * Dry run of merging one label into another: every item with the source label
+ * gets the target label instead
+ * @param {Array} items - Issues and PRs carrying the source label
+ * @param {string} sourceName - Label being merged away
+ * @param {string} targetName - Label it's merged into
+ * @returns {Array} - Plan in the shape of planBulkAction, for BulkActionDialog
+ */
+export const planLabelMerge = (items, sourceName, targetName) => items.map(item => {
+  const names = item.labels.map(label => label.name);
+  const isSource = (name) => name.toLowerCase() === sourceName.toLowerCase();
+  const hasTarget = names.some(name => name.toLowerCase() === targetName.toLowerCase());
+  const kept = names.filter(name => !isSource(name));
+
+  if (kept.length === names.length) {
+    return { item, description: null, skipReason: `Doesn't have ${sourceName}`, request: null };
+  }
+  return {
+    item,
+    description: hasTarget ? `Remove ${sourceName}, already has ${targetName}` : `Replace ${sourceName} with ${targetName}`,
+    skipReason: null,
+    request: { type: 'labels', labelNames: hasTarget ? kept : [...kept, targetName] }
+  };
+});
+
+/**
+ * Template of a repository's labels, for saving as a JSON file
+ * @param {Array} labels - Repository labels
+ * @returns {Array<{name: string, color: string, description: string}>}
+ */
+export const buildLabelTemplate = (labels) => [...labels]
+  .sort((a, b) => a.name.localeCompare(b.name))
+  .map(({ name, color, description }) => ({ name, color, description: description || '' }));
+
+/**
+ * Read a label template from JSON: a list of { name, color, description }, or an
+ * object with that list under "labels"
+ * @param {string} text - File contents
+ * @returns {Array<{name: string, color: string, description: string}>}
+ * @throws {Error} - When the JSON or one of its labels is invalid
+ */
+export const parseLabelTemplate = (text) => {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : data && data.labels;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Expected a list of labels');
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    const name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!name) {
+      throw new Error(`Label ${index + 1} has no name`);
+    }
+    if (seen.has(name.toLowerCase())) {
+      throw new Error(`${name} is in the template more than once`);
+    }
+    seen.add(name.toLowerCase());
+
+    const color = entry.color === undefined ? DEFAULT_LABEL_COLOR : normalizeLabelColor(entry.color);
+    if (!color) {
+      throw new Error(`${name} has an invalid color: ${entry.color}`);
+    }
+
+    const description = entry.description ? String(entry.description) : '';
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new Error(`The description of ${name} is longer than ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+
+    return { name, color, description };
+  });
+};
+
+/**
+ * What applying a template to a repository would do to each template label.
+ * Labels match by name regardless of case; labels missing from the template are left alone.
+ * @param {Array} existingLabels - The repository's labels
+ * @param {Array} template - Result of parseLabelTemplate
+ * @param {boolean} updateExisting - Whether to bring matching labels in line with the template
+ * @returns {Array<{label: object, existing: object|null, action: string}>} - action is create, update or unchanged
+ */
+export const planLabelTemplate = (existingLabels, template, updateExisting) => template.map(label => {
+  const existing = existingLabels.find(l => l.name.toLowerCase() === label.name.toLowerCase()) || null;
+  if (!existing) return { label, existing, action: 'create' };
+
+  const differs = existing.name !== label.name ||
+    existing.color.toLowerCase() !== label.color ||
+    (existing.description || '') !== label.description;
+  return { label, existing, action: updateExisting && differs ? 'update' : 'unchanged' };
+});
+
+/**
+ * Apply a label template to one repository, one write at a time
+ * @param {object} params
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {Array} params.template - Result of parseLabelTemplate
+ * @param {boolean} params.updateExisting - Whether to update labels that differ from the template
+ * @returns {Promise<{success: boolean, created: number, updated: number, unchanged: number, errors: string[]}>}
+ *   success is false when the labels couldn't be read or any write failed
+ */
+export const applyLabelTemplate = async ({ owner, repo, template, updateExisting }) => {
+  const outcome = { success: true, created: 0, updated: 0, unchanged: 0, errors: [] };
+
+  const labelsResult = await githubService.getLabels(owner, repo, false);
+  if (!labelsResult.success) {
+    return { ...outcome, success: false, errors: [labelsResult.error] };
+  }
+
+  const plan = planLabelTemplate(labelsResult.labels, template, updateExisting);
+  let writes = 0;
+
+  for (const { label, existing, action } of plan) {
+    if (action === 'unchanged') {
+      outcome.unchanged++;
+      continue;
+    }
+
+    if (writes++ > 0) await wait(WRITE_INTERVAL);
+    const result = action === 'create'
+      ? await githubService.createLabel(owner, repo, label)
+      : await githubService.updateLabel(owner, repo, existing.name, {
+        new_name: label.name,
+        color: label.color,
+        description: label.description
+      });
+
+    if (result.success) {
+      outcome[action === 'create' ? 'created' : 'updated']++;
+    } else {
+      outcome.success = false;
+      outcome.errors.push(`${label.name}: ${result.error}`);
+    }
+  }
+
+  return outcome;
+};
@@ -0,0 +1,144 @@
+import githubService from '../services/githubService';
+import {
+  findNearDuplicates,
+  planLabelMerge,
+  buildLabelTemplate,
+  parseLabelTemplate,
+  planLabelTemplate,
+  applyLabelTemplate
+} from './labelTaxonomy';
+
+jest.mock('../services/githubService', () => ({
+  __esModule: true,
+  default: {
+    getLabels: jest.fn(),
+    createLabel: jest.fn(),
+    updateLabel: jest.fn()
+  }
+}));
+
+// No pause between writes
+jest.mock('./bulkActions', () => ({ WRITE_INTERVAL: 0 }));
+
+const label = (name, color = 'ededed', description = '') => ({ name, color, description });
+
+describe('findNearDuplicates', () => {
+  test('groups labels that differ in case, plurals or separators', () => {
+    const groups = findNearDuplicates([
+      label('good first issue'),
+      label('bug'),
+      label('Good-First-Issues'),
+      label('Bugs'),
+      label('enhancement')
+    ]);
+
+    expect(groups.map(group => group.map(l => l.name))).toEqual([
+      ['bug', 'Bugs'],
+      ['good first issue', 'Good-First-Issues']
+    ]);
+  });
+
+  test('finds nothing among distinct labels', () => {
+    expect(findNearDuplicates([label('bug'), label('docs')])).toEqual([]);
+    expect(findNearDuplicates([])).toEqual([]);
+  });
+});
+
+describe('planLabelMerge', () => {
+  const item = (number, names) => ({ number, labels: names.map(name => label(name)) });
+
+  test('replaces the source label, or just drops it when the target is already there', () => {
+    const plan = planLabelMerge([
+      item(1, ['Bugs', 'ui']),
+      item(2, ['bugs', 'bug']),
+      item(3, ['ui'])
+    ], 'bugs', 'bug');
+
+    expect(plan[0].request).toEqual({ type: 'labels', labelNames: ['ui', 'bug'] });
+    expect(plan[1].request).toEqual({ type: 'labels', labelNames: ['bug'] });
+    expect(plan[1].description).toBe('Remove bugs, already has bug');
+    expect(plan[2]).toMatchObject({ request: null, skipReason: "Doesn't have bugs" });
+  });
+});
+
+describe('buildLabelTemplate', () => {
+  test('sorts by name and keeps only the template fields', () => {
+    expect(buildLabelTemplate([
+      { id: 2, name: 'ui', color: '00ff00', description: null },
+      { id: 1, name: 'bug', color: 'ff0000', description: 'Broken' }
+    ])).toEqual([label('bug', 'ff0000', 'Broken'), label('ui', '00ff00', '')]);
+  });
+});
+
+describe('parseLabelTemplate', () => {
+  test('reads a list or an object with a labels list', () => {
+    const expected = [label('bug', 'ff0000', 'Broken')];
+    expect(parseLabelTemplate('[{"name": " bug ", "color": "#F00", "description": "Broken"}]')).toEqual(expected);
+    expect(parseLabelTemplate('{"labels": [{"name": "bug", "color": "ff0000", "description": "Broken"}]}')).toEqual(expected);
+  });
+
+  test('gives labels without a colour the default one', () => {
+    expect(parseLabelTemplate('[{"name": "docs"}]')).toEqual([label('docs')]);
+  });
+
+  test('rejects invalid templates', () => {
+    expect(() => parseLabelTemplate('not json')).toThrow();
+    expect(() => parseLabelTemplate('[]')).toThrow('Expected a list of labels');
+    expect(() => parseLabelTemplate('{"name": "bug"}')).toThrow('Expected a list of labels');
+    expect(() => parseLabelTemplate('[{"color": "fff"}]')).toThrow('Label 1 has no name');
+    expect(() => parseLabelTemplate('[{"name": "bug"}, {"name": "Bug"}]')).toThrow('Bug is in the template more than once');
+    expect(() => parseLabelTemplate('[{"name": "bug", "color": "red"}]')).toThrow('bug has an invalid color: red');
+    expect(() => parseLabelTemplate(JSON.stringify([{ name: 'bug', description: 'x'.repeat(101) }])))
+      .toThrow('longer than 100 characters');
+  });
+});
+
+describe('planLabelTemplate', () => {
+  const existing = [label('Bug', 'FF0000', 'Broken'), label('docs', 'ededed', '')];
+  const template = [label('bug', 'ff0000', 'Broken'), label('docs', 'ededed', ''), label('ui', '00ff00', '')];
+
+  test('matches labels by name regardless of case', () => {
+    expect(planLabelTemplate(existing, template, false).map(step => step.action))
+      .toEqual(['unchanged', 'unchanged', 'create']);
+  });
+
+  test('updates labels that differ only when asked to', () => {
+    expect(planLabelTemplate(existing, template, true).map(step => step.action))
+      .toEqual(['update', 'unchanged', 'create']);
+  });
+});
+
+describe('applyLabelTemplate', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('creates and updates labels and reports failed writes', async () => {
+    githubService.getLabels.mockResolvedValue({ success: true, labels: [label('Bug', 'ff0000', 'Broken')] });
+    githubService.updateLabel.mockResolvedValue({ success: true });
+    githubService.createLabel.mockResolvedValue({ success: false, error: 'Validation Failed' });
+
+    const outcome = await applyLabelTemplate({
+      owner: 'octo',
+      repo: 'app',
+      template: [label('bug', 'ff0000', 'Broken'), label('ui', '00ff00', '')],
+      updateExisting: true
+    });
+
+    expect(githubService.updateLabel).toHaveBeenCalledWith('octo', 'app', 'Bug', {
+      new_name: 'bug',
+      color: 'ff0000',
+      description: 'Broken'
+    });
+    expect(outcome).toEqual({ success: false, created: 0, updated: 1, unchanged: 0, errors: ['ui: Validation Failed'] });
+  });
+
+  test('fails without writing when the labels cannot be read', async () => {
+    githubService.getLabels.mockResolvedValue({ success: false, error: 'Not Found' });
+
+    const outcome = await applyLabelTemplate({ owner: 'octo', repo: 'app', template: [label('ui')], updateExisting: false });
+
+    expect(outcome).toMatchObject({ success: false, errors: ['Not Found'] });
+    expect(githubService.createLabel).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+// Milestone progress: burndown and burnup series rebuilt from when each item in
+// the milestone was created and closed, and which milestone comes next.
+import { parseISO } from 'date-fns';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Charts longer than this many points are drawn with a coarser step
+const MAX_CHART_POINTS = 90;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * A milestone's due date as local midnight of its day. GitHub keeps it as midnight UTC
+ * (MilestoneDialog saves it that way), so the date part is the day that was picked,
+ * and reading it as a local time would move it to the previous day west of UTC.
+ * @param {object} milestone - Milestone
+ * @returns {Date|null} - null when there is no due date
+ */
+export const getMilestoneDueDate = (milestone) => (
+  milestone.due_on ? parseISO(milestone.due_on.substring(0, 10)) : null
+);
+
+/**
+ * Share of a milestone's items that are closed
+ * @param {object} milestone - Milestone with open_issues and closed_issues
+ * @returns {number} - Percentage from 0 to 100
+ */
+export const getMilestoneProgress = (milestone) => {
+  const total = milestone.open_issues + milestone.closed_issues;
+  return total > 0 ? Math.round((milestone.closed_issues / total) * 100) : 0;
+};
+
+/**
+ * Whether an open milestone is past its due date; it is due until the end of that day
+ * @param {object} milestone - Milestone
+ * @returns {boolean}
+ */
+export const isMilestoneOverdue = (milestone) => (
+  milestone.state === 'open' && Boolean(milestone.due_on) && getMilestoneDueDate(milestone) < startOfDay(new Date())
+);
+
+/**
+ * The milestone open items roll over to: the open milestone due soonest after this one.
+ * Milestones without a due date come after dated ones.
+ * @param {Array} milestones - All milestones
+ * @param {object} milestone - Milestone being rolled over
+ * @returns {object|null}
+ */
+export const getNextMilestone = (milestones, milestone) => {
+  const dueTime = (m) => (m.due_on ? getMilestoneDueDate(m).getTime() : Infinity);
+  const after = milestone.due_on ? dueTime(milestone) : -Infinity;
+
+  return milestones
+    .filter(m => m.state === 'open' && m.number !== milestone.number && dueTime(m) >= after)
+    .sort((a, b) => dueTime(a) - dueTime(b) || a.title.localeCompare(b.title))[0] || null;
+};
+
+/**
+ * Daily burndown and burnup series for a milestone. An item counts towards the scope
+ * from when it was created, since GitHub doesn't say when it was added to the milestone.
+ * @param {Array} items - Issues and PRs in the milestone
+ * @param {object} milestone - Milestone
+ * @returns {{dates: Array<Date>, open: Array<number|null>, closed: Array<number|null>, scope: Array<number|null>, ideal: Array<number|null>}}
+ *   Actual series are null for days still to come before the due date
+ */
+export const buildBurnSeries = (items, milestone) => {
+  const today = startOfDay(new Date());
+  const start = startOfDay(milestone.created_at);
+  const end = milestone.state === 'closed' && milestone.closed_at ? startOfDay(milestone.closed_at) : today;
+  const due = getMilestoneDueDate(milestone);
+  const lastDay = new Date(Math.max(start, due && due > end ? due : end));
+
+  const totalDays = Math.round((lastDay - start) / DAY_MS);
+  const step = Math.max(Math.ceil(totalDays / MAX_CHART_POINTS), 1);
+  const dates = [];
+  for (let day = 0; day < totalDays; day += step) {
+    dates.push(new Date(start.getTime() + day * DAY_MS));
+  }
+  dates.push(lastDay);
+
+  const created = items.map(item => new Date(item.created_at).getTime());
+  const closed = items.filter(item => item.closed_at).map(item => new Date(item.closed_at).getTime());
+  // Counts at the end of each day
+  const countUpTo = (times, date) => times.filter(time => time < date.getTime() + DAY_MS).length;
+
+  const scope = dates.map(date => (date > end ? null : countUpTo(created, date)));
+  const closedCounts = dates.map(date => (date > end ? null : countUpTo(closed, date)));
+  const open = scope.map((total, index) => (total === null ? null : total - closedCounts[index]));
+
+  // Straight line from the opening scope to nothing left on the due date
+  const idealEnd = due || lastDay;
+  const idealDays = Math.max((idealEnd - start) / DAY_MS, 1);
+  const ideal = dates.map(date => (
+    date > idealEnd ? null : Math.max(open[0] * (1 - (date - start) / DAY_MS / idealDays), 0)
+  ));
+
+  return { dates, open, closed: closedCounts, scope, ideal };
+};
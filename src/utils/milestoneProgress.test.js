@@ -0,0 +1,137 @@
+import {
+  getMilestoneDueDate,
+  getMilestoneProgress,
+  isMilestoneOverdue,
+  getNextMilestone,
+  buildBurnSeries
+} from './milestoneProgress';
+
+// West of UTC, where reading a midnight UTC due date as a local time lands on the previous day
+const originalTimeZone = process.env.TZ;
+
+beforeAll(() => {
+  process.env.TZ = 'America/New_York';
+});
+
+afterAll(() => {
+  process.env.TZ = originalTimeZone;
+});
+
+beforeEach(() => {
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(new Date(2024, 4, 10, 12));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const milestone = (overrides = {}) => ({
+  number: 1,
+  title: 'v1.0',
+  state: 'open',
+  created_at: '2024-05-01T12:00:00Z',
+  closed_at: null,
+  due_on: null,
+  open_issues: 0,
+  closed_issues: 0,
+  ...overrides
+});
+
+const localDay = (day) => new Date(2024, 4, day);
+
+describe('getMilestoneDueDate', () => {
+  test('is local midnight of the UTC day GitHub stored', () => {
+    expect(getMilestoneDueDate(milestone({ due_on: '2024-05-20T00:00:00Z' }))).toEqual(localDay(20));
+    expect(getMilestoneDueDate(milestone({ due_on: '2024-05-20T07:00:00Z' }))).toEqual(localDay(20));
+  });
+
+  test('is null without a due date', () => {
+    expect(getMilestoneDueDate(milestone())).toBeNull();
+  });
+});
+
+describe('getMilestoneProgress', () => {
+  test('is the rounded share of closed items, and 0 for an empty milestone', () => {
+    expect(getMilestoneProgress(milestone({ open_issues: 2, closed_issues: 1 }))).toBe(33);
+    expect(getMilestoneProgress(milestone())).toBe(0);
+  });
+});
+
+describe('isMilestoneOverdue', () => {
+  test('is still due on its due day and overdue from the day after', () => {
+    expect(isMilestoneOverdue(milestone({ due_on: '2024-05-10T00:00:00Z' }))).toBe(false);
+    expect(isMilestoneOverdue(milestone({ due_on: '2024-05-09T00:00:00Z' }))).toBe(true);
+  });
+
+  test('is never overdue when closed or without a due date', () => {
+    expect(isMilestoneOverdue(milestone({ state: 'closed', due_on: '2024-05-01T00:00:00Z' }))).toBe(false);
+    expect(isMilestoneOverdue(milestone())).toBe(false);
+  });
+});
+
+describe('getNextMilestone', () => {
+  const current = milestone({ number: 1, due_on: '2024-05-10T00:00:00Z' });
+  const milestones = [
+    current,
+    milestone({ number: 2, title: 'Backlog' }),
+    milestone({ number: 3, title: 'v1.2', due_on: '2024-06-01T00:00:00Z' }),
+    milestone({ number: 4, title: 'v1.1', due_on: '2024-05-20T00:00:00Z' }),
+    milestone({ number: 5, title: 'v0.9', due_on: '2024-05-01T00:00:00Z' }),
+    milestone({ number: 6, title: 'v1.1.1', state: 'closed', due_on: '2024-05-15T00:00:00Z' })
+  ];
+
+  test('is the open milestone due soonest after this one', () => {
+    expect(getNextMilestone(milestones, current).number).toBe(4);
+  });
+
+  test('puts milestones without a due date last', () => {
+    expect(getNextMilestone(milestones, milestones[2]).number).toBe(2);
+  });
+
+  test('rolls an undated milestone over to the one due soonest', () => {
+    expect(getNextMilestone(milestones, milestones[1]).number).toBe(5);
+  });
+});
+
+describe('buildBurnSeries', () => {
+  const items = [
+    { created_at: '2024-05-01T13:00:00Z', closed_at: '2024-05-05T15:00:00Z' },
+    { created_at: '2024-05-01T14:00:00Z', closed_at: null },
+    { created_at: '2024-05-03T14:00:00Z', closed_at: null }
+  ];
+
+  test('runs to the due date with no actuals after today', () => {
+    const series = buildBurnSeries(items, milestone({ due_on: '2024-05-20T00:00:00Z' }));
+
+    expect(series.dates).toHaveLength(20);
+    expect(series.dates[0]).toEqual(localDay(1));
+    expect(series.dates[19]).toEqual(localDay(20));
+    expect(series.scope.slice(0, 5)).toEqual([2, 2, 3, 3, 3]);
+    expect(series.open.slice(0, 5)).toEqual([2, 2, 3, 3, 2]);
+    expect(series.open[9]).toBe(2);
+    expect(series.open[10]).toBeNull();
+    expect(series.closed[10]).toBeNull();
+    expect(series.ideal[0]).toBe(2);
+    expect(series.ideal[19]).toBe(0);
+  });
+
+  test('stops a closed milestone on the day it was closed', () => {
+    const series = buildBurnSeries(items, milestone({
+      state: 'closed',
+      closed_at: '2024-05-05T15:00:00Z',
+      due_on: '2024-05-03T00:00:00Z'
+    }));
+
+    expect(series.dates).toEqual([1, 2, 3, 4, 5].map(localDay));
+    expect(series.closed).toEqual([0, 0, 0, 0, 1]);
+    expect(series.ideal).toEqual([2, 1, 0, null, null]);
+  });
+
+  test('ends on today without a due date', () => {
+    const series = buildBurnSeries([], milestone());
+
+    expect(series.dates[series.dates.length - 1]).toEqual(localDay(10));
+    expect(series.ideal[series.ideal.length - 1]).toBe(0);
+  });
+});
@@ -0,0 +1,26 @@
+// The repositories on the Portfolio page, saved in localStorage as owner/repo names.
+// Other pages offer them too, e.g. as targets for a label template.
+
+const PORTFOLIO_STORAGE_KEY = 'portfolio_repos';
+
+/**
+ * Load the saved portfolio
+ * @returns {string[]} - owner/repo names, empty when nothing is saved
+ */
+export const loadPortfolioRepos = () => {
+  try {
+    const savedRepos = JSON.parse(localStorage.getItem(PORTFOLIO_STORAGE_KEY) || '[]');
+    return Array.isArray(savedRepos) ? savedRepos : [];
+  } catch (err) {
+    console.error('Error loading saved portfolio:', err);
+    return [];
+  }
+};
+
+/**
+ * Save the portfolio
+ * @param {string[]} repos - owner/repo names
+ */
+export const savePortfolioRepos = (repos) => {
+  localStorage.setItem(PORTFOLIO_STORAGE_KEY, JSON.stringify(repos));
+};
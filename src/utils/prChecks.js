@@ -0,0 +1,25 @@
+// Pull request CI state from the combined check status of its head commit
+
+// Check states in filter order, with their labels
+export const CHECK_STATES = {
+  passing: 'Passing',
+  failing: 'Failing',
+  pending: 'Pending',
+  none: 'No checks'
+};
+
+// statusCheckRollup states, lowercased, mapped to check states
+const ROLLUP_STATES = {
+  success: 'passing',
+  failure: 'failing',
+  error: 'failing',
+  pending: 'pending',
+  expected: 'pending'
+};
+
+/**
+ * CI state of a pull request
+ * @param {object} pr - Pull request with checkStatus
+ * @returns {string} - CHECK_STATES key
+ */
+export const getCheckState = (pr) => ROLLUP_STATES[pr.checkStatus] || 'none';
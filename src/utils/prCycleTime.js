@@ -0,0 +1,196 @@
+// Pull request cycle time analytics. Every stage is measured from the timestamps
+// already on the PR (created_at, merged_at) and its reviews; reviews by the PR's
+// own author and pending reviews don't count as being reviewed.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Stages in the order a PR goes through them
+export const CYCLE_STAGES = {
+  firstReview: 'Time to first review',
+  approval: 'Time to approval',
+  approvalToMerge: 'Approval to merge',
+  openToMerge: 'Open to merge'
+};
+
+// Upper bound of additions + deletions for each size, smallest first
+export const SIZE_BUCKETS = [
+  { label: 'XS', max: 10 },
+  { label: 'S', max: 100 },
+  { label: 'M', max: 500 },
+  { label: 'L', max: 1000 },
+  { label: 'XL', max: Infinity }
+];
+
+// Histogram bins with their upper bounds
+export const HISTOGRAM_BINS = [
+  { label: '< 1h', max: HOUR_MS },
+  { label: '1-4h', max: 4 * HOUR_MS },
+  { label: '4-24h', max: DAY_MS },
+  { label: '1-3d', max: 3 * DAY_MS },
+  { label: '3-7d', max: 7 * DAY_MS },
+  { label: '1-2w', max: 14 * DAY_MS },
+  { label: '> 2w', max: Infinity }
+];
+
+export const PERCENTILES = [50, 75, 90];
+
+/**
+ * Lines a pull request changes
+ * @param {object} pr - Pull request
+ * @returns {number|null} - Additions plus deletions, or null when they weren't fetched
+ */
+export const getChangedLines = (pr) => (
+  typeof pr.additions === 'number' && typeof pr.deletions === 'number' ? pr.additions + pr.deletions : null
+);
+
+/**
+ * Size bucket of a pull request
+ * @param {object} pr - Pull request
+ * @returns {string} - Bucket label, or 'Unknown' when the line counts weren't fetched
+ */
+export const getSizeBucket = (pr) => {
+  const lines = getChangedLines(pr);
+  if (lines === null) return 'Unknown';
+  return SIZE_BUCKETS.find(bucket => lines <= bucket.max).label;
+};
+
+/**
+ * When a pull request was first reviewed and first approved
+ * @param {object} pr - Pull request with reviews
+ * @returns {{firstReviewAt: Date|null, firstApprovalAt: Date|null}}
+ */
+export const getReviewTimes = (pr) => {
+  const author = pr.user ? pr.user.login : null;
+  const reviews = (pr.reviews || [])
+    .filter(review => review.submitted_at && review.state !== 'PENDING')
+    .filter(review => !review.user || review.user.login !== author)
+    .map(review => ({ state: review.state, at: new Date(review.submitted_at) }))
+    .sort((a, b) => a.at - b.at);
+  const firstApproval = reviews.find(review => review.state === 'APPROVED');
+
+  return {
+    firstReviewAt: reviews.length > 0 ? reviews[0].at : null,
+    firstApprovalAt: firstApproval ? firstApproval.at : null
+  };
+};
+
+/**
+ * Duration of each cycle stage a pull request has completed
+ * @param {object} pr - Pull request
+ * @returns {object} - Milliseconds keyed by CYCLE_STAGES key, null for stages not reached
+ */
+export const getCycleTimes = (pr) => {
+  const openedAt = new Date(pr.created_at);
+  const mergedAt = pr.merged_at ? new Date(pr.merged_at) : null;
+  const { firstReviewAt, firstApprovalAt } = getReviewTimes(pr);
+  const between = (start, end) => (start && end ? Math.max(end - start, 0) : null);
+
+  return {
+    firstReview: between(openedAt, firstReviewAt),
+    approval: between(openedAt, firstApprovalAt),
+    approvalToMerge: between(firstApprovalAt, mergedAt),
+    openToMerge: between(openedAt, mergedAt)
+  };
+};
+
+/**
+ * Percentile of a list of numbers, interpolating between the closest ranks
+ * @param {Array<number>} values - Values in any order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} - null for an empty list
+ */
+export const percentile = (values, p) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Percentiles and sample size of every stage
+ * @param {Array<object>} cycleTimes - Results of getCycleTimes
+ * @returns {object} - { [stage]: { count, p50, p75, p90 } }
+ */
+export const summarizeCycleTimes = (cycleTimes) => Object.keys(CYCLE_STAGES).reduce((acc, stage) => {
+  const values = cycleTimes.map(times => times[stage]).filter(value => value !== null);
+  acc[stage] = { count: values.length };
+  PERCENTILES.forEach(p => { acc[stage][`p${p}`] = percentile(values, p); });
+  return acc;
+}, {});
+
+/**
+ * How many durations of one stage fall into each histogram bin
+ * @param {Array<object>} cycleTimes - Results of getCycleTimes
+ * @param {string} stage - CYCLE_STAGES key
+ * @returns {Array<number>} - Counts in HISTOGRAM_BINS order
+ */
+export const buildHistogram = (cycleTimes, stage) => {
+  const counts = HISTOGRAM_BINS.map(() => 0);
+  cycleTimes.forEach(times => {
+    if (times[stage] === null) return;
+    counts[HISTOGRAM_BINS.findIndex(bin => times[stage] < bin.max)]++;
+  });
+  return counts;
+};
+
+const GROUP_KEYS = {
+  author: (pr) => [pr.user ? pr.user.login : 'ghost'],
+  label: (pr) => (pr.labels && pr.labels.length > 0 ? pr.labels.map(label => label.name) : ['No label']),
+  size: (pr) => [getSizeBucket(pr)]
+};
+
+/**
+ * Median of every stage per author, label or size bucket. PRs with several
+ * labels count towards each of them.
+ * @param {Array} prs - Pull requests
+ * @param {string} groupBy - 'author', 'label' or 'size'
+ * @returns {Array<{key: string, count: number, medians: object}>} - Busiest groups first, sizes in bucket order
+ */
+export const buildBreakdown = (prs, groupBy) => {
+  const groups = new Map();
+  prs.forEach(pr => {
+    const times = getCycleTimes(pr);
+    GROUP_KEYS[groupBy](pr).forEach(key => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(times);
+    });
+  });
+
+  const rows = [...groups.entries()].map(([key, cycleTimes]) => {
+    const summary = summarizeCycleTimes(cycleTimes);
+    return {
+      key,
+      count: cycleTimes.length,
+      medians: Object.keys(CYCLE_STAGES).reduce((acc, stage) => ({ ...acc, [stage]: summary[stage].p50 }), {})
+    };
+  });
+
+  if (groupBy === 'size') {
+    const order = [...SIZE_BUCKETS.map(bucket => bucket.label), 'Unknown'];
+    return rows.sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+  }
+  return rows.sort((a, b) => b.count - a.count);
+};
+
+/**
+ * How review time and merge rate change with pull request size
+ * @param {Array} prs - Pull requests
+ * @returns {Array<{size: string, count: number, mergeRate: number|null, medianFirstReview: number|null, medianOpenToMerge: number|null}>}
+ *   One entry per size bucket, smallest first. The merge rate is over closed PRs only.
+ */
+export const buildSizeInsights = (prs) => SIZE_BUCKETS.map(({ label }) => {
+  const bucketPRs = prs.filter(pr => getSizeBucket(pr) === label);
+  const closed = bucketPRs.filter(pr => pr.state === 'closed');
+  const summary = summarizeCycleTimes(bucketPRs.map(getCycleTimes));
+
+  return {
+    size: label,
+    count: bucketPRs.length,
+    mergeRate: closed.length > 0 ? closed.filter(pr => pr.merged).length / closed.length : null,
+    medianFirstReview: summary.firstReview.p50,
+    medianOpenToMerge: summary.openToMerge.p50
+  };
+});
@@ -0,0 +1,162 @@
+import {
+  HISTOGRAM_BINS,
+  getSizeBucket,
+  getReviewTimes,
+  getCycleTimes,
+  percentile,
+  summarizeCycleTimes,
+  buildHistogram,
+  buildBreakdown,
+  buildSizeInsights
+} from './prCycleTime';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const pr = (overrides = {}) => ({
+  user: { login: 'author' },
+  created_at: '2024-03-01T00:00:00Z',
+  merged_at: null,
+  reviews: [],
+  ...overrides
+});
+
+describe('percentile', () => {
+  test('is null for an empty list', () => {
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  test('interpolates between the closest ranks', () => {
+    expect(percentile([4, 1, 3, 2], 50)).toBe(2.5);
+    expect(percentile([10, 20, 30, 40, 50], 90)).toBe(46);
+    expect(percentile([1, 2, 3, 4], 0)).toBe(1);
+    expect(percentile([1, 2, 3, 4], 100)).toBe(4);
+  });
+
+  test('returns the only value of a single-element list', () => {
+    expect(percentile([7], 75)).toBe(7);
+  });
+});
+
+describe('getSizeBucket', () => {
+  test('buckets by additions plus deletions, inclusive of the upper bound', () => {
+    expect(getSizeBucket({ additions: 5, deletions: 5 })).toBe('XS');
+    expect(getSizeBucket({ additions: 6, deletions: 5 })).toBe('S');
+    expect(getSizeBucket({ additions: 5000, deletions: 0 })).toBe('XL');
+  });
+
+  test('is Unknown when the line counts were not fetched', () => {
+    expect(getSizeBucket({})).toBe('Unknown');
+  });
+});
+
+describe('getReviewTimes', () => {
+  test('ignores pending reviews and reviews by the author', () => {
+    const times = getReviewTimes(pr({
+      reviews: [
+        { user: { login: 'author' }, state: 'COMMENTED', submitted_at: '2024-03-01T01:00:00Z' },
+        { user: { login: 'reviewer' }, state: 'PENDING', submitted_at: '2024-03-01T02:00:00Z' },
+        { user: { login: 'reviewer' }, state: 'APPROVED', submitted_at: '2024-03-01T05:00:00Z' },
+        { user: { login: 'reviewer' }, state: 'CHANGES_REQUESTED', submitted_at: '2024-03-01T03:00:00Z' }
+      ]
+    }));
+
+    expect(times.firstReviewAt).toEqual(new Date('2024-03-01T03:00:00Z'));
+    expect(times.firstApprovalAt).toEqual(new Date('2024-03-01T05:00:00Z'));
+  });
+});
+
+describe('getCycleTimes', () => {
+  test('leaves stages that were not reached as null', () => {
+    expect(getCycleTimes(pr())).toEqual({
+      firstReview: null,
+      approval: null,
+      approvalToMerge: null,
+      openToMerge: null
+    });
+  });
+
+  test('measures every stage of a reviewed and merged PR', () => {
+    const times = getCycleTimes(pr({
+      merged_at: '2024-03-01T10:00:00Z',
+      reviews: [{ user: { login: 'reviewer' }, state: 'APPROVED', submitted_at: '2024-03-01T04:00:00Z' }]
+    }));
+
+    expect(times).toEqual({
+      firstReview: 4 * HOUR_MS,
+      approval: 4 * HOUR_MS,
+      approvalToMerge: 6 * HOUR_MS,
+      openToMerge: 10 * HOUR_MS
+    });
+  });
+});
+
+describe('summarizeCycleTimes', () => {
+  test('reports null percentiles for stages without samples', () => {
+    const summary = summarizeCycleTimes([]);
+    expect(summary.openToMerge).toEqual({ count: 0, p50: null, p75: null, p90: null });
+  });
+
+  test('skips PRs that have not reached a stage', () => {
+    const summary = summarizeCycleTimes([
+      { openToMerge: HOUR_MS },
+      { openToMerge: null },
+      { openToMerge: 3 * HOUR_MS }
+    ]);
+    expect(summary.openToMerge.count).toBe(2);
+    expect(summary.openToMerge.p50).toBe(2 * HOUR_MS);
+  });
+});
+
+describe('buildHistogram', () => {
+  test('puts values on a bin boundary into the next bin and skips nulls', () => {
+    const counts = buildHistogram([
+      { openToMerge: 0 },
+      { openToMerge: HOUR_MS - 1 },
+      { openToMerge: HOUR_MS },
+      { openToMerge: 30 * 24 * HOUR_MS },
+      { openToMerge: null }
+    ], 'openToMerge');
+
+    expect(counts).toHaveLength(HISTOGRAM_BINS.length);
+    expect(counts).toEqual([2, 1, 0, 0, 0, 0, 1]);
+  });
+
+  test('is all zeros for no PRs', () => {
+    expect(buildHistogram([], 'firstReview')).toEqual(HISTOGRAM_BINS.map(() => 0));
+  });
+});
+
+describe('buildBreakdown', () => {
+  test('counts a PR towards each of its labels and unlabelled PRs under No label', () => {
+    const rows = buildBreakdown([
+      pr({ labels: [{ name: 'bug' }, { name: 'ui' }] }),
+      pr({ labels: [{ name: 'bug' }] }),
+      pr({ labels: [] })
+    ], 'label');
+
+    expect(rows.map(row => [row.key, row.count])).toEqual([['bug', 2], ['ui', 1], ['No label', 1]]);
+  });
+
+  test('orders size groups by bucket', () => {
+    const rows = buildBreakdown([
+      pr({ additions: 2000, deletions: 0 }),
+      pr(),
+      pr({ additions: 1, deletions: 1 })
+    ], 'size');
+
+    expect(rows.map(row => row.key)).toEqual(['XS', 'XL', 'Unknown']);
+  });
+});
+
+describe('buildSizeInsights', () => {
+  test('computes the merge rate over closed PRs only', () => {
+    const insights = buildSizeInsights([
+      pr({ additions: 1, deletions: 0, state: 'closed', merged: true, merged_at: '2024-03-01T02:00:00Z' }),
+      pr({ additions: 1, deletions: 0, state: 'closed', merged: false }),
+      pr({ additions: 1, deletions: 0, state: 'open' })
+    ]);
+
+    expect(insights[0]).toMatchObject({ size: 'XS', count: 3, mergeRate: 0.5, medianOpenToMerge: 2 * HOUR_MS });
+    expect(insights[1]).toMatchObject({ size: 'S', count: 0, mergeRate: null, medianFirstReview: null });
+  });
+});
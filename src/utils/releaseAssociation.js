@@ -0,0 +1,282 @@
+// Rules that decide which issues belong to which release.
+// Rules are checked in order and every matching rule is recorded, so the UI can
+// show why an issue was counted against a release.
+import githubService from '../services/githubService';
+
+const STORAGE_KEY = 'release-association-rules';
+
+// Releases whose tag range is compared for the merged PR rule, most recent first
+export const MAX_RANGE_RELEASES = 20;
+
+// Tags don't move, so the commits between two of them are cached for a day
+const RANGE_CACHE_EXPIRY = 24 * 60 * 60 * 1000;
+
+// "Fixes #123", "closes #45", "resolved #6" ...
+const CLOSING_REFERENCE_PATTERN = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+#(\d+)/gi;
+
+export const ASSOCIATION_RULE_TYPES = {
+  'milestone-tag': {
+    label: 'Milestone equals tag',
+    description: 'The issue milestone is named after the release tag'
+  },
+  'label-pattern': {
+    label: 'Label pattern',
+    description: 'A label matches the pattern and its first capture group equals the release tag'
+  },
+  'merged-pr': {
+    label: 'Closed by a merged PR',
+    description: 'A PR merged between the previous release\'s tag and this release\'s tag closes the issue'
+  },
+  'release-notes': {
+    label: 'Referenced in release notes',
+    description: 'The release notes contain "Fixes #123" style references to the issue'
+  }
+};
+
+export const DEFAULT_ASSOCIATION_RULES = [
+  { type: 'milestone-tag', enabled: true },
+  { type: 'label-pattern', enabled: true, pattern: '^release[-/: ]?(.+)$' },
+  { type: 'merged-pr', enabled: true },
+  { type: 'release-notes', enabled: true }
+];
+
+/**
+ * Compare tags and version strings, ignoring case and a leading "v"
+ * @param {string} value - Value to normalise
+ * @returns {string}
+ */
+const normalizeVersion = (value) => (value || '').trim().toLowerCase().replace(/^v(?=\d)/, '');
+
+/**
+ * Find issue numbers referenced with closing keywords
+ * @param {string} text - PR body or release notes
+ * @returns {Set<number>}
+ */
+export const findClosingReferences = (text) => {
+  const numbers = new Set();
+  if (!text) return numbers;
+
+  for (const match of text.matchAll(CLOSING_REFERENCE_PATTERN)) {
+    numbers.add(parseInt(match[1], 10));
+  }
+  return numbers;
+};
+
+const releaseDate = (release) => new Date(release.published_at || release.created_at);
+
+/**
+ * Find the release a release's changes are counted from: the latest published
+ * release before it, by publish date
+ * @param {object} release - Release
+ * @param {Array} releases - All releases
+ * @returns {object|null} - null for the first release
+ */
+export const findPreviousRelease = (release, releases) => releases
+  .filter(r => !r.draft && r.id !== release.id && r.tag_name !== release.tag_name && releaseDate(r) < releaseDate(release))
+  .sort((a, b) => releaseDate(b) - releaseDate(a))[0] || null;
+
+/**
+ * Load what the merged PR rule needs: the commits each release added since the
+ * previous release's tag, and the PRs merged since the oldest of those commits.
+ * Comparing tags rather than publish dates keeps prereleases, backports and tags
+ * published out of order right. Only the most recent releases are compared.
+ * @param {object} options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {Array} options.releases - Releases
+ * @param {number} options.maxReleases - How many of the most recent releases to compare
+ * @returns {Promise<{commitsByRelease: object, pullRequests: Array, errors: string[]}>}
+ */
+export const loadReleaseRanges = async ({ owner, repo, releases, maxReleases = MAX_RANGE_RELEASES }) => {
+  const commitsByRelease = {};
+  const errors = [];
+  let oldestCommitDate = null;
+
+  const recentReleases = [...releases].sort((a, b) => releaseDate(b) - releaseDate(a)).slice(0, maxReleases);
+  for (const release of recentReleases) {
+    const previousRelease = findPreviousRelease(release, releases);
+    if (!previousRelease) continue;
+
+    // Draft releases may not have their tag yet, so compare up to the target branch
+    const head = release.draft ? release.target_commitish : release.tag_name;
+    const result = await githubService.compareCommits(
+      owner,
+      repo,
+      previousRelease.tag_name,
+      head,
+      release.draft ? null : RANGE_CACHE_EXPIRY
+    );
+    if (!result.success) {
+      errors.push(`${previousRelease.tag_name}...${head}: ${result.error}`);
+      continue;
+    }
+
+    commitsByRelease[release.id] = result.commits.map(commit => commit.sha);
+    for (const commit of result.commits) {
+      const date = new Date(commit.commit.committer?.date || commit.commit.author?.date);
+      if (!oldestCommitDate || date < oldestCommitDate) oldestCommitDate = date;
+    }
+  }
+
+  let pullRequests = [];
+  if (oldestCommitDate) {
+    const prResult = await githubService.getMergedPullRequests(owner, repo, oldestCommitDate);
+    if (prResult.success) {
+      pullRequests = prResult.pullRequests;
+    } else {
+      errors.push(prResult.error);
+    }
+  }
+
+  return { commitsByRelease, pullRequests, errors };
+};
+
+/**
+ * Load the association rules for a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Array} - Rules in priority order
+ */
+export const loadAssociationRules = (owner, repo) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(`${owner}/${repo}:${STORAGE_KEY}`) || 'null');
+    if (Array.isArray(stored)) {
+      return stored.filter(rule => ASSOCIATION_RULE_TYPES[rule.type]);
+    }
+  } catch (err) {
+    console.error('Error loading release association rules:', err);
+  }
+  return DEFAULT_ASSOCIATION_RULES;
+};
+
+/**
+ * Save the association rules for a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array} rules - Rules in priority order
+ */
+export const saveAssociationRules = (owner, repo, rules) => {
+  localStorage.setItem(`${owner}/${repo}:${STORAGE_KEY}`, JSON.stringify(rules));
+};
+
+/**
+ * Build a matcher for each enabled rule. Matchers take (issue, release) and
+ * return a description of why they matched, or null.
+ * @param {Array} rules - Association rules
+ * @param {object} context - { releases, releaseRanges }
+ * @returns {Array<{rule: object, match: Function}>}
+ */
+const buildMatchers = (rules, { releases, releaseRanges }) => {
+  // PRs that close issues, for the merged PR rule, by the release whose tag range has their merge commit
+  const closingPRsByRelease = new Map();
+  if (releaseRanges) {
+    const closingPRs = releaseRanges.pullRequests
+      .map(pr => ({ pr, closes: findClosingReferences(pr.body) }))
+      .filter(({ closes }) => closes.size > 0);
+
+    Object.entries(releaseRanges.commitsByRelease).forEach(([releaseId, shas]) => {
+      const commitShas = new Set(shas);
+      closingPRsByRelease.set(
+        String(releaseId),
+        closingPRs.filter(({ pr }) => commitShas.has(pr.merge_commit_sha))
+      );
+    });
+  }
+
+  // Release notes references are the same for every issue, so parse them once
+  const notesReferences = new Map(releases.map(release => [release.id, findClosingReferences(release.body)]));
+
+  return rules.filter(rule => rule.enabled).map(rule => {
+    switch (rule.type) {
+      case 'milestone-tag':
+        return {
+          rule,
+          match: (issue, release) => (
+            issue.milestone && normalizeVersion(issue.milestone.title) === normalizeVersion(release.tag_name)
+              ? `Milestone "${issue.milestone.title}"`
+              : null
+          )
+        };
+
+      case 'label-pattern': {
+        let regex;
+        try {
+          regex = new RegExp(rule.pattern, 'i');
+        } catch (err) {
+          console.error(`Invalid release label pattern "${rule.pattern}":`, err);
+          return null;
+        }
+        return {
+          rule,
+          match: (issue, release) => {
+            for (const label of issue.labels) {
+              const match = label.name.match(regex);
+              // Without a capture group the whole label is compared
+              const captured = match ? (match[1] !== undefined ? match[1] : match[0]) : null;
+              if (captured && normalizeVersion(captured) === normalizeVersion(release.tag_name)) {
+                return `Label "${label.name}"`;
+              }
+            }
+            return null;
+          }
+        };
+      }
+
+      case 'merged-pr':
+        return {
+          rule,
+          match: (issue, release) => {
+            const closingPRs = closingPRsByRelease.get(String(release.id)) || [];
+            const closingPR = closingPRs.find(({ closes }) => closes.has(issue.number));
+            return closingPR ? `Closed by #${closingPR.pr.number}` : null;
+          }
+        };
+
+      case 'release-notes':
+        return {
+          rule,
+          match: (issue, release) => (
+            notesReferences.get(release.id).has(issue.number) ? 'Referenced in release notes' : null
+          )
+        };
+
+      default:
+        return null;
+    }
+  }).filter(Boolean);
+};
+
+/**
+ * Work out which issues belong to each release
+ * @param {object} options
+ * @param {Array} options.releases - Releases
+ * @param {Array} options.issues - Issues
+ * @param {object|null} options.releaseRanges - Result of loadReleaseRanges, used by the merged PR rule
+ * @param {Array} options.rules - Association rules in priority order
+ * @returns {Map<number, Array>} - Release ID to [{ issue, matches: [{ type, label, detail }] }]
+ */
+export const buildReleaseAssociations = ({ releases, issues, releaseRanges, rules }) => {
+  const matchers = buildMatchers(rules, { releases, releaseRanges });
+  const associations = new Map();
+
+  releases.forEach(release => {
+    const associatedIssues = [];
+
+    issues.forEach(issue => {
+      const matches = matchers
+        .map(({ rule, match }) => {
+          const detail = match(issue, release);
+          return detail ? { type: rule.type, label: ASSOCIATION_RULE_TYPES[rule.type].label, detail } : null;
+        })
+        .filter(Boolean);
+
+      if (matches.length > 0) {
+        associatedIssues.push({ issue, matches });
+      }
+    });
+
+    associations.set(release.id, associatedIssues);
+  });
+
+  return associations;
+};
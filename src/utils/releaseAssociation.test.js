@@ -0,0 +1,192 @@
+import githubService from '../services/githubService';
+import {
+  DEFAULT_ASSOCIATION_RULES,
+  findClosingReferences,
+  findPreviousRelease,
+  loadReleaseRanges,
+  loadAssociationRules,
+  saveAssociationRules,
+  buildReleaseAssociations
+} from './releaseAssociation';
+
+jest.mock('../services/githubService', () => ({
+  __esModule: true,
+  default: {
+    compareCommits: jest.fn(),
+    getMergedPullRequests: jest.fn()
+  }
+}));
+
+const release = (id, tag, publishedAt, overrides = {}) => ({
+  id,
+  tag_name: tag,
+  published_at: publishedAt,
+  created_at: publishedAt,
+  draft: false,
+  body: '',
+  ...overrides
+});
+
+const issue = (number, overrides = {}) => ({ number, labels: [], milestone: null, ...overrides });
+
+const commit = (sha, date) => ({ sha, commit: { committer: { date } } });
+
+const rulesOf = (...types) => types.map(type => DEFAULT_ASSOCIATION_RULES.find(rule => rule.type === type));
+
+describe('findClosingReferences', () => {
+  test('finds every closing keyword form', () => {
+    const text = 'Fixes #1, closed #2 and resolves: #3. Also fix #4, close #5, Resolved #6';
+    expect([...findClosingReferences(text)]).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  test('ignores plain references and empty text', () => {
+    expect(findClosingReferences('See #12, related to #13').size).toBe(0);
+    expect(findClosingReferences(null).size).toBe(0);
+  });
+});
+
+describe('findPreviousRelease', () => {
+  const releases = [
+    release(1, 'v1.0.0', '2024-01-01T00:00:00Z'),
+    release(2, 'v1.1.0', '2024-02-01T00:00:00Z'),
+    release(3, 'v1.2.0', '2024-03-01T00:00:00Z', { draft: true }),
+    release(4, 'v1.2.0', '2024-03-05T00:00:00Z')
+  ];
+
+  test('is the latest published release before it', () => {
+    expect(findPreviousRelease(releases[3], releases).id).toBe(2);
+    expect(findPreviousRelease(releases[1], releases).id).toBe(1);
+  });
+
+  test('is null for the first release', () => {
+    expect(findPreviousRelease(releases[0], releases)).toBeNull();
+  });
+});
+
+describe('loadReleaseRanges', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('compares each release with the previous tag and loads PRs from the oldest commit', async () => {
+    const releases = [
+      release(1, 'v1.0.0', '2024-01-01T00:00:00Z'),
+      release(2, 'v1.1.0', '2024-02-01T00:00:00Z'),
+      release(3, 'next', '2024-03-01T00:00:00Z', { draft: true, target_commitish: 'main' })
+    ];
+    githubService.compareCommits.mockImplementation((owner, repo, base, head) => Promise.resolve(
+      head === 'v1.1.0'
+        ? { success: true, commits: [commit('a1', '2024-01-10T00:00:00Z'), commit('a2', '2024-01-20T00:00:00Z')] }
+        : { success: true, commits: [commit('b1', '2024-02-10T00:00:00Z')] }
+    ));
+    githubService.getMergedPullRequests.mockResolvedValue({ success: true, pullRequests: [{ number: 7 }] });
+
+    const ranges = await loadReleaseRanges({ owner: 'octo', repo: 'app', releases });
+
+    expect(githubService.compareCommits).toHaveBeenCalledWith('octo', 'app', 'v1.1.0', 'main', null);
+    expect(githubService.compareCommits).toHaveBeenCalledWith('octo', 'app', 'v1.0.0', 'v1.1.0', 24 * 60 * 60 * 1000);
+    expect(githubService.getMergedPullRequests).toHaveBeenCalledWith('octo', 'app', new Date('2024-01-10T00:00:00Z'));
+    expect(ranges).toEqual({
+      commitsByRelease: { 2: ['a1', 'a2'], 3: ['b1'] },
+      pullRequests: [{ number: 7 }],
+      errors: []
+    });
+  });
+
+  test('only compares the most recent releases and reports failed compares', async () => {
+    const releases = [
+      release(1, 'v1', '2024-01-01T00:00:00Z'),
+      release(2, 'v2', '2024-02-01T00:00:00Z'),
+      release(3, 'v3', '2024-03-01T00:00:00Z')
+    ];
+    githubService.compareCommits.mockResolvedValue({ success: false, error: 'Not Found' });
+
+    const ranges = await loadReleaseRanges({ owner: 'octo', repo: 'app', releases, maxReleases: 1 });
+
+    expect(githubService.compareCommits).toHaveBeenCalledTimes(1);
+    expect(githubService.getMergedPullRequests).not.toHaveBeenCalled();
+    expect(ranges).toEqual({ commitsByRelease: {}, pullRequests: [], errors: ['v2...v3: Not Found'] });
+  });
+});
+
+describe('association rule storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('falls back to the defaults and drops unknown rule types', () => {
+    expect(loadAssociationRules('octo', 'app')).toBe(DEFAULT_ASSOCIATION_RULES);
+
+    saveAssociationRules('octo', 'app', [{ type: 'unknown', enabled: true }, { type: 'merged-pr', enabled: false }]);
+    expect(loadAssociationRules('octo', 'app')).toEqual([{ type: 'merged-pr', enabled: false }]);
+    expect(loadAssociationRules('octo', 'other')).toBe(DEFAULT_ASSOCIATION_RULES);
+  });
+});
+
+describe('buildReleaseAssociations', () => {
+  const releases = [
+    release(1, 'v1.0.0', '2024-01-01T00:00:00Z'),
+    release(2, 'v1.1.0', '2024-02-01T00:00:00Z', { body: 'Fixes #4' })
+  ];
+
+  test('matches milestones and labels against the tag, ignoring a leading v', () => {
+    const associations = buildReleaseAssociations({
+      releases,
+      issues: [
+        issue(1, { milestone: { title: '1.1.0' } }),
+        issue(2, { labels: [{ name: 'release: v1.0.0' }] }),
+        issue(3, { labels: [{ name: 'bug' }] })
+      ],
+      releaseRanges: null,
+      rules: rulesOf('milestone-tag', 'label-pattern')
+    });
+
+    expect(associations.get(1).map(({ issue: i, matches }) => [i.number, matches[0].detail]))
+      .toEqual([[2, 'Label "release: v1.0.0"']]);
+    expect(associations.get(2).map(({ issue: i, matches }) => [i.number, matches[0].detail]))
+      .toEqual([[1, 'Milestone "1.1.0"']]);
+  });
+
+  test('credits a closing PR to the release whose tag range has its merge commit', () => {
+    const releaseRanges = {
+      commitsByRelease: { 2: ['abc'] },
+      pullRequests: [
+        { number: 10, body: 'Closes #3', merge_commit_sha: 'abc' },
+        { number: 11, body: 'Closes #5', merge_commit_sha: 'elsewhere' }
+      ],
+      errors: []
+    };
+
+    const associations = buildReleaseAssociations({
+      releases,
+      issues: [issue(3), issue(5)],
+      releaseRanges,
+      rules: rulesOf('merged-pr')
+    });
+
+    expect(associations.get(1)).toEqual([]);
+    expect(associations.get(2)).toEqual([{
+      issue: issue(3),
+      matches: [{ type: 'merged-pr', label: 'Closed by a merged PR', detail: 'Closed by #10' }]
+    }]);
+  });
+
+  test('records every matching rule and skips disabled or invalid ones', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const associations = buildReleaseAssociations({
+      releases,
+      issues: [issue(4, { milestone: { title: 'v1.1.0' }, labels: [{ name: 'release-1.1.0' }] })],
+      releaseRanges: null,
+      rules: [
+        { type: 'milestone-tag', enabled: true },
+        { type: 'label-pattern', enabled: true, pattern: '(' },
+        { type: 'label-pattern', enabled: false, pattern: '^release-(.+)$' },
+        { type: 'release-notes', enabled: true }
+      ]
+    });
+
+    expect(associations.get(2)[0].matches.map(match => match.type)).toEqual(['milestone-tag', 'release-notes']);
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+});
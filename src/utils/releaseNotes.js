@@ -0,0 +1,70 @@
+import { DEFAULT_ISSUE_TYPE_CONFIG, classifyIssue, getIssueTypeById, OTHER_ISSUE_TYPE } from './issueTypes';
+
+// Section for pull requests that match no issue type
+const OTHER_SECTION_TITLE = 'Other Changes';
+
+/**
+ * Work out which release notes section a pull request belongs to. There is a
+ * section per issue type, titled with the type's name.
+ * @param {object} pr - Pull request from the GitHub API
+ * @param {object} [issueTypeConfig] - The repository's issue type configuration
+ * @returns {string} - Section title
+ */
+export const getReleaseNoteSection = (pr, issueTypeConfig = DEFAULT_ISSUE_TYPE_CONFIG) => {
+  const type = classifyIssue(pr, issueTypeConfig);
+  return type === OTHER_ISSUE_TYPE.id ? OTHER_SECTION_TITLE : getIssueTypeById(issueTypeConfig, type).name;
+};
+
+/**
+ * Build Markdown release notes from the PRs merged between two tags
+ * @param {object} options
+ * @param {Array} options.pullRequests - Merged pull requests
+ * @param {string} options.previousTag - Tag the range starts from
+ * @param {string} options.tag - Tag of the new release
+ * @param {string} [options.repoUrl] - Repository html_url, used for the changelog link
+ * @param {object} [options.issueTypeConfig] - Issue type configuration that sorts PRs into sections
+ * @returns {string} - Markdown release notes
+ */
+export const buildReleaseNotes = ({ pullRequests, previousTag, tag, repoUrl, issueTypeConfig = DEFAULT_ISSUE_TYPE_CONFIG }) => {
+  const sections = {};
+  const contributors = new Set();
+
+  // Oldest first so the notes read in merge order
+  const sortedPRs = [...pullRequests].sort((a, b) => new Date(a.merged_at) - new Date(b.merged_at));
+
+  sortedPRs.forEach(pr => {
+    const title = getReleaseNoteSection(pr, issueTypeConfig);
+    if (!sections[title]) sections[title] = [];
+
+    const author = pr.user ? pr.user.login : null;
+    sections[title].push(`- ${pr.title} (#${pr.number})${author ? ` by @${author}` : ''}`);
+
+    // Bots are not credited as contributors
+    if (author && pr.user.type !== 'Bot') {
+      contributors.add(author);
+    }
+  });
+
+  const lines = [];
+
+  if (sortedPRs.length === 0) {
+    lines.push(`No pull requests were merged between ${previousTag} and ${tag}.`);
+  }
+
+  // Sections follow the types' priority order
+  [...issueTypeConfig.types.map(type => type.name), OTHER_SECTION_TITLE].forEach(title => {
+    if (!sections[title]) return;
+    lines.push(`## ${title}`, '', ...sections[title], '');
+  });
+
+  if (contributors.size > 0) {
+    lines.push('## Contributors', '');
+    lines.push(Array.from(contributors).sort().map(login => `@${login}`).join(', '), '');
+  }
+
+  if (repoUrl && previousTag) {
+    lines.push(`**Full Changelog**: ${repoUrl}/compare/${previousTag}...${tag}`);
+  }
+
+  return lines.join('\n').trim();
+};
@@ -0,0 +1,222 @@
+import githubService from '../services/githubService';
+
+// Release phases in promotion order
+export const PHASE_ORDER = ['development', 'staging', 'production'];
+
+// What happens when a readiness check fails
+export const ENFORCEMENT_MODES = {
+  block: 'Block promotion',
+  override: 'Require an override reason'
+};
+
+const CONFIG_KEY = 'release-readiness';
+const OVERRIDES_KEY = 'release-readiness-overrides';
+
+/**
+ * Check whether moving between two phases is a promotion
+ * @param {string} fromPhase - Current phase
+ * @param {string} toPhase - Target phase
+ * @returns {boolean}
+ */
+export const isPromotion = (fromPhase, toPhase) =>
+  PHASE_ORDER.indexOf(toPhase) > PHASE_ORDER.indexOf(fromPhase);
+
+/**
+ * Find the milestone linked to a release: one named after the release or its tag
+ * @param {object} release - Release from the GitHub API
+ * @param {Array} milestones - Repository milestones
+ * @returns {object|null}
+ */
+export const findReleaseMilestone = (release, milestones) => milestones.find(milestone =>
+  milestone.title === release.tag_name ||
+  (release.name && release.name.includes(milestone.title))
+) || null;
+
+// Readiness checks, in the order they are listed.
+// Each evaluate() resolves to { status: 'passed' | 'failed' | 'skipped', detail }.
+export const READINESS_CHECKS = [
+  {
+    id: 'milestone-issues-closed',
+    label: 'No open issues in the linked milestone',
+    evaluate: async ({ release, milestones }) => {
+      const milestone = findReleaseMilestone(release, milestones);
+      if (!milestone) {
+        return { status: 'skipped', detail: 'No milestone is linked to this release' };
+      }
+      return milestone.open_issues > 0
+        ? { status: 'failed', detail: `${milestone.open_issues} open issues in "${milestone.title}"` }
+        : { status: 'passed', detail: `All issues in "${milestone.title}" are closed` };
+    }
+  },
+  {
+    id: 'no-changes-requested',
+    label: 'No open pull requests with changes requested',
+    evaluate: async ({ release, milestones, pullRequests }) => {
+      // Scope to the release milestone when there is one, otherwise every open PR
+      const milestone = findReleaseMilestone(release, milestones);
+      const blocking = pullRequests.filter(pr =>
+        pr.state === 'open' &&
+        pr.reviewStatus === 'CHANGES_REQUESTED' &&
+        (!milestone || (pr.milestone && pr.milestone.number === milestone.number))
+      );
+      return blocking.length > 0
+        ? { status: 'failed', detail: `Changes requested on ${blocking.map(pr => `#${pr.number}`).join(', ')}` }
+        : { status: 'passed', detail: 'No open pull requests are waiting on changes' };
+    }
+  },
+  {
+    id: 'workflows-passed',
+    label: 'Latest workflow runs on the release tag succeeded',
+    evaluate: async ({ owner, repo, release }) => {
+      const tagsResult = await githubService.getTags(owner, repo);
+      if (!tagsResult.success) {
+        throw new Error(tagsResult.error);
+      }
+
+      const tag = tagsResult.tags.find(t => t.name === release.tag_name);
+      if (!tag) {
+        return { status: 'skipped', detail: `Tag ${release.tag_name} has not been created yet` };
+      }
+
+      const runsResult = await githubService.getWorkflowRuns(owner, repo, null, false, {
+        headSha: tag.commit.sha,
+        maxRuns: 100
+      });
+      if (!runsResult.success) {
+        throw new Error(runsResult.error);
+      }
+      if (runsResult.workflowRuns.length === 0) {
+        return { status: 'failed', detail: `No workflow runs found for ${release.tag_name}` };
+      }
+
+      // Runs come newest first, so the first run of each workflow is its latest
+      const latestRuns = {};
+      runsResult.workflowRuns.forEach(run => {
+        if (!latestRuns[run.workflow_id]) latestRuns[run.workflow_id] = run;
+      });
+
+      const unsuccessful = Object.values(latestRuns).filter(run => run.conclusion !== 'success');
+      return unsuccessful.length > 0
+        ? {
+          status: 'failed',
+          detail: unsuccessful.map(run => `${run.name}: ${run.conclusion || run.status}`).join(', ')
+        }
+        : { status: 'passed', detail: `${Object.keys(latestRuns).length} workflows succeeded` };
+    }
+  },
+  {
+    id: 'release-notes',
+    label: 'Release notes are not empty',
+    evaluate: async ({ release }) => (
+      release.body && release.body.trim()
+        ? { status: 'passed', detail: 'Release notes are written' }
+        : { status: 'failed', detail: 'The release has no notes' }
+    )
+  }
+];
+
+/**
+ * Default configuration: every check enabled, failures need an override reason
+ * @returns {{checks: object, enforcement: string}}
+ */
+const getDefaultConfig = () => ({
+  checks: Object.fromEntries(READINESS_CHECKS.map(check => [check.id, true])),
+  enforcement: 'override'
+});
+
+/**
+ * Load the readiness configuration for a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {{checks: object, enforcement: string}}
+ */
+export const loadReadinessConfig = (owner, repo) => {
+  const defaults = getDefaultConfig();
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(`${owner}/${repo}:${CONFIG_KEY}`) || 'null');
+    if (!stored) return defaults;
+
+    return {
+      checks: { ...defaults.checks, ...stored.checks },
+      enforcement: ENFORCEMENT_MODES[stored.enforcement] ? stored.enforcement : defaults.enforcement
+    };
+  } catch (err) {
+    console.error('Error loading release readiness config:', err);
+    return defaults;
+  }
+};
+
+/**
+ * Save the readiness configuration for a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {{checks: object, enforcement: string}} config - Configuration to save
+ */
+export const saveReadinessConfig = (owner, repo, config) => {
+  localStorage.setItem(`${owner}/${repo}:${CONFIG_KEY}`, JSON.stringify(config));
+};
+
+/**
+ * Run the enabled readiness checks for a release
+ * @param {object} context
+ * @param {string} context.owner - Repository owner
+ * @param {string} context.repo - Repository name
+ * @param {object} context.release - Release being promoted
+ * @param {Array} context.milestones - Repository milestones
+ * @param {Array} context.pullRequests - Repository pull requests
+ * @param {object} context.config - Readiness configuration
+ * @returns {Promise<{checks: Array, passed: boolean}>}
+ */
+export const evaluateReleaseReadiness = async ({ owner, repo, release, milestones, pullRequests, config }) => {
+  const enabledChecks = READINESS_CHECKS.filter(check => config.checks[check.id]);
+
+  const checks = await Promise.all(enabledChecks.map(async check => {
+    try {
+      const result = await check.evaluate({ owner, repo, release, milestones, pullRequests });
+      return { id: check.id, label: check.label, ...result };
+    } catch (err) {
+      // A check that can't be evaluated counts as failed
+      return { id: check.id, label: check.label, status: 'failed', detail: `Could not check: ${err.message}` };
+    }
+  }));
+
+  return { checks, passed: checks.every(check => check.status !== 'failed') };
+};
+
+/**
+ * Load recorded overrides for a release
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} releaseId - Release ID
+ * @returns {Array} - Overrides, newest first
+ */
+export const loadReadinessOverrides = (owner, repo, releaseId) => {
+  try {
+    const overrides = JSON.parse(localStorage.getItem(`${owner}/${repo}:${OVERRIDES_KEY}`) || '[]');
+    return overrides.filter(override => override.releaseId === releaseId).reverse();
+  } catch (err) {
+    console.error('Error loading release readiness overrides:', err);
+    return [];
+  }
+};
+
+/**
+ * Record a promotion that went ahead despite failed checks
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {object} override - { releaseId, tagName, fromPhase, toPhase, reason, failedChecks, user }
+ */
+export const recordReadinessOverride = (owner, repo, override) => {
+  const storageKey = `${owner}/${repo}:${OVERRIDES_KEY}`;
+  let overrides = [];
+
+  try {
+    overrides = JSON.parse(localStorage.getItem(storageKey) || '[]');
+  } catch (err) {
+    console.error('Error loading release readiness overrides:', err);
+  }
+
+  overrides.push({ ...override, createdAt: new Date().toISOString() });
+  localStorage.setItem(storageKey, JSON.stringify(overrides));
+};
@@ -0,0 +1,20 @@
+// Supported formats:
+// - https://github.com/owner/repo
+// - github.com/owner/repo
+// - owner/repo
+const URL_PATTERN = /(?:https?:\/\/)?(?:www\.)?github\.com\/([^/]+)\/([^/]+)\/?$/;
+const SIMPLE_PATTERN = /^([^/]+)\/([^/]+)$/;
+
+/**
+ * Extract owner and repository name from a GitHub repository URL
+ * @param {string} repoUrl - Repository URL or owner/repo
+ * @returns {{owner: string, repo: string}|null} - Parsed repository, or null if the format is invalid
+ */
+export const parseRepoUrl = (repoUrl) => {
+  const value = repoUrl.trim();
+  const match = value.match(URL_PATTERN) || value.match(SIMPLE_PATTERN);
+
+  if (!match) return null;
+
+  return { owner: match[1], repo: match[2].replace(/\.git$/, '') };
+};
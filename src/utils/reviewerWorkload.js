@@ -0,0 +1,181 @@
+// Reviewer-centric view of the loaded pull requests: who is waiting on whom,
+// how quickly people respond to review requests, and who knows the files a PR touches.
+import githubService from '../services/githubService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ages offered for calling an open review request stale, in days
+export const STALE_REQUEST_DAYS = [1, 3, 7, 14];
+
+// Merged PRs whose files are compared when suggesting a reviewer. Each costs a request the first time.
+const MAX_HISTORY_PRS = 30;
+
+const isBot = (login) => login.endsWith('[bot]');
+
+/**
+ * Reviews other people submitted on a pull request, oldest first
+ * @param {object} pr - Pull request with reviews
+ * @returns {Array} - Reviews, without pending ones and the author's own
+ */
+const getPeerReviews = (pr) => {
+  const author = pr.user ? pr.user.login : null;
+  return (pr.reviews || [])
+    .filter(review => review.user && review.user.login !== author && review.submitted_at && review.state !== 'PENDING')
+    .sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at));
+};
+
+/**
+ * When a user was last asked to review a pull request. PRs loaded over REST
+ * don't have the request events, so the PR's creation stands in for them.
+ * @param {object} pr - Pull request
+ * @param {string} login - Reviewer
+ * @returns {Date}
+ */
+export const getReviewRequestedAt = (pr, login) => {
+  const requests = (pr.review_requested_events || []).filter(event => event.login === login);
+  return requests.length > 0
+    ? new Date(requests[requests.length - 1].created_at)
+    : new Date(pr.created_at);
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Review load and turnaround of everyone involved in the pull requests
+ * @param {Array} prs - Pull requests with reviews and requested_reviewers
+ * @param {number} staleDays - Open requests older than this are stale
+ * @returns {{reviewers: Array, staleRequests: Array}} - Reviewers with the most open requests first,
+ *   and stale requests oldest first as { pr, login, requestedAt }
+ */
+export const buildReviewerWorkload = (prs, staleDays) => {
+  const people = new Map();
+  const person = (login, avatarUrl) => {
+    if (!people.has(login)) {
+      people.set(login, { login, avatarUrl: null, openRequests: 0, staleRequests: 0, responseTimes: [], given: 0, received: 0 });
+    }
+    const entry = people.get(login);
+    if (avatarUrl && !entry.avatarUrl) entry.avatarUrl = avatarUrl;
+    return entry;
+  };
+  const staleBefore = Date.now() - staleDays * DAY_MS;
+  const staleRequests = [];
+
+  prs.forEach(pr => {
+    // Open requests: the PR is waiting on these people right now
+    if (pr.state === 'open' && !pr.draft) {
+      (pr.requested_reviewers || []).forEach(reviewer => {
+        const entry = person(reviewer.login, reviewer.avatar_url);
+        entry.openRequests++;
+        const requestedAt = getReviewRequestedAt(pr, reviewer.login);
+        if (requestedAt.getTime() < staleBefore) {
+          entry.staleRequests++;
+          staleRequests.push({ pr, login: reviewer.login, requestedAt });
+        }
+      });
+    }
+
+    // Given and received count each reviewer once per PR
+    const firstReviews = new Map();
+    getPeerReviews(pr).forEach(review => {
+      if (!firstReviews.has(review.user.login)) firstReviews.set(review.user.login, review);
+    });
+    firstReviews.forEach((review, login) => {
+      const entry = person(login);
+      entry.given++;
+      const responseTime = new Date(review.submitted_at) - getReviewRequestedAt(pr, login);
+      if (responseTime >= 0) entry.responseTimes.push(responseTime);
+    });
+    if (pr.user && firstReviews.size > 0) {
+      person(pr.user.login, pr.user.avatar_url).received += firstReviews.size;
+    }
+  });
+
+  const reviewers = [...people.values()]
+    .filter(entry => !isBot(entry.login))
+    .map(({ responseTimes, ...entry }) => ({
+      ...entry,
+      responses: responseTimes.length,
+      medianResponse: median(responseTimes)
+    }))
+    .sort((a, b) => b.openRequests - a.openRequests || b.given - a.given);
+
+  return {
+    reviewers,
+    staleRequests: staleRequests.sort((a, b) => a.requestedAt - b.requestedAt)
+  };
+};
+
+const getDirectory = (path) => path.split('/').slice(0, -1).join('/');
+
+/**
+ * Rank possible reviewers for a pull request by how often they recently reviewed
+ * changes to the same files, weighed against how many requests they already have open.
+ * Changes to other files in the same directories count half.
+ * @param {object} params
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {object} params.pr - Pull request that needs a reviewer
+ * @param {Array} params.pullRequests - Loaded pull requests, the review history to draw on
+ * @param {Array} params.reviewers - Reviewers from buildReviewerWorkload, for the current load
+ * @param {Function} [params.onProgress] - Called with (done, total) as files are fetched
+ * @returns {Promise<{success: boolean, suggestions?: Array, historySize?: number, error?: string}>}
+ *   Suggestions best first as { login, avatarUrl, relevance, sharedFiles, reviewedPRs, openRequests, score }
+ */
+export const suggestReviewers = async ({ owner, repo, pr, pullRequests, reviewers, onProgress }) => {
+  const filesResult = await githubService.getPullRequestFiles(owner, repo, pr.number, pr.merged);
+  if (!filesResult.success) return { success: false, error: filesResult.error };
+
+  const files = new Set(filesResult.files);
+  const directories = new Set(filesResult.files.map(getDirectory));
+  const author = pr.user ? pr.user.login : null;
+
+  const history = pullRequests
+    .filter(candidate => candidate.merged && candidate.number !== pr.number && getPeerReviews(candidate).length > 0)
+    .sort((a, b) => new Date(b.merged_at) - new Date(a.merged_at))
+    .slice(0, MAX_HISTORY_PRS);
+
+  const candidates = new Map();
+  for (let i = 0; i < history.length; i++) {
+    if (onProgress) onProgress(i, history.length);
+    const historyPR = history[i];
+    const result = await githubService.getPullRequestFiles(owner, repo, historyPR.number, true);
+    if (!result.success) continue;
+
+    const sharedFiles = result.files.filter(file => files.has(file));
+    const sameDirectory = result.files.filter(file => !files.has(file) && directories.has(getDirectory(file)));
+    const relevance = sharedFiles.length + sameDirectory.length / 2;
+    if (relevance === 0) continue;
+
+    new Set(getPeerReviews(historyPR).map(review => review.user.login)).forEach(login => {
+      if (login === author || isBot(login)) return;
+      if (!candidates.has(login)) candidates.set(login, { login, relevance: 0, sharedFiles: new Set(), reviewedPRs: 0 });
+      const candidate = candidates.get(login);
+      candidate.relevance += relevance;
+      candidate.reviewedPRs++;
+      sharedFiles.forEach(file => candidate.sharedFiles.add(file));
+    });
+  }
+  if (onProgress) onProgress(history.length, history.length);
+
+  const reviewersByLogin = new Map(reviewers.map(reviewer => [reviewer.login, reviewer]));
+  const suggestions = [...candidates.values()]
+    .map(candidate => {
+      const reviewer = reviewersByLogin.get(candidate.login);
+      const openRequests = reviewer ? reviewer.openRequests : 0;
+      return {
+        ...candidate,
+        avatarUrl: reviewer ? reviewer.avatarUrl : null,
+        sharedFiles: candidate.sharedFiles.size,
+        openRequests,
+        score: candidate.relevance / (1 + openRequests)
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  return { success: true, suggestions, historySize: history.length };
+};
@@ -0,0 +1,260 @@
+import githubService from '../services/githubService';
+import { getReviewRequestedAt, buildReviewerWorkload, suggestReviewers } from './reviewerWorkload';
+
+jest.mock('../services/githubService', () => ({
+  __esModule: true,
+  default: {
+    getPullRequestFiles: jest.fn()
+  }
+}));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const NOW = new Date('2024-06-15T12:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * HOUR_MS).toISOString();
+const hoursAfter = (iso, hours) => new Date(new Date(iso).getTime() + hours * HOUR_MS).toISOString();
+
+const user = (login) => ({ login, avatar_url: `https://avatars.example/${login}` });
+
+const review = (login, submittedAt, state = 'APPROVED') => ({ user: user(login), submitted_at: submittedAt, state });
+
+const pullRequest = (number, overrides = {}) => ({
+  number,
+  state: 'open',
+  draft: false,
+  merged: false,
+  user: user('author'),
+  created_at: daysAgo(10),
+  requested_reviewers: [],
+  reviews: [],
+  ...overrides
+});
+
+const byLogin = (reviewers) => Object.fromEntries(reviewers.map(reviewer => [reviewer.login, reviewer]));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('getReviewRequestedAt', () => {
+  test('is the latest request event for the reviewer', () => {
+    const pr = pullRequest(1, {
+      review_requested_events: [
+        { login: 'alice', created_at: daysAgo(5) },
+        { login: 'bob', created_at: daysAgo(3) },
+        { login: 'alice', created_at: daysAgo(2) }
+      ]
+    });
+
+    expect(getReviewRequestedAt(pr, 'alice')).toEqual(new Date(daysAgo(2)));
+  });
+
+  test('falls back to when the PR was opened', () => {
+    expect(getReviewRequestedAt(pullRequest(1), 'alice')).toEqual(new Date(daysAgo(10)));
+  });
+});
+
+describe('buildReviewerWorkload', () => {
+  test('flags open requests older than the stale age, oldest first', () => {
+    const prs = [
+      pullRequest(1, {
+        requested_reviewers: [user('alice'), user('bob')],
+        review_requested_events: [
+          { login: 'alice', created_at: daysAgo(4) },
+          { login: 'bob', created_at: daysAgo(1) }
+        ]
+      }),
+      pullRequest(2, { requested_reviewers: [user('alice')], created_at: daysAgo(8) })
+    ];
+
+    const { reviewers, staleRequests } = buildReviewerWorkload(prs, 3);
+    const people = byLogin(reviewers);
+
+    expect(people.alice).toMatchObject({ openRequests: 2, staleRequests: 2, avatarUrl: 'https://avatars.example/alice' });
+    expect(people.bob).toMatchObject({ openRequests: 1, staleRequests: 0 });
+    expect(staleRequests.map(({ pr, login }) => [pr.number, login])).toEqual([[2, 'alice'], [1, 'alice']]);
+  });
+
+  test('does not count requests on closed or draft PRs as open', () => {
+    const prs = [
+      pullRequest(1, { state: 'closed', requested_reviewers: [user('alice')] }),
+      pullRequest(2, { draft: true, requested_reviewers: [user('alice')] })
+    ];
+
+    const { reviewers, staleRequests } = buildReviewerWorkload(prs, 1);
+
+    expect(reviewers).toEqual([]);
+    expect(staleRequests).toEqual([]);
+  });
+
+  test('measures the response time from the request to the first review', () => {
+    const requestedAt = daysAgo(6);
+    const prs = [
+      pullRequest(1, {
+        review_requested_events: [{ login: 'alice', created_at: requestedAt }],
+        reviews: [
+          review('alice', hoursAfter(requestedAt, 5), 'CHANGES_REQUESTED'),
+          review('alice', hoursAfter(requestedAt, 30))
+        ]
+      }),
+      pullRequest(2, { created_at: requestedAt, reviews: [review('alice', hoursAfter(requestedAt, 1))] }),
+      pullRequest(3, { created_at: requestedAt, reviews: [review('alice', hoursAfter(requestedAt, 2))] })
+    ];
+
+    const alice = byLogin(buildReviewerWorkload(prs, 3).reviewers).alice;
+
+    expect(alice.responses).toBe(3);
+    expect(alice.medianResponse).toBe(2 * HOUR_MS);
+  });
+
+  test('leaves out reviews submitted before the latest request', () => {
+    const prs = [
+      pullRequest(1, {
+        review_requested_events: [{ login: 'alice', created_at: daysAgo(2) }],
+        reviews: [review('alice', daysAgo(3))]
+      })
+    ];
+
+    const alice = byLogin(buildReviewerWorkload(prs, 3).reviewers).alice;
+
+    expect(alice).toMatchObject({ given: 1, responses: 0, medianResponse: null });
+  });
+
+  test('counts one review per reviewer per PR for given and received', () => {
+    const prs = [
+      pullRequest(1, {
+        reviews: [
+          review('alice', daysAgo(5), 'COMMENTED'),
+          review('alice', daysAgo(4)),
+          review('bob', daysAgo(4))
+        ]
+      }),
+      pullRequest(2, { reviews: [review('alice', daysAgo(3))] })
+    ];
+
+    const people = byLogin(buildReviewerWorkload(prs, 3).reviewers);
+
+    expect(people.alice.given).toBe(2);
+    expect(people.bob.given).toBe(1);
+    expect(people.author.received).toBe(3);
+  });
+
+  test('skips pending reviews, the author reviewing their own PR, and bots', () => {
+    const prs = [
+      pullRequest(1, {
+        requested_reviewers: [user('renovate[bot]')],
+        reviews: [
+          review('author', daysAgo(5), 'COMMENTED'),
+          review('alice', null, 'PENDING'),
+          review('copilot[bot]', daysAgo(4), 'COMMENTED')
+        ]
+      })
+    ];
+
+    const { reviewers } = buildReviewerWorkload(prs, 3);
+
+    expect(reviewers.map(reviewer => reviewer.login)).toEqual(['author']);
+    expect(reviewers[0].given).toBe(0);
+  });
+
+  test('sorts by open requests, then by reviews given', () => {
+    const prs = [
+      pullRequest(1, { requested_reviewers: [user('carol')] }),
+      pullRequest(2, { reviews: [review('alice', daysAgo(2)), review('bob', daysAgo(2))] }),
+      pullRequest(3, { reviews: [review('bob', daysAgo(1))] })
+    ];
+
+    const { reviewers } = buildReviewerWorkload(prs, 3);
+
+    expect(reviewers.map(reviewer => reviewer.login)).toEqual(['carol', 'bob', 'alice', 'author']);
+  });
+});
+
+describe('suggestReviewers', () => {
+  const mergedPR = (number, mergedDaysAgo, reviewers) => pullRequest(number, {
+    state: 'closed',
+    merged: true,
+    merged_at: daysAgo(mergedDaysAgo),
+    reviews: reviewers.map(login => review(login, daysAgo(mergedDaysAgo + 1)))
+  });
+
+  const mockFiles = (filesByNumber) => {
+    githubService.getPullRequestFiles.mockImplementation((owner, repo, number) => Promise.resolve(
+      filesByNumber[number]
+        ? { success: true, files: filesByNumber[number] }
+        : { success: false, error: 'Not Found' }
+    ));
+  };
+
+  test('ranks by relevance divided by one plus open requests', async () => {
+    mockFiles({
+      10: ['src/app.js', 'src/util.js'],
+      1: ['src/app.js', 'src/util.js'],
+      2: ['src/app.js'],
+      3: ['src/other.js', 'README.md']
+    });
+    const pullRequests = [
+      mergedPR(1, 3, ['alice']),
+      mergedPR(2, 2, ['bob']),
+      mergedPR(3, 1, ['carol', 'bob'])
+    ];
+    const reviewers = [
+      { login: 'alice', avatarUrl: 'a.png', openRequests: 2 },
+      { login: 'bob', avatarUrl: 'b.png', openRequests: 0 }
+    ];
+
+    const result = await suggestReviewers({ owner: 'octo', repo: 'app', pr: pullRequest(10), pullRequests, reviewers });
+
+    expect(result.success).toBe(true);
+    expect(result.historySize).toBe(3);
+    expect(result.suggestions).toEqual([
+      { login: 'bob', avatarUrl: 'b.png', relevance: 1.5, sharedFiles: 1, reviewedPRs: 2, openRequests: 0, score: 1.5 },
+      { login: 'alice', avatarUrl: 'a.png', relevance: 2, sharedFiles: 2, reviewedPRs: 1, openRequests: 2, score: 2 / 3 },
+      { login: 'carol', avatarUrl: null, relevance: 0.5, sharedFiles: 0, reviewedPRs: 1, openRequests: 0, score: 0.5 }
+    ]);
+  });
+
+  test('never suggests the author or a bot', async () => {
+    mockFiles({ 10: ['src/app.js'], 1: ['src/app.js'] });
+    const pullRequests = [mergedPR(1, 1, ['author', 'dependabot[bot]', 'alice'])];
+    // The author's review only counts on someone else's PR
+    pullRequests[0].user = user('dave');
+
+    const result = await suggestReviewers({ owner: 'octo', repo: 'app', pr: pullRequest(10), pullRequests, reviewers: [] });
+
+    expect(result.suggestions.map(suggestion => suggestion.login)).toEqual(['alice']);
+  });
+
+  test('draws on the most recently merged reviewed PRs and skips ones whose files fail to load', async () => {
+    mockFiles({ 10: ['src/app.js'], 2: ['src/app.js'] });
+    const pullRequests = [
+      mergedPR(1, 1, ['alice']),
+      mergedPR(2, 2, ['bob']),
+      mergedPR(3, 3, []),
+      pullRequest(4, { reviews: [review('carol', daysAgo(1))] }),
+      mergedPR(10, 1, ['dave'])
+    ];
+    const onProgress = jest.fn();
+
+    const result = await suggestReviewers({ owner: 'octo', repo: 'app', pr: pullRequest(10), pullRequests, reviewers: [], onProgress });
+
+    expect(result.historySize).toBe(2);
+    expect(result.suggestions.map(suggestion => suggestion.login)).toEqual(['bob']);
+    expect(githubService.getPullRequestFiles.mock.calls.map(call => call[2])).toEqual([10, 1, 2]);
+    expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+  });
+
+  test('fails when the files of the PR itself cannot be loaded', async () => {
+    mockFiles({});
+
+    const result = await suggestReviewers({ owner: 'octo', repo: 'app', pr: pullRequest(10), pullRequests: [], reviewers: [] });
+
+    expect(result).toEqual({ success: false, error: 'Not Found' });
+  });
+});
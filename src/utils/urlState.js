@@ -0,0 +1,87 @@
+// Dashboard state kept in the query string, so a refresh or a shared link
+// restores the same filters and page, and browser back/forward steps through them.
+import { useRef, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { format, parse, isValid } from 'date-fns';
+
+/**
+ * Read a multi-value parameter, e.g. ?label=bug&label=ui
+ * @param {URLSearchParams} searchParams - Current query parameters
+ * @param {string} key - Parameter name
+ * @returns {string[]}
+ */
+export const getListParam = (searchParams, key) => searchParams.getAll(key).filter(Boolean);
+
+/**
+ * Read a YYYY-MM-DD date parameter as local midnight of that day
+ * @param {URLSearchParams} searchParams - Current query parameters
+ * @param {string} key - Parameter name
+ * @returns {Date|null} - null when missing or invalid
+ */
+export const getDateParam = (searchParams, key) => {
+  const value = searchParams.get(key);
+  if (!value) return null;
+
+  const date = parse(value, 'yyyy-MM-dd', new Date());
+  return isValid(date) ? date : null;
+};
+
+/**
+ * Read a positive integer parameter
+ * @param {URLSearchParams} searchParams - Current query parameters
+ * @param {string} key - Parameter name
+ * @param {number} defaultValue - Value when missing or invalid
+ * @returns {number}
+ */
+export const getNumberParam = (searchParams, key, defaultValue) => {
+  const value = parseInt(searchParams.get(key), 10);
+  return value > 0 ? value : defaultValue;
+};
+
+/**
+ * Apply changes to a set of query parameters. Arrays become repeated parameters,
+ * dates become their local YYYY-MM-DD, and null, empty strings and empty arrays remove the parameter.
+ * @param {URLSearchParams} searchParams - Current query parameters
+ * @param {object} changes - Parameter name to new value
+ * @returns {URLSearchParams} - A new set of parameters
+ */
+export const applyParamChanges = (searchParams, changes) => {
+  const next = new URLSearchParams(searchParams);
+
+  Object.entries(changes).forEach(([key, value]) => {
+    next.delete(key);
+    if (value === null || value === undefined || value === '') return;
+
+    if (Array.isArray(value)) {
+      value.forEach(item => next.append(key, item));
+    } else if (value instanceof Date) {
+      next.set(key, format(value, 'yyyy-MM-dd'));
+    } else {
+      next.set(key, String(value));
+    }
+  });
+
+  return next;
+};
+
+/**
+ * useSearchParams with an update function that merges changes into the current parameters.
+ * Several updates in the same event build on each other instead of on the last render,
+ * and updates that don't change the URL don't add a history entry.
+ * @returns {[URLSearchParams, Function]} - Parameters and update(changes, navigateOptions)
+ */
+export const useUrlState = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const latestParamsRef = useRef(searchParams);
+  latestParamsRef.current = searchParams;
+
+  const updateParams = useCallback((changes, navigateOptions) => {
+    const next = applyParamChanges(latestParamsRef.current, changes);
+    if (next.toString() === latestParamsRef.current.toString()) return;
+
+    latestParamsRef.current = next;
+    setSearchParams(next, navigateOptions);
+  }, [setSearchParams]);
+
+  return [searchParams, updateParams];
+};
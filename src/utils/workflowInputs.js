@@ -0,0 +1,194 @@
+// Reads the workflow_dispatch trigger and its inputs out of a workflow file.
+// Workflow files only need a small part of YAML here (nested mappings, lists and
+// scalars), so this reads that subset rather than pulling in a YAML parser.
+
+// Input types GitHub accepts for workflow_dispatch
+export const DISPATCH_INPUT_TYPES = ['string', 'boolean', 'choice', 'number', 'environment'];
+
+/**
+ * Remove a trailing comment, leaving # inside quotes alone
+ * @param {string} line - Line of YAML
+ * @returns {string}
+ */
+const stripComment = (line) => {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+};
+
+/**
+ * Turn a scalar into a value, e.g. '"main"' -> 'main', 'true' -> true
+ * @param {string} text - Scalar text
+ * @returns {string|boolean|number|null|Array}
+ */
+const parseScalar = (text) => {
+  const value = text.trim();
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? inner.split(',').map(item => parseScalar(item)) : [];
+  }
+  if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+    return value.slice(1, -1);
+  }
+  return value;
+};
+
+/**
+ * Build a tree of mapping and list entries from indented lines
+ * @param {Array<{indent: number, text: string, raw: string}>} lines - Lines without comments or blanks
+ * @param {number} start - Index of the first line of the block
+ * @param {number} parentIndent - Indent of the line that owns the block
+ * @returns {{nodes: Array<{key: string|null, value: *, children: Array}>, next: number}}
+ */
+const parseBlock = (lines, start, parentIndent) => {
+  const nodes = [];
+  let index = start;
+
+  while (index < lines.length && lines[index].indent > parentIndent) {
+    const { indent, text } = lines[index];
+    const isItem = text.startsWith('- ') || text === '-';
+    const body = isItem ? text.slice(1).trim() : text;
+    const keyMatch = body.match(/^("[^"]*"|'[^']*'|[^\s:][^:]*?)\s*:(?:\s+(.*))?$/);
+    index++;
+
+    if (!keyMatch) {
+      nodes.push({ key: null, value: parseScalar(body), children: [], item: isItem });
+      continue;
+    }
+
+    const key = String(parseScalar(keyMatch[1]));
+    const inlineValue = keyMatch[2] !== undefined ? keyMatch[2].trim() : '';
+
+    // Block scalars (| or >) take the more indented lines as text
+    if (/^[|>][-+]?$/.test(inlineValue)) {
+      const textLines = [];
+      while (index < lines.length && lines[index].indent > indent) {
+        textLines.push(lines[index].raw.trim());
+        index++;
+      }
+      nodes.push({ key, value: textLines.join(inlineValue.startsWith('>') ? ' ' : '\n'), children: [], item: isItem });
+      continue;
+    }
+
+    const block = parseBlock(lines, index, isItem ? indent + 1 : indent);
+    index = block.next;
+
+    // A list may also sit at the same indent as its key
+    if (!isItem && inlineValue === '' && block.nodes.length === 0) {
+      while (index < lines.length && lines[index].indent === indent && lines[index].text.startsWith('- ')) {
+        block.nodes.push({ key: null, value: parseScalar(lines[index].text.slice(2)), children: [], item: true });
+        index++;
+      }
+    }
+    nodes.push({ key, value: parseScalar(inlineValue), children: block.nodes, item: isItem });
+  }
+
+  return { nodes, next: index };
+};
+
+const findNode = (nodes, key) => nodes.find(node => node.key === key);
+
+/**
+ * List values of a node, from either a flow list ([a, b]) or a block list (- a)
+ * @param {object} node - Tree node
+ * @returns {Array}
+ */
+const getListValues = (node) => {
+  if (!node) return [];
+  if (Array.isArray(node.value)) return node.value;
+  return node.children.filter(child => child.item && child.key === null).map(child => child.value);
+};
+
+/**
+ * Read the workflow_dispatch trigger from a workflow file
+ * @param {string} yamlText - Workflow file contents
+ * @returns {{dispatchable: boolean, inputs: Array<{name, description, required, default, type, options}>}}
+ */
+export const parseDispatchInputs = (yamlText) => {
+  const lines = yamlText
+    .split(/\r?\n/)
+    .map(raw => {
+      const text = stripComment(raw).trimEnd();
+      return { indent: text.length - text.trimStart().length, text: text.trim(), raw };
+    })
+    .filter(line => line.text !== '' && line.text !== '---');
+
+  const { nodes } = parseBlock(lines, 0, -1);
+  // YAML 1.1 readers treat a bare "on" key as true, so either spelling may appear
+  const onNode = findNode(nodes, 'on') || findNode(nodes, 'true');
+  if (!onNode) return { dispatchable: false, inputs: [] };
+
+  // on: workflow_dispatch, or on: [push, workflow_dispatch]
+  const events = [onNode.value, ...getListValues(onNode)].flat();
+  const dispatchNode = findNode(onNode.children, 'workflow_dispatch');
+  if (!dispatchNode && !events.includes('workflow_dispatch')) {
+    return { dispatchable: false, inputs: [] };
+  }
+
+  const inputsNode = dispatchNode ? findNode(dispatchNode.children, 'inputs') : null;
+  const inputs = (inputsNode ? inputsNode.children : [])
+    .filter(node => node.key !== null)
+    .map(node => {
+      const property = (name) => {
+        const child = findNode(node.children, name);
+        return child ? child.value : null;
+      };
+      const type = DISPATCH_INPUT_TYPES.includes(property('type')) ? property('type') : 'string';
+
+      return {
+        name: node.key,
+        description: property('description') || '',
+        required: property('required') === true,
+        default: property('default'),
+        type,
+        options: getListValues(findNode(node.children, 'options')).map(String)
+      };
+    });
+
+  return { dispatchable: true, inputs };
+};
+
+/**
+ * Initial form values for dispatch inputs
+ * @param {Array} inputs - Result of parseDispatchInputs
+ * @returns {object} - Values by input name
+ */
+export const getDefaultInputValues = (inputs) => inputs.reduce((values, input) => {
+  if (input.type === 'boolean') {
+    values[input.name] = input.default === true || input.default === 'true';
+  } else if (input.type === 'choice') {
+    values[input.name] = input.default !== null ? String(input.default) : (input.options[0] || '');
+  } else {
+    values[input.name] = input.default !== null ? String(input.default) : '';
+  }
+  return values;
+}, {});
+
+/**
+ * Convert form values into the inputs payload; the API expects every value as a string
+ * @param {Array} inputs - Result of parseDispatchInputs
+ * @param {object} values - Form values by input name
+ * @returns {object}
+ */
+export const toDispatchPayload = (inputs, values) => inputs.reduce((payload, input) => {
+  const value = values[input.name];
+  if (input.type === 'boolean') {
+    payload[input.name] = String(Boolean(value));
+  } else if (value !== '' && value !== null && value !== undefined) {
+    payload[input.name] = String(value);
+  }
+  return payload;
+}, {});
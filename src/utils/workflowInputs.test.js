@@ -0,0 +1,155 @@
+import { parseDispatchInputs, getDefaultInputValues, toDispatchPayload } from './workflowInputs';
+
+const workflow = (text) => text.replace(/^\n/, '');
+
+describe('parseDispatchInputs', () => {
+  test('reads inputs with their type, default, required flag and options', () => {
+    const result = parseDispatchInputs(workflow(`
+name: Deploy
+on:
+  workflow_dispatch:
+    inputs:
+      environment:
+        description: 'Where to deploy' # trailing comment
+        required: true
+        type: choice
+        options:
+          - staging
+          - production
+        default: staging
+      dry_run:
+        type: boolean
+        default: false
+      replicas:
+        type: number
+        default: 3
+jobs:
+  deploy:
+    runs-on: ubuntu-latest
+`));
+
+    expect(result.dispatchable).toBe(true);
+    expect(result.inputs).toEqual([
+      {
+        name: 'environment',
+        description: 'Where to deploy',
+        required: true,
+        default: 'staging',
+        type: 'choice',
+        options: ['staging', 'production']
+      },
+      { name: 'dry_run', description: '', required: false, default: false, type: 'boolean', options: [] },
+      { name: 'replicas', description: '', required: false, default: 3, type: 'number', options: [] }
+    ]);
+  });
+
+  test('keeps # inside quoted values and strips the quotes', () => {
+    const { inputs } = parseDispatchInputs(workflow(`
+on:
+  workflow_dispatch:
+    inputs:
+      tag:
+        description: "Tag to build, e.g. #123 or 'v1'"
+        default: 'latest'
+`));
+
+    expect(inputs[0].description).toBe("Tag to build, e.g. #123 or 'v1'");
+    expect(inputs[0].default).toBe('latest');
+  });
+
+  test('joins literal block scalars with newlines and folded ones with spaces', () => {
+    const { inputs } = parseDispatchInputs(workflow(`
+on:
+  workflow_dispatch:
+    inputs:
+      notes:
+        description: |
+          First line
+          Second line
+        default: >-
+          folded
+          text
+`));
+
+    expect(inputs[0].description).toBe('First line\nSecond line');
+    expect(inputs[0].default).toBe('folded text');
+  });
+
+  test('reads options written as a flow list or at the same indent as their key', () => {
+    const { inputs } = parseDispatchInputs(workflow(`
+on:
+  workflow_dispatch:
+    inputs:
+      region:
+        type: choice
+        options: [eu, "us"]
+      size:
+        type: choice
+        options:
+        - small
+        - large
+`));
+
+    expect(inputs[0].options).toEqual(['eu', 'us']);
+    expect(inputs[1].options).toEqual(['small', 'large']);
+  });
+
+  test('treats an unknown input type as string', () => {
+    const { inputs } = parseDispatchInputs(workflow(`
+on:
+  workflow_dispatch:
+    inputs:
+      name:
+        type: text
+`));
+
+    expect(inputs[0].type).toBe('string');
+  });
+
+  test('finds workflow_dispatch given as a single event or in an event list', () => {
+    expect(parseDispatchInputs('on: workflow_dispatch\n')).toEqual({ dispatchable: true, inputs: [] });
+    expect(parseDispatchInputs('on: [push, workflow_dispatch]\n')).toEqual({ dispatchable: true, inputs: [] });
+    expect(parseDispatchInputs('on:\n  - push\n  - workflow_dispatch\n')).toEqual({ dispatchable: true, inputs: [] });
+  });
+
+  test('accepts a quoted "on" key and a document marker', () => {
+    const result = parseDispatchInputs(workflow(`
+---
+"on":
+  workflow_dispatch:
+`));
+
+    expect(result.dispatchable).toBe(true);
+  });
+
+  test('is not dispatchable without the trigger', () => {
+    expect(parseDispatchInputs('on:\n  push:\n    branches: [main]\n')).toEqual({ dispatchable: false, inputs: [] });
+    expect(parseDispatchInputs('name: No triggers\n')).toEqual({ dispatchable: false, inputs: [] });
+    expect(parseDispatchInputs('')).toEqual({ dispatchable: false, inputs: [] });
+  });
+});
+
+describe('getDefaultInputValues', () => {
+  test('fills in defaults by type', () => {
+    const inputs = [
+      { name: 'flag', type: 'boolean', default: 'true', options: [] },
+      { name: 'env', type: 'choice', default: null, options: ['staging', 'production'] },
+      { name: 'count', type: 'number', default: 2, options: [] },
+      { name: 'text', type: 'string', default: null, options: [] }
+    ];
+
+    expect(getDefaultInputValues(inputs)).toEqual({ flag: true, env: 'staging', count: '2', text: '' });
+  });
+});
+
+describe('toDispatchPayload', () => {
+  test('sends every value as a string and leaves out empty ones', () => {
+    const inputs = [
+      { name: 'flag', type: 'boolean' },
+      { name: 'count', type: 'number' },
+      { name: 'text', type: 'string' }
+    ];
+
+    expect(toDispatchPayload(inputs, { flag: false, count: 3, text: '' })).toEqual({ flag: 'false', count: '3' });
+  });
+});
@@ -0,0 +1,87 @@
+// Timing and log helpers for GitHub Actions runs, jobs and steps
+
+// Every line of a job log starts with the time it was written
+const LOG_TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z)/;
+
+/**
+ * Milliseconds between two timestamps
+ * @param {string|null} start - ISO timestamp
+ * @param {string|null} end - ISO timestamp
+ * @returns {number|null} - null when either is missing
+ */
+const elapsed = (start, end) => (start && end ? Math.max(new Date(end) - new Date(start), 0) : null);
+
+/**
+ * Format a duration, e.g. "1h 2m", "3m 4s" or "5s"
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+};
+
+/**
+ * How long a run waited to start and how long it ran
+ * @param {object} run - Workflow run
+ * @returns {{queueMs: number|null, executionMs: number|null}} - executionMs is null while the run is in progress
+ */
+export const getRunTimings = (run) => {
+  const startedAt = run.run_started_at || run.created_at;
+  return {
+    queueMs: elapsed(run.created_at, run.run_started_at),
+    executionMs: run.status === 'completed' ? elapsed(startedAt, run.updated_at) : null
+  };
+};
+
+/**
+ * How long a job waited for a runner and how long it ran
+ * @param {object} job - Workflow job
+ * @returns {{queueMs: number|null, executionMs: number|null}}
+ */
+export const getJobTimings = (job) => ({
+  queueMs: elapsed(job.created_at, job.started_at),
+  executionMs: elapsed(job.started_at, job.completed_at)
+});
+
+/**
+ * How long a step ran
+ * @param {object} step - Job step
+ * @returns {number|null}
+ */
+export const getStepDuration = (step) => elapsed(step.started_at, step.completed_at);
+
+/**
+ * Cut the lines a step wrote out of its job's log, using the log timestamps.
+ * Step timestamps are only precise to the second, so the window is widened to match.
+ * @param {string} log - Full job log
+ * @param {object} step - Job step
+ * @returns {string} - The step's lines, or the whole log when they can't be told apart
+ */
+export const extractStepLog = (log, step) => {
+  if (!step.started_at || !step.completed_at) return log;
+
+  const start = new Date(step.started_at).getTime();
+  const end = new Date(step.completed_at).getTime() + 1000;
+  let inStep = false;
+
+  const stepLines = log.split(/\r?\n/).filter(line => {
+    const match = line.match(LOG_TIMESTAMP_PATTERN);
+    // Lines without a timestamp continue the previous line
+    if (match) {
+      const time = new Date(match[1]).getTime();
+      inStep = time >= start && time < end;
+    }
+    return inStep;
+  });
+
+  return stepLines.length > 0 ? stepLines.join('\n') : log;
+};